@@ -5,21 +5,75 @@ class WeatherApp {
         this.apiKey = null;
         this.currentLocation = null;
         this.weatherData = null;
-        this.isDemoMode = false; // Use real Buienradar data
-        this.storageKey = 'weatherAppData';
-        this.cacheExpiry = 10 * 60 * 1000; // 10 minutes
+        this.dataModeKey = 'weatherDataMode';
+        this.dataMode = this.loadDataMode(); // 'live', 'demo' or 'fixture:<scenario>'
+        this.isDemoMode = this.dataMode === 'demo'; // Generated data instead of the network
+        this.demoSeed = DemoWeather.parseSeed(new URLSearchParams(window.location.search).get('demo'));
+        this.demoTime = DemoWeather.parseTime(new URLSearchParams(window.location.search).get('at')); // ?demo&at=<ISO>: demo clock stands still
+        this.sunTimes = null; // Sunrise, sunset and twilight for the current location
+        this.legacyStorageKey = 'weatherAppData'; // Pre-IndexedDB cache in localStorage and cookies
+        this.service = new WeatherService({ // Providers, conversion and freshness
+            cacheExpiry: 10 * 60 * 1000,
+            now: () => (this.isDemoMode && this.demoTime !== null ? this.demoTime : Date.now())
+        });
+        this.activeProvider = null; // Provider that produced the data on screen
+        this.requestController = null; // Aborts the requests for a place that is no longer shown
+        this.requestKey = null; // Data mode and place those requests are for
+        this.loadError = null; // Why the last weather load failed (RequestError or AggregateError)
+        this.nowcast = null; // Rain forecast for the next 2 hours (getrr.php)
+        this.weatherRefreshInterval = 10 * 60 * 1000; // Stations report every 10 minutes
+        this.nowcastRefreshInterval = 5 * 60 * 1000; // getrr.php updates every 5 minutes
+        this.nowcastStaleAfter = 15 * 60 * 1000; // Older nowcasts (failed refreshes, cached answers) get a warning
+        this.scheduler = new RefreshScheduler(); // Automatic refresh, paused while the page is hidden
+        this.scheduler.add('weather', { interval: this.weatherRefreshInterval, run: () => this.fetchWeatherData() });
+        this.scheduler.add('nowcast', { interval: this.nowcastRefreshInterval, run: () => this.loadBuienradar() });
+        this.scheduler.add('freshness', { // "bijgewerkt 12 min geleden", and rain steps that have passed
+            interval: 60 * 1000,
+            run: () => {
+                this.updateFreshnessDisplay();
+                this.updateNowcastDisplay();
+            }
+        });
+        this.radarPlayer = null; // Animated radar loop, created by initializeRadar
+        this.warnings = {}; // Official warnings per country: { items, fetchedAt, request }
+        this.warningsRefreshInterval = 15 * 60 * 1000;
+        this.showWarningList = false;
+        this.windRotation = 0; // Compass arrow angle, kept continuous so it turns the short way
+        this.savedLocations = new SavedLocations(); // Saved places, each with its own cached weather
+        this.savedLocations.onChange = (places) => this.shareSavedLocations(places);
+        this.recentSearchesKey = 'weatherRecentSearches';
+        this.maxRecentSearches = 5;
+        this.popularLocations = ['Amsterdam', 'Brussel', 'Rotterdam', 'Antwerpen', 'Gent', 'Utrecht'];
+        this.locale = I18n.init(); // UI language; Buienradar's Dutch descriptions are translated too
+        this.unitsKey = 'weatherUnits';
+        this.units = this.loadUnitPreferences(); // Display units; data stays in °C, m/s, hPa, mm
+        this.suggestions = []; // Entries in the autocomplete dropdown
+        this.activeSuggestion = -1; // Keyboard-highlighted entry
+        this.trendRange = '24h'; // Trends chart range: '24h' or '7d'
+        this.observations = []; // Observation history of the current location, last 7 days
+        this.selectedDay = null; // Index of the daily forecast row shown in the day detail, or null
+        this.daySwipeDistance = 50; // Horizontal pixels a swipe needs to change day
         
         this.init();
     }
 
     async init() {
+        I18n.translatePage();
         this.setupEventListeners();
         this.hideLoading(); // Hide loading immediately on start
         
-        // Try to load location from cookies first
-        const hasLocationCookie = this.loadLocationFromCookies();
-        
-        await this.getCurrentLocation();
+        // Start at the saved home location; otherwise detect the position
+        const homePlace = this.savedLocations.getHome();
+        let hasLocationCookie = false;
+        if (homePlace) {
+            this.setCurrentPlace(homePlace);
+            hasLocationCookie = true;
+        } else {
+            // Try to load location from cookies first
+            hasLocationCookie = this.loadLocationFromCookies();
+            await this.getCurrentLocation();
+        }
+        this.renderSavedLocations();
         
         // Load demo data immediately for instant experience
         if (this.isDemoMode) {
@@ -29,24 +83,36 @@ class WeatherApp {
             if (!hasLocationCookie) {
                 this.updateLocationDisplay();
             }
+            this.scheduler.markRefreshed('weather');
+            this.scheduler.run('nowcast'); // Generated nowcast to match
             this.initializeRadar();
             this.hideLoading(); // Hide loading immediately
         } else {
-            // Try to load cached data first
-            const cachedData = this.loadFromStorage();
-            if (cachedData && this.isDataFresh(cachedData)) {
+            // Move weather cached by older versions into the store once
+            await this.migrateLegacyStorage();
+            
+            // Try to load cached data first; includes what background sync fetched.
+            // Fixture mode always replays the recording
+            const cachedData = this.getFixtureScenario() ? null : await this.loadCachedWeather();
+            if (cachedData && this.service.isFresh(cachedData)) {
                 console.log('Using cached weather data');
                 this.weatherData = cachedData.data;
                 this.updateWeatherDisplay();
                 if (!hasLocationCookie) {
                     this.updateLocationDisplay();
                 }
-                this.initializeRadar();
+                this.scheduler.markRefreshed('weather', cachedData.timestamp);
+                this.scheduler.run('nowcast');
             } else {
                 await this.loadWeatherData();
             }
+            
+            this.initializeRadar();
         }
         
+        // Feed and nowcast refresh on their own schedules from here on
+        this.scheduler.start();
+        
         // Setup PWA features in background
         this.registerServiceWorker();
         this.setupPWAFeatures();
@@ -59,14 +125,53 @@ class WeatherApp {
         const scrollRightBtn = document.getElementById('scrollRight');
         
         // Radar controls
-        window.refreshRadar = () => this.refreshRadar();
+        window.refreshRadar = (button) => this.refreshRadar(button);
         window.toggleRadarFullscreen = () => this.toggleRadarFullscreen();
         window.openBuienradarWebsite = () => this.openBuienradarWebsite();
-        window.hideRadarLoading = () => this.hideRadarLoading();
+        window.toggleRadarPlayback = () => this.radarPlayer?.toggle();
+        window.cycleRadarSpeed = () => this.radarPlayer?.cycleSpeed();
+        window.focusRadarLocation = () => this.radarPlayer?.view?.focusLocation();
+        window.seekRadar = (index) => {
+            // Dragging the scrubber takes over from playback
+            this.radarPlayer?.pause();
+            this.radarPlayer?.seek(index);
+        };
         window.searchLocation = () => this.searchLocation();
         window.showLocationSuggestions = () => this.showLocationSuggestions();
         window.hideLocationSuggestions = () => this.hideLocationSuggestions();
         window.selectLocation = (city) => this.selectLocation(city);
+        window.chooseSuggestion = (index) => this.chooseSuggestion(index);
+        
+        // Settings
+        window.toggleSettings = () => this.toggleSettings();
+        window.setUnit = (kind, unit) => this.setUnit(kind, unit);
+        window.setLocale = (locale) => this.setLocale(locale);
+        window.setDataMode = (mode) => this.setDataMode(mode);
+        
+        // Trends
+        window.setTrendRange = (range) => this.setTrendRange(range);
+        
+        // Weather warnings
+        window.toggleWarningList = () => this.toggleWarningList();
+        
+        // Day detail
+        window.closeDayDetail = () => this.closeDayDetail();
+        window.showAdjacentDay = (offset) => this.showAdjacentDay(offset);
+        
+        // Saved locations
+        window.toggleSavedLocations = () => this.toggleSavedLocations();
+        window.switchToSavedLocation = (id) => this.switchToSavedLocation(id);
+        window.saveCurrentLocation = () => this.saveCurrentLocation();
+        window.renameSavedLocation = (id) => this.renameSavedLocation(id);
+        window.moveSavedLocation = (id, offset) => this.moveSavedLocation(id, offset);
+        window.deleteSavedLocation = (id) => this.deleteSavedLocation(id);
+        window.setHomeLocation = (id) => this.setHomeLocation(id);
+        
+        // Keyboard navigation in the location suggestions
+        const searchInput = document.getElementById('locationSearch');
+        if (searchInput) {
+            searchInput.addEventListener('keydown', (event) => this.handleSearchKeydown(event));
+        }
         
         refreshBtn.addEventListener('click', () => this.refreshWeather());
         retryBtn.addEventListener('click', () => this.retryLoad());
@@ -76,6 +181,51 @@ class WeatherApp {
             scrollLeftBtn.addEventListener('click', () => this.scrollHourly('left'));
             scrollRightBtn.addEventListener('click', () => this.scrollHourly('right'));
         }
+        
+        // The radar canvas follows its box (rotation, fullscreen)
+        window.addEventListener('resize', () => this.radarPlayer?.resize());
+        
+        this.setupDayDetailGestures();
+    }
+
+    setupDayDetailGestures() {
+        const panel = document.getElementById('dayDetail');
+        if (!panel) return;
+        
+        // Swipe left for the next day, right for the previous one. The panel only
+        // allows vertical panning, so horizontal drags reach us as pointer events
+        let start = null;
+        panel.addEventListener('pointerdown', (event) => {
+            start = { x: event.clientX, y: event.clientY };
+        });
+        panel.addEventListener('pointerup', (event) => {
+            if (!start) return;
+            const dx = event.clientX - start.x;
+            const dy = event.clientY - start.y;
+            start = null;
+            if (Math.abs(dx) >= this.daySwipeDistance && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                this.showAdjacentDay(dx < 0 ? 1 : -1);
+            }
+        });
+        panel.addEventListener('pointercancel', () => {
+            start = null;
+        });
+        
+        panel.addEventListener('keydown', (event) => {
+            switch (event.key) {
+                case 'ArrowLeft':
+                    event.preventDefault();
+                    this.showAdjacentDay(-1);
+                    break;
+                case 'ArrowRight':
+                    event.preventDefault();
+                    this.showAdjacentDay(1);
+                    break;
+                case 'Escape':
+                    this.closeDayDetail();
+                    break;
+            }
+        });
     }
 
     async getCurrentLocation() {
@@ -84,9 +234,11 @@ class WeatherApp {
             if (navigator.geolocation) {
                 navigator.geolocation.getCurrentPosition(
                     (position) => {
+                        const { latitude, longitude } = position.coords;
                         this.currentLocation = {
-                            lat: position.coords.latitude,
-                            lon: position.coords.longitude
+                            lat: latitude,
+                            lon: longitude,
+                            ...this.reverseGeocode(latitude, longitude)
                         };
                         console.log('Real location detected:', this.currentLocation);
                         this.updateLocationDisplay();
@@ -95,7 +247,7 @@ class WeatherApp {
                     (error) => {
                         console.log('Geolocation error, using fallback location');
                         // Fallback to Amsterdam if geolocation fails
-                        this.currentLocation = { lat: 52.3676, lon: 4.9041 };
+                        this.currentLocation = { lat: 52.3676, lon: 4.9041, name: 'Amsterdam', country: 'NL' };
                         this.updateLocationDisplay('Amsterdam, NL');
                         resolve(this.currentLocation);
                     },
@@ -107,22 +259,60 @@ class WeatherApp {
                 );
             } else {
                 // No geolocation support, use fallback
-                this.currentLocation = { lat: 52.3676, lon: 4.9041 };
+                this.currentLocation = { lat: 52.3676, lon: 4.9041, name: 'Amsterdam', country: 'NL' };
                 this.updateLocationDisplay('Amsterdam, NL');
                 resolve(this.currentLocation);
             }
         });
     }
 
+    reverseGeocode(lat, lon) {
+        // Cached per session, keyed on ~100 m precision
+        const cacheKey = `${lat.toFixed(3)},${lon.toFixed(3)}`;
+        const cache = this.loadReverseGeocodeCache();
+        if (cache[cacheKey]) {
+            return cache[cacheKey];
+        }
+        
+        const result = Gazetteer.nearest(lat, lon);
+        if (!result) return {};
+        
+        const { place, distance } = result;
+        const resolved = {
+            name: place.name,
+            country: place.country,
+            municipality: place.municipality,
+            province: place.province,
+            distanceKm: Math.round(distance * 10) / 10
+        };
+        
+        cache[cacheKey] = resolved;
+        try {
+            sessionStorage.setItem('weatherReverseGeocode', JSON.stringify(cache));
+        } catch (error) {
+            console.error('Error caching reverse geocode:', error);
+        }
+        return resolved;
+    }
+
+    loadReverseGeocodeCache() {
+        try {
+            return JSON.parse(sessionStorage.getItem('weatherReverseGeocode')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Load with the spinner: on start, for another place or data mode, on refresh.
+    // Goes through the scheduler, so a load still running for the previous place
+    // finishes first and the periodic refresh never runs alongside it
     async loadWeatherData() {
         this.showLoading(true);
         
-        // Set a timeout to prevent infinite loading
+        // Slow sources: stop blocking the screen after 5 seconds. The requests have
+        // their own timeouts; whatever they end with is shown then
         const loadingTimeout = setTimeout(() => {
-            console.log('Loading timeout - using demo data');
-            this.weatherData = this.getDemoWeatherData();
-            this.updateWeatherDisplay();
-            this.updateLocationDisplay();
+            console.log('Loading timeout');
             this.showLoading(false);
         }, 5000); // 5 second timeout
         
@@ -130,73 +320,118 @@ class WeatherApp {
             if (!this.currentLocation) {
                 await this.getCurrentLocation();
             }
-
-            if (this.isDemoMode) {
-                // Use demo data immediately
-                console.log('Using demo weather data');
-                clearTimeout(loadingTimeout);
-                this.weatherData = this.getDemoWeatherData();
-                this.updateWeatherDisplay();
-                this.updateLocationDisplay();
-                this.loadBuienradar(); // Load radar in background
-                this.showLoading(false);
-                return;
-            }
-
-            // Load current weather and forecast
-            const weatherPromise = this.fetchWeatherData();
-            const buienradarPromise = this.loadBuienradar();
+            this.getRequestSignal(); // Cancels what is still loading for the previous place
             
-            await Promise.all([weatherPromise, buienradarPromise]);
+            // Current weather and forecast, and the nowcast next to it
+            const [weatherLoaded] = await Promise.all([
+                this.scheduler.run('weather', { restart: true }),
+                this.scheduler.run('nowcast', { restart: true })
+            ]);
             
-            clearTimeout(loadingTimeout);
-            this.showLoading(false);
+            // Nothing real to show: say why instead of quietly showing demo data
+            if (!weatherLoaded && this.weatherData?.fallback) {
+                this.showError(this.describeLoadError(this.loadError));
+            }
         } catch (error) {
             console.error('Error loading weather data:', error);
+            if (!this.weatherData) {
+                this.weatherData = this.getDemoWeatherData({ fallback: true });
+                this.updateWeatherDisplay();
+                this.updateLocationDisplay();
+            }
+        } finally {
             clearTimeout(loadingTimeout);
-            // Fallback to demo data
-            this.weatherData = this.getDemoWeatherData();
-            this.updateWeatherDisplay();
-            this.updateLocationDisplay();
             this.showLoading(false);
         }
     }
 
+    // One load of the weather for the current place; false when every source failed
+    // (the scheduler then retries sooner)
     async fetchWeatherData() {
-        const { lat, lon } = this.currentLocation;
+        const location = this.currentLocation;
+        const dataMode = this.dataMode;
+        const signal = this.getRequestSignal();
         
+        if (this.isDemoMode) {
+            this.showWeatherData(this.getDemoWeatherData());
+            return true;
+        }
+        
+        const scenario = this.getFixtureScenario();
+        const providers = scenario
+            ? [WeatherFixtures.provider(scenario)]
+            : this.service.getProvidersForLocation(location);
+        
+        // The service tries each provider in priority order until one delivers
+        let weatherData;
+        let ok = true;
         try {
-            // Use Buienradar JSON API for real data
-            const buienradarUrl = `https://data.buienradar.nl/2.0/feed/json`;
-            const response = await fetch(buienradarUrl);
+            weatherData = await this.service.fetchWeather(location, providers, { signal });
+            console.log(`Weather data from ${weatherData.provider.name}:`, weatherData);
+            this.loadError = null;
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // Save to storage; replayed fixtures stay out of the cache and the history
+            if (!scenario) {
+                this.saveWeather(weatherData, location);
+                await this.recordObservation(weatherData, location);
             }
-            
-            const data = await response.json();
-            console.log('Buienradar API Response:', data);
-            
-            this.weatherData = this.convertBuienradarData(data, lat, lon);
-            
-            // Save to storage
-            this.saveToStorage(this.weatherData);
-            
-            this.updateWeatherDisplay();
-            this.updateLocationDisplay();
-            
         } catch (error) {
-            console.error('Error fetching weather data:', error);
-            console.log('Falling back to demo data');
-            // Fallback to demo data
-            this.weatherData = this.getDemoWeatherData();
+            // Cancelled because another place or data mode was chosen; its own load follows
+            if (Network.kindOf(error) === 'aborted') return true;
             
-            // Save demo data to storage as well
-            this.saveToStorage(this.weatherData);
-            
-            this.updateWeatherDisplay();
-            this.updateLocationDisplay();
+            ok = false;
+            this.loadError = error;
+            // Older real data beats made-up data: demo data only when nothing is cached.
+            // Either way the header shows the warning; the fallback is never stored
+            const cachedData = scenario ? null : await this.loadCachedWeather(location);
+            if (cachedData) {
+                console.log('All weather providers failed, showing cached data');
+                weatherData = cachedData.data;
+            } else {
+                console.log('All weather providers failed, falling back to demo data');
+                weatherData = this.getDemoWeatherData({ fallback: true });
+            }
         }
+        
+        // Another place or data mode was chosen meanwhile; its own load follows
+        if (!this.isSameLocation(location, this.currentLocation) || dataMode !== this.dataMode) {
+            return ok;
+        }
+        
+        this.showWeatherData(weatherData);
+        if (ok) this.hideError();
+        return ok;
+    }
+
+    // Signal for requests about the current place and data mode. Choosing another
+    // place or mode aborts the requests that are still running for the previous one
+    getRequestSignal() {
+        const location = this.currentLocation;
+        const key = `${this.dataMode}|${location ? `${location.lat},${location.lon}` : ''}`;
+        if (key !== this.requestKey || !this.requestController) {
+            this.requestController?.abort();
+            this.requestController = new AbortController();
+            this.requestKey = key;
+        }
+        return this.requestController.signal;
+    }
+
+    // What went wrong, for the error screen
+    describeLoadError(error) {
+        const kind = Network.kindOf(error);
+        const status = (error?.errors || [error]).find(item => item?.status)?.status;
+        return I18n.t(`error.${kind}`, { status: status ?? '' });
+    }
+
+    showWeatherData(weatherData) {
+        this.weatherData = weatherData;
+        this.activeProvider = weatherData.provider?.id || 'demo';
+        this.updateWeatherDisplay();
+        this.updateLocationDisplay();
+    }
+
+    isSameLocation(a, b) {
+        return a === b || Boolean(a && b && a.lat === b.lat && a.lon === b.lon);
     }
 
     updateWeatherDisplay() {
@@ -207,31 +442,147 @@ class WeatherApp {
         const daily = this.weatherData.daily.slice(0, 7);
 
         // Update current weather
-        this.updateElement('currentTemp', Math.round(current.temp));
-        this.updateElement('weatherDescription', current.weather[0].description);
-        this.updateElement('feelsLike', `${Math.round(current.feels_like)}°C`);
-        this.updateElement('humidity', `${current.humidity}%`);
-        this.updateElement('windSpeed', `${Math.round(current.wind_speed * 3.6)} km/h`);
-        this.updateElement('visibility', `${Math.round((current.visibility || 10000) / 1000)} km`);
-        this.updateElement('pressure', `${current.pressure || 1013} hPa`);
+        const units = this.units;
+        this.updateElement('currentTemp', this.formatValue(current.temp, value => Math.round(Units.convertTemperature(value, units.temperature))));
+        this.updateElement('tempUnit', Units.label('temperature', units.temperature));
+        this.updateElement('weatherDescription', this.describeWeather(current.weather[0]));
+        this.updateElement('feelsLike', this.formatValue(current.feels_like, value => Units.formatTemperature(value, units.temperature), `--${Units.label('temperature', units.temperature)}`));
+        this.updateElement('humidity', this.formatValue(current.humidity, value => I18n.formatPercent(Math.round(value) / 100), '--%'));
+        this.updateElement('windSpeed', this.formatValue(current.wind_speed, value => Units.formatWind(value, units.wind), `-- ${Units.label('wind', units.wind)}`));
+        this.updateElement('visibility', this.formatValue(current.visibility, value => `${I18n.formatNumber(Math.round(value / 1000))} km`, '-- km'));
+        this.updateElement('pressure', this.formatValue(current.pressure, value => Units.formatPressure(value, units.pressure), `-- ${Units.label('pressure', units.pressure)}`));
         this.updateElement('uvIndex', current.uvi || '--');
-        this.updateElement('precipitation', `${Math.round((current.pop || 0) * 100)}%`);
+        this.updateElement('precipitation', this.formatValue(current.pop, value => I18n.formatPercent(value), '--%'));
+        this.updateElement('dataSource', this.getDataSourceText(this.weatherData));
+        this.updateFreshnessDisplay();
+        
+        // Sun times for the current location, in the location's time zone
+        this.updateSunTimes();
         
-        // Calculate sunrise/sunset times
-        const now = new Date();
-        const sunrise = new Date(now.getTime() + (6 * 60 * 60 * 1000)); // 6 AM
-        const sunset = new Date(now.getTime() + (18 * 60 * 60 * 1000)); // 6 PM
-        this.updateElement('sunrise', sunrise.toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' }));
-        this.updateElement('sunset', sunset.toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' }));
+        // Day/night icon variants follow the real sun position
+        this.applyDayNightIcons(this.weatherData);
         
         // Update weather icon
         this.updateWeatherIcon(current.weather[0].icon, current.weather[0].main);
+        
+        // Wind card: direction, gusts and Beaufort force
+        this.updateWindDisplay(current);
 
         // Update hourly forecast
         this.updateHourlyForecast(hourly);
 
         // Update daily forecast
         this.updateDailyForecast(daily);
+        
+        // Trends from the stored observations
+        this.updateTrends();
+        
+        // Official warnings for the location's province
+        this.updateWarnings();
+    }
+
+    updateWindDisplay(current) {
+        const units = this.units;
+        const windLabel = Units.label('wind', units.wind);
+        const hasDirection = typeof current.wind_deg === 'number' && Number.isFinite(current.wind_deg);
+        
+        this.updateElement('windCardSpeed', this.formatValue(current.wind_speed, value => Units.formatWind(value, units.wind), `-- ${windLabel}`));
+        this.updateElement('windDirection', hasDirection
+            ? I18n.t('wind.from', { direction: Units.formatWindDirection(current.wind_deg), degrees: I18n.formatNumber(Math.round(current.wind_deg)) })
+            : '--');
+        this.updateElement('windGust', this.formatValue(current.wind_gust, value => Units.formatWind(value, units.wind), `-- ${windLabel}`));
+        
+        // Measured force where the station reports it, otherwise derived from the speed
+        const force = typeof current.wind_bft === 'number'
+            ? current.wind_bft
+            : (typeof current.wind_speed === 'number' ? Units.msToBeaufort(current.wind_speed) : null);
+        this.updateElement('windBeaufort', force !== null ? I18n.t('wind.beaufort', { force, name: I18n.t(`beaufort.${force}`) }) : '--');
+        
+        const arrow = document.getElementById('windArrow');
+        if (arrow) {
+            arrow.style.visibility = hasDirection ? '' : 'hidden';
+            if (hasDirection) {
+                // The arrow points where the wind blows to, opposite to where it comes from
+                const target = current.wind_deg + 180;
+                const delta = ((target - this.windRotation) % 360 + 540) % 360 - 180;
+                this.windRotation += delta;
+                arrow.style.transform = `rotate(${this.windRotation}deg)`;
+            }
+        }
+    }
+
+    formatValue(value, format, placeholder = '--') {
+        // Missing measurements are shown as a placeholder, never as a made-up value
+        return typeof value === 'number' && Number.isFinite(value) ? format(value) : placeholder;
+    }
+
+    getDataSourceText(weatherData) {
+        if (!weatherData.provider) return '';
+        
+        const stations = weatherData.current?.stations || [];
+        if (stations.length === 0) {
+            return I18n.t('source.provider', { provider: weatherData.provider.name });
+        }
+        
+        const stationList = stations
+            .map(station => `${(station.name || '').replace(/^Meetstation\s+/i, '')} (${I18n.formatNumber(station.distance, 1)} km)`)
+            .join(', ');
+        return I18n.t('source.providerStations', { provider: weatherData.provider.name, stations: stationList });
+    }
+
+    getLocationTimeZone() {
+        return this.weatherData?.timezone || this.currentLocation?.timezone || 'Europe/Amsterdam';
+    }
+
+    formatTime(date, timeZone = this.getLocationTimeZone()) {
+        if (!date) return '--:--';
+        return I18n.formatTime(date, { timeZone });
+    }
+
+    formatDuration(ms) {
+        const totalMinutes = Math.round(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return I18n.t('duration.hoursMinutes', { hours, minutes: String(minutes).padStart(2, '0') });
+    }
+
+    updateSunTimes() {
+        if (!this.currentLocation) return;
+        
+        const { lat, lon } = this.currentLocation;
+        const timeZone = this.getLocationTimeZone();
+        const times = SolarCalculator.getTimes(new Date(this.service.now()), lat, lon, timeZone);
+        this.sunTimes = times;
+        
+        this.updateElement('sunrise', this.formatTime(times.sunrise, timeZone));
+        this.updateElement('sunset', this.formatTime(times.sunset, timeZone));
+        this.updateElement('solarNoon', this.formatTime(times.solarNoon, timeZone));
+        this.updateElement('dayLength', this.formatDuration(times.dayLength));
+        this.updateElement('civilTwilight', `${this.formatTime(times.civilDawn, timeZone)} – ${this.formatTime(times.civilDusk, timeZone)}`);
+        this.updateElement('nauticalTwilight', `${this.formatTime(times.nauticalDawn, timeZone)} – ${this.formatTime(times.nauticalDusk, timeZone)}`);
+    }
+
+    applyDayNightIcons(weatherData) {
+        if (!this.currentLocation || !weatherData) return;
+        
+        const { lat, lon } = this.currentLocation;
+        const setVariant = (weather, isDay) => {
+            if (weather && weather.icon) {
+                weather.icon = `${weather.icon.slice(0, 2)}${isDay ? 'd' : 'n'}`;
+            }
+        };
+        
+        setVariant(weatherData.current?.weather?.[0], SolarCalculator.isDaylight(new Date(this.service.now()), lat, lon));
+        
+        (weatherData.hourly || []).forEach(hour => {
+            setVariant(hour.weather?.[0], SolarCalculator.isDaylight(new Date(hour.dt * 1000), lat, lon));
+        });
+        
+        // A day only gets the night variant when the sun does not rise at all
+        (weatherData.daily || []).forEach(day => {
+            const times = SolarCalculator.getTimes(new Date(day.dt * 1000), lat, lon, this.getLocationTimeZone());
+            setVariant(day.weather?.[0], times.dayLength > 0);
+        });
     }
 
     updateWeatherIcon(iconCode, weatherMain) {
@@ -279,10 +630,7 @@ class WeatherApp {
         div.className = 'hourly-item';
         
         const time = new Date(hourData.dt * 1000);
-        const timeString = index === 0 ? 'Nu' : time.toLocaleTimeString('nl-NL', { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        });
+        const timeString = index === 0 ? I18n.t('app.now') : I18n.formatTime(time);
         
         const iconMap = {
             '01d': 'fas fa-sun',
@@ -305,13 +653,38 @@ class WeatherApp {
             '50n': 'fas fa-smog'
         };
 
+        // Hours without forecast data are shown as missing
+        if (hourData.missing) {
+            div.classList.add('missing');
+            div.innerHTML = `
+                <div class="hourly-time">${timeString}</div>
+                <div class="hourly-icon"><i class="fas fa-question"></i></div>
+                <div class="hourly-temp">--°</div>
+            `;
+            return div;
+        }
+
         const iconClass = iconMap[hourData.weather[0].icon] || 'fas fa-sun';
         const baseClass = iconClass.split(' ')[1];
         
+        // Wind arrow and speed, for sources with hourly wind
+        let windHtml = '';
+        if (typeof hourData.wind_deg === 'number' && typeof hourData.wind_speed === 'number') {
+            const speed = Units.convertWind(hourData.wind_speed, this.units.wind);
+            const title = `${Units.formatWindDirection(hourData.wind_deg)} ${Units.formatWind(hourData.wind_speed, this.units.wind)}`;
+            windHtml = `
+                <div class="hourly-wind" title="${this.escapeHtml(title)}">
+                    <i class="fas fa-long-arrow-alt-up" style="transform: rotate(${Math.round(hourData.wind_deg + 180) % 360}deg)"></i>
+                    <span>${I18n.formatNumber(Math.round(speed))}</span>
+                </div>
+            `;
+        }
+        
         div.innerHTML = `
             <div class="hourly-time">${timeString}</div>
             <div class="hourly-icon"><i class="${iconClass} ${baseClass}"></i></div>
-            <div class="hourly-temp">${Math.round(hourData.temp)}°</div>
+            <div class="hourly-temp">${this.formatValue(hourData.temp, value => Units.formatTemperature(value, this.units.temperature, { withUnit: false }), '--°')}</div>
+            ${windHtml}
         `;
         
         return div;
@@ -325,16 +698,21 @@ class WeatherApp {
             const dayElement = this.createDailyElement(day, index);
             container.appendChild(dayElement);
         });
+        
+        this.renderDayDetail();
+    }
+
+    getDayName(dayData, index) {
+        if (index === 0) return I18n.t('forecast.today');
+        if (index === 1) return I18n.t('forecast.tomorrow');
+        return I18n.formatDate(new Date(dayData.dt * 1000), { weekday: 'long' });
     }
 
     createDailyElement(dayData, index) {
         const div = document.createElement('div');
         div.className = 'daily-item';
         
-        const date = new Date(dayData.dt * 1000);
-        const dayName = index === 0 ? 'Vandaag' : 
-                      index === 1 ? 'Morgen' : 
-                      date.toLocaleDateString('nl-NL', { weekday: 'long' });
+        const dayName = this.getDayName(dayData, index);
         
         const iconMap = {
             '01d': 'fas fa-sun',
@@ -357,404 +735,761 @@ class WeatherApp {
             '50n': 'fas fa-smog'
         };
 
+        // Days without forecast data are shown as missing
+        if (dayData.missing) {
+            div.classList.add('missing');
+            div.innerHTML = `
+                <div class="daily-day">${dayName}</div>
+                <div class="daily-icon"><i class="fas fa-question"></i></div>
+                <div class="daily-temps">
+                    <span class="daily-missing">${I18n.t('forecast.noData')}</span>
+                </div>
+            `;
+            return div;
+        }
+
         const iconClass = iconMap[dayData.weather[0].icon] || 'fas fa-sun';
         const baseClass = iconClass.split(' ')[1];
+        const pop = typeof dayData.pop === 'number' ? `<span class="daily-pop"><i class="fas fa-tint"></i> ${I18n.formatPercent(dayData.pop)}</span>` : '';
+        
+        // Tapping a day opens (or closes) its detail panel; renderDayDetail marks the open one
+        div.setAttribute('role', 'button');
+        div.setAttribute('tabindex', '0');
+        div.setAttribute('aria-expanded', 'false');
+        div.setAttribute('aria-controls', 'dayDetail');
+        div.addEventListener('click', () => this.toggleDayDetail(index));
+        div.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.toggleDayDetail(index);
+            }
+        });
         
         div.innerHTML = `
             <div class="daily-day">${dayName}</div>
             <div class="daily-icon"><i class="${iconClass} ${baseClass}"></i></div>
             <div class="daily-temps">
-                <span class="daily-temp-high">${Math.round(dayData.temp.max)}°</span>
-                <span class="daily-temp-low">${Math.round(dayData.temp.min)}°</span>
+                ${pop}
+                <span class="daily-temp-high">${this.formatValue(dayData.temp.max, value => Units.formatTemperature(value, this.units.temperature, { withUnit: false }), '--°')}</span>
+                <span class="daily-temp-low">${this.formatValue(dayData.temp.min, value => Units.formatTemperature(value, this.units.temperature, { withUnit: false }), '--°')}</span>
             </div>
         `;
         
         return div;
     }
 
-    convertBuienradarData(data, lat, lon) {
+    toggleDayDetail(index) {
+        if (this.selectedDay === index) {
+            this.closeDayDetail();
+            return;
+        }
+        
+        this.openDayDetail(index);
+        document.getElementById('dayDetail')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    openDayDetail(index) {
+        if (!Number.isInteger(index) || index < 0 || index > 6) return;
+        this.selectedDay = index;
+        this.renderDayDetail();
+        if (this.selectedDay === null) return;
+        
+        // Keep the address shareable: #day=2 opens the same day again
+        if (window.location.hash !== `#day=${index}`) {
+            history.replaceState(null, '', `#day=${index}`);
+        }
+        document.getElementById('dayDetail')?.focus({ preventScroll: true });
+    }
+
+    closeDayDetail() {
+        this.selectedDay = null;
+        this.renderDayDetail();
+        
+        if (window.location.hash.startsWith('#day=')) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    showAdjacentDay(offset) {
+        const index = this.findAdjacentDay(offset);
+        if (index === null) return;
+        this.openDayDetail(index);
+        
+        // Slide the new day in from the side it was swiped from
+        const panel = document.getElementById('dayDetail');
+        if (panel) {
+            panel.classList.remove('slide-next', 'slide-previous');
+            void panel.offsetWidth; // Restart the animation
+            panel.classList.add(offset > 0 ? 'slide-next' : 'slide-previous');
+        }
+    }
+
+    // Nearest day with data in the given direction from the open one, or null
+    findAdjacentDay(offset) {
+        if (this.selectedDay === null) return null;
+        const daily = (this.weatherData?.daily || []).slice(0, 7);
+        for (let index = this.selectedDay + offset; index >= 0 && index < daily.length; index += offset) {
+            if (!daily[index].missing) return index;
+        }
+        return null;
+    }
+
+    // Calendar date (YYYY-MM-DD) in the location's time zone
+    getLocationDateKey(date) {
+        return date.toLocaleDateString('sv-SE', { timeZone: this.getLocationTimeZone() });
+    }
+
+    // Hourly entries that fall on the given forecast day
+    getDayHours(dayData) {
+        const dateKey = this.getLocationDateKey(new Date(dayData.dt * 1000));
+        return (this.weatherData?.hourly || []).filter(hour => !hour.missing && this.getLocationDateKey(new Date(hour.dt * 1000)) === dateKey);
+    }
+
+    // Measured force where the forecast gives it, otherwise derived from the speed
+    getDayBeaufort(dayData) {
+        if (typeof dayData.wind_bft === 'number') return dayData.wind_bft;
+        return typeof dayData.wind_speed === 'number' ? Units.msToBeaufort(dayData.wind_speed) : null;
+    }
+
+    // Hours of sunshine. Open-Meteo forecasts them; Buienradar gives the chance of sun,
+    // the share of the possible sunshine, so that is turned into an estimate
+    getDaySunHours(dayData, dayLength) {
+        if (typeof dayData.sun_hours === 'number') {
+            return { hours: dayData.sun_hours, estimated: false };
+        }
+        if (typeof dayData.sun_chance === 'number' && dayLength > 0) {
+            return { hours: dayData.sun_chance / 100 * dayLength / 3600000, estimated: true };
+        }
+        return null;
+    }
+
+    getDayRainText(dayData) {
+        const unit = this.units.precipitation;
+        const hasMin = typeof dayData.rain_min === 'number';
+        const hasMax = typeof dayData.rain_max === 'number';
+        if (hasMin && hasMax && dayData.rain_min !== dayData.rain_max) {
+            return `${Units.formatPrecipitation(dayData.rain_min, unit)} – ${Units.formatPrecipitation(dayData.rain_max, unit)}`;
+        }
+        if (hasMin || hasMax) {
+            return Units.formatPrecipitation(hasMax ? dayData.rain_max : dayData.rain_min, unit);
+        }
+        return '--';
+    }
+
+    getDayWindText(dayData) {
+        const parts = [];
+        if (typeof dayData.wind_deg === 'number') {
+            parts.push(Units.formatWindDirection(dayData.wind_deg));
+        }
+        if (typeof dayData.wind_speed === 'number') {
+            parts.push(Units.formatWind(dayData.wind_speed, this.units.wind));
+        } else if (typeof dayData.wind_bft === 'number') {
+            parts.push(`${dayData.wind_bft} ${Units.label('wind', 'beaufort')}`);
+        }
+        return parts.length > 0 ? parts.join(' ') : '--';
+    }
+
+    getDaySummary(dayData, sunHours, dayLength) {
+        const temp = (value) => Units.formatTemperature(value, this.units.temperature, { withUnit: false });
+        const parts = [this.describeWeather(dayData.weather[0])];
+        
+        if (dayData.temp.min !== null && dayData.temp.max !== null) {
+            parts.push(I18n.t('day.summaryTemps', { min: temp(dayData.temp.min), max: temp(dayData.temp.max) }));
+        }
+        if (typeof dayData.pop === 'number') {
+            const rainKey = dayData.pop < 0.2 ? 'day.summaryDry' : dayData.pop < 0.6 ? 'day.summaryShowers' : 'day.summaryRain';
+            parts.push(I18n.t(rainKey));
+        }
+        // Sunny when the sun shines at least half of the day
+        if (sunHours && dayLength > 0 && sunHours.hours * 3600000 >= dayLength / 2) {
+            parts.push(I18n.t('day.summarySunny'));
+        }
+        const force = this.getDayBeaufort(dayData);
+        if (force !== null && force >= 6) {
+            parts.push(I18n.t('day.summaryWindy'));
+        }
+        
+        return `${parts.join('. ')}.`;
+    }
+
+    renderDayDetail() {
+        const panel = document.getElementById('dayDetail');
+        if (!panel) return;
+        
+        const daily = (this.weatherData?.daily || []).slice(0, 7);
+        const index = this.selectedDay;
+        const dayData = index !== null ? daily[index] : null;
+        
+        // A deep link may point past the days of a shorter forecast
+        if (!dayData && this.weatherData) {
+            this.selectedDay = null;
+        }
+        
+        document.querySelectorAll('#dailyContainer .daily-item').forEach((row, rowIndex) => {
+            const selected = rowIndex === this.selectedDay;
+            row.classList.toggle('selected', selected);
+            if (row.hasAttribute('aria-expanded')) {
+                row.setAttribute('aria-expanded', String(selected));
+            }
+        });
+        
+        panel.hidden = !dayData;
+        if (!dayData) {
+            panel.innerHTML = '';
+            return;
+        }
+        
+        const timeZone = this.getLocationTimeZone();
+        const date = new Date(dayData.dt * 1000);
+        const temp = (value) => this.formatValue(value, v => Units.formatTemperature(v, this.units.temperature, { withUnit: false }), '--°');
+        const previous = this.findAdjacentDay(-1);
+        const next = this.findAdjacentDay(1);
+        
+        const header = `
+            <div class="day-detail-header">
+                <button class="day-detail-nav" onclick="showAdjacentDay(-1)" aria-label="${I18n.t('day.previous')}" ${previous === null ? 'disabled' : ''}>
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <div class="day-detail-title">
+                    <strong>${this.getDayName(dayData, index)}</strong>
+                    <span>${I18n.formatDate(date, { day: 'numeric', month: 'long', timeZone })}</span>
+                </div>
+                <button class="day-detail-nav" onclick="showAdjacentDay(1)" aria-label="${I18n.t('day.next')}" ${next === null ? 'disabled' : ''}>
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+                <button class="day-detail-close" onclick="closeDayDetail()" aria-label="${I18n.t('day.close')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+        const dots = `
+            <div class="day-detail-dots" aria-hidden="true">
+                ${daily.map((day, dayIndex) => `<span class="${dayIndex === index ? 'active' : ''}${day.missing ? ' missing' : ''}"></span>`).join('')}
+            </div>
+        `;
+        
+        if (dayData.missing) {
+            panel.innerHTML = `${header}<p class="day-detail-empty">${I18n.t('forecast.noData')}</p>${dots}`;
+            return;
+        }
+        
+        const { lat, lon } = this.currentLocation || { lat: 52.3676, lon: 4.9041 };
+        const sun = SolarCalculator.getTimes(date, lat, lon, timeZone);
+        const sunHours = this.getDaySunHours(dayData, sun.dayLength);
+        const sunHoursText = sunHours
+            ? `${sunHours.estimated ? '≈ ' : ''}${I18n.t('day.sunHoursValue', { hours: I18n.formatNumber(sunHours.hours, 1) })}`
+            : '--';
+        
+        const stats = [
+            { icon: 'fas fa-temperature-high', label: I18n.t('day.temperature'), value: `${temp(dayData.temp.max)} / ${temp(dayData.temp.min)}` },
+            { icon: 'fas fa-umbrella', label: I18n.t('stats.precipitation'), value: this.formatValue(dayData.pop, value => I18n.formatPercent(value)) },
+            { icon: 'fas fa-tint', label: I18n.t('day.rainAmount'), value: this.getDayRainText(dayData) },
+            { icon: 'fas fa-wind', label: I18n.t('wind.title'), value: this.getDayWindText(dayData) },
+            { icon: 'fas fa-sun', label: I18n.t('day.sunHours'), value: sunHoursText },
+            { icon: 'fas fa-sunrise', label: I18n.t('stats.sunrise'), value: this.formatTime(sun.sunrise, timeZone) },
+            { icon: 'fas fa-sunset', label: I18n.t('stats.sunset'), value: this.formatTime(sun.sunset, timeZone) },
+            { icon: 'fas fa-hourglass-half', label: I18n.t('stats.dayLength'), value: this.formatDuration(sun.dayLength) }
+        ];
+        
+        const hours = this.getDayHours(dayData);
+        const hoursHtml = hours.length > 0 ? `
+            <div class="day-detail-hours">
+                ${hours.map(hour => `
+                    <div class="day-hour">
+                        <span class="day-hour-time">${this.formatTime(new Date(hour.dt * 1000), timeZone)}</span>
+                        <span class="day-hour-temp">${temp(hour.temp)}</span>
+                        <span class="day-hour-pop">${typeof hour.pop === 'number' ? `<i class="fas fa-tint"></i> ${I18n.formatPercent(hour.pop)}` : ''}</span>
+                        ${typeof hour.rain === 'number' && hour.rain > 0 ? `<span class="day-hour-rain">${Units.formatPrecipitation(hour.rain, this.units.precipitation)}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        ` : `<p class="day-detail-empty">${I18n.t('day.noHourly')}</p>`;
+        
+        panel.innerHTML = `
+            ${header}
+            <p class="day-detail-summary">${this.escapeHtml(this.getDaySummary(dayData, sunHours, sun.dayLength))}</p>
+            <div class="day-detail-stats">
+                ${stats.map(stat => `
+                    <div class="day-stat">
+                        <i class="${stat.icon}"></i>
+                        <span class="day-stat-label">${stat.label}</span>
+                        <span class="day-stat-value">${stat.value}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h4 class="day-detail-subtitle">${I18n.t('day.hourlyTitle')}</h4>
+            ${hoursHtml}
+            ${dots}
+        `;
+    }
+
+    describeWeather(weather) {
+        // Translated condition; an unrecognised description is shown as the source wrote it
+        const key = weather?.condition || this.service.matchWeatherCondition(weather?.description ?? weather?.main)?.key;
+        if (key) return I18n.t(`condition.${key}`);
+        return weather?.description || I18n.t('condition.unknown');
+    }
+
+    getDemoWeatherData({ fallback = false } = {}) {
+        // Seeded, so the same ?demo=<seed> shows the same weather at the same moment
+        return this.service.stamp(DemoWeather.generate({ seed: this.demoSeed, now: this.service.now() }), { fallback });
+    }
+
+    // Nowcast for the current place; false when it could not be loaded
+    async loadBuienradar() {
+        const location = this.currentLocation;
+        const signal = this.getRequestSignal();
         try {
-            // Find the closest weather station
-            const stations = data.actual?.stationmeasurements || [];
-            let closestStation = null;
-            let minDistance = Infinity;
+            const scenario = this.getFixtureScenario();
+            const now = this.service.now();
+            let nowcast;
             
-            stations.forEach(station => {
-                if (station.lat && station.lon) {
-                    const distance = Math.sqrt(
-                        Math.pow(station.lat - lat, 2) + Math.pow(station.lon - lon, 2)
-                    );
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        closestStation = station;
-                    }
+            if (this.isDemoMode || scenario) {
+                const data = this.isDemoMode
+                    ? DemoWeather.nowcast(this.demoSeed, now)
+                    : await WeatherFixtures.loadNowcast(scenario, this.service);
+                nowcast = { points: this.service.processBuienradarData(data, now), fetchedAt: now };
+            } else {
+                if (!location || !this.service.coversNowcast(location)) {
+                    this.nowcast = null;
+                    this.updateNowcastDisplay();
+                    return true;
                 }
-            });
-            
-            // Use first station if no closest found
-            if (!closestStation && stations.length > 0) {
-                closestStation = stations[0];
-            }
-            
-            // Get forecast data
-            const forecast = data.forecast?.fivedayforecast || [];
-            
-            // Current weather from closest station
-            const current = {
-                temp: closestStation?.temperature || 15,
-                feels_like: closestStation?.feeltemperature || 15,
-                humidity: closestStation?.humidity || 60,
-                pressure: closestStation?.pressure || 1013,
-                wind_speed: closestStation?.windspeed || 0,
-                wind_deg: closestStation?.winddirection || 0,
-                weather: [{
-                    main: this.getWeatherCondition(closestStation?.weatherdescription || 'bewolkt'),
-                    description: closestStation?.weatherdescription || 'bewolkt',
-                    icon: this.getWeatherIcon(closestStation?.weatherdescription || 'bewolkt')
-                }],
-                timezone: 'Europe/Amsterdam'
-            };
-            
-            // Generate hourly forecast (next 24 hours)
-            const hourly = [];
-            const now = new Date();
-            for (let i = 0; i < 24; i++) {
-                const hour = new Date(now.getTime() + i * 60 * 60 * 1000);
-                hourly.push({
-                    dt: Math.floor(hour.getTime() / 1000),
-                    temp: current.temp + (Math.random() - 0.5) * 4,
-                    weather: [{
-                        main: current.weather[0].main,
-                        description: current.weather[0].description,
-                        icon: current.weather[0].icon
-                    }],
-                    pop: Math.random() * 0.3 // 0-30% chance of rain
-                });
-            }
-            
-            // Generate daily forecast (next 7 days)
-            const daily = [];
-            for (let i = 0; i < 7; i++) {
-                const day = new Date(now.getTime() + i * 24 * 60 * 60 * 1000);
-                daily.push({
-                    dt: Math.floor(day.getTime() / 1000),
-                    temp: {
-                        day: current.temp + (Math.random() - 0.5) * 6,
-                        min: current.temp - 3 + (Math.random() - 0.5) * 4,
-                        max: current.temp + 3 + (Math.random() - 0.5) * 4
-                    },
-                    weather: [{
-                        main: current.weather[0].main,
-                        description: current.weather[0].description,
-                        icon: current.weather[0].icon
-                    }],
-                    pop: Math.random() * 0.4
-                });
+                
+                // Load Buienradar precipitation data for current location
+                nowcast = await this.service.fetchNowcast(location, { signal });
+                console.log('Buienradar precipitation data loaded');
             }
             
-            return {
-                current,
-                hourly,
-                daily,
-                timezone: 'Europe/Amsterdam'
-            };
+            // Another place was chosen meanwhile; its own load follows
+            if (!this.isSameLocation(location, this.currentLocation)) return true;
             
+            this.nowcast = nowcast;
+            this.updateNowcastDisplay();
+            return true;
         } catch (error) {
-            console.error('Error converting Buienradar data:', error);
-            return this.getDemoWeatherData();
+            // Cancelled for another place: not a failure
+            if (Network.kindOf(error) === 'aborted') return true;
+            console.error('Error loading Buienradar:', error);
+            // The last nowcast stays on screen and is flagged with its age once stale
+            return false;
         }
     }
 
-    convertWttrData(data) {
-        console.log('Converting wttr.in data:', data);
+    getRainCategory(intensity) {
+        if (intensity < 0.1) return null;
+        if (intensity < 2.5) return 'light';
+        if (intensity < 10) return 'moderate';
+        return 'heavy';
+    }
+
+    getNowcastSummary(points) {
+        if (!points || points.length === 0) return I18n.t('nowcast.noData');
+        
+        const isWet = point => this.getRainCategory(point.intensity) !== null;
+        const firstWet = points.findIndex(isWet);
         
-        // More robust data checking
-        if (!data) {
-            throw new Error('No data received from API');
+        if (firstWet === -1) {
+            // 5-minute steps, so 25 points cover 2 hours
+            const hours = Math.max(1, Math.round(points.length * 5 / 60));
+            return I18n.t('nowcast.dry', { count: hours });
         }
         
-        // Check for current condition data
-        const current = data.current_condition?.[0];
-        if (!current) {
-            console.log('No current condition data, using fallback');
-            throw new Error('No current condition data');
+        // Dry now: when does it start, and how hard
+        if (firstWet > 0) {
+            const spell = this.getRainSpell(points, firstWet);
+            return I18n.t('nowcast.dryUntil', {
+                time: points[firstWet].time,
+                category: I18n.t(`rain.${this.getRainCategory(spell.peak)}`),
+                rate: Units.formatRainRate(spell.peak, this.units.precipitation)
+            });
         }
         
-        const weather = data.weather || [];
-        const nearestArea = data.nearest_area?.[0];
+        // Raining now: when does it stop
+        const spell = this.getRainSpell(points, 0);
+        const category = I18n.t(`rain.${this.getRainCategory(spell.peak)}`);
+        const label = category.charAt(0).toUpperCase() + category.slice(1);
+        const rate = Units.formatRainRate(spell.peak, this.units.precipitation);
+        if (spell.end < points.length) {
+            return I18n.t('nowcast.rainUntil', { category: label, rate, time: points[spell.end].time });
+        }
+        return I18n.t('nowcast.rainContinues', { category: label, rate });
+    }
+
+    getRainSpell(points, start) {
+        // Consecutive wet steps starting at index `start`
+        let end = start;
+        let peak = 0;
+        while (end < points.length && this.getRainCategory(points[end].intensity) !== null) {
+            peak = Math.max(peak, points[end].intensity);
+            end++;
+        }
+        return { end, peak };
+    }
+
+    updateNowcastDisplay() {
+        const card = document.getElementById('nowcastCard');
+        const chart = document.getElementById('nowcastChart');
+        if (!card || !chart) return;
         
-        // Build current weather data
-        const currentWeather = {
-            temp: parseInt(current.temp_C) || 22,
-            feels_like: parseInt(current.FeelsLikeC) || 24,
-            humidity: parseInt(current.humidity) || 65,
-            wind_speed: parseFloat(current.windspeedKmph) / 3.6 || 3.2,
-            weather: [{
-                icon: this.getWeatherIcon(current.weatherCode),
-                main: current.weatherDesc?.[0]?.value || 'Zonnig',
-                description: current.weatherDesc?.[0]?.value || 'Zonnig'
-            }]
-        };
+        // Steps that have passed are dropped; nothing left means nothing to show
+        const points = this.nowcast ? this.service.upcomingNowcast(this.nowcast.points) : [];
+        if (points.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
         
-        // Build hourly data (24 hours)
-        let hourlyData = [];
-        if (weather.length > 0 && weather[0].hourly) {
-            hourlyData = weather[0].hourly.slice(0, 24).map(hour => ({
-                dt: new Date(hour.time).getTime() / 1000,
-                temp: parseInt(hour.tempC) || 20,
-                weather: [{
-                    icon: this.getWeatherIcon(hour.weatherCode),
-                    main: hour.weatherDesc?.[0]?.value || 'Zonnig'
-                }]
-            }));
-        }
-        
-        // If no hourly data, create some realistic hourly data
-        if (hourlyData.length === 0) {
-            const now = new Date();
-            for (let i = 0; i < 24; i++) {
-                const hourTime = new Date(now.getTime() + i * 60 * 60 * 1000);
-                hourlyData.push({
-                    dt: hourTime.getTime() / 1000,
-                    temp: Math.round(20 + Math.sin(i * Math.PI / 12) * 5 + Math.random() * 3),
-                    weather: [{
-                        icon: i < 6 || i > 20 ? '01n' : '01d',
-                        main: i < 6 || i > 20 ? 'Heldere nacht' : 'Zonnig'
-                    }]
-                });
-            }
+        card.style.display = '';
+        const summary = this.getNowcastSummary(points);
+        const age = Math.max(0, this.service.now() - this.nowcast.fetchedAt);
+        const stale = age > this.nowcastStaleAfter;
+        this.updateElement('nowcastSummary', stale ? `⚠️ ${summary} · ${this.formatDataAge(age)}` : summary);
+        document.getElementById('nowcastSummary')?.classList.toggle('is-warning', stale);
+        
+        // Square-root scale so light rain stays visible next to heavy showers
+        const maxIntensity = 10;
+        chart.innerHTML = points.map(point => {
+            const height = point.intensity > 0 ? Math.max(4, Math.sqrt(Math.min(point.intensity, maxIntensity) / maxIntensity) * 100) : 0;
+            const level = this.getRainCategory(point.intensity) || 'dry';
+            return `<div class="nowcast-bar ${level}" style="height: ${height}%" title="${point.time}: ${Units.formatRainRate(point.intensity, this.units.precipitation)}"></div>`;
+        }).join('');
+        
+        // Time axis: start, middle and end of the window
+        const labels = document.getElementById('nowcastLabels');
+        if (labels && points.length > 0) {
+            const middle = points[Math.floor(points.length / 2)];
+            labels.innerHTML = `
+                <span>${points[0].time}</span>
+                <span>${middle.time}</span>
+                <span>${points[points.length - 1].time}</span>
+            `;
+        }
+    }
+
+    // Province and country used to match warnings; saved places and coordinates
+    // are looked up in the gazetteer
+    getWarningRegion() {
+        const location = this.currentLocation;
+        if (!location) return null;
+        if (location.province && location.country) {
+            return { province: location.province, country: location.country };
         }
         
-        // Build daily data (7 days)
-        let dailyData = [];
-        if (weather.length > 0) {
-            dailyData = weather.slice(0, 7).map(day => ({
-                dt: new Date(day.date).getTime() / 1000,
-                temp: {
-                    max: parseInt(day.maxtempC) || 25,
-                    min: parseInt(day.mintempC) || 15
-                },
-                weather: [{
-                    icon: this.getWeatherIcon(day.hourly?.[0]?.weatherCode),
-                    main: day.hourly?.[0]?.weatherDesc?.[0]?.value || 'Zonnig'
-                }]
-            }));
-        }
-        
-        // If no daily data, create some realistic daily data
-        if (dailyData.length === 0) {
-            const today = new Date();
-            for (let i = 0; i < 7; i++) {
-                const dayTime = new Date(today.getTime() + i * 24 * 60 * 60 * 1000);
-                dailyData.push({
-                    dt: dayTime.getTime() / 1000,
-                    temp: {
-                        max: Math.round(20 + Math.random() * 10),
-                        min: Math.round(10 + Math.random() * 8)
-                    },
-                    weather: [{
-                        icon: Math.random() > 0.5 ? '01d' : '02d',
-                        main: Math.random() > 0.5 ? 'Zonnig' : 'Gedeeltelijk bewolkt'
-                    }]
-                });
-            }
+        const nearest = Gazetteer.nearest(location.lat, location.lon);
+        return nearest ? { province: nearest.place.province, country: nearest.place.country } : null;
+    }
+
+    // Warnings of one country's feed, fetched at most every warningsRefreshInterval
+    async loadWarnings(country) {
+        const cached = this.warnings[country];
+        if (cached && (cached.request || Date.now() - cached.fetchedAt < this.warningsRefreshInterval)) {
+            return cached.request || cached.items;
         }
         
-        const result = {
-            current: currentWeather,
-            hourly: hourlyData,
-            daily: dailyData,
-            timezone: nearestArea?.timezone?.[0]?.value || 'Europe/Amsterdam'
-        };
+        const entry = { items: cached?.items || [], fetchedAt: cached?.fetchedAt || 0, request: null };
+        this.warnings[country] = entry;
+        entry.request = WeatherWarnings.fetch(country)
+            .then(items => {
+                entry.items = items;
+                entry.fetchedAt = Date.now();
+                return items;
+            })
+            .catch(error => {
+                // Keep the last known warnings; each one has its own expiry
+                console.error('Error loading weather warnings:', error);
+                entry.fetchedAt = Date.now();
+                return entry.items;
+            })
+            .finally(() => {
+                entry.request = null;
+            });
+        return entry.request;
+    }
+
+    async updateWarnings() {
+        const region = this.getWarningRegion();
+        if (!region || !WeatherWarnings.feedUrl(region.country)) {
+            this.renderWarnings([], null);
+            return;
+        }
         
-        console.log('Converted weather data:', result);
-        return result;
+        const items = await this.loadWarnings(region.country);
+        // Another location may have been chosen while loading
+        const current = this.getWarningRegion();
+        if (!current || current.province !== region.province || current.country !== region.country) return;
+        this.renderWarnings(WeatherWarnings.forLocation(items, region), region);
     }
 
-    getWeatherCondition(description) {
-        const desc = description.toLowerCase();
-        if (desc.includes('regen') || desc.includes('rain')) return 'Rain';
-        if (desc.includes('sneeuw') || desc.includes('snow')) return 'Snow';
-        if (desc.includes('onweer') || desc.includes('thunder')) return 'Thunderstorm';
-        if (desc.includes('mist') || desc.includes('fog')) return 'Mist';
-        if (desc.includes('zon') || desc.includes('sun') || desc.includes('helder')) return 'Clear';
-        if (desc.includes('wolk') || desc.includes('cloud') || desc.includes('bewolkt')) return 'Clouds';
-        return 'Clouds';
+    toggleWarningList() {
+        this.showWarningList = !this.showWarningList;
+        const list = document.getElementById('warningList');
+        const summary = document.querySelector('.warning-summary');
+        if (list) list.classList.toggle('show', this.showWarningList);
+        if (summary) summary.setAttribute('aria-expanded', String(this.showWarningList));
     }
 
-    getWeatherIcon(weatherCode) {
-        // Convert wttr.in weather codes to our icon system
-        const iconMap = {
-            '113': '01d', // Sunny
-            '116': '02d', // Partly cloudy
-            '119': '03d', // Cloudy
-            '122': '04d', // Overcast
-            '143': '50d', // Mist
-            '176': '10d', // Patchy rain
-            '179': '10d', // Patchy sleet
-            '182': '10d', // Patchy freezing drizzle
-            '185': '10d', // Patchy freezing drizzle
-            '200': '11d', // Thundery outbreaks
-            '227': '13d', // Blowing snow
-            '230': '13d', // Blizzard
-            '248': '50d', // Fog
-            '260': '50d', // Freezing fog
-            '263': '10d', // Patchy light drizzle
-            '266': '10d', // Light drizzle
-            '281': '10d', // Freezing drizzle
-            '284': '10d', // Heavy freezing drizzle
-            '293': '10d', // Patchy light rain
-            '296': '10d', // Light rain
-            '299': '10d', // Moderate rain at times
-            '302': '10d', // Moderate rain
-            '305': '10d', // Heavy rain at times
-            '308': '10d', // Heavy rain
-            '311': '10d', // Light freezing rain
-            '314': '10d', // Moderate or heavy freezing rain
-            '317': '10d', // Light sleet
-            '320': '10d', // Moderate or heavy sleet
-            '323': '13d', // Patchy light snow
-            '326': '13d', // Patchy moderate snow
-            '329': '13d', // Patchy heavy snow
-            '332': '13d', // Light snow
-            '335': '13d', // Patchy heavy snow
-            '338': '13d', // Heavy snow
-            '350': '13d', // Ice pellets
-            '353': '10d', // Light rain shower
-            '356': '10d', // Moderate or heavy rain shower
-            '359': '10d', // Torrential rain shower
-            '362': '13d', // Light sleet showers
-            '365': '13d', // Moderate or heavy sleet showers
-            '368': '13d', // Light snow showers
-            '371': '13d', // Moderate or heavy snow showers
-            '374': '13d', // Light showers of ice pellets
-            '377': '13d', // Moderate or heavy showers of ice pellets
-            '386': '11d', // Patchy light rain with thunder
-            '389': '11d', // Moderate or heavy rain with thunder
-            '392': '11d', // Patchy light snow with thunder
-            '395': '11d'  // Moderate or heavy snow with thunder
-        };
-        
-        return iconMap[weatherCode] || '01d';
+    // "di 10:00" in the location's time zone
+    formatWarningTime(time) {
+        const date = new Date(time);
+        const timeZone = this.getLocationTimeZone();
+        return `${I18n.formatDate(date, { weekday: 'short', timeZone })} ${this.formatTime(date, timeZone)}`;
     }
 
-    getDemoWeatherData() {
-        const now = new Date();
-        const currentHour = now.getHours();
+    getWarningValidity(warning) {
+        const until = this.formatWarningTime(warning.expires);
+        if (WeatherWarnings.isCurrent(warning)) {
+            return I18n.t('warnings.validUntil', { until });
+        }
+        return I18n.t('warnings.validFromUntil', { from: this.formatWarningTime(warning.onset), until });
+    }
+
+    getWarningTitle(warning) {
+        const level = I18n.t(`warnings.level.${warning.level}`);
+        return warning.type ? `${level}: ${I18n.t(`warnings.type.${warning.type}`)}` : level;
+    }
+
+    renderWarnings(warnings, region) {
+        const banner = document.getElementById('warningBanner');
+        if (!banner) return;
         
-        // Realistic weather for Amsterdam
-        const weatherConditions = [
-            { icon: '01d', main: 'Zonnig', description: 'Zonnig' },
-            { icon: '02d', main: 'Gedeeltelijk bewolkt', description: 'Gedeeltelijk bewolkt' },
-            { icon: '03d', main: 'Bewolkt', description: 'Bewolkt' },
-            { icon: '10d', main: 'Regen', description: 'Regen' },
-            { icon: '11d', main: 'Onweer', description: 'Onweer' }
-        ];
+        if (warnings.length === 0) {
+            banner.style.display = 'none';
+            banner.innerHTML = '';
+            return;
+        }
         
-        const currentWeather = weatherConditions[Math.floor(Math.random() * weatherConditions.length)];
-        
-        return {
-            current: {
-                temp: 18 + Math.floor(Math.random() * 8), // 18-25°C
-                feels_like: 20 + Math.floor(Math.random() * 6), // 20-25°C
-                humidity: 60 + Math.floor(Math.random() * 20), // 60-80%
-                wind_speed: 2 + Math.random() * 4, // 2-6 m/s
-                weather: [currentWeather]
-            },
-            hourly: Array.from({ length: 24 }, (_, i) => {
-                const hour = (currentHour + i) % 24;
-                const isDay = hour >= 6 && hour < 20;
-                const temp = 16 + Math.sin((i + currentHour) * 0.15) * 6 + Math.random() * 3;
-                const weatherIndex = Math.floor(Math.random() * weatherConditions.length);
-                const weather = weatherConditions[weatherIndex];
-                
+        // Banner in the colour of the most severe warning, details in the list below
+        const [first] = warnings;
+        const level = WeatherWarnings.highestLevel(warnings);
+        const others = warnings.length - 1;
+        const language = I18n.locale;
+        
+        banner.className = `warning-banner ${level}`;
+        banner.style.display = '';
+        banner.innerHTML = `
+            <button class="warning-summary" onclick="toggleWarningList()" aria-expanded="${this.showWarningList}" aria-controls="warningList">
+                <i class="fas fa-exclamation-triangle"></i>
+                <span class="warning-text">
+                    <strong>${this.escapeHtml(this.getWarningTitle(first))}</strong>
+                    <span>${this.escapeHtml(this.getWarningValidity(first))}</span>
+                </span>
+                ${others > 0 ? `<span class="warning-more">${this.escapeHtml(I18n.t('warnings.more', { count: others }))}</span>` : ''}
+                <i class="fas fa-chevron-down warning-chevron"></i>
+            </button>
+            <ul class="warning-list${this.showWarningList ? ' show' : ''}" id="warningList">
+                ${warnings.map(warning => {
+                    const text = WeatherWarnings.text(warning, language);
+                    return `
+                        <li class="warning-item ${warning.level}">
+                            <strong>${this.escapeHtml(this.getWarningTitle(warning))}</strong>
+                            <span class="warning-validity">${this.escapeHtml(this.getWarningValidity(warning))}</span>
+                            ${text.headline ? `<p class="warning-headline">${this.escapeHtml(text.headline)}</p>` : ''}
+                            ${text.description ? `<p>${this.escapeHtml(text.description)}</p>` : ''}
+                            ${text.instruction ? `<p class="warning-instruction">${this.escapeHtml(text.instruction)}</p>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+                <li class="warning-source">${this.escapeHtml(I18n.t('warnings.source', { source: WeatherWarnings.sources[region.country], province: region.province }))}</li>
+            </ul>
+        `;
+    }
+
+    async recordObservation(weatherData, location = this.currentLocation) {
+        // Only measured data (with a measurement time) goes into the history
+        try {
+            await WeatherStore.addObservation(WeatherStore.keyFor(location), weatherData.current);
+        } catch (error) {
+            console.error('Error saving observation:', error);
+        }
+    }
+
+    async updateTrends() {
+        const key = WeatherStore.keyFor(this.currentLocation);
+        let observations = [];
+        try {
+            const since = Date.now() - ObservationHistory.ranges['7d'].span;
+            observations = await WeatherStore.getObservations(key, since);
+        } catch (error) {
+            console.error('Error loading observation history:', error);
+        }
+        
+        // Another location may have been chosen while reading
+        if (key !== WeatherStore.keyFor(this.currentLocation)) return;
+        this.observations = observations;
+        this.renderTrends();
+    }
+
+    setTrendRange(range) {
+        if (!ObservationHistory.ranges[range]) return;
+        this.trendRange = range;
+        this.renderTrends();
+    }
+
+    getTrendMetric(metric) {
+        const units = this.units;
+        switch (metric) {
+            case 'temp':
                 return {
-                    dt: Date.now() / 1000 + (i * 3600),
-                    temp: Math.round(temp),
-                    weather: [{ 
-                        icon: isDay ? weather.icon : '01n', 
-                        main: weather.main 
-                    }]
+                    label: I18n.t('trends.temperature'),
+                    convert: value => Units.convertTemperature(value, units.temperature),
+                    format: value => Units.formatTemperature(value, units.temperature)
                 };
-            }),
-            daily: Array.from({ length: 7 }, (_, i) => {
-                const weatherIndex = Math.floor(Math.random() * weatherConditions.length);
-                const weather = weatherConditions[weatherIndex];
-                
+            case 'pressure':
                 return {
-                    dt: Date.now() / 1000 + (i * 86400),
-                    temp: { 
-                        max: 22 - i + Math.floor(Math.random() * 4), 
-                        min: 12 - i + Math.floor(Math.random() * 3) 
-                    },
-                    weather: [{ 
-                        icon: weather.icon, 
-                        main: weather.main 
-                    }]
+                    label: I18n.t('trends.pressure'),
+                    convert: value => Units.convertPressure(value, units.pressure),
+                    format: value => Units.formatPressure(value, units.pressure)
                 };
-            }),
-            timezone: 'Europe/Amsterdam'
-        };
+            case 'humidity':
+                return {
+                    label: I18n.t('trends.humidity'),
+                    convert: value => value,
+                    format: value => I18n.formatPercent(Math.round(value) / 100)
+                };
+            case 'windSpeed':
+                return {
+                    label: I18n.t('trends.wind'),
+                    convert: value => Units.convertWind(value, units.wind),
+                    format: value => Units.formatWind(value, units.wind)
+                };
+            default:
+                return {
+                    label: I18n.t('trends.rain'),
+                    convert: value => Units.convertPrecipitation(value, units.precipitation),
+                    format: value => Units.formatPrecipitation(value, units.precipitation)
+                };
+        }
     }
 
-    async loadBuienradar() {
-        try {
-            // Load Buienradar precipitation data for current location
-            const { lat, lon } = this.currentLocation;
-            const response = await fetch(`https://gps.buienradar.nl/getrr.php?lat=${lat}&lon=${lon}`);
+    getPressureTendencyText(tendency) {
+        if (!tendency) return I18n.t('trends.tendencyUnknown');
+        
+        const unit = this.units.pressure;
+        const decimals = unit === 'inhg' ? 2 : 1;
+        const change = Units.convertPressure(Math.abs(tendency.change), unit);
+        const sign = tendency.change < 0 ? '−' : '+';
+        const key = tendency.direction === 'steady' ? 'trends.steady' : `trends.${tendency.direction}${tendency.rapid ? 'Rapid' : ''}`;
+        return I18n.t(key, { change: `${sign}${I18n.formatNumber(change, decimals)} ${Units.label('pressure', unit)}` });
+    }
+
+    renderTrends() {
+        const charts = document.getElementById('trendCharts');
+        const tendencyElement = document.getElementById('pressureTendency');
+        if (!charts || !tendencyElement) return;
+        
+        document.querySelectorAll('.trend-range-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === this.trendRange);
+        });
+        
+        const tendency = ObservationHistory.pressureTendency(this.observations);
+        const arrow = { rising: 'fa-arrow-up', falling: 'fa-arrow-down', steady: 'fa-arrow-right' }[tendency?.direction] || 'fa-minus';
+        tendencyElement.className = `pressure-tendency ${tendency ? tendency.direction : ''}`;
+        tendencyElement.innerHTML = `<i class="fas ${arrow}"></i> ${this.escapeHtml(this.getPressureTendencyText(tendency))}`;
+        
+        if (this.observations.length === 0) {
+            charts.innerHTML = `<p class="trends-empty">${this.escapeHtml(I18n.t('trends.empty'))}</p>`;
+            return;
+        }
+        
+        const now = Date.now();
+        const series = ObservationHistory.metrics.map(metric => ({
+            metric,
+            points: ObservationHistory.series(this.observations, metric, this.trendRange, now)
+        }));
+        
+        charts.innerHTML = series.map(({ metric, points }) => this.createTrendChart(metric, points)).join('') +
+            this.createTrendAxis(series[0].points);
+    }
+
+    createTrendChart(metric, points) {
+        const { label, convert, format } = this.getTrendMetric(metric);
+        const extent = ObservationHistory.extent(points);
+        
+        let summary = I18n.t('trends.noData');
+        if (extent && metric === 'rain') {
+            // Rain shows the total over the range
+            summary = format(points.reduce((total, point) => total + (point.value || 0), 0));
+        } else if (extent) {
+            summary = extent.min === extent.max ? format(extent.min) : `${format(extent.min)} – ${format(extent.max)}`;
+        }
+        
+        const width = 300;
+        const height = 60;
+        let shapes = '';
+        
+        if (extent && metric === 'rain') {
+            // Bars, scaled to at least 1 mm so drizzle does not look like a downpour
+            const max = Math.max(extent.max, 1);
+            const barWidth = width / points.length;
+            shapes = points.map((point, i) => {
+                if (!point.value) return '';
+                const barHeight = Math.max(1, point.value / max * height);
+                return `<rect class="trend-bar" x="${(i * barWidth + barWidth * 0.15).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${(barWidth * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}"></rect>`;
+            }).join('');
+        } else if (extent) {
+            // Lines with gaps where nothing was measured; lone points as dots
+            const min = convert(extent.min);
+            const span = convert(extent.max) - min || 1;
+            const step = width / (points.length - 1);
+            const coordinates = points.map((point, i) => point.value === null ? null : {
+                x: (i * step).toFixed(1),
+                y: (height - 4 - (convert(point.value) - min) / span * (height - 8)).toFixed(1)
+            });
             
-            if (response.ok) {
-                const data = await response.text();
-                console.log('Buienradar precipitation data loaded');
-                this.processBuienradarData(data);
-            } else {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-        } catch (error) {
-            console.error('Error loading Buienradar:', error);
-            // The iframe widget will still work as fallback
+            let path = '';
+            coordinates.forEach((point, i) => {
+                if (!point) return;
+                const previous = coordinates[i - 1];
+                const next = coordinates[i + 1];
+                if (!previous && !next) {
+                    shapes += `<circle class="trend-dot" cx="${point.x}" cy="${point.y}" r="2"></circle>`;
+                }
+                path += `${previous ? 'L' : 'M'}${point.x} ${point.y} `;
+            });
+            shapes += `<path class="trend-line" d="${path.trim()}" vector-effect="non-scaling-stroke"></path>`;
         }
+        
+        return `
+            <div class="trend-chart ${metric}">
+                <div class="trend-chart-header">
+                    <span class="trend-label">${this.escapeHtml(label)}</span>
+                    <span class="trend-summary">${this.escapeHtml(summary)}</span>
+                </div>
+                <svg class="trend-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">${shapes}</svg>
+            </div>
+        `;
     }
 
-    processBuienradarData(data) {
-        // Process the precipitation data
-        const lines = data.trim().split('\n');
-        const precipitationData = lines.map(line => {
-            const [value, time] = line.split('|');
-            return {
-                value: parseInt(value),
-                time: time.trim(),
-                intensity: Math.pow(10, (parseInt(value) - 109) / 32) // Convert to mm/h
-            };
-        });
+    createTrendAxis(points) {
+        if (points.length === 0) return '';
         
-        console.log('Processed precipitation data:', precipitationData.slice(0, 5));
-        // You can use this data to enhance the weather display
+        // Start, middle and end of the range: times for 24 hours, weekdays for 7 days
+        const timeZone = this.getLocationTimeZone();
+        const label = (time) => this.trendRange === '7d'
+            ? I18n.formatDate(new Date(time), { weekday: 'short', timeZone })
+            : this.formatTime(new Date(time), timeZone);
+        const middle = points[Math.floor(points.length / 2)];
+        const end = points[points.length - 1];
+        
+        return `
+            <div class="trend-axis">
+                <span>${label(points[0].time)}</span>
+                <span>${label(middle.time)}</span>
+                <span>${label(end.time)}</span>
+            </div>
+        `;
     }
 
-    refreshRadar() {
-        const iframe = document.getElementById('radarIframe');
-        const loading = document.getElementById('radarLoading');
-        
-        if (iframe) {
-            // Show loading
-            if (loading) loading.style.display = 'block';
-            iframe.style.display = 'none';
-            
-            // Add timestamp to force refresh
-            const timestamp = new Date().getTime();
-            const radarUrl = `https://image.buienradar.nl/2.0/image/single/RadarMapRainNL?height=300&width=300&renderBackground=True&renderBranding=False&renderText=True&t=${timestamp}`;
-            iframe.src = radarUrl;
-            
-            // Show refresh animation
-            const btn = event.target.closest('.radar-btn');
-            if (btn) {
-                btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
-                setTimeout(() => {
-                    btn.innerHTML = '<i class="fas fa-sync-alt"></i>';
-                }, 2000);
-            }
+    async refreshRadar(btn = null) {
+        if (!this.radarPlayer) {
+            this.initializeRadar();
+            return;
         }
+        
+        // Spinner on the button until the new frames are in
+        if (btn) btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        await this.radarPlayer.load();
+        if (btn) btn.innerHTML = '<i class="fas fa-sync-alt"></i>';
     }
 
     toggleRadarFullscreen() {
@@ -767,6 +1502,7 @@ class WeatherApp {
                 container.classList.add('fullscreen');
                 document.body.style.overflow = 'hidden';
             }
+            this.radarPlayer?.resize();
         }
     }
 
@@ -774,13 +1510,6 @@ class WeatherApp {
         window.open('https://www.buienradar.nl', '_blank');
     }
 
-    hideRadarLoading() {
-        const loading = document.getElementById('radarLoading');
-        const iframe = document.getElementById('radarIframe');
-        if (loading) loading.style.display = 'none';
-        if (iframe) iframe.style.display = 'block';
-    }
-
     async searchLocation() {
         const input = document.getElementById('locationSearch');
         const query = input.value.trim();
@@ -788,79 +1517,72 @@ class WeatherApp {
         if (!query) return;
         
         try {
-            // Use a geocoding service to get coordinates
-            const response = await fetch(`https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=1&appid=demo`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                if (data.length > 0) {
-                    const location = data[0];
-                    this.currentLocation = {
-                        lat: location.lat,
-                        lon: location.lon
-                    };
-                    
-                    // Update location display
-                    this.updateElement('cityName', `${location.name}, ${location.country}`);
-                    
-                    // Save to cookies
-                    this.saveLocationToCookies(location.name, location.country);
-                    
-                    // Load weather for new location
-                    await this.loadWeatherData();
-                    
-                    // Clear search input
-                    input.value = '';
-                } else {
-                    alert('Locatie niet gevonden. Probeer een andere naam.');
-                }
-            } else {
-                // Fallback: use demo coordinates for major cities
-                const cityCoords = this.getCityCoordinates(query);
-                if (cityCoords) {
-                    this.currentLocation = { lat: cityCoords.lat, lon: cityCoords.lon };
-                    this.updateElement('cityName', `${query}, ${cityCoords.country}`);
-                    this.saveLocationToCookies(query, cityCoords.country);
-                    await this.loadWeatherData();
-                    input.value = '';
-                } else {
-                    alert('Locatie niet gevonden. Probeer: Amsterdam, Brussel, Rotterdam, Antwerpen, Gent, etc.');
-                }
+            // Offline lookup in the bundled gazetteer; best match wins
+            const [place] = Gazetteer.search(query, { limit: 1 });
+            if (!place) {
+                alert(I18n.t('search.notFound'));
+                return;
             }
+            
+            await this.selectPlace(place);
         } catch (error) {
             console.error('Error searching location:', error);
-            alert('Er is een fout opgetreden bij het zoeken naar de locatie.');
-        }
-    }
-
-    getCityCoordinates(cityName) {
-        const cities = {
-            // Nederland
-            'amsterdam': { lat: 52.3676, lon: 4.9041, country: 'NL' },
-            'rotterdam': { lat: 51.9244, lon: 4.4777, country: 'NL' },
-            'den haag': { lat: 52.0705, lon: 4.3007, country: 'NL' },
-            'utrecht': { lat: 52.0907, lon: 5.1214, country: 'NL' },
-            'eindhoven': { lat: 51.4416, lon: 5.4697, country: 'NL' },
-            'tilburg': { lat: 51.5555, lon: 5.0913, country: 'NL' },
-            'groningen': { lat: 53.2194, lon: 6.5665, country: 'NL' },
-            'almere': { lat: 52.3508, lon: 5.2647, country: 'NL' },
-            'breda': { lat: 51.5719, lon: 4.7683, country: 'NL' },
-            'nijmegen': { lat: 51.8426, lon: 5.8520, country: 'NL' },
-            // België
-            'brussel': { lat: 50.8503, lon: 4.3517, country: 'BE' },
-            'antwerpen': { lat: 51.2194, lon: 4.4025, country: 'BE' },
-            'gent': { lat: 51.0543, lon: 3.7174, country: 'BE' },
-            'brugge': { lat: 51.2093, lon: 3.2247, country: 'BE' },
-            'leuven': { lat: 50.8798, lon: 4.7005, country: 'BE' },
-            'mechelen': { lat: 51.0259, lon: 4.4776, country: 'BE' },
-            'aarschot': { lat: 50.9842, lon: 4.8319, country: 'BE' },
-            'hasselt': { lat: 50.9307, lon: 5.3325, country: 'BE' },
-            'genk': { lat: 50.9651, lon: 5.5001, country: 'BE' },
-            'leuven': { lat: 50.8798, lon: 4.7005, country: 'BE' }
+            alert(I18n.t('search.error'));
+        }
+    }
+
+    async selectPlace(place) {
+        const input = document.getElementById('locationSearch');
+        
+        this.currentLocation = {
+            lat: place.lat,
+            lon: place.lon,
+            name: place.name,
+            country: place.country,
+            municipality: place.municipality,
+            province: place.province
         };
+        this.addRecentSearch(place);
+        
+        // Update location display
+        this.updateElement('cityName', `${place.name}, ${place.country}`);
+        
+        // Save to cookies
+        this.saveLocationToCookies(place.name, place.country);
+        
+        // Clear search input
+        if (input) {
+            input.value = '';
+            input.blur();
+        }
+        this.hideLocationSuggestions();
+        
+        // Load weather for new location
+        await this.loadWeatherData();
+    }
+
+    loadRecentSearches() {
+        try {
+            const stored = localStorage.getItem(this.recentSearchesKey);
+            const recent = stored ? JSON.parse(stored) : [];
+            return Array.isArray(recent) ? recent : [];
+        } catch (error) {
+            console.error('Error loading recent searches:', error);
+            return [];
+        }
+    }
+
+    addRecentSearch(place) {
+        const { name, country, lat, lon, municipality, province, label } = place;
+        const recent = this.loadRecentSearches()
+            .filter(item => Math.abs(item.lat - lat) > 0.001 || Math.abs(item.lon - lon) > 0.001);
+        recent.unshift({ name, country, lat, lon, municipality, province, label: label || `${name} (${country})` });
         
-        const normalizedCity = cityName.toLowerCase().trim();
-        return cities[normalizedCity] || null;
+        try {
+            localStorage.setItem(this.recentSearchesKey, JSON.stringify(recent.slice(0, this.maxRecentSearches)));
+        } catch (error) {
+            console.error('Error saving recent searches:', error);
+        }
     }
 
     saveLocationToCookies(city, country) {
@@ -887,19 +1609,415 @@ class WeatherApp {
         return false;
     }
 
+    setCurrentPlace(place) {
+        this.currentLocation = {
+            id: place.id,
+            lat: place.lat,
+            lon: place.lon,
+            name: place.name,
+            country: place.country
+        };
+        this.updateLocationDisplay();
+    }
+
+    async switchToSavedLocation(id) {
+        const place = this.savedLocations.get(id);
+        if (!place) return;
+        
+        this.hideSavedLocations();
+        this.setCurrentPlace(place);
+        this.renderSavedLocations();
+        this.getRequestSignal(); // Cancels what is still loading for the previous place
+        
+        // Show this place's cached weather right away, refresh when it is old
+        const cachedData = await this.loadCachedWeather();
+        if (cachedData) {
+            this.weatherData = cachedData.data;
+            this.updateWeatherDisplay();
+        }
+        
+        if (cachedData && this.service.isFresh(cachedData)) {
+            this.scheduler.markRefreshed('weather', cachedData.timestamp);
+            this.scheduler.run('nowcast', { restart: true });
+        } else {
+            await this.loadWeatherData();
+        }
+    }
+
+    saveCurrentLocation() {
+        if (!this.currentLocation) return;
+        
+        const { lat, lon, name, country } = this.currentLocation;
+        const defaultName = name || document.getElementById('cityName')?.textContent || '';
+        const placeName = name ? name : prompt(I18n.t('saved.namePrompt'), defaultName);
+        if (placeName === null) return;
+        
+        const place = this.savedLocations.add({ name: placeName, country, lat, lon });
+        
+        // Keep the weather that is on screen as this place's cache
+        this.currentLocation = { ...this.currentLocation, id: place.id, name: place.name, country: place.country };
+        if (this.weatherData) {
+            this.saveWeather(this.weatherData);
+        }
+        
+        this.updateLocationDisplay();
+        this.renderSavedLocations();
+        this.showStatusMessage(I18n.t('saved.saved', { name: place.name }), 'success');
+    }
+
+    renameSavedLocation(id) {
+        const place = this.savedLocations.get(id);
+        if (!place) return;
+        
+        const name = prompt(I18n.t('saved.renamePrompt'), place.name);
+        if (name === null) return;
+        
+        const renamed = this.savedLocations.rename(id, name);
+        if (renamed && this.currentLocation?.id === id) {
+            this.currentLocation.name = renamed.name;
+            this.updateLocationDisplay();
+        }
+        this.renderSavedLocations();
+    }
+
+    moveSavedLocation(id, offset) {
+        this.savedLocations.move(id, offset);
+        this.renderSavedLocations();
+    }
+
+    deleteSavedLocation(id) {
+        const place = this.savedLocations.get(id);
+        if (!place || !confirm(I18n.t('saved.deleteConfirm', { name: place.name }))) return;
+        
+        this.savedLocations.remove(id);
+        WeatherStore.delete(id).catch(error => console.error('Error clearing storage:', error));
+        
+        // The place on screen is no longer saved; keep showing it as an unsaved location
+        if (this.currentLocation?.id === id) {
+            delete this.currentLocation.id;
+        }
+        this.renderSavedLocations();
+    }
+
+    setHomeLocation(id) {
+        this.savedLocations.setHome(id);
+        this.renderSavedLocations();
+    }
+
+    toggleSavedLocations() {
+        const panel = document.getElementById('savedLocationsPanel');
+        if (panel) {
+            panel.classList.toggle('show');
+        }
+    }
+
+    hideSavedLocations() {
+        const panel = document.getElementById('savedLocationsPanel');
+        if (panel) {
+            panel.classList.remove('show');
+        }
+    }
+
+    renderSavedLocations() {
+        const list = document.getElementById('savedLocationsList');
+        if (!list) return;
+        
+        const places = this.savedLocations.list();
+        if (places.length === 0) {
+            list.innerHTML = `<div class="saved-location-empty">${I18n.t('saved.empty')}</div>`;
+            return;
+        }
+        
+        list.innerHTML = places.map((place, index) => {
+            const isActive = this.currentLocation?.id === place.id;
+            const label = place.country ? `${this.escapeHtml(place.name)}, ${this.escapeHtml(place.country)}` : this.escapeHtml(place.name);
+            return `
+                <div class="saved-location-item${isActive ? ' active' : ''}">
+                    <button class="saved-location-name" onclick="switchToSavedLocation('${place.id}')">
+                        ${place.isHome ? '<i class="fas fa-home"></i>' : ''}
+                        <span>${label}</span>
+                    </button>
+                    <div class="saved-location-actions">
+                        <button onclick="setHomeLocation('${place.id}')" title="${I18n.t('saved.setHome')}"${place.isHome ? ' disabled' : ''}><i class="fas fa-home"></i></button>
+                        <button onclick="moveSavedLocation('${place.id}', -1)" title="${I18n.t('saved.moveUp')}"${index === 0 ? ' disabled' : ''}><i class="fas fa-chevron-up"></i></button>
+                        <button onclick="moveSavedLocation('${place.id}', 1)" title="${I18n.t('saved.moveDown')}"${index === places.length - 1 ? ' disabled' : ''}><i class="fas fa-chevron-down"></i></button>
+                        <button onclick="renameSavedLocation('${place.id}')" title="${I18n.t('saved.rename')}"><i class="fas fa-pen"></i></button>
+                        <button onclick="deleteSavedLocation('${place.id}')" title="${I18n.t('saved.delete')}"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    loadUnitPreferences() {
+        try {
+            const stored = localStorage.getItem(this.unitsKey);
+            return Units.sanitize(stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            console.error('Error loading unit preferences:', error);
+            return Units.sanitize();
+        }
+    }
+
+    setUnit(kind, unit) {
+        this.units = Units.sanitize({ ...this.units, [kind]: unit });
+        try {
+            localStorage.setItem(this.unitsKey, JSON.stringify(this.units));
+        } catch (error) {
+            console.error('Error saving unit preferences:', error);
+        }
+        
+        // Re-render everything that shows a value with a unit
+        this.updateWeatherDisplay();
+        this.updateNowcastDisplay();
+    }
+
+    setLocale(locale) {
+        if (!I18n.setLocale(locale)) return;
+        this.locale = locale;
+        
+        // Static text from index.html, then everything rendered from data
+        I18n.translatePage();
+        this.updateWeatherDisplay();
+        this.updateNowcastDisplay();
+        this.radarPlayer?.updateControls();
+        this.updateLocationDisplay();
+        this.renderSavedLocations();
+        this.renderSettings();
+    }
+
+    // A URL parameter (?demo, ?demo=42, ?fixture=storm) wins over the stored setting
+    loadDataMode() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('fixture')) return this.sanitizeDataMode(`fixture:${params.get('fixture')}`);
+        if (params.has('demo')) return 'demo';
+        
+        try {
+            return this.sanitizeDataMode(localStorage.getItem(this.dataModeKey));
+        } catch (error) {
+            console.error('Error loading data mode:', error);
+            return 'live';
+        }
+    }
+
+    sanitizeDataMode(mode) {
+        if (mode === 'demo') return 'demo';
+        if (typeof mode === 'string' && mode.startsWith('fixture:') && WeatherFixtures.scenarios.includes(mode.slice(8))) {
+            return mode;
+        }
+        return 'live';
+    }
+
+    getFixtureScenario() {
+        return this.dataMode.startsWith('fixture:') ? this.dataMode.slice(8) : null;
+    }
+
+    setDataMode(mode) {
+        this.dataMode = this.sanitizeDataMode(mode);
+        this.isDemoMode = this.dataMode === 'demo';
+        try {
+            localStorage.setItem(this.dataModeKey, this.dataMode);
+        } catch (error) {
+            console.error('Error saving data mode:', error);
+        }
+        
+        this.loadWeatherData();
+    }
+
+    renderSettings() {
+        const localeSelect = document.getElementById('localeSelect');
+        if (localeSelect) {
+            localeSelect.innerHTML = Object.entries(I18n.locales)
+                .map(([locale, { name }]) => `<option value="${locale}"${locale === this.locale ? ' selected' : ''}>${name}</option>`)
+                .join('');
+        }
+        
+        Object.keys(Units.defaults).forEach(kind => {
+            const select = document.getElementById(`${kind}Unit`);
+            if (!select) return;
+            
+            select.innerHTML = Object.entries(Units.options[kind])
+                .map(([unit, { label }]) => `<option value="${unit}"${unit === this.units[kind] ? ' selected' : ''}>${label}</option>`)
+                .join('');
+        });
+        
+        const dataModeSelect = document.getElementById('dataModeSelect');
+        if (dataModeSelect) {
+            const modes = [
+                { value: 'live', label: I18n.t('settings.dataLive') },
+                { value: 'demo', label: I18n.t('settings.dataDemo') },
+                ...WeatherFixtures.scenarios.map(scenario => ({
+                    value: `fixture:${scenario}`,
+                    label: I18n.t('settings.dataFixture', { scenario: I18n.t(`fixture.${scenario}`) })
+                }))
+            ];
+            dataModeSelect.innerHTML = modes
+                .map(({ value, label }) => `<option value="${value}"${value === this.dataMode ? ' selected' : ''}>${label}</option>`)
+                .join('');
+        }
+    }
+
+    toggleSettings() {
+        const panel = document.getElementById('settingsPanel');
+        if (panel) {
+            this.renderSettings();
+            panel.classList.toggle('show');
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     initializeRadar() {
-        const iframe = document.getElementById('radarIframe');
-        if (iframe) {
-            // Use a more reliable radar URL
-            const radarUrl = 'https://image.buienradar.nl/2.0/image/single/RadarMapRainNL?height=300&width=300&renderBackground=True&renderBranding=False&renderText=True&t=' + Date.now();
-            iframe.src = radarUrl;
+        if (!this.radarPlayer) {
+            const canvas = document.getElementById('radarCanvas');
+            if (!canvas) return;
+            
+            this.radarPlayer = new RadarPlayer({
+                canvas,
+                loading: document.getElementById('radarLoading'),
+                playButton: document.getElementById('radarPlayBtn'),
+                scrubber: document.getElementById('radarScrubber'),
+                time: document.getElementById('radarTime'),
+                speedButton: document.getElementById('radarSpeedBtn')
+            }, {
+                // Radar times are Dutch, wherever the selected location is
+                formatTime: (date) => this.formatTime(date, 'Europe/Amsterdam'),
+                getLocation: () => this.currentLocation
+            });
         }
+        this.radarPlayer.load();
+    }
+
+    getLocationSuggestions(query) {
+        const matches = (text) => !query || Gazetteer.normalize(text).includes(Gazetteer.normalize(query));
+        const seen = [];
+        const isNew = ({ lat, lon }) => {
+            if (seen.some(point => Math.abs(point.lat - lat) < 0.001 && Math.abs(point.lon - lon) < 0.001)) return false;
+            seen.push({ lat, lon });
+            return true;
+        };
+        
+        const saved = this.savedLocations.list()
+            .filter(place => matches(place.name))
+            .filter(isNew)
+            .map(place => ({ group: 'saved', type: 'saved', label: place.country ? `${place.name} (${place.country})` : place.name, place }));
+        
+        const recent = this.loadRecentSearches()
+            .filter(place => matches(place.label || place.name))
+            .filter(isNew)
+            .map(place => ({ group: 'recent', type: 'place', label: place.label || place.name, place }));
+        
+        // Without a query, fall back to a few popular places
+        const places = query
+            ? Gazetteer.search(query, { limit: 8 })
+            : this.popularLocations.map(name => Gazetteer.search(name, { limit: 1 })[0]).filter(Boolean);
+        const found = places
+            .filter(isNew)
+            .map(place => ({ group: query ? 'places' : 'popular', type: 'place', label: place.label, place }));
+        
+        return [...saved, ...recent, ...found];
     }
 
     showLocationSuggestions() {
         const suggestions = document.getElementById('locationSuggestions');
-        if (suggestions) {
-            suggestions.classList.add('show');
+        const input = document.getElementById('locationSearch');
+        if (!suggestions) return;
+        
+        const query = input ? input.value.trim() : '';
+        this.suggestions = this.getLocationSuggestions(query);
+        this.activeSuggestion = -1;
+        this.renderLocationSuggestions(query);
+        suggestions.classList.add('show');
+    }
+
+    renderLocationSuggestions(query) {
+        const suggestions = document.getElementById('locationSuggestions');
+        if (!suggestions) return;
+        
+        if (this.suggestions.length === 0) {
+            suggestions.innerHTML = `<div class="suggestion-empty">${I18n.t('search.noResults')}</div>`;
+            return;
+        }
+        
+        let currentGroup = null;
+        suggestions.innerHTML = this.suggestions.map((suggestion, index) => {
+            const header = suggestion.group !== currentGroup ? `<div class="suggestion-header">${I18n.t(`suggestions.${suggestion.group}`)}</div>` : '';
+            currentGroup = suggestion.group;
+            const icon = suggestion.type === 'saved' ? 'fa-star' : suggestion.group === 'recent' ? 'fa-history' : 'fa-map-marker-alt';
+            return `${header}
+                <div class="suggestion-item${index === this.activeSuggestion ? ' active' : ''}" id="suggestion-${index}" role="option" onmousedown="event.preventDefault(); chooseSuggestion(${index})">
+                    <i class="fas ${icon}"></i> ${this.highlightMatch(suggestion.label, query)}
+                </div>`;
+        }).join('');
+    }
+
+    highlightMatch(text, query) {
+        const range = query ? Gazetteer.matchRange(text, query) : null;
+        if (!range) return this.escapeHtml(text);
+        
+        const [start, end] = range;
+        return `${this.escapeHtml(text.slice(0, start))}<mark>${this.escapeHtml(text.slice(start, end))}</mark>${this.escapeHtml(text.slice(end))}`;
+    }
+
+    handleSearchKeydown(event) {
+        const suggestions = document.getElementById('locationSuggestions');
+        const isOpen = suggestions && suggestions.classList.contains('show');
+        
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                event.preventDefault();
+                if (!isOpen) {
+                    this.showLocationSuggestions();
+                }
+                if (this.suggestions.length === 0) return;
+                
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                const count = this.suggestions.length;
+                this.activeSuggestion = (this.activeSuggestion + step + count) % count;
+                this.renderLocationSuggestions(event.target.value.trim());
+                
+                const active = document.getElementById(`suggestion-${this.activeSuggestion}`);
+                if (active) {
+                    active.scrollIntoView({ block: 'nearest' });
+                }
+                break;
+            }
+            case 'Enter':
+                event.preventDefault();
+                if (isOpen && this.activeSuggestion >= 0) {
+                    this.chooseSuggestion(this.activeSuggestion);
+                } else {
+                    this.searchLocation();
+                }
+                break;
+            case 'Escape':
+                this.hideLocationSuggestions();
+                break;
+        }
+    }
+
+    async chooseSuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+        
+        if (suggestion.type === 'saved') {
+            const input = document.getElementById('locationSearch');
+            if (input) {
+                input.value = '';
+                input.blur();
+            }
+            this.hideLocationSuggestions();
+            await this.switchToSavedLocation(suggestion.place.id);
+        } else {
+            await this.selectPlace(suggestion.place);
         }
     }
 
@@ -910,6 +2028,7 @@ class WeatherApp {
             if (suggestions) {
                 suggestions.classList.remove('show');
             }
+            this.activeSuggestion = -1;
         }, 200);
     }
 
@@ -926,83 +2045,97 @@ class WeatherApp {
         await this.searchLocation();
     }
 
-    loadBuienradarIframe() {
-        const { lat, lon } = this.currentLocation;
-        const iframe = document.getElementById('radarFrame');
-        const placeholder = document.getElementById('radarPlaceholder');
-        
-        iframe.src = `https://www.buienradar.nl/nederland/weer/radar?lat=${lat}&lon=${lon}`;
-        iframe.style.display = 'block';
-        placeholder.style.display = 'none';
-    }
-
-    updateBuienradar(data) {
-        // Process radar data and create custom radar visualization
-        const placeholder = document.getElementById('radarPlaceholder');
-        
-        if (data.demo) {
-            placeholder.innerHTML = `
-                <div class="radar-icon"><i class="fas fa-cloud-rain"></i></div>
-                <p>Demo Buienradar</p>
-                <small>Geen neerslag verwacht</small>
-            `;
-        } else {
-            // Use wttr.in radar data
-            const current = data.current_condition[0];
-            const precipitation = current.precipMM;
-            const radarIcon = precipitation > 0 ? 'fas fa-cloud-rain' : 'fas fa-sun';
-            const radarText = precipitation > 0 ? 
-                `Neerslag: ${precipitation}mm` : 
-                'Geen neerslag verwacht';
-            
-            placeholder.innerHTML = `
-                <div class="radar-icon"><i class="${radarIcon}"></i></div>
-                <p>Regenradar</p>
-                <small>${radarText}</small>
-                <br>
-                <small>Update: ${new Date().toLocaleTimeString('nl-NL')}</small>
-            `;
-        }
-    }
-
     updateLocationDisplay(customLocation = null) {
         if (customLocation) {
             this.updateElement('cityName', customLocation);
-            this.updateElement('lastUpdated', new Date().toLocaleTimeString('nl-NL', { 
-                hour: '2-digit', 
-                minute: '2-digit' 
-            }));
+            this.updateFreshnessDisplay();
             return;
         }
 
-        // Try to determine location from coordinates
-        if (this.currentLocation) {
-            const { lat, lon } = this.currentLocation;
+        // Known place name (search result, saved location or nearest place to the fix)
+        if (this.currentLocation && this.currentLocation.name) {
+            const { name, municipality, country, distanceKm } = this.currentLocation;
+            const parts = [name];
+            if (municipality && municipality !== name) parts.push(municipality);
+            if (country) parts.push(country);
+            this.updateElement('cityName', parts.join(', '));
             
-            // Simple location detection based on coordinates
-            if (lat >= 50.5 && lat <= 53.5 && lon >= 3.0 && lon <= 7.5) {
-                // Netherlands/Belgium region
-                if (lat >= 51.0 && lat <= 51.5 && lon >= 4.0 && lon <= 4.5) {
-                    this.updateElement('cityName', 'Amsterdam, NL');
-                } else if (lat >= 50.8 && lat <= 50.9 && lon >= 4.3 && lon <= 4.4) {
-                    this.updateElement('cityName', 'Brussel, BE');
-                } else if (lat >= 51.2 && lat <= 51.3 && lon >= 4.4 && lon <= 4.5) {
-                    this.updateElement('cityName', 'Antwerpen, BE');
-                } else {
-                    this.updateElement('cityName', 'Nederland/België');
-                }
-            } else {
-                this.updateElement('cityName', `Locatie: ${lat.toFixed(2)}, ${lon.toFixed(2)}`);
+            // Distance from the actual position to the named place
+            const cityName = document.getElementById('cityName');
+            if (cityName) {
+                cityName.title = typeof distanceKm === 'number' ? I18n.t('location.distance', { distance: I18n.formatNumber(distanceKm, 1), name }) : '';
             }
+        }
+        // No named place nearby: show the coordinates
+        else if (this.currentLocation) {
+            const { lat, lon } = this.currentLocation;
+            this.updateElement('cityName', I18n.t('location.coordinates', { lat: I18n.formatNumber(lat, 2), lon: I18n.formatNumber(lon, 2) }));
         } else {
-            this.updateElement('cityName', 'Locatie detecteren...');
+            this.updateElement('cityName', I18n.t('location.detecting'));
         }
         
-        // Update last updated time
-        this.updateElement('lastUpdated', new Date().toLocaleTimeString('nl-NL', { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        }));
+        this.updateFreshnessDisplay();
+        
+        // Move the marker on the radar along
+        this.radarPlayer?.draw();
+    }
+
+    // "bijgewerkt 12 min geleden" under the place name, from the measurement time of
+    // the data on screen. Old, generated and replayed data get a warning style
+    updateFreshnessDisplay() {
+        const element = document.getElementById('lastUpdated');
+        if (!element || !this.weatherData) return;
+        
+        const { status, age } = this.service.freshness(this.weatherData);
+        const ageText = this.formatDataAge(age);
+        const text = {
+            fresh: ageText,
+            stale: `${ageText} · ${I18n.t('freshness.stale')}`,
+            demo: I18n.t('freshness.demo'),
+            fixture: I18n.t('freshness.fixture'),
+            fallback: I18n.t('freshness.fallback')
+        }[status];
+        
+        element.textContent = status === 'fresh' ? text : `⚠️ ${text}`;
+        element.classList.toggle('is-warning', status !== 'fresh');
+        element.dataset.freshness = status;
+        element.title = this.getFreshnessDetails(this.weatherData);
+    }
+
+    formatDataAge(age) {
+        if (age === null) return I18n.t('freshness.unknown');
+        
+        const minutes = Math.floor(age / 60000);
+        if (minutes < 1) return I18n.t('freshness.justNow');
+        if (minutes < 60) return I18n.t('freshness.minutes', { count: minutes });
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return I18n.t('freshness.hours', { count: hours });
+        return I18n.t('freshness.days', { count: Math.floor(hours / 24) });
+    }
+
+    // Tooltip: source, measurement time and fetch time
+    getFreshnessDetails(weatherData) {
+        const parts = [];
+        if (weatherData.provider) {
+            parts.push(I18n.t('source.provider', { provider: weatherData.provider.name }));
+        }
+        if (weatherData.measured_at) {
+            parts.push(I18n.t('freshness.measured', { time: this.formatStampTime(weatherData.measured_at) }));
+        }
+        if (weatherData.fetched_at) {
+            parts.push(I18n.t('freshness.fetched', { time: this.formatStampTime(weatherData.fetched_at) }));
+        }
+        return parts.join(' · ');
+    }
+
+    // Time of day, with the date when it is not today
+    formatStampTime(time) {
+        const date = new Date(time);
+        if (date.toDateString() === new Date(this.service.now()).toDateString()) {
+            return I18n.formatTime(date);
+        }
+        return `${I18n.formatDate(date, { weekday: 'short', day: 'numeric', month: 'short' })} ${I18n.formatTime(date)}`;
     }
 
     updateElement(id, value) {
@@ -1071,63 +2204,50 @@ class WeatherApp {
     }
 
     // Storage functions
-    saveToStorage(data) {
+    async saveWeather(data, location = this.currentLocation) {
         try {
-            const storageData = {
-                data: data,
-                timestamp: Date.now(),
-                location: this.currentLocation
-            };
-            
-            // Save to localStorage
-            localStorage.setItem(this.storageKey, JSON.stringify(storageData));
-            
-            // Also save to cookies as backup
-            const cookieData = JSON.stringify(storageData);
-            document.cookie = `${this.storageKey}=${encodeURIComponent(cookieData)}; max-age=${this.cacheExpiry / 1000}; path=/`;
-            
+            await WeatherStore.put(WeatherStore.keyFor(location), data, { location });
             console.log('Weather data saved to storage');
         } catch (error) {
             console.error('Error saving to storage:', error);
         }
     }
 
-    loadFromStorage() {
+    async loadCachedWeather(location = this.currentLocation) {
         try {
-            // Try localStorage first
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                return JSON.parse(stored);
-            }
-            
-            // Fallback to cookies
-            const cookies = document.cookie.split(';');
-            for (let cookie of cookies) {
-                const [name, value] = cookie.trim().split('=');
-                if (name === this.storageKey) {
-                    return JSON.parse(decodeURIComponent(value));
-                }
+            const entry = await WeatherStore.get(WeatherStore.keyFor(location));
+            // Stored before datasets carried their fetch time
+            if (entry?.data && !entry.data.fetched_at) {
+                this.service.stamp(entry.data, { fetchedAt: entry.timestamp ?? null });
             }
-            
-            return null;
+            return entry;
         } catch (error) {
             console.error('Error loading from storage:', error);
             return null;
         }
     }
 
-    isDataFresh(cachedData) {
-        if (!cachedData || !cachedData.timestamp) return false;
-        return (Date.now() - cachedData.timestamp) < this.cacheExpiry;
-    }
-
-    clearStorage() {
-        try {
-            localStorage.removeItem(this.storageKey);
-            document.cookie = `${this.storageKey}=; max-age=0; path=/`;
-            console.log('Storage cleared');
-        } catch (error) {
-            console.error('Error clearing storage:', error);
+    async migrateLegacyStorage() {
+        // Older versions kept weatherAppData[_<locationId>] in localStorage plus a cookie copy
+        const legacyKeys = Object.keys(localStorage).filter(key => key === this.legacyStorageKey || key.startsWith(`${this.legacyStorageKey}_`));
+        
+        for (const legacyKey of legacyKeys) {
+            try {
+                const entry = JSON.parse(localStorage.getItem(legacyKey));
+                const locationId = legacyKey.slice(this.legacyStorageKey.length + 1);
+                const location = locationId ? { ...entry.location, id: locationId } : entry.location;
+                if (entry && entry.data && location) {
+                    await WeatherStore.put(WeatherStore.keyFor(location), entry.data, {
+                        location,
+                        timestamp: entry.timestamp,
+                        onlyIfNewer: true
+                    });
+                }
+            } catch (error) {
+                console.error('Error migrating cached weather:', error);
+            }
+            localStorage.removeItem(legacyKey);
+            document.cookie = `${legacyKey}=; max-age=0; path=/`;
         }
     }
 
@@ -1162,7 +2282,7 @@ class WeatherApp {
         const installBtn = document.createElement('button');
         installBtn.id = 'installBtn';
         installBtn.className = 'install-btn';
-        installBtn.innerHTML = '<i class="fas fa-download"></i> Installeer App';
+        installBtn.innerHTML = `<i class="fas fa-download"></i> ${I18n.t('install.button')}`;
         
         // Add to header
         const header = document.querySelector('.header');
@@ -1191,22 +2311,24 @@ class WeatherApp {
         window.addEventListener('online', () => {
             console.log('App is online');
             this.showOnlineStatus();
-            // Refresh weather data when back online
-            this.loadWeatherData();
+            // Refresh everything that fell behind while offline
+            this.scheduler.runAll();
         });
 
         window.addEventListener('offline', () => {
             console.log('App is offline');
             this.showOfflineStatus();
+            // Let the service worker refresh saved locations as soon as the connection returns
+            this.requestBackgroundSync();
         });
     }
 
     showOnlineStatus() {
-        this.showStatusMessage('Verbinding hersteld!', 'success');
+        this.showStatusMessage(I18n.t('status.online'), 'success');
     }
 
     showOfflineStatus() {
-        this.showStatusMessage('Geen internetverbinding - Offline modus actief', 'warning');
+        this.showStatusMessage(I18n.t('status.offline'), 'warning');
     }
 
     showStatusMessage(message, type) {
@@ -1236,8 +2358,8 @@ class WeatherApp {
         updateDiv.innerHTML = `
             <div class="update-content">
                 <i class="fas fa-sync-alt"></i>
-                <span>Nieuwe versie beschikbaar!</span>
-                <button onclick="location.reload()">Bijwerken</button>
+                <span>${I18n.t('update.available')}</span>
+                <button onclick="location.reload()">${I18n.t('update.reload')}</button>
             </div>
         `;
         
@@ -1261,6 +2383,14 @@ class WeatherApp {
     handleHashNavigation() {
         const hash = window.location.hash;
         
+        // #day=2: open the day detail of the third forecast day (0 is today)
+        const dayMatch = hash.match(/^#day=(\d+)$/);
+        if (dayMatch) {
+            this.openDayDetail(parseInt(dayMatch[1], 10));
+            this.scrollToElement('.daily-forecast');
+            return;
+        }
+        
         switch (hash) {
             case '#hourly':
                 this.scrollToElement('.hourly-forecast');
@@ -1291,6 +2421,7 @@ class WeatherApp {
             try {
                 const registration = await navigator.serviceWorker.register('./sw.js');
                 console.log('Service Worker registered:', registration);
+                await this.setupBackgroundSync();
             } catch (error) {
                 console.error('Service Worker registration failed:', error);
             }
@@ -1298,6 +2429,67 @@ class WeatherApp {
             console.log('Service Worker not available in file:// protocol');
         }
     }
+
+    // Background sync: the service worker refreshes saved locations while the app
+    // is closed and writes them to the shared WeatherStore for the next start
+    async setupBackgroundSync() {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'WEATHER_SYNCED') {
+                this.handleBackgroundSyncResults(event.data.locationIds);
+            }
+        });
+        
+        this.shareSavedLocations(this.savedLocations.list());
+        await this.requestBackgroundSync();
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
+            
+            // Periodic sync only works for installed apps that got permission
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state === 'granted') {
+                await registration.periodicSync.register('weather-update', { minInterval: 60 * 60 * 1000 });
+                console.log('Periodic background sync registered');
+            }
+        } catch (error) {
+            console.error('Periodic background sync registration failed:', error);
+        }
+    }
+
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) {
+                await registration.sync.register('weather-sync');
+            }
+        } catch (error) {
+            console.error('Background sync registration failed:', error);
+        }
+    }
+
+    async shareSavedLocations(places) {
+        // Saved locations live in localStorage, which the service worker cannot read
+        try {
+            await WeatherStore.setMeta('syncLocations', places.map(({ id, name, country, lat, lon }) => ({ id, name, country, lat, lon })));
+        } catch (error) {
+            console.error('Error sharing saved locations with service worker:', error);
+        }
+    }
+
+    async handleBackgroundSyncResults(locationIds = []) {
+        // Show the new data right away when it is for the place on screen
+        if (this.currentLocation?.id && locationIds.includes(this.currentLocation.id)) {
+            const cachedData = await this.loadCachedWeather();
+            if (cachedData) {
+                this.weatherData = cachedData.data;
+                this.updateWeatherDisplay();
+                this.scheduler.markRefreshed('weather', cachedData.timestamp);
+            }
+        }
+    }
 }
 
 // Initialize the app when DOM is loaded
@@ -1317,8 +2509,8 @@ window.addEventListener('beforeinstallprompt', (e) => {
     installBanner.className = 'install-banner';
     installBanner.innerHTML = `
         <div class="install-content">
-            <span>📱 Installeer WeerApp voor snellere toegang</span>
-            <button id="installBtn" class="install-btn">Installeer</button>
+            <span>📱 ${I18n.t('install.banner')}</span>
+            <button id="installBtn" class="install-btn">${I18n.t('install.short')}</button>
         </div>
     `;
     
@@ -0,0 +1,316 @@
+// Buienradar Feed - turns the data.buienradar.nl JSON feed into the normalized
+// {current, hourly, daily} model. Free of DOM access; WeatherService uses it for
+// the page and the service worker (background sync). `now` (ms) is the clock the
+// forecast is laid out against.
+
+const BuienradarFeed = {
+    convert(data, lat, lon, now = Date.now()) {
+        try {
+            // Find the closest weather station
+            const stations = data.actual?.stationmeasurements || [];
+            if (stations.length === 0) {
+                throw new Error('No station measurements in Buienradar feed');
+            }
+            
+            // Interpolate each field from the nearest stations (haversine, inverse distance)
+            const { values, stations: contributingStations } = StationSelector.interpolate(stations, lat, lon);
+            
+            // Get forecast data
+            const forecast = data.forecast?.fivedayforecast || [];
+            
+            // Current weather; fields no station measured stay null instead of made up
+            const description = values.weatherdescription || '';
+            const condition = this.matchWeatherCondition(description);
+            const current = {
+                dt: this.parseLocalTime(values.timestamp),
+                temp: values.temperature,
+                feels_like: values.feeltemperature,
+                humidity: values.humidity !== null ? Math.round(values.humidity) : null,
+                // Unrounded: the pressure tendency needs tenths of a hPa
+                pressure: values.airpressure,
+                visibility: values.visibility,
+                wind_speed: values.windspeed,
+                wind_deg: values.winddirectiondegrees,
+                wind_gust: values.windgusts,
+                wind_bft: values.windspeedBft !== null ? Math.round(values.windspeedBft) : null,
+                rain_1h: values.rainFallLastHour,
+                weather: [{
+                    main: condition ? condition.main : 'Clouds',
+                    description,
+                    condition: condition ? condition.key : null,
+                    icon: this.getIcon(values.iconurl, description || 'bewolkt')
+                }],
+                stations: contributingStations,
+                timezone: 'Europe/Amsterdam'
+            };
+            
+            // Daily forecast straight from the feed
+            const daily = this.parseForecast(forecast, now);
+            
+            // Rain chance for today, when the feed covers today; the hourly entries
+            // outside the forecast days fall back on it
+            const today = daily[0];
+            current.pop = today && !today.missing ? today.pop : null;
+            
+            // Hourly interpolated between real values
+            const hourly = this.buildHourlyForecast(current, daily, now);
+            
+            return {
+                current,
+                hourly,
+                daily,
+                timezone: 'Europe/Amsterdam'
+            };
+            
+        } catch (error) {
+            console.error('Error converting Buienradar data:', error);
+            // Let the provider chain fail over to the next source
+            throw error;
+        }
+    },
+
+    parseForecast(forecast, now = Date.now()) {
+        // Index the five-day forecast by local date (YYYY-MM-DD)
+        const byDate = {};
+        forecast.forEach(day => {
+            if (day && day.day) {
+                byDate[day.day.slice(0, 10)] = day;
+            }
+        });
+        
+        const daily = [];
+        const todayKey = this.getDateKey(new Date(now));
+        for (let i = 0; i < 7; i++) {
+            const dateKey = this.addDaysToKey(todayKey, i);
+            const midnight = this.parseLocalTime(`${dateKey}T00:00:00`);
+            const day = byDate[dateKey];
+            
+            // Days the feed does not cover are shown as missing, never invented
+            if (!day) {
+                daily.push({
+                    dt: midnight,
+                    missing: true,
+                    temp: { min: null, max: null, day: null },
+                    weather: [{ main: null, description: '', condition: null, icon: null }],
+                    pop: null
+                });
+                continue;
+            }
+            
+            const min = this.parseForecastTemperature(day.mintemperatureMin, day.mintemperatureMax, day.mintemperature);
+            const max = this.parseForecastTemperature(day.maxtemperatureMin, day.maxtemperatureMax, day.maxtemperature);
+            const description = day.weatherdescription || '';
+            const condition = this.matchWeatherCondition(description);
+            
+            daily.push({
+                dt: midnight,
+                missing: min === null && max === null,
+                temp: {
+                    min,
+                    max,
+                    day: min !== null && max !== null ? (min + max) / 2 : (max ?? min)
+                },
+                weather: [{
+                    main: condition ? condition.main : 'Clouds',
+                    description,
+                    condition: condition ? condition.key : null,
+                    icon: this.getIcon(day.iconurl || day.fullIconUrl, description)
+                }],
+                pop: this.toNumber(day.rainChance) !== null ? this.toNumber(day.rainChance) / 100 : null,
+                rain_min: this.toNumber(day.mmRainMin),
+                rain_max: this.toNumber(day.mmRainMax),
+                wind_bft: this.toNumber(day.wind),
+                wind_dir: day.windDirection ? day.windDirection.toUpperCase() : null,
+                wind_deg: this.parseWindDirection(day.windDirection),
+                sun_chance: this.toNumber(day.sunChance)
+            });
+        }
+        
+        return daily;
+    },
+
+    parseForecastTemperature(low, high, range) {
+        // Prefer the numeric bounds; fall back to the "9/11" range string
+        const lowValue = this.toNumber(low);
+        const highValue = this.toNumber(high);
+        if (lowValue !== null && highValue !== null) return (lowValue + highValue) / 2;
+        if (lowValue !== null || highValue !== null) return lowValue ?? highValue;
+        
+        if (typeof range === 'string' && range.trim()) {
+            const parts = range.split('/').map(part => this.toNumber(part)).filter(part => part !== null);
+            if (parts.length > 0) {
+                return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+            }
+        }
+        return this.toNumber(range);
+    },
+
+    buildHourlyForecast(current, daily, now = Date.now()) {
+        // Anchor points: the current measurement, then each day's minimum
+        // (around sunrise) and maximum (mid-afternoon)
+        const nowMs = now;
+        const anchors = [];
+        if (typeof current.temp === 'number') {
+            anchors.push({ time: nowMs, temp: current.temp, day: null });
+        }
+        
+        daily.forEach(day => {
+            if (day.missing) return;
+            const dateKey = this.getDateKey(new Date(day.dt * 1000));
+            if (day.temp.min !== null) {
+                anchors.push({ time: this.parseLocalTime(`${dateKey}T06:00:00`) * 1000, temp: day.temp.min, day });
+            }
+            if (day.temp.max !== null) {
+                anchors.push({ time: this.parseLocalTime(`${dateKey}T15:00:00`) * 1000, temp: day.temp.max, day });
+            }
+        });
+        
+        const points = anchors
+            .filter(anchor => anchor.time >= nowMs)
+            .sort((a, b) => a.time - b.time);
+        
+        // Only hours between two real values are filled in
+        const hourly = [];
+        for (let i = 0; i < 24; i++) {
+            const time = nowMs + i * 60 * 60 * 1000;
+            const next = points.findIndex(point => point.time >= time);
+            if (next === -1) break;
+            
+            const after = points[next];
+            const before = next > 0 ? points[next - 1] : after;
+            if (after.time !== time && before === after) break;
+            
+            // Cosine easing gives a smoother curve than straight lines
+            const span = after.time - before.time;
+            const fraction = span > 0 ? (time - before.time) / span : 0;
+            const eased = (1 - Math.cos(fraction * Math.PI)) / 2;
+            const temp = before.temp + (after.temp - before.temp) * eased;
+            
+            const day = this.findDailyForTime(daily, time);
+            const weather = day && !day.missing ? day.weather[0] : current.weather[0];
+            
+            hourly.push({
+                dt: Math.floor(time / 1000),
+                temp,
+                interpolated: i > 0,
+                weather: [{
+                    main: weather.main,
+                    description: weather.description,
+                    condition: weather.condition,
+                    icon: weather.icon
+                }],
+                pop: day && !day.missing ? day.pop : (current.pop ?? null)
+            });
+        }
+        
+        return hourly;
+    },
+
+    findDailyForTime(daily, time) {
+        const dateKey = this.getDateKey(new Date(time));
+        return daily.find(day => this.getDateKey(new Date(day.dt * 1000)) === dateKey) || null;
+    },
+
+    getIcon(iconUrl, description = '') {
+        // Buienradar icons are letters (a.png, cc.png for night); map them to our icon codes
+        const letterMap = {
+            a: '01', b: '02', j: '02', o: '02', r: '02',
+            c: '04', p: '03',
+            d: '50', e: '50', n: '50',
+            f: '10', k: '10',
+            h: '09', i: '09', l: '09', m: '09', q: '09',
+            g: '11', s: '11',
+            t: '13', u: '13', v: '13', w: '13'
+        };
+        
+        const match = typeof iconUrl === 'string' ? iconUrl.match(/\/([a-z])\1?\.png/i) : null;
+        const code = match ? letterMap[match[1].toLowerCase()] : null;
+        if (code) return `${code}d`;
+        
+        return this.getIconForCondition(this.getWeatherCondition(description || 'bewolkt'));
+    },
+
+    getIconForCondition(condition) {
+        const conditionMap = {
+            Clear: '01d',
+            Clouds: '03d',
+            Rain: '10d',
+            Thunderstorm: '11d',
+            Snow: '13d',
+            Mist: '50d'
+        };
+        return conditionMap[condition] || '03d';
+    },
+
+    getDateKey(date) {
+        // Local calendar date in the Dutch time zone, e.g. 2024-05-02
+        return date.toLocaleDateString('sv-SE', { timeZone: 'Europe/Amsterdam' });
+    },
+
+    // Feed times are Dutch local time without an offset ("2024-05-02T14:50:00");
+    // returns unix seconds, or null
+    parseLocalTime(text) {
+        if (!text) return null;
+        const asUtc = Date.parse(`${text}Z`);
+        if (Number.isNaN(asUtc)) return null;
+        
+        // Offset of Amsterdam from UTC at that moment (+1 or +2 hours)
+        const local = new Date(asUtc).toLocaleString('sv-SE', { timeZone: 'Europe/Amsterdam' });
+        const offset = Date.parse(`${local.replace(' ', 'T')}Z`) - asUtc;
+        return Math.floor((asUtc - offset) / 1000);
+    },
+
+    addDaysToKey(dateKey, days) {
+        const date = new Date(`${dateKey}T12:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    },
+
+    // Dutch compass letters from the forecast ("zw", "NNO") to degrees, or null
+    parseWindDirection(direction) {
+        const points = ['N', 'NNO', 'NO', 'ONO', 'O', 'OZO', 'ZO', 'ZZO', 'Z', 'ZZW', 'ZW', 'WZW', 'W', 'WNW', 'NW', 'NNW'];
+        const index = points.indexOf(String(direction || '').trim().toUpperCase());
+        return index === -1 ? null : index * 22.5;
+    },
+
+    toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+        return Number.isFinite(number) ? number : null;
+    },
+
+    getWeatherCondition(description) {
+        const condition = this.matchWeatherCondition(description);
+        return condition ? condition.main : 'Clouds';
+    },
+
+    matchWeatherCondition(description) {
+        // Buienradar describes the weather in Dutch, wttr.in in English. Each rule
+        // gives the icon group (main) and a condition key that I18n translates;
+        // the first rule with a matching word wins, so specific rules come first.
+        const rules = [
+            { words: ['droog na'], main: 'Clouds', key: 'dryAfterRain' },
+            { words: ['onweer', 'thunder'], main: 'Thunderstorm', key: 'thunderstorm' },
+            { words: ['hagel', 'hail'], main: 'Rain', key: 'hail' },
+            { words: ['regen en sneeuw', 'natte sneeuw', 'ijzel', 'sleet'], main: 'Rain', key: 'sleet' },
+            { words: ['sneeuwbui', 'snow shower'], main: 'Snow', key: 'snowShowers' },
+            { words: ['sneeuw', 'snow', 'blizzard'], main: 'Snow', key: 'snow' },
+            { words: ['zware regen', 'heavy rain', 'torrential'], main: 'Rain', key: 'heavyRain' },
+            { words: ['motregen', 'drizzle'], main: 'Rain', key: 'drizzle' },
+            { words: ['bui', 'shower'], main: 'Rain', key: 'showers' },
+            { words: ['lichte regen', 'light rain'], main: 'Rain', key: 'lightRain' },
+            { words: ['regen', 'rain'], main: 'Rain', key: 'rain' },
+            { words: ['mist', 'nevel', 'fog'], main: 'Mist', key: 'fog' },
+            { words: ['heldere nacht', 'clear night'], main: 'Clear', key: 'clearNight' },
+            { words: ['overwegend helder', 'vrijwel onbewolkt', 'mainly clear'], main: 'Clear', key: 'mostlyClear' },
+            { words: ['half bewolkt', 'licht bewolkt', 'opklaring', 'gedeeltelijk', 'partly'], main: 'Clouds', key: 'partlyCloudy' },
+            { words: ['zonnig', 'zon', 'sunny', 'sun'], main: 'Clear', key: 'sunny' },
+            { words: ['helder', 'onbewolkt', 'clear'], main: 'Clear', key: 'clear' },
+            { words: ['zwaar bewolkt', 'geheel bewolkt', 'overcast'], main: 'Clouds', key: 'overcast' },
+            { words: ['wolk', 'bewolkt', 'cloud'], main: 'Clouds', key: 'cloudy' }
+        ];
+        
+        const desc = (description || '').toLowerCase();
+        return rules.find(rule => rule.words.some(word => desc.includes(word))) || null;
+    }
+};
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/*
+ * Check RadarProjection (radar.js): the corners of the KNMI radar grid must land on
+ * the corners of the image, and the reference places listed in radar.js on their
+ * recorded grid positions. Exits non-zero on the first difference.
+ *
+ *     npm test
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'radar.js'), 'utf8'), context);
+const RadarProjection = vm.runInContext('RadarProjection', context);
+const { columns, rows } = RadarProjection.grid;
+
+// Grid position (column, row) without the bounds check of project()
+function gridPosition(lat, lon) {
+    const { pixelWidth, pixelHeight, rowOffset } = RadarProjection.grid;
+    const rho = RadarProjection.rho(lat);
+    const radians = lon * Math.PI / 180;
+    return [rho * Math.sin(radians) / pixelWidth, rho * Math.cos(radians) / pixelHeight - rowOffset];
+}
+
+function assertNear(actual, expected, tolerance, message) {
+    actual.forEach((value, i) => {
+        assert.ok(Math.abs(value - expected[i]) <= tolerance, `${message}: ${actual.map(v => v.toFixed(2))} instead of ${expected}`);
+    });
+}
+
+// Corners as KNMI documents them, to three decimals (about 0.1 km)
+const CORNERS = [
+    [49.362, 0, 0, rows],
+    [55.974, 0, 0, 0],
+    [55.389, 10.856, columns, 0],
+    [48.895, 9.009, columns, rows]
+];
+CORNERS.forEach(([lat, lon, column, row]) => {
+    assertNear(gridPosition(lat, lon), [column, row], 0.2, `corner ${lat}°N ${lon}°E`);
+});
+console.log(`ok radar grid: ${CORNERS.length} corners`);
+
+// The reference points in the comment above RadarProjection
+const PLACES = {
+    'Den Helder': [52.959, 4.760, 332, 331],
+    'De Bilt': [52.101, 5.177, 369, 428],
+    'Westkapelle': [51.529, 3.440, 250, 504],
+    'Maastricht': [50.851, 5.691, 421, 569],
+    'Delfzijl': [53.330, 6.918, 476, 274]
+};
+Object.entries(PLACES).forEach(([name, [lat, lon, column, row]]) => {
+    const position = RadarProjection.project(lat, lon);
+    assert.ok(position, `${name} falls outside the image`);
+    assertNear([position.x * columns, position.y * rows], [column, row], 0.6, name);
+});
+console.log(`ok radar reference points: ${Object.keys(PLACES).length} places`);
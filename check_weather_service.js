@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/*
+ * Check the data layer (weather-service.js) in Node: the modules run in one vm
+ * context, like sw.js loads them, with a fixed clock and a fetch that answers with
+ * the recorded responses in fixtures/. Covers the normalized {current, hourly,
+ * daily} per source, failover between the providers and data the service worker
+ * served from its cache. Exits non-zero on the first difference.
+ *
+ *     npm test
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console: { ...console, log() {}, error() {} }, URLSearchParams, AbortController, setTimeout, clearTimeout });
+['network.js', 'stations.js', 'providers.js', 'buienradar.js', 'fixtures.js', 'weather-service.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context);
+});
+const WeatherFixtures = vm.runInContext('WeatherFixtures', context);
+const Network = vm.runInContext('Network', context);
+
+const fixture = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8'));
+
+const AMSTERDAM = { lat: 52.37, lon: 4.89 };
+const NEW_YORK = { lat: 40.71, lon: -74.01 };
+// The Buienradar and Open-Meteo fixtures were recorded on this afternoon
+const RECORDED_NOW = Date.parse('2024-10-15T14:25:00+02:00');
+const MINUTE = 60 * 1000;
+
+// Service whose clock stands still at `now` and whose fetch answers from `routes`:
+// { urlPrefix: { body, status, cacheAge } }, cacheAge in seconds as the service
+// worker sets it. Unknown URLs fail like a dropped connection. `requested` lists
+// the URLs in the order they were fetched.
+function createService(now, routes = {}) {
+    const requested = [];
+    context.clock = () => now;
+    context.fetchFixture = async (url) => {
+        requested.push(url);
+        const prefix = Object.keys(routes).find(item => url.startsWith(item));
+        if (!prefix) throw new TypeError('Failed to fetch');
+        const { body = null, status = 200, cacheAge = null } = routes[prefix];
+        const headers = cacheAge !== null ? { 'sw-cache-age': String(cacheAge) } : {};
+        return new Response(JSON.stringify(body), { status, headers });
+    };
+    // No retries: failover to the next provider is what is checked, not the backoff
+    const service = vm.runInContext('new WeatherService({ now: () => clock(), fetch: (...args) => fetchFixture(...args), retries: 0 })', context);
+    return { service, requested };
+}
+
+const BUIENRADAR = 'https://data.buienradar.nl/';
+const OPEN_METEO = 'https://api.open-meteo.com/';
+const WTTR = 'https://wttr.in/';
+const buienradarFeed = (now) => WeatherFixtures.replay(fixture('buienradar-rain.json'), now).feed;
+const origins = (urls) => urls.map(url => new URL(url).origin);
+
+const checks = [
+    // Buienradar: stations around Amsterdam, the forecast days in Dutch time
+    ['Buienradar', async () => {
+        const { service, requested } = createService(RECORDED_NOW, { [BUIENRADAR]: { body: buienradarFeed(RECORDED_NOW) } });
+        const data = await service.fetchWeather(AMSTERDAM);
+
+        assert.deepStrictEqual(requested, [`${BUIENRADAR}2.0/feed/json`]);
+        assert.strictEqual(data.provider.id, 'buienradar');
+        assert.strictEqual(data.current.dt * 1000, Date.parse('2024-10-15T14:10:00+02:00'));
+        assert.strictEqual(Math.round(data.current.temp), 12);
+        assert.strictEqual(data.current.stations[0].name, 'Meetstation Schiphol');
+        assert.strictEqual(data.current.pop, 0.9);
+        assert.strictEqual(data.hourly.length, 24);
+        assert.strictEqual(data.hourly[0].dt * 1000, RECORDED_NOW);
+        assert.strictEqual(data.daily.length, 7);
+        assert.strictEqual(data.daily[0].dt * 1000, Date.parse('2024-10-15T00:00:00+02:00'));
+        assert.deepStrictEqual([data.daily[0].temp.min, data.daily[0].temp.max], [9, 13]);
+        assert.strictEqual(data.fetched_at, RECORDED_NOW);
+        assert.strictEqual(service.freshness(data).status, 'fresh');
+    }],
+
+    // Buienradar down: Open-Meteo takes over; its missing pressure stays null
+    ['failover to Open-Meteo', async () => {
+        const { service, requested } = createService(RECORDED_NOW, {
+            [BUIENRADAR]: { status: 503 },
+            [OPEN_METEO]: { body: fixture('open-meteo-amsterdam.json') }
+        });
+        const data = await service.fetchWeather(AMSTERDAM);
+
+        assert.deepStrictEqual(origins(requested), ['https://data.buienradar.nl', 'https://api.open-meteo.com']);
+        assert.strictEqual(data.provider.id, 'openMeteo');
+        assert.strictEqual(data.current.temp, 12.3);
+        assert.strictEqual(data.current.pressure, null);
+        assert.strictEqual(data.current.weather[0].condition, 'rain');
+        // From the hour that is running: 14:00 onwards
+        assert.strictEqual(data.hourly[0].dt * 1000, Date.parse('2024-10-15T14:00:00+02:00'));
+        assert.strictEqual(data.hourly.length, 4);
+        assert.strictEqual(data.daily.length, 7);
+        assert.deepStrictEqual([data.daily[0].temp.min, data.daily[0].temp.max], [9.2, 13.4]);
+        assert.strictEqual(data.measured_at, Date.parse('2024-10-15T14:15:00+02:00'));
+    }],
+
+    // Outside Buienradar's stations, with Open-Meteo failing: wttr.in, in the location's own clock
+    ['failover to wttr.in', async () => {
+        const now = Date.parse('2024-07-02T10:55:00-04:00');
+        const { service, requested } = createService(now, {
+            [OPEN_METEO]: { status: 500 },
+            [WTTR]: { body: fixture('wttr-new-york.json') }
+        });
+        const data = await service.fetchWeather(NEW_YORK);
+
+        assert.deepStrictEqual(origins(requested), ['https://api.open-meteo.com', 'https://wttr.in']);
+        assert.strictEqual(data.provider.id, 'wttr');
+        assert.strictEqual(data.timezone, 'Etc/GMT+4');
+        assert.strictEqual(data.current.temp, 27);
+        assert.strictEqual(data.daily.length, 7);
+        assert.deepStrictEqual(
+            [...data.daily.slice(0, 3).map(day => day.dt * 1000)],
+            ['2024-07-02', '2024-07-03', '2024-07-04'].map(date => Date.parse(`${date}T00:00:00-04:00`))
+        );
+        assert.deepStrictEqual([data.daily[0].temp.min, data.daily[0].temp.max], [22, 31]);
+        assert.ok(data.daily.slice(3).every(day => day.missing), 'wttr.in forecasts 3 days; the rest is missing');
+        // From three hours before now, in 3-hour steps at local 09:00, 12:00, ...
+        assert.strictEqual(data.hourly[0].dt * 1000, Date.parse('2024-07-02T09:00:00-04:00'));
+        assert.strictEqual(data.hourly[0].temp, 28);
+    }],
+
+    // Every provider down: one error that says why
+    ['all providers failing', async () => {
+        const { service, requested } = createService(RECORDED_NOW);
+        await assert.rejects(service.fetchWeather(AMSTERDAM), error => {
+            assert.strictEqual(error.name, 'AggregateError');
+            assert.strictEqual(error.errors.length, 3);
+            assert.strictEqual(Network.kindOf(error), 'offline');
+            return true;
+        });
+        assert.strictEqual(requested.length, 3);
+    }],
+
+    // Offline, the service worker answers with the feed it cached 90 minutes ago:
+    // dated by that fetch, and shown as stale
+    ['cached by the service worker', async () => {
+        const cachedAt = RECORDED_NOW - 90 * MINUTE;
+        const { service } = createService(RECORDED_NOW, { [BUIENRADAR]: { body: buienradarFeed(cachedAt), cacheAge: 90 * 60 } });
+        const data = await service.fetchWeather(AMSTERDAM);
+
+        assert.strictEqual(data.provider.id, 'buienradar');
+        assert.strictEqual(data.fetched_at, cachedAt);
+        assert.strictEqual(data.measured_at, Date.parse('2024-10-15T12:40:00+02:00'));
+        assert.deepStrictEqual({ ...service.freshness(data) }, { status: 'stale', age: 105 * MINUTE });
+    }]
+];
+
+(async () => {
+    for (const [name, check] of checks) {
+        await check();
+        console.log(`ok ${name}`);
+    }
+})().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,294 @@
+// Demo Weather - generated weather for demo mode and as the last fallback. Seeded:
+// the same seed and time always give the same weather, so demo screens, screenshots
+// and bug reports can be reproduced (?demo=42, pinned to one moment with
+// ?demo=42&at=2024-07-02T14:00). Temperatures follow the season and
+// the time of day; the weather type of each day is drawn from the seed and the date.
+// No DOM access.
+
+const DEMO_DAY_MS = 24 * 60 * 60 * 1000;
+const DEMO_HOUR_MS = 60 * 60 * 1000;
+
+const DemoWeather = {
+    defaultSeed: 1,
+    timeZone: 'Europe/Amsterdam',
+    formatter: null, // Intl.DateTimeFormat for the Dutch wall clock, created on first use
+
+    // Independent random streams, so changing one quantity leaves the others alone
+    channels: {
+        dayType: 1,
+        dayTemp: 2,
+        hourTemp: 3,
+        wind: 4,
+        windDirection: 5,
+        humidity: 6,
+        pressure: 7,
+        rain: 8,
+        nowcast: 9
+    },
+
+    // Weather per day; weights make dry days the most common, like in the Netherlands
+    dayTypes: [
+        { weight: 3, condition: 'sunny', icon: '01', main: 'Clear', description: 'Zonnig', clouds: 0.1, pop: 0.05, rain: 0, amplitude: 5.5 },
+        { weight: 4, condition: 'partlyCloudy', icon: '02', main: 'Clouds', description: 'Half bewolkt', clouds: 0.5, pop: 0.15, rain: 0, amplitude: 4.5 },
+        { weight: 3, condition: 'cloudy', icon: '04', main: 'Clouds', description: 'Bewolkt', clouds: 0.85, pop: 0.3, rain: 0.5, amplitude: 2.5 },
+        { weight: 2, condition: 'showers', icon: '09', main: 'Rain', description: 'Buien', clouds: 0.65, pop: 0.6, rain: 3, amplitude: 3.5 },
+        { weight: 2, condition: 'rain', icon: '10', main: 'Rain', description: 'Regen', clouds: 0.95, pop: 0.85, rain: 7, amplitude: 2 },
+        { weight: 1, condition: 'thunderstorm', icon: '11', main: 'Thunderstorm', description: 'Onweer', clouds: 0.8, pop: 0.7, rain: 10, amplitude: 4 }
+    ],
+
+    snowType: { condition: 'snow', icon: '13', main: 'Snow', description: 'Sneeuw', clouds: 0.95, pop: 0.8, rain: 4, amplitude: 1.5 },
+
+    thunderMinTemp: 14, // Thunderstorms only on warm days; cooler days get showers
+    snowMaxTemp: 1.5, // Wet days this cold bring snow
+
+    // ?demo=42 or ?demo=storm; anything else (including an empty value) is the default seed
+    parseSeed(value) {
+        if (value === null || value === undefined || String(value).trim() === '') return this.defaultSeed;
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) return parseInt(text, 10) >>> 0;
+
+        // FNV-1a, so a word gives a stable seed too
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    // ?at=2024-07-02T14:00 (Dutch time) or with an offset (2024-07-02T12:00Z) to ms;
+    // null when absent or invalid
+    parseTime(value) {
+        const text = String(value ?? '').trim();
+        if (!text) return null;
+
+        const local = text.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(:\d{2})?)?$/);
+        if (local) {
+            const seconds = BuienradarFeed.parseLocalTime(`${local[1]}T${local[2] || '00:00'}${local[3] || ':00'}`);
+            return seconds === null ? null : seconds * 1000;
+        }
+
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? null : time;
+    },
+
+    // Number in [0, 1) that only depends on the seed and the integer keys (mulberry32)
+    random(seed, ...keys) {
+        let hash = seed >>> 0;
+        keys.forEach(key => {
+            hash = Math.imul(hash ^ (key | 0), 0x9e3779b1);
+            hash ^= hash >>> 16;
+        });
+
+        let t = (hash + 0x6d2b79f5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    // Smooth value in [0, 1): cosine interpolation between random values at whole positions
+    noise(seed, channel, position) {
+        const index = Math.floor(position);
+        const from = this.random(seed, channel, index);
+        const to = this.random(seed, channel, index + 1);
+        const eased = (1 - Math.cos((position - index) * Math.PI)) / 2;
+        return from + (to - from) * eased;
+    },
+
+    // Dutch wall clock for a time: { dayNumber (days since 1970-01-01), hour (0-24, fractional) }.
+    // One shared formatter; generating a week calls this thousands of times
+    localTime(time) {
+        this.formatter = this.formatter || new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        });
+        const parts = {};
+        this.formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return {
+            dayNumber: Math.round(Date.UTC(+parts.year, parts.month - 1, +parts.day) / DEMO_DAY_MS),
+            hour: +parts.hour + parts.minute / 60
+        };
+    },
+
+    dayNumber(time) {
+        return this.localTime(time).dayNumber;
+    },
+
+    dateKey(dayNumber) {
+        return new Date(dayNumber * DEMO_DAY_MS).toISOString().slice(0, 10);
+    },
+
+    // Daily mean temperature for a (fractional) day number: the Dutch seasonal
+    // cycle, coldest mid-January, plus a slow wander of a few degrees
+    meanTemperature(seed, position) {
+        const seasonal = 10 - 7.5 * Math.cos(2 * Math.PI * (position - 18) / 365.2425);
+        return seasonal + (this.noise(seed, this.channels.dayTemp, position / 3) - 0.5) * 8;
+    },
+
+    dayType(seed, dayNumber) {
+        const total = this.dayTypes.reduce((sum, type) => sum + type.weight, 0);
+        let pick = this.random(seed, this.channels.dayType, dayNumber) * total;
+        let type = this.dayTypes.find(candidate => (pick -= candidate.weight) < 0) || this.dayTypes[0];
+
+        const mean = this.meanTemperature(seed, dayNumber + 0.5);
+        if (type.condition === 'thunderstorm' && mean < this.thunderMinTemp) {
+            type = this.dayTypes.find(candidate => candidate.condition === 'showers');
+        }
+        if (type.rain > 1 && mean < this.snowMaxTemp) {
+            type = this.snowType;
+        }
+        return type;
+    },
+
+    temperature(seed, time) {
+        const { dayNumber, hour } = this.localTime(time);
+        const position = dayNumber + hour / 24;
+
+        // Amplitude blends into the next day's, so midnight has no jump
+        const today = this.dayType(seed, dayNumber).amplitude;
+        const amplitude = today + (this.dayType(seed, dayNumber + 1).amplitude - today) * hour / 24;
+
+        // Coldest around sunrise, warmest mid-afternoon
+        const cycle = Math.cos(2 * Math.PI * (hour - 15) / 24);
+        const wobble = (this.noise(seed, this.channels.hourTemp, position * 8) - 0.5) * 1.2;
+        return this.meanTemperature(seed, position) + amplitude * cycle + wobble;
+    },
+
+    windSpeed(seed, time) {
+        const position = time / DEMO_DAY_MS;
+        const type = this.dayType(seed, this.dayNumber(time));
+        const base = 2 + this.noise(seed, this.channels.wind, position * 2) * 6;
+        return base + (type.rain > 1 ? 3 : 0);
+    },
+
+    // Mostly from the south-west, turning slowly
+    windDirection(seed, time) {
+        const degrees = 225 + (this.noise(seed, this.channels.windDirection, time / DEMO_DAY_MS) - 0.5) * 240;
+        return ((degrees % 360) + 360) % 360;
+    },
+
+    feelsLike(temp, windSpeed) {
+        // Wind chill (KNMI formula) below 10 °C with some wind
+        const kmh = windSpeed * 3.6;
+        if (temp > 10 || kmh < 4.8) return temp;
+        return 13.12 + 0.6215 * temp - 11.37 * kmh ** 0.16 + 0.3965 * temp * kmh ** 0.16;
+    },
+
+    // Rain in mm for the hour starting at `time`
+    hourlyRain(seed, time) {
+        const type = this.dayType(seed, this.dayNumber(time));
+        if (!type.rain) return 0;
+        const shower = this.noise(seed, this.channels.rain, time / DEMO_HOUR_MS / 2);
+        return Math.max(0, shower - (1 - type.pop)) / type.pop * type.rain / 6;
+    },
+
+    weather(type) {
+        return {
+            main: type.main,
+            description: type.description,
+            condition: type.condition,
+            icon: `${type.icon}d` // Day/night variant follows the sun (applyDayNightIcons)
+        };
+    },
+
+    round(value, decimals = 1) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    },
+
+    // Full {current, hourly, daily} model for the given moment
+    generate({ seed = this.defaultSeed, now = Date.now() } = {}) {
+        const today = this.dayNumber(now);
+        const type = this.dayType(seed, today);
+        const temp = this.temperature(seed, now);
+        const windSpeed = this.windSpeed(seed, now);
+
+        const current = {
+            dt: Math.floor(now / 600000) * 600, // Measurements every 10 minutes, like the stations
+            temp: this.round(temp),
+            feels_like: this.round(this.feelsLike(temp, windSpeed)),
+            humidity: Math.min(100, Math.round(55 + type.clouds * 35 + this.noise(seed, this.channels.humidity, now / DEMO_HOUR_MS / 6) * 10)),
+            pressure: this.round(1013 + (this.noise(seed, this.channels.pressure, now / DEMO_DAY_MS / 1.5) - 0.5) * 36 - type.pop * 8),
+            visibility: type.rain > 1 ? 8000 : 25000,
+            wind_speed: this.round(windSpeed),
+            wind_deg: Math.round(this.windDirection(seed, now)),
+            wind_gust: this.round(windSpeed * 1.6),
+            wind_bft: Units.msToBeaufort(windSpeed),
+            rain_1h: this.round(this.hourlyRain(seed, now - DEMO_HOUR_MS)),
+            weather: [this.weather(type)],
+            pop: type.pop,
+            timezone: this.timeZone
+        };
+
+        // A week of hours from the current hour, enough for the day detail
+        const firstHour = Math.floor(now / DEMO_HOUR_MS) * DEMO_HOUR_MS;
+        const hourly = Array.from({ length: 7 * 24 }, (_, i) => {
+            const time = firstHour + i * DEMO_HOUR_MS;
+            const hourType = this.dayType(seed, this.dayNumber(time));
+            const rain = this.hourlyRain(seed, time);
+            return {
+                dt: time / 1000,
+                temp: this.round(this.temperature(seed, time)),
+                weather: [this.weather(hourType)],
+                pop: rain > 0 ? Math.max(hourType.pop, 0.5) : hourType.pop / 2,
+                rain: this.round(rain),
+                wind_speed: this.round(this.windSpeed(seed, time)),
+                wind_deg: Math.round(this.windDirection(seed, time))
+            };
+        });
+
+        const daily = Array.from({ length: 7 }, (_, i) => {
+            const dayNumber = today + i;
+            const dayType = this.dayType(seed, dayNumber);
+            const midnight = BuienradarFeed.parseLocalTime(`${this.dateKey(dayNumber)}T00:00:00`) * 1000;
+
+            // Extremes and totals from the same hourly curve the charts show
+            const hours = Array.from({ length: 24 }, (_, hour) => midnight + hour * DEMO_HOUR_MS);
+            const temps = hours.map(time => this.temperature(seed, time));
+            const rain = hours.reduce((total, time) => total + this.hourlyRain(seed, time), 0);
+            const maxWind = Math.max(...hours.map(time => this.windSpeed(seed, time)));
+            const min = this.round(Math.min(...temps));
+            const max = this.round(Math.max(...temps));
+
+            return {
+                dt: midnight / 1000,
+                missing: false,
+                temp: { min, max, day: this.round((min + max) / 2) },
+                weather: [this.weather(dayType)],
+                pop: dayType.pop,
+                rain_min: this.round(rain * 0.5),
+                rain_max: this.round(rain),
+                wind_bft: Units.msToBeaufort(maxWind),
+                wind_deg: Math.round(this.windDirection(seed, midnight + 12 * DEMO_HOUR_MS)),
+                sun_chance: Math.round((1 - dayType.clouds) * 100)
+            };
+        });
+
+        return {
+            current,
+            hourly,
+            daily,
+            timezone: this.timeZone,
+            provider: { id: 'demo', name: 'Demo' }
+        };
+    },
+
+    // The next two hours of rain in getrr.php format ("value|HH:MM" per 5 minutes)
+    nowcast(seed, now = Date.now()) {
+        const step = 5 * 60 * 1000;
+        const start = Math.floor(now / step) * step;
+        return Array.from({ length: 24 }, (_, i) => {
+            const time = start + i * step;
+            const type = this.dayType(seed, this.dayNumber(time));
+            const shower = this.noise(seed, this.channels.nowcast, time / step / 6);
+            const mmPerHour = type.rain ? Math.max(0, shower - (1 - type.pop)) / type.pop * type.rain / 2 : 0;
+
+            // getrr.php value: 109 + 32 * log10(mm/h), 0 for dry
+            const value = mmPerHour > 0.05 ? Math.round(109 + 32 * Math.log10(mmPerHour)) : 0;
+            const clock = new Date(time).toLocaleTimeString('nl-NL', { timeZone: this.timeZone, hour: '2-digit', minute: '2-digit' });
+            return `${String(Math.max(0, value)).padStart(3, '0')}|${clock}`;
+        }).join('\n');
+    }
+};
@@ -0,0 +1,111 @@
+// Weather Fixtures - replays recorded Buienradar responses from fixtures/ instead
+// of the network, to show rain, storms or snow on demand and to check rendering
+// without network access. Turned on with ?fixture=storm or in the settings.
+//
+// Fixture file (fixtures/buienradar-<scenario>.json):
+//   { scenario, description, recorded, feed, nowcast }
+//   recorded  ISO time the responses were captured
+//   feed      data.buienradar.nl/2.0/feed/json response
+//   nowcast   gps.buienradar.nl/getrr.php response text
+// On replay the times move forward, so the recording reads as the weather of today.
+
+const WeatherFixtures = {
+    scenarios: ['rain', 'storm', 'snow'],
+    timeZone: 'Europe/Amsterdam',
+    measurementStep: 10 * 60 * 1000, // Station measurements are 10-minute values
+    nowcastStep: 5 * 60 * 1000, // getrr.php steps
+
+    url(scenario) {
+        return `fixtures/buienradar-${scenario}.json`;
+    },
+
+    // Replayed fixture, read through the WeatherService (its fetch and clock)
+    async load(scenario, service) {
+        if (!this.scenarios.includes(scenario)) {
+            throw new Error(`Unknown fixture scenario: ${scenario}`);
+        }
+        return this.replay(await service.fetchJson(this.url(scenario)), service.now());
+    },
+
+    // Stands in for WeatherProviders.buienradar (same interface)
+    provider(scenario) {
+        return {
+            id: 'fixture',
+            name: `Buienradar fixture (${scenario})`,
+            covers: () => true,
+            fetch: async (location, service) => {
+                const { feed } = await this.load(scenario, service);
+                return service.convertBuienradarData(feed, location.lat, location.lon);
+            }
+        };
+    },
+
+    async loadNowcast(scenario, service) {
+        const { nowcast } = await this.load(scenario, service);
+        return nowcast;
+    },
+
+    // Recorded responses with their times moved to `now`
+    replay(fixture, now = Date.now()) {
+        const recorded = Date.parse(fixture.recorded);
+        const offset = Math.floor((now - recorded) / this.measurementStep) * this.measurementStep;
+        const days = this.daysBetween(recorded, now);
+
+        const feed = JSON.parse(JSON.stringify(fixture.feed || {}));
+        const actual = feed.actual || {};
+        (actual.stationmeasurements || []).forEach(station => {
+            station.timestamp = this.shiftLocalTime(station.timestamp, offset);
+        });
+        ['sunrise', 'sunset'].forEach(field => {
+            if (actual[field]) actual[field] = this.shiftLocalDate(actual[field], days);
+        });
+        (feed.forecast?.fivedayforecast || []).forEach(day => {
+            if (day.day) day.day = this.shiftLocalDate(day.day, days);
+        });
+
+        return {
+            scenario: fixture.scenario,
+            description: fixture.description || '',
+            feed,
+            nowcast: this.replayNowcast(fixture.nowcast, now)
+        };
+    },
+
+    // Dutch local time without an offset ("2024-10-15T14:10:00") moved by `ms`,
+    // across daylight saving changes
+    shiftLocalTime(text, ms) {
+        const seconds = BuienradarFeed.parseLocalTime(text);
+        if (seconds === null) return text;
+        return new Date(seconds * 1000 + ms)
+            .toLocaleString('sv-SE', { timeZone: this.timeZone })
+            .replace(' ', 'T');
+    },
+
+    // Same clock time, `days` calendar days later
+    shiftLocalDate(text, days) {
+        const dateKey = String(text).slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return text;
+        return `${BuienradarFeed.addDaysToKey(dateKey, days)}${String(text).slice(10)}`;
+    },
+
+    daysBetween(from, to) {
+        const dayStart = (time) => Date.parse(`${BuienradarFeed.getDateKey(new Date(time))}T00:00:00Z`);
+        return Math.round((dayStart(to) - dayStart(from)) / (24 * 60 * 60 * 1000));
+    },
+
+    // Recorded intensities on a fresh timeline from the current 5-minute slot
+    replayNowcast(text, now = Date.now()) {
+        const start = Math.floor(now / this.nowcastStep) * this.nowcastStep;
+        return String(text || '')
+            .trim()
+            .split('\n')
+            .filter(line => line.includes('|'))
+            .map((line, i) => {
+                const value = line.split('|')[0];
+                const time = new Date(start + i * this.nowcastStep)
+                    .toLocaleTimeString('nl-NL', { timeZone: this.timeZone, hour: '2-digit', minute: '2-digit' });
+                return `${value}|${time}`;
+            })
+            .join('\n');
+    }
+};
@@ -0,0 +1,4434 @@
+// Offline gazetteer for WeerApp - generated by generate_gazetteer.js, do not edit by hand
+// Data: municipalities from CBS and Statbel (2025), places from GeoNames
+// (https://www.geonames.org), licensed under CC BY 4.0
+//
+// provinces:      province names
+// municipalities: [name, provinceIndex, country]
+// places:         [name, lat, lon, population, municipalityIndex, type, aliases?]
+//                 type: 't' town/village, 'd' district, 'm' municipality without a namesake town
+const GAZETTEER_DATA = {
+    provinces: ["Antwerpen","Brussel","Drenthe","Flevoland","Friesland","Gelderland","Groningen","Henegouwen","Limburg","Luik","Luxemburg","Namen","Noord-Brabant","Noord-Holland","Oost-Vlaanderen","Overijssel","Utrecht","Vlaams-Brabant","Waals-Brabant","West-Vlaanderen","Zeeland","Zuid-Holland"],
+    municipalities: [
+        ["'s-Hertogenbosch",12,"NL"],
+        ["Aa en Hunze",2,"NL"],
+        ["Aalsmeer",13,"NL"],
+        ["Aalst",14,"BE"],
+        ["Aalten",5,"NL"],
+        ["Aalter",14,"BE"],
+        ["Aarschot",17,"BE"],
+        ["Aartselaar",0,"BE"],
+        ["Achtkarspelen",4,"NL"],
+        ["Affligem",17,"BE"],
+        ["Aiseau-Presles",7,"BE"],
+        ["Alblasserdam",21,"NL"],
+        ["Albrandswaard",21,"NL"],
+        ["Alken",8,"BE"],
+        ["Alkmaar",13,"NL"],
+        ["Almelo",15,"NL"],
+        ["Almere",3,"NL"],
+        ["Alphen aan den Rijn",21,"NL"],
+        ["Alphen-Chaam",12,"NL"],
+        ["Altena",12,"NL"],
+        ["Alveringem",19,"BE"],
+        ["Amay",9,"BE"],
+        ["Amel",9,"BE"],
+        ["Ameland",4,"NL"],
+        ["Amersfoort",16,"NL"],
+        ["Amstelveen",13,"NL"],
+        ["Amsterdam",13,"NL"],
+        ["Andenne",11,"BE"],
+        ["Anderlecht",1,"BE"],
+        ["Anderlues",7,"BE"],
+        ["Anhée",11,"BE"],
+        ["Ans",9,"BE"],
+        ["Anthisnes",9,"BE"],
+        ["Antoing",7,"BE"],
+        ["Antwerpen",0,"BE"],
+        ["Anzegem",19,"BE"],
+        ["Apeldoorn",5,"NL"],
+        ["Ardooie",19,"BE"],
+        ["Arendonk",0,"BE"],
+        ["Arlon",10,"BE"],
+        ["Arnhem",5,"NL"],
+        ["As",8,"BE"],
+        ["Asse",17,"BE"],
+        ["Assen",2,"NL"],
+        ["Assenede",14,"BE"],
+        ["Assesse",11,"BE"],
+        ["Asten",12,"NL"],
+        ["Ath",7,"BE"],
+        ["Attert",10,"BE"],
+        ["Aubange",10,"BE"],
+        ["Aubel",9,"BE"],
+        ["Avelgem",19,"BE"],
+        ["Awans",9,"BE"],
+        ["Aywaille",9,"BE"],
+        ["Baarle-Hertog",0,"BE"],
+        ["Baarle-Nassau",12,"NL"],
+        ["Baarn",16,"NL"],
+        ["Baelen",9,"BE"],
+        ["Balen",0,"BE"],
+        ["Barendrecht",21,"NL"],
+        ["Barneveld",5,"NL"],
+        ["Bassenge",9,"BE"],
+        ["Bastogne",10,"BE"],
+        ["Beaumont",7,"BE"],
+        ["Beauraing",11,"BE"],
+        ["Beauvechain",18,"BE"],
+        ["Beek",8,"NL"],
+        ["Beekdaelen",8,"NL"],
+        ["Beernem",19,"BE"],
+        ["Beerse",0,"BE"],
+        ["Beersel",17,"BE"],
+        ["Beesel",8,"NL"],
+        ["Begijnendijk",17,"BE"],
+        ["Bekkevoort",17,"BE"],
+        ["Beloeil",7,"BE"],
+        ["Berg en Dal",5,"NL"],
+        ["Bergeijk",12,"NL"],
+        ["Bergen",8,"NL"],
+        ["Bergen",13,"NL"],
+        ["Bergen op Zoom",12,"NL"],
+        ["Beringen",8,"BE"],
+        ["Berkelland",5,"NL"],
+        ["Berlaar",0,"BE"],
+        ["Berlare",14,"BE"],
+        ["Berloz",9,"BE"],
+        ["Bernheze",12,"NL"],
+        ["Bernissart",7,"BE"],
+        ["Bertem",17,"BE"],
+        ["Bertrix",10,"BE"],
+        ["Best",12,"NL"],
+        ["Beuningen",5,"NL"],
+        ["Bever",17,"BE"],
+        ["Beveren-Kruibeke-Zwijndrecht",14,"BE"],
+        ["Beverwijk",13,"NL"],
+        ["Beyne-Heusay",9,"BE"],
+        ["Bierbeek",17,"BE"],
+        ["Bièvre",11,"BE"],
+        ["Bilzen-Hoeselt",8,"BE"],
+        ["Binche",7,"BE"],
+        ["Bladel",12,"NL"],
+        ["Blankenberge",19,"BE"],
+        ["Blaricum",13,"NL"],
+        ["Blegny",9,"BE"],
+        ["Bloemendaal",13,"NL"],
+        ["Bocholt",8,"BE"],
+        ["Bodegraven-Reeuwijk",21,"NL"],
+        ["Boechout",0,"BE"],
+        ["Boekel",12,"NL"],
+        ["Bonheiden",0,"BE"],
+        ["Boom",0,"BE"],
+        ["Boortmeerbeek",17,"BE"],
+        ["Borger-Odoorn",2,"NL"],
+        ["Borne",15,"NL"],
+        ["Bornem",0,"BE"],
+        ["Borsele",20,"NL"],
+        ["Bouillon",10,"BE"],
+        ["Boussu",7,"BE"],
+        ["Boutersem",17,"BE"],
+        ["Boxtel",12,"NL"],
+        ["Braine-l'Alleud",18,"BE"],
+        ["Braine-le-Château",18,"BE"],
+        ["Braine-le-Comte",7,"BE"],
+        ["Braives",9,"BE"],
+        ["Brakel",14,"BE"],
+        ["Brasschaat",0,"BE"],
+        ["Brecht",0,"BE"],
+        ["Breda",12,"NL"],
+        ["Bredene",19,"BE"],
+        ["Bree",8,"BE"],
+        ["Bronckhorst",5,"NL"],
+        ["Brugelette",7,"BE"],
+        ["Brugge",19,"BE"],
+        ["Brummen",5,"NL"],
+        ["Brunehault",7,"BE"],
+        ["Brunssum",8,"NL"],
+        ["Brussel",1,"BE"],
+        ["Buggenhout",14,"BE"],
+        ["Büllingen",9,"BE"],
+        ["Bunnik",16,"NL"],
+        ["Bunschoten",16,"NL"],
+        ["Burdinne",9,"BE"],
+        ["Buren",5,"NL"],
+        ["Burg-Reuland",9,"BE"],
+        ["Bütgenbach",9,"BE"],
+        ["Capelle aan den IJssel",21,"NL"],
+        ["Castricum",13,"NL"],
+        ["Celles",7,"BE"],
+        ["Cerfontaine",11,"BE"],
+        ["Chapelle-lez-Herlaimont",7,"BE"],
+        ["Charleroi",7,"BE"],
+        ["Chastre",18,"BE"],
+        ["Châtelet",7,"BE"],
+        ["Chaudfontaine",9,"BE"],
+        ["Chaumont-Gistoux",18,"BE"],
+        ["Chièvres",7,"BE"],
+        ["Chimay",7,"BE"],
+        ["Chiny",10,"BE"],
+        ["Ciney",11,"BE"],
+        ["Clavier",9,"BE"],
+        ["Coevorden",2,"NL"],
+        ["Colfontaine",7,"BE"],
+        ["Comblain-au-Pont",9,"BE"],
+        ["Comines-Warneton",7,"BE"],
+        ["Courcelles",7,"BE"],
+        ["Court-Saint-Étienne",18,"BE"],
+        ["Couvin",11,"BE"],
+        ["Cranendonck",12,"NL"],
+        ["Crisnée",9,"BE"],
+        ["Culemborg",5,"NL"],
+        ["Dalfsen",15,"NL"],
+        ["Dalhem",9,"BE"],
+        ["Damme",19,"BE"],
+        ["Dantumadiel",4,"NL"],
+        ["Daverdisse",10,"BE"],
+        ["De Bilt",16,"NL"],
+        ["De Fryske Marren",4,"NL"],
+        ["De Haan",19,"BE"],
+        ["De Panne",19,"BE"],
+        ["De Pinte",14,"BE"],
+        ["De Ronde Venen",16,"NL"],
+        ["De Wolden",2,"NL"],
+        ["Deerlijk",19,"BE"],
+        ["Deinze",14,"BE"],
+        ["Delft",21,"NL"],
+        ["Den Haag",21,"NL"],
+        ["Den Helder",13,"NL"],
+        ["Denderleeuw",14,"BE"],
+        ["Dendermonde",14,"BE"],
+        ["Dentergem",19,"BE"],
+        ["Dessel",0,"BE"],
+        ["Destelbergen",14,"BE"],
+        ["Deurne",12,"NL"],
+        ["Deventer",15,"NL"],
+        ["Diemen",13,"NL"],
+        ["Diepenbeek",8,"BE"],
+        ["Diest",17,"BE"],
+        ["Dijk en Waard",13,"NL"],
+        ["Diksmuide",19,"BE"],
+        ["Dilbeek",17,"BE"],
+        ["Dilsen-Stokkem",8,"BE"],
+        ["Dinant",11,"BE"],
+        ["Dinkelland",15,"NL"],
+        ["Dison",9,"BE"],
+        ["Doesburg",5,"NL"],
+        ["Doetinchem",5,"NL"],
+        ["Doische",11,"BE"],
+        ["Donceel",9,"BE"],
+        ["Dongen",12,"NL"],
+        ["Dordrecht",21,"NL"],
+        ["Dour",7,"BE"],
+        ["Drechterland",13,"NL"],
+        ["Drimmelen",12,"NL"],
+        ["Drogenbos",17,"BE"],
+        ["Dronten",3,"NL"],
+        ["Druten",5,"NL"],
+        ["Duffel",0,"BE"],
+        ["Duiven",5,"NL"],
+        ["Durbuy",10,"BE"],
+        ["Écaussinnes",7,"BE"],
+        ["Echt-Susteren",8,"NL"],
+        ["Edam-Volendam",13,"NL"],
+        ["Ede",5,"NL"],
+        ["Edegem",0,"BE"],
+        ["Eeklo",14,"BE"],
+        ["Eemnes",16,"NL"],
+        ["Eemsdelta",6,"NL"],
+        ["Eersel",12,"NL"],
+        ["Éghezée",11,"BE"],
+        ["Eijsden-Margraten",8,"NL"],
+        ["Eindhoven",12,"NL"],
+        ["Elburg",5,"NL"],
+        ["Ellezelles",7,"BE"],
+        ["Elsene",1,"BE"],
+        ["Emmen",2,"NL"],
+        ["Enghien",7,"BE"],
+        ["Engis",9,"BE"],
+        ["Enkhuizen",13,"NL"],
+        ["Enschede",15,"NL"],
+        ["Epe",5,"NL"],
+        ["Érezée",10,"BE"],
+        ["Ermelo",5,"NL"],
+        ["Erpe-Mere",14,"BE"],
+        ["Erquelinnes",7,"BE"],
+        ["Esneux",9,"BE"],
+        ["Essen",0,"BE"],
+        ["Estaimpuis",7,"BE"],
+        ["Estinnes",7,"BE"],
+        ["Étalle",10,"BE"],
+        ["Etten-Leur",12,"NL"],
+        ["Etterbeek",1,"BE"],
+        ["Eupen",9,"BE"],
+        ["Evere",1,"BE"],
+        ["Evergem",14,"BE"],
+        ["Faimes",9,"BE"],
+        ["Farciennes",7,"BE"],
+        ["Fauvillers",10,"BE"],
+        ["Fernelmont",11,"BE"],
+        ["Ferrières",9,"BE"],
+        ["Fexhe-le-Haut-Clocher",9,"BE"],
+        ["Flémalle",9,"BE"],
+        ["Fléron",9,"BE"],
+        ["Fleurus",7,"BE"],
+        ["Flobecq",7,"BE"],
+        ["Floreffe",11,"BE"],
+        ["Florennes",11,"BE"],
+        ["Florenville",10,"BE"],
+        ["Fontaine-l'Évêque",7,"BE"],
+        ["Fosses-la-Ville",11,"BE"],
+        ["Frameries",7,"BE"],
+        ["Frasnes-lez-Anvaing",7,"BE"],
+        ["Froidchapelle",7,"BE"],
+        ["Ganshoren",1,"BE"],
+        ["Gavere",14,"BE"],
+        ["Gedinne",11,"BE"],
+        ["Geel",0,"BE"],
+        ["Geer",9,"BE"],
+        ["Geertruidenberg",12,"NL"],
+        ["Geetbets",17,"BE"],
+        ["Geldrop-Mierlo",12,"NL"],
+        ["Gembloux",11,"BE"],
+        ["Gemert-Bakel",12,"NL"],
+        ["Genappe",18,"BE"],
+        ["Genk",8,"BE"],
+        ["Gennep",8,"NL"],
+        ["Gent",14,"BE"],
+        ["Geraardsbergen",14,"BE"],
+        ["Gerpinnes",7,"BE"],
+        ["Gesves",11,"BE"],
+        ["Gilze en Rijen",12,"NL"],
+        ["Gingelom",8,"BE"],
+        ["Gistel",19,"BE"],
+        ["Glabbeek",17,"BE"],
+        ["Goeree-Overflakkee",21,"NL"],
+        ["Goes",20,"NL"],
+        ["Goirle",12,"NL"],
+        ["Gooise Meren",13,"NL"],
+        ["Gorinchem",21,"NL"],
+        ["Gouda",21,"NL"],
+        ["Gouvy",10,"BE"],
+        ["Grâce-Hollogne",9,"BE"],
+        ["Grez-Doiceau",18,"BE"],
+        ["Grimbergen",17,"BE"],
+        ["Grobbendonk",0,"BE"],
+        ["Groningen",6,"NL"],
+        ["Gulpen-Wittem",8,"NL"],
+        ["Haacht",17,"BE"],
+        ["Haaksbergen",15,"NL"],
+        ["Haaltert",14,"BE"],
+        ["Haarlem",13,"NL"],
+        ["Haarlemmermeer",13,"NL"],
+        ["Habay",10,"BE"],
+        ["Halderberge",12,"NL"],
+        ["Halen",8,"BE"],
+        ["Halle",17,"BE"],
+        ["Ham-sur-Heure-Nalinnes",7,"BE"],
+        ["Hamme",14,"BE"],
+        ["Hamoir",9,"BE"],
+        ["Hamois",11,"BE"],
+        ["Hamont-Achel",8,"BE"],
+        ["Hannut",9,"BE"],
+        ["Hardenberg",15,"NL"],
+        ["Harderwijk",5,"NL"],
+        ["Hardinxveld-Giessendam",21,"NL"],
+        ["Harelbeke",19,"BE"],
+        ["Harlingen",4,"NL"],
+        ["Hasselt",8,"BE"],
+        ["Hastière",11,"BE"],
+        ["Hattem",5,"NL"],
+        ["Havelange",11,"BE"],
+        ["Hechtel-Eksel",8,"BE"],
+        ["Heemskerk",13,"NL"],
+        ["Heemstede",13,"NL"],
+        ["Heerde",5,"NL"],
+        ["Heerenveen",4,"NL"],
+        ["Heerlen",8,"NL"],
+        ["Heers",8,"BE"],
+        ["Heeze-Leende",12,"NL"],
+        ["Heiloo",13,"NL"],
+        ["Heist-op-den-Berg",0,"BE"],
+        ["Hélécine",18,"BE"],
+        ["Hellendoorn",15,"NL"],
+        ["Helmond",12,"NL"],
+        ["Hemiksem",0,"BE"],
+        ["Hendrik-Ido-Ambacht",21,"NL"],
+        ["Hengelo",15,"NL"],
+        ["Hensies",7,"BE"],
+        ["Herbeumont",10,"BE"],
+        ["Herent",17,"BE"],
+        ["Herentals",0,"BE"],
+        ["Herenthout",0,"BE"],
+        ["Herk-de-Stad",8,"BE"],
+        ["Héron",9,"BE"],
+        ["Herselt",0,"BE"],
+        ["Herstal",9,"BE"],
+        ["Herstappe",8,"BE"],
+        ["Herve",9,"BE"],
+        ["Herzele",14,"BE"],
+        ["Het Hogeland",6,"NL"],
+        ["Heumen",5,"NL"],
+        ["Heusden",12,"NL"],
+        ["Heusden-Zolder",8,"BE"],
+        ["Heuvelland",19,"BE"],
+        ["Hillegom",21,"NL"],
+        ["Hilvarenbeek",12,"NL"],
+        ["Hilversum",13,"NL"],
+        ["Hoegaarden",17,"BE"],
+        ["Hoeilaart",17,"BE"],
+        ["Hoeksche Waard",21,"NL"],
+        ["Hof van Twente",15,"NL"],
+        ["Hollands Kroon",13,"NL"],
+        ["Holsbeek",17,"BE"],
+        ["Honnelles",7,"BE"],
+        ["Hoogeveen",2,"NL"],
+        ["Hooglede",19,"BE"],
+        ["Hoogstraten",0,"BE"],
+        ["Hoorn",13,"NL"],
+        ["Horebeke",14,"BE"],
+        ["Horst aan de Maas",8,"NL"],
+        ["Hotton",10,"BE"],
+        ["Houffalize",10,"BE"],
+        ["Houten",16,"NL"],
+        ["Houthalen-Helchteren",8,"BE"],
+        ["Houthulst",19,"BE"],
+        ["Houyet",11,"BE"],
+        ["Hove",0,"BE"],
+        ["Huizen",13,"NL"],
+        ["Huldenberg",17,"BE"],
+        ["Hulshout",0,"BE"],
+        ["Hulst",20,"NL"],
+        ["Huy",9,"BE"],
+        ["Ichtegem",19,"BE"],
+        ["Ieper",19,"BE"],
+        ["IJsselstein",16,"NL"],
+        ["Incourt",18,"BE"],
+        ["Ingelmunster",19,"BE"],
+        ["Ittre",18,"BE"],
+        ["Izegem",19,"BE"],
+        ["Jabbeke",19,"BE"],
+        ["Jalhay",9,"BE"],
+        ["Jemeppe-sur-Sambre",11,"BE"],
+        ["Jette",1,"BE"],
+        ["Jodoigne",18,"BE"],
+        ["Juprelle",9,"BE"],
+        ["Jurbise",7,"BE"],
+        ["Kaag en Braassem",21,"NL"],
+        ["Kalmthout",0,"BE"],
+        ["Kampen",15,"NL"],
+        ["Kampenhout",17,"BE"],
+        ["Kapelle",20,"NL"],
+        ["Kapelle-op-den-Bos",17,"BE"],
+        ["Kapellen",0,"BE"],
+        ["Kaprijke",14,"BE"],
+        ["Kasterlee",0,"BE"],
+        ["Katwijk",21,"NL"],
+        ["Keerbergen",17,"BE"],
+        ["Kelmis",9,"BE"],
+        ["Kerkrade",8,"NL"],
+        ["Kinrooi",8,"BE"],
+        ["Kluisbergen",14,"BE"],
+        ["Knokke-Heist",19,"BE"],
+        ["Koekelare",19,"BE"],
+        ["Koekelberg",1,"BE"],
+        ["Koggenland",13,"NL"],
+        ["Koksijde",19,"BE"],
+        ["Kontich",0,"BE"],
+        ["Kortemark",19,"BE"],
+        ["Kortenaken",17,"BE"],
+        ["Kortenberg",17,"BE"],
+        ["Kortrijk",19,"BE"],
+        ["Kraainem",17,"BE"],
+        ["Krimpen aan den IJssel",21,"NL"],
+        ["Krimpenerwaard",21,"NL"],
+        ["Kruisem",14,"BE"],
+        ["Kuurne",19,"BE"],
+        ["La Bruyère",11,"BE"],
+        ["La Hulpe",18,"BE"],
+        ["La Louvière",7,"BE"],
+        ["La Roche-en-Ardenne",10,"BE"],
+        ["Laakdal",0,"BE"],
+        ["Laarbeek",12,"NL"],
+        ["Laarne",14,"BE"],
+        ["Lanaken",8,"BE"],
+        ["Land van Cuijk",12,"NL"],
+        ["Landen",17,"BE"],
+        ["Landgraaf",8,"NL"],
+        ["Landsmeer",13,"NL"],
+        ["Langemark-Poelkapelle",19,"BE"],
+        ["Lansingerland",21,"NL"],
+        ["Laren",13,"NL"],
+        ["Lasne",18,"BE"],
+        ["Le Rœulx",7,"BE"],
+        ["Lebbeke",14,"BE"],
+        ["Lede",14,"BE"],
+        ["Ledegem",19,"BE"],
+        ["Leeuwarden",4,"NL"],
+        ["Léglise",10,"BE"],
+        ["Leiden",21,"NL"],
+        ["Leiderdorp",21,"NL"],
+        ["Leidschendam-Voorburg",21,"NL"],
+        ["Lelystad",3,"NL"],
+        ["Lendelede",19,"BE"],
+        ["Lennik",17,"BE"],
+        ["Lens",7,"BE"],
+        ["Leopoldsburg",8,"BE"],
+        ["Les Bons Villers",7,"BE"],
+        ["Lessines",7,"BE"],
+        ["Leudal",8,"NL"],
+        ["Leusden",16,"NL"],
+        ["Leuven",17,"BE"],
+        ["Leuze-en-Hainaut",7,"BE"],
+        ["Libin",10,"BE"],
+        ["Libramont-Chevigny",10,"BE"],
+        ["Lichtervelde",19,"BE"],
+        ["Liedekerke",17,"BE"],
+        ["Liège",9,"BE"],
+        ["Lier",0,"BE"],
+        ["Lierde",14,"BE"],
+        ["Lierneux",9,"BE"],
+        ["Lievegem",14,"BE"],
+        ["Lille",0,"BE"],
+        ["Limbourg",9,"BE"],
+        ["Lincent",9,"BE"],
+        ["Lingewaard",5,"NL"],
+        ["Linkebeek",17,"BE"],
+        ["Lint",0,"BE"],
+        ["Linter",17,"BE"],
+        ["Lisse",21,"NL"],
+        ["Lo-Reninge",19,"BE"],
+        ["Lobbes",7,"BE"],
+        ["Lochem",5,"NL"],
+        ["Lochristi",14,"BE"],
+        ["Lokeren",14,"BE"],
+        ["Lommel",8,"BE"],
+        ["Londerzeel",17,"BE"],
+        ["Lontzen",9,"BE"],
+        ["Loon op Zand",12,"NL"],
+        ["Lopik",16,"NL"],
+        ["Losser",15,"NL"],
+        ["Lubbeek",17,"BE"],
+        ["Lummen",8,"BE"],
+        ["Maarkedal",14,"BE"],
+        ["Maasdriel",5,"NL"],
+        ["Maaseik",8,"BE"],
+        ["Maasgouw",8,"NL"],
+        ["Maashorst",12,"NL"],
+        ["Maasmechelen",8,"BE"],
+        ["Maassluis",21,"NL"],
+        ["Maastricht",8,"NL"],
+        ["Machelen",17,"BE"],
+        ["Maldegem",14,"BE"],
+        ["Malle",0,"BE"],
+        ["Malmedy",9,"BE"],
+        ["Manage",7,"BE"],
+        ["Manhay",10,"BE"],
+        ["Marche-en-Famenne",10,"BE"],
+        ["Marchin",9,"BE"],
+        ["Martelange",10,"BE"],
+        ["Mechelen",0,"BE"],
+        ["Medemblik",13,"NL"],
+        ["Meerhout",0,"BE"],
+        ["Meerssen",8,"NL"],
+        ["Meierijstad",12,"NL"],
+        ["Meise",17,"BE"],
+        ["Meix-devant-Virton",10,"BE"],
+        ["Menen",19,"BE"],
+        ["Meppel",2,"NL"],
+        ["Merbes-le-Château",7,"BE"],
+        ["Merchtem",17,"BE"],
+        ["Merelbeke-Melle",14,"BE"],
+        ["Merksplas",0,"BE"],
+        ["Mesen",19,"BE"],
+        ["Messancy",10,"BE"],
+        ["Mettet",11,"BE"],
+        ["Middelburg",20,"NL"],
+        ["Middelkerke",19,"BE"],
+        ["Midden-Delfland",21,"NL"],
+        ["Midden-Drenthe",2,"NL"],
+        ["Midden-Groningen",6,"NL"],
+        ["Modave",9,"BE"],
+        ["Moerdijk",12,"NL"],
+        ["Mol",0,"BE"],
+        ["Molenlanden",21,"NL"],
+        ["Momignies",7,"BE"],
+        ["Mons",7,"BE"],
+        ["Mont-de-l'Enclus",7,"BE"],
+        ["Mont-Saint-Guibert",18,"BE"],
+        ["Montferland",5,"NL"],
+        ["Montfoort",16,"NL"],
+        ["Montigny-le-Tilleul",7,"BE"],
+        ["Mook en Middelaar",8,"NL"],
+        ["Moorslede",19,"BE"],
+        ["Morlanwelz",7,"BE"],
+        ["Mortsel",0,"BE"],
+        ["Mouscron",7,"BE"],
+        ["Musson",10,"BE"],
+        ["Namur",11,"BE"],
+        ["Nandrin",9,"BE"],
+        ["Nassogne",10,"BE"],
+        ["Nazareth-Latem",14,"BE"],
+        ["Neder-Betuwe",5,"NL"],
+        ["Nederweert",8,"NL"],
+        ["Neufchâteau",10,"BE"],
+        ["Neupré",9,"BE"],
+        ["Niel",0,"BE"],
+        ["Nieuwegein",16,"NL"],
+        ["Nieuwerkerken",8,"BE"],
+        ["Nieuwkoop",21,"NL"],
+        ["Nieuwpoort",19,"BE"],
+        ["Nijkerk",5,"NL"],
+        ["Nijlen",0,"BE"],
+        ["Nijmegen",5,"NL"],
+        ["Ninove",14,"BE"],
+        ["Nissewaard",21,"NL"],
+        ["Nivelles",18,"BE"],
+        ["Noardeast-Fryslân",4,"NL"],
+        ["Noord-Beveland",20,"NL"],
+        ["Noordenveld",2,"NL"],
+        ["Noordoostpolder",3,"NL"],
+        ["Noordwijk",21,"NL"],
+        ["Nuenen, Gerwen en Nederwetten",12,"NL"],
+        ["Nunspeet",5,"NL"],
+        ["Oegstgeest",21,"NL"],
+        ["Ohey",11,"BE"],
+        ["Oirschot",12,"NL"],
+        ["Oisterwijk",12,"NL"],
+        ["Oldambt",6,"NL"],
+        ["Oldebroek",5,"NL"],
+        ["Oldenzaal",15,"NL"],
+        ["Olen",0,"BE"],
+        ["Olne",9,"BE"],
+        ["Olst-Wijhe",15,"NL"],
+        ["Ommen",15,"NL"],
+        ["Onhaye",11,"BE"],
+        ["Oost Gelre",5,"NL"],
+        ["Oostende",19,"BE"],
+        ["Oosterhout",12,"NL"],
+        ["Oosterzele",14,"BE"],
+        ["Oostkamp",19,"BE"],
+        ["Oostrozebeke",19,"BE"],
+        ["Ooststellingwerf",4,"NL"],
+        ["Oostzaan",13,"NL"],
+        ["Opmeer",13,"NL"],
+        ["Opsterland",4,"NL"],
+        ["Opwijk",17,"BE"],
+        ["Oreye",9,"BE"],
+        ["Orp-Jauche",18,"BE"],
+        ["Oss",12,"NL"],
+        ["Ottignies-Louvain-la-Neuve",18,"BE"],
+        ["Oud-Heverlee",17,"BE"],
+        ["Oud-Turnhout",0,"BE"],
+        ["Oude IJsselstreek",5,"NL"],
+        ["Oudenaarde",14,"BE"],
+        ["Oudenburg",19,"BE"],
+        ["Ouder-Amstel",13,"NL"],
+        ["Oudergem",1,"BE"],
+        ["Oudewater",16,"NL"],
+        ["Oudsbergen",8,"BE"],
+        ["Ouffet",9,"BE"],
+        ["Oupeye",9,"BE"],
+        ["Overbetuwe",5,"NL"],
+        ["Overijse",17,"BE"],
+        ["Pajottegem",17,"BE"],
+        ["Paliseul",10,"BE"],
+        ["Papendrecht",21,"NL"],
+        ["Pecq",7,"BE"],
+        ["Peel en Maas",8,"NL"],
+        ["Peer",8,"BE"],
+        ["Pekela",6,"NL"],
+        ["Pelt",8,"BE"],
+        ["Pepingen",17,"BE"],
+        ["Pepinster",9,"BE"],
+        ["Péruwelz",7,"BE"],
+        ["Perwez",18,"BE"],
+        ["Philippeville",11,"BE"],
+        ["Pijnacker-Nootdorp",21,"NL"],
+        ["Pittem",19,"BE"],
+        ["Plombières",9,"BE"],
+        ["Pont-à-Celles",7,"BE"],
+        ["Poperinge",19,"BE"],
+        ["Profondeville",11,"BE"],
+        ["Purmerend",13,"NL"],
+        ["Putte",0,"BE"],
+        ["Putten",5,"NL"],
+        ["Puurs-Sint-Amands",0,"BE"],
+        ["Quaregnon",7,"BE"],
+        ["Quévy",7,"BE"],
+        ["Quiévrain",7,"BE"],
+        ["Raalte",15,"NL"],
+        ["Raeren",9,"BE"],
+        ["Ramillies",18,"BE"],
+        ["Ranst",0,"BE"],
+        ["Ravels",0,"BE"],
+        ["Rebecq",18,"BE"],
+        ["Reimerswaal",20,"NL"],
+        ["Remicourt",9,"BE"],
+        ["Rendeux",10,"BE"],
+        ["Renkum",5,"NL"],
+        ["Renswoude",16,"NL"],
+        ["Retie",0,"BE"],
+        ["Reusel-De Mierden",12,"NL"],
+        ["Rheden",5,"NL"],
+        ["Rhenen",16,"NL"],
+        ["Ridderkerk",21,"NL"],
+        ["Riemst",8,"BE"],
+        ["Rijkevorsel",0,"BE"],
+        ["Rijssen-Holten",15,"NL"],
+        ["Rijswijk",21,"NL"],
+        ["Rixensart",18,"BE"],
+        ["Rochefort",11,"BE"],
+        ["Roerdalen",8,"NL"],
+        ["Roermond",8,"NL"],
+        ["Roeselare",19,"BE"],
+        ["Ronse",14,"BE"],
+        ["Roosdaal",17,"BE"],
+        ["Roosendaal",12,"NL"],
+        ["Rotselaar",17,"BE"],
+        ["Rotterdam",21,"NL"],
+        ["Rouvroy",10,"BE"],
+        ["Rozendaal",5,"NL"],
+        ["Rucphen",12,"NL"],
+        ["Rumes",7,"BE"],
+        ["Rumst",0,"BE"],
+        ["Saint-Georges-sur-Meuse",9,"BE"],
+        ["Saint-Ghislain",7,"BE"],
+        ["Saint-Hubert",10,"BE"],
+        ["Saint-Léger",10,"BE"],
+        ["Saint-Nicolas",9,"BE"],
+        ["Sainte-Ode",10,"BE"],
+        ["Sambreville",11,"BE"],
+        ["Sankt Vith",9,"BE"],
+        ["Schaarbeek",1,"BE"],
+        ["Schagen",13,"NL"],
+        ["Schelle",0,"BE"],
+        ["Scherpenheuvel-Zichem",17,"BE"],
+        ["Scherpenzeel",5,"NL"],
+        ["Schiedam",21,"NL"],
+        ["Schiermonnikoog",4,"NL"],
+        ["Schilde",0,"BE"],
+        ["Schoten",0,"BE"],
+        ["Schouwen-Duiveland",20,"NL"],
+        ["Seneffe",7,"BE"],
+        ["Seraing",9,"BE"],
+        ["Silly",7,"BE"],
+        ["Simpelveld",8,"NL"],
+        ["Sint-Agatha-Berchem",1,"BE"],
+        ["Sint-Genesius-Rode",17,"BE"],
+        ["Sint-Gillis",1,"BE"],
+        ["Sint-Gillis-Waas",14,"BE"],
+        ["Sint-Jans-Molenbeek",1,"BE"],
+        ["Sint-Joost-ten-Node",1,"BE"],
+        ["Sint-Katelijne-Waver",0,"BE"],
+        ["Sint-Lambrechts-Woluwe",1,"BE"],
+        ["Sint-Laureins",14,"BE"],
+        ["Sint-Lievens-Houtem",14,"BE"],
+        ["Sint-Michielsgestel",12,"NL"],
+        ["Sint-Niklaas",14,"BE"],
+        ["Sint-Pieters-Leeuw",17,"BE"],
+        ["Sint-Pieters-Woluwe",1,"BE"],
+        ["Sint-Truiden",8,"BE"],
+        ["Sittard-Geleen",8,"NL"],
+        ["Sivry-Rance",7,"BE"],
+        ["Sliedrecht",21,"NL"],
+        ["Sluis",20,"NL"],
+        ["Smallingerland",4,"NL"],
+        ["Soest",16,"NL"],
+        ["Soignies",7,"BE"],
+        ["Sombreffe",11,"BE"],
+        ["Someren",12,"NL"],
+        ["Somme-Leuze",11,"BE"],
+        ["Son en Breugel",12,"NL"],
+        ["Soumagne",9,"BE"],
+        ["Spa",9,"BE"],
+        ["Spiere-Helkijn",19,"BE"],
+        ["Sprimont",9,"BE"],
+        ["Stabroek",0,"BE"],
+        ["Staden",19,"BE"],
+        ["Stadskanaal",6,"NL"],
+        ["Staphorst",15,"NL"],
+        ["Stavelot",9,"BE"],
+        ["Stede Broec",13,"NL"],
+        ["Steenbergen",12,"NL"],
+        ["Steenokkerzeel",17,"BE"],
+        ["Steenwijkerland",15,"NL"],
+        ["Stein",8,"NL"],
+        ["Stekene",14,"BE"],
+        ["Stichtse Vecht",16,"NL"],
+        ["Stoumont",9,"BE"],
+        ["Súdwest-Fryslân",4,"NL"],
+        ["Tellin",10,"BE"],
+        ["Temse",14,"BE"],
+        ["Tenneville",10,"BE"],
+        ["Ternat",17,"BE"],
+        ["Terneuzen",20,"NL"],
+        ["Terschelling",4,"NL"],
+        ["Tervuren",17,"BE"],
+        ["Tessenderlo-Ham",8,"BE"],
+        ["Texel",13,"NL"],
+        ["Teylingen",21,"NL"],
+        ["Theux",9,"BE"],
+        ["Thimister-Clermont",9,"BE"],
+        ["Tholen",20,"NL"],
+        ["Thuin",7,"BE"],
+        ["Tiel",5,"NL"],
+        ["Tielt",19,"BE"],
+        ["Tielt-Winge",17,"BE"],
+        ["Tienen",17,"BE"],
+        ["Tilburg",12,"NL"],
+        ["Tinlot",9,"BE"],
+        ["Tintigny",10,"BE"],
+        ["Tongeren-Borgloon",8,"BE"],
+        ["Torhout",19,"BE"],
+        ["Tournai",7,"BE"],
+        ["Tremelo",17,"BE"],
+        ["Trois-Ponts",9,"BE"],
+        ["Trooz",9,"BE"],
+        ["Tubbergen",15,"NL"],
+        ["Tubize",18,"BE"],
+        ["Turnhout",0,"BE"],
+        ["Twenterand",15,"NL"],
+        ["Tynaarlo",2,"NL"],
+        ["Tytsjerksteradiel",4,"NL"],
+        ["Uitgeest",13,"NL"],
+        ["Uithoorn",13,"NL"],
+        ["Ukkel",1,"BE"],
+        ["Urk",3,"NL"],
+        ["Utrecht",16,"NL"],
+        ["Utrechtse Heuvelrug",16,"NL"],
+        ["Vaals",8,"NL"],
+        ["Valkenburg aan de Geul",8,"NL"],
+        ["Valkenswaard",12,"NL"],
+        ["Vaux-sur-Sûre",10,"BE"],
+        ["Veendam",6,"NL"],
+        ["Veenendaal",16,"NL"],
+        ["Veere",20,"NL"],
+        ["Veldhoven",12,"NL"],
+        ["Velsen",13,"NL"],
+        ["Venlo",8,"NL"],
+        ["Venray",8,"NL"],
+        ["Verlaine",9,"BE"],
+        ["Verviers",9,"BE"],
+        ["Veurne",19,"BE"],
+        ["Vielsalm",10,"BE"],
+        ["Vijfheerenlanden",16,"NL"],
+        ["Villers-la-Ville",18,"BE"],
+        ["Villers-le-Bouillet",9,"BE"],
+        ["Vilvoorde",17,"BE"],
+        ["Viroinval",11,"BE"],
+        ["Virton",10,"BE"],
+        ["Visé",9,"BE"],
+        ["Vlaardingen",21,"NL"],
+        ["Vleteren",19,"BE"],
+        ["Vlieland",4,"NL"],
+        ["Vlissingen",20,"NL"],
+        ["Voeren",8,"BE"],
+        ["Voerendaal",8,"NL"],
+        ["Voorne aan Zee",21,"NL"],
+        ["Voorschoten",21,"NL"],
+        ["Voorst",5,"NL"],
+        ["Vorselaar",0,"BE"],
+        ["Vorst",1,"BE"],
+        ["Vosselaar",0,"BE"],
+        ["Vresse-sur-Semois",11,"BE"],
+        ["Vught",12,"NL"],
+        ["Waadhoeke",4,"NL"],
+        ["Waalre",12,"NL"],
+        ["Waalwijk",12,"NL"],
+        ["Waasmunster",14,"BE"],
+        ["Waddinxveen",21,"NL"],
+        ["Wageningen",5,"NL"],
+        ["Waimes",9,"BE"],
+        ["Walcourt",11,"BE"],
+        ["Walhain",18,"BE"],
+        ["Wanze",9,"BE"],
+        ["Waregem",19,"BE"],
+        ["Waremme",9,"BE"],
+        ["Wasseiges",9,"BE"],
+        ["Wassenaar",21,"NL"],
+        ["Waterland",13,"NL"],
+        ["Waterloo",18,"BE"],
+        ["Watermaal-Bosvoorde",1,"BE"],
+        ["Wavre",18,"BE"],
+        ["Weert",8,"NL"],
+        ["Welkenraedt",9,"BE"],
+        ["Wellen",8,"BE"],
+        ["Wellin",10,"BE"],
+        ["Wemmel",17,"BE"],
+        ["Wervik",19,"BE"],
+        ["West Betuwe",5,"NL"],
+        ["West Maas en Waal",5,"NL"],
+        ["Westerkwartier",6,"NL"],
+        ["Westerlo",0,"BE"],
+        ["Westerveld",2,"NL"],
+        ["Westervoort",5,"NL"],
+        ["Westerwolde",6,"NL"],
+        ["Westland",21,"NL"],
+        ["Weststellingwerf",4,"NL"],
+        ["Wetteren",14,"BE"],
+        ["Wevelgem",19,"BE"],
+        ["Wezembeek-Oppem",17,"BE"],
+        ["Wichelen",14,"BE"],
+        ["Wielsbeke",19,"BE"],
+        ["Wierden",15,"NL"],
+        ["Wijchen",5,"NL"],
+        ["Wijdemeren",13,"NL"],
+        ["Wijk bij Duurstede",16,"NL"],
+        ["Wijnegem",0,"BE"],
+        ["Willebroek",0,"BE"],
+        ["Wingene",19,"BE"],
+        ["Winterswijk",5,"NL"],
+        ["Woensdrecht",12,"NL"],
+        ["Woerden",16,"NL"],
+        ["Wommelgem",0,"BE"],
+        ["Wormerland",13,"NL"],
+        ["Wortegem-Petegem",14,"BE"],
+        ["Woudenberg",16,"NL"],
+        ["Wuustwezel",0,"BE"],
+        ["Yvoir",11,"BE"],
+        ["Zaanstad",13,"NL"],
+        ["Zaltbommel",5,"NL"],
+        ["Zandhoven",0,"BE"],
+        ["Zandvoort",13,"NL"],
+        ["Zaventem",17,"BE"],
+        ["Zedelgem",19,"BE"],
+        ["Zeewolde",3,"NL"],
+        ["Zeist",16,"NL"],
+        ["Zele",14,"BE"],
+        ["Zelzate",14,"BE"],
+        ["Zemst",17,"BE"],
+        ["Zevenaar",5,"NL"],
+        ["Zoersel",0,"BE"],
+        ["Zoetermeer",21,"NL"],
+        ["Zoeterwoude",21,"NL"],
+        ["Zonhoven",8,"BE"],
+        ["Zonnebeke",19,"BE"],
+        ["Zottegem",14,"BE"],
+        ["Zoutleeuw",17,"BE"],
+        ["Zuidplas",21,"NL"],
+        ["Zuienkerke",19,"BE"],
+        ["Zulte",14,"BE"],
+        ["Zundert",12,"NL"],
+        ["Zutendaal",8,"BE"],
+        ["Zutphen",5,"NL"],
+        ["Zwalm",14,"BE"],
+        ["Zwartewaterland",15,"NL"],
+        ["Zwevegem",19,"BE"],
+        ["Zwijndrecht",21,"NL"],
+        ["Zwolle",15,"NL"]
+    ],
+    places: [
+        ["'s Gravenmoer",51.6559,4.9408,2315,207,"t"],
+        ["'s-Gravenland",51.9234,4.5531,10000,676,"d"],
+        ["'s-Gravenvoeren",50.7587,5.7611,0,813,"t"],
+        ["'s-Gravenwezel",51.2627,4.5611,0,697,"t"],
+        ["'s-Gravenzande",52.0017,4.1653,19190,854,"t"],
+        ["'s-Heerenberg",51.8767,6.2588,4720,546,"t"],
+        ["'s-Hertogenbosch",51.6992,5.3042,134520,0,"t",["Den Bosch"]],
+        ["'t Hofke",51.4494,5.5193,3475,229,"d"],
+        ["'t Zand",52.8367,4.7556,2485,691,"t"],
+        ["Aa en Hunze",53.0072,6.7388,16530,1,"m"],
+        ["Aagtekerke",51.5467,3.5097,1245,793,"t"],
+        ["Aaigem",50.8892,3.9367,0,356,"t"],
+        ["Aalanden",52.5333,6.1007,0,906,"t"],
+        ["Aalbeke",50.7785,3.2295,0,857,"t"],
+        ["Aalburg",51.7548,5.1316,5788,19,"t"],
+        ["Aalden",52.79,6.7181,1625,159,"t"],
+        ["Aalsmeer",52.2592,4.7597,22991,2,"t"],
+        ["Aalst",50.936,4.0355,77534,3,"t",["Alost"]],
+        ["Aalst",51.3967,5.4778,3480,824,"d"],
+        ["Aalst",51.7825,5.1278,1580,878,"t"],
+        ["Aalten",51.925,6.5806,19141,4,"t"],
+        ["Aalter",51.0902,3.4469,18802,5,"t"],
+        ["Aardenburg",51.2733,3.4472,2005,722,"t"],
+        ["Aarle-Rixtel",51.5098,5.6384,5125,439,"t"],
+        ["Aarschot",50.9871,4.8369,27656,6,"t"],
+        ["Aarsele",50.9966,3.4195,0,188,"t"],
+        ["Aartrijke",51.1191,3.0908,0,882,"t"],
+        ["Aartselaar",51.1341,4.3868,14193,7,"t"],
+        ["Abbekerk",52.7317,5.0181,2110,518,"t"],
+        ["Abcoude",52.2725,4.9694,6920,179,"t"],
+        ["Abcoven",51.5275,5.0833,1325,294,"t"],
+        ["Abdissenbosch",50.9167,6.0333,1420,444,"d"],
+        ["Achel",51.253,5.4798,0,628,"t"],
+        ["Achêne",50.267,5.0454,0,157,"t"],
+        ["Achterveld",52.1358,5.4972,0,467,"t"],
+        ["Achtkarspelen",53.2117,6.1328,22060,8,"m"],
+        ["Acoz",50.359,4.5326,0,286,"t"],
+        ["Adegeest",52.1362,4.4525,2610,816,"d"],
+        ["Adegem",51.2051,3.4954,0,509,"t"],
+        ["Adinkerke",51.0741,2.5991,0,177,"t"],
+        ["Aduard",53.2567,6.4597,2030,849,"t"],
+        ["Afferden",51.88,5.6347,1405,214,"t"],
+        ["Affligem",50.8998,4.1147,0,9,"m"],
+        ["Agimont",50.1659,4.7958,0,205,"t"],
+        ["Aische-en-Refail",50.6001,4.8377,0,227,"t"],
+        ["Aiseau",50.4116,4.5867,10906,10,"t"],
+        ["Aiseau-Presles",50.4116,4.5867,10906,10,"m"],
+        ["Akersloot",52.5608,4.7333,0,145,"t"],
+        ["Akert",51.4141,5.5596,2000,278,"d"],
+        ["Akkrum",53.0502,5.8309,3440,333,"t"],
+        ["Alblasserdam",51.8658,4.6611,18348,11,"t"],
+        ["Albrandswaard",51.8575,4.4222,18250,12,"m"],
+        ["Aldeboarn",53.05,5.9,1525,333,"t"],
+        ["Aldlân-Oost",53.1886,5.8282,3850,454,"d"],
+        ["Alken",50.8755,5.3056,10933,13,"t"],
+        ["Alkmaar",52.6317,4.7486,94853,14,"t"],
+        ["Alleur",50.6746,5.5132,0,31,"t"],
+        ["Almelo",52.3567,6.6625,72725,15,"t"],
+        ["Almere",52.3702,5.2141,176432,16,"m"],
+        ["Almere Duin",52.3418,5.1413,0,16,"t"],
+        ["Almere Stad",52.3702,5.2141,176432,16,"t"],
+        ["Almkerk",51.7708,4.9597,2715,19,"t"],
+        ["Alphen",51.4817,4.9583,3160,18,"t"],
+        ["Alphen",51.8225,5.4708,0,848,"t"],
+        ["Alphen aan den Rijn",52.1292,4.6555,70251,17,"t"],
+        ["Alphen-Chaam",51.493,4.9126,5965,18,"m"],
+        ["Alsemberg",50.7413,4.3375,0,705,"t"],
+        ["Altena",51.7986,4.9749,58573,19,"m"],
+        ["Alteveer",53.0508,6.9944,0,736,"t"],
+        ["Alveringem",51.0124,2.7112,4910,20,"t"],
+        ["Alverna",51.8042,5.7597,1595,862,"t"],
+        ["Amay",50.5483,5.3097,13307,21,"t"],
+        ["Amby",50.8621,5.7323,6535,507,"t"],
+        ["Ameide",51.955,4.9625,0,802,"t"],
+        ["Amel",50.3536,6.17,5221,22,"t",["Amblève"]],
+        ["Ameland",53.4422,5.7054,2300,23,"m"],
+        ["America",51.4367,5.9792,1175,377,"t"],
+        ["Amerongen",52.0025,5.4597,5085,786,"t"],
+        ["Amersfoort",52.155,5.3875,139914,24,"t"],
+        ["Ammerstol",51.9275,4.8083,1580,431,"t"],
+        ["Ammerzoden",51.7492,5.2208,3040,501,"t"],
+        ["Amougies",50.7445,3.5067,0,544,"t"],
+        ["Ampsin",50.5415,5.2779,0,21,"t"],
+        ["Amstelveen",52.3008,4.8639,79639,25,"t"],
+        ["Amstelveldbuurt",52.364,4.8983,0,26,"t"],
+        ["Amstenrade",50.9392,5.9236,1740,67,"t"],
+        ["Amsterdam",52.374,4.8897,741636,26,"t"],
+        ["Amsterdam Nieuw-West",52.3565,4.8064,0,26,"t"],
+        ["Amsterdam-Centrum",52.3741,4.8994,0,26,"t"],
+        ["Amsterdam-Oost",52.3521,4.9335,0,26,"t"],
+        ["Amsterdam-West",52.3776,4.866,0,26,"t"],
+        ["Amsterdam-Zuid",52.3469,4.8768,0,26,"t"],
+        ["Amsterdam-Zuidoost",52.3075,4.9722,84811,26,"d"],
+        ["Andel",51.7833,5.0583,2245,19,"t"],
+        ["Andelst",51.9083,5.7292,2990,619,"t"],
+        ["Andenne",50.4894,5.0951,24055,27,"t"],
+        ["Anderlecht",50.8362,4.3145,0,28,"t"],
+        ["Anderlues",50.407,4.2714,11597,29,"t"],
+        ["Andijk",52.7467,5.2222,0,518,"t"],
+        ["Andrimont",50.613,5.8829,0,202,"t"],
+        ["Angelslo",52.7809,6.9264,7840,233,"d"],
+        ["Angeren",51.9158,5.9583,2275,482,"t"],
+        ["Angerlo",51.9958,6.1347,1130,888,"t"],
+        ["Angleur",50.6113,5.5994,0,474,"t"],
+        ["Anhée",50.3104,4.8783,7125,30,"t"],
+        ["Anjeliersbuurt-Noord",52.3793,4.8839,0,26,"t"],
+        ["Anjeliersbuurt-Zuid",52.3775,4.8823,0,26,"t"],
+        ["Ankeveense Rade",52.2589,5.1016,1110,863,"t"],
+        ["Anklaar",52.2311,5.985,3865,36,"d"],
+        ["Anna Paulowna",52.8608,4.8361,0,369,"t"],
+        ["Annen",53.0575,6.7194,3405,1,"t"],
+        ["Ans",50.6623,5.5203,27297,31,"t"],
+        ["Anseremme",50.24,4.899,0,200,"t"],
+        ["Anseroeul",50.7274,3.5237,0,544,"t"],
+        ["Antheit",50.5493,5.2402,0,832,"t"],
+        ["Anthisnes",50.4832,5.519,4116,32,"t"],
+        ["Antoing",50.5677,3.4492,7507,33,"t"],
+        ["Antwerpen",51.2205,4.4003,459805,34,"t",["Anvers","Antwerp"]],
+        ["Anvaing",50.6832,3.5614,0,269,"t"],
+        ["Anzegem",50.837,3.4779,13920,35,"t"],
+        ["Apeldoorn",52.21,5.9694,136670,36,"t"],
+        ["Appels",51.0322,4.0614,0,187,"t"],
+        ["Appelscha",52.9553,6.3505,4035,599,"t"],
+        ["Appelterre-Eichem",50.816,3.9781,0,571,"t"],
+        ["Appingedam",53.3217,6.8583,12364,225,"t"],
+        ["Arcen",51.4767,6.1806,8793,796,"t"],
+        ["Archennes",50.7526,4.6696,0,300,"t"],
+        ["Ardooie",50.9757,3.1974,9161,37,"t"],
+        ["Arendonk",51.3227,5.0829,12247,38,"t"],
+        ["Argenteau",50.7021,5.6845,0,618,"t"],
+        ["Arkel",51.8642,4.9944,2980,541,"t"],
+        ["Arlon",49.6833,5.8167,26179,39,"t",["Aarlen","Arel"]],
+        ["Arnemuiden",51.5017,3.675,5075,533,"t"],
+        ["Arnhem",51.98,5.9111,141674,40,"t"],
+        ["Arquennes",50.5677,4.2734,0,700,"t"],
+        ["Arsimont",50.4286,4.6387,0,688,"t"],
+        ["Arville",50.032,5.3167,0,684,"t"],
+        ["As",51.0076,5.5845,7250,41,"t"],
+        ["Aspelare",50.8419,3.9574,0,571,"t"],
+        ["Asper",50.9137,3.6513,0,432,"t"],
+        ["Asse",50.9101,4.1984,28985,42,"t"],
+        ["Assebroek",51.1937,3.2623,0,131,"t"],
+        ["Assen",52.9967,6.5625,62237,43,"t"],
+        ["Assendelft",52.4683,4.7431,0,877,"t"],
+        ["Assenede",51.226,3.7508,13495,44,"t"],
+        ["Assenois",49.8024,5.4637,0,561,"t"],
+        ["Assent",50.9519,5.0147,0,73,"t"],
+        ["Assesse",50.3693,5.022,6279,45,"t"],
+        ["Asten",51.4042,5.7486,9535,46,"t"],
+        ["Astene",50.9851,3.5665,0,182,"t"],
+        ["Ath",50.6294,3.778,26681,47,"t",["Aat"]],
+        ["Athus",49.5647,5.8374,0,49,"t"],
+        ["Attenhoven",50.7659,5.093,0,443,"t"],
+        ["Attenrode",50.8778,4.9244,0,291,"t"],
+        ["Attert",49.7503,5.7863,4491,48,"t"],
+        ["Aubange",49.5665,5.8049,14932,49,"t"],
+        ["Aubel",50.7019,5.8581,4119,50,"t"],
+        ["Augustinusga",53.2178,6.1617,1075,8,"t"],
+        ["Aulnois",50.3401,3.9041,0,645,"t"],
+        ["Austerlitz",52.08,5.3153,1440,884,"t"],
+        ["Autelbas",49.6481,5.868,0,39,"t"],
+        ["Autre-Église",50.6692,4.9038,0,649,"t"],
+        ["Auvelais",50.4504,4.6323,0,688,"t"],
+        ["Avelgem",50.7762,3.445,9106,51,"t"],
+        ["Avenhorn",52.6175,4.9514,2945,422,"t"],
+        ["Averbode",51.0289,4.9807,0,693,"t"],
+        ["Awans",50.6677,5.4633,8612,52,"t"],
+        ["Awirs",50.6001,5.4063,0,235,"t"],
+        ["Axel",51.2667,3.9083,8149,752,"t"],
+        ["Aye",50.2247,5.3006,0,514,"t"],
+        ["Ayeneux",50.608,5.7159,0,730,"t"],
+        ["Aywaille",50.4741,5.6768,10636,53,"t"],
+        ["Baal",50.9955,4.7532,0,772,"t"],
+        ["Baalder",52.5858,6.653,3470,320,"t"],
+        ["Baambrugge",52.2458,4.9889,1010,179,"t"],
+        ["Baardegem",50.9548,4.142,0,451,"t"],
+        ["Baardwijk",51.6925,5.0963,2165,825,"d"],
+        ["Baarle-Hertog",51.405,4.8923,2305,54,"t"],
+        ["Baarle-Nassau",51.4475,4.9292,2585,55,"t"],
+        ["Baarlo",51.3308,6.0944,5215,625,"t"],
+        ["Baarn",52.2117,5.2875,24584,56,"t"],
+        ["Baasrode",51.038,4.1546,0,187,"t"],
+        ["Babberich",51.9075,6.1111,1445,888,"t"],
+        ["Bachte-Maria-Leerne",51.0113,3.5814,0,182,"t"],
+        ["Badhoevedorp",52.3372,4.7852,0,309,"t"],
+        ["Baelen",50.6313,5.9743,3928,57,"t"],
+        ["Baflo",53.3625,6.5139,1730,357,"t"],
+        ["Baileux",50.0288,4.3753,0,155,"t"],
+        ["Baisy-Thy",50.5971,4.476,0,281,"t"],
+        ["Bakel",51.5033,5.7403,4140,280,"t"],
+        ["Bakenberg",52.0051,5.8771,1025,40,"d"],
+        ["Bakhuizen",52.8698,5.4593,1060,175,"t"],
+        ["Bakkeveen",53.0807,6.2567,1450,602,"t"],
+        ["Bakkum",52.5594,4.6572,0,145,"t"],
+        ["Balegem",50.9257,3.7908,0,596,"t"],
+        ["Balen",51.1684,5.1703,19978,58,"t"],
+        ["Balk",52.8976,5.5796,3915,175,"t"],
+        ["Ballast",52.6722,6.733,1710,159,"t"],
+        ["Bambrugge",50.9211,3.9299,0,241,"t"],
+        ["Bangert",52.7358,5.1801,1470,518,"t"],
+        ["Banholt",50.79,5.8083,1005,228,"t"],
+        ["Bant",52.7683,5.75,0,577,"t"],
+        ["Barchon",50.6689,5.7001,0,102,"t"],
+        ["Barendrecht",51.8567,4.5347,38672,59,"t"],
+        ["Barger-Oosterveld",52.77,6.9583,3090,233,"t"],
+        ["Bargeres",52.7615,6.8815,9060,233,"d"],
+        ["Barneveld",52.14,5.5847,28640,60,"t"],
+        ["Barry",50.5877,3.5427,0,469,"t"],
+        ["Barvaux",50.3483,5.4906,0,217,"t"],
+        ["Bas-Oha",50.5265,5.1922,0,832,"t"],
+        ["Bas-Warneton",50.7594,2.96,0,162,"t"],
+        ["Basècles",50.5255,3.6494,0,631,"t"],
+        ["Basse Lasne",50.695,4.4922,13861,449,"t"],
+        ["Bassenge",50.7588,5.6099,8151,61,"t",["Bitsingen"]],
+        ["Bassevelde",51.231,3.678,0,411,"t"],
+        ["Bassilly",50.6763,3.9339,0,702,"t"],
+        ["Bastogne",50.0035,5.7184,14395,62,"t",["Bastenaken"]],
+        ["Bathmen",52.25,6.2875,0,192,"t"],
+        ["Battice",50.6473,5.821,0,355,"t"],
+        ["Baudour",50.483,3.8332,0,683,"t"],
+        ["Bavegem",50.9444,3.865,0,713,"t"],
+        ["Bavel",51.5658,4.8306,5360,126,"d"],
+        ["Bavikhove",50.8753,3.3106,0,323,"t"],
+        ["Bazel",51.1474,4.3013,0,92,"t"],
+        ["Beaufays",50.5588,5.6388,0,152,"t"],
+        ["Beaumont",50.237,4.2393,6645,63,"t"],
+        ["Beauraing",50.1104,4.9555,8242,64,"t"],
+        ["Beauvechain",50.782,4.7718,6334,65,"t",["Bevekom"]],
+        ["Béclers",50.6212,3.5042,0,33,"t"],
+        ["Bedum",53.3008,6.6028,7765,357,"t"],
+        ["Beegden",51.1892,5.9194,1765,503,"t"],
+        ["Beek",50.9408,5.7972,8415,66,"t"],
+        ["Beek",51.5289,5.6338,5185,439,"t"],
+        ["Beek",51.1552,5.603,0,128,"t"],
+        ["Beek gem Montferland",51.9067,6.1875,1315,546,"t"],
+        ["Beekbergen",52.16,5.9639,2545,36,"t"],
+        ["Beekdaelen",50.9354,5.9016,27900,67,"m"],
+        ["Beernem",51.1398,3.339,14512,68,"t"],
+        ["Beers",51.7258,5.8278,1275,442,"t"],
+        ["Beersdal",50.906,5.9644,1620,334,"d"],
+        ["Beerse",51.3193,4.853,16208,69,"t"],
+        ["Beersel",50.7659,4.3002,23228,70,"t"],
+        ["Beerst",51.0598,2.885,0,197,"t"],
+        ["Beervelde",51.083,3.8864,0,490,"t"],
+        ["Beerzel",51.0575,4.6713,0,641,"t"],
+        ["Beesd",51.8875,5.1917,2980,847,"t"],
+        ["Beesel",51.2683,6.0389,2090,71,"t"],
+        ["Beetsterzwaag",53.0591,6.0771,3485,602,"t"],
+        ["Beez",50.4686,4.9117,0,555,"t"],
+        ["Begijnendijk",51.0194,4.7838,9178,72,"t"],
+        ["Beigem",50.9491,4.3691,0,301,"t"],
+        ["Beilen",52.8633,6.5139,9495,536,"t"],
+        ["Bekegem",51.1598,3.0457,0,397,"t"],
+        ["Bekkevoort",50.9407,4.969,5714,73,"t"],
+        ["Belcrum",51.5991,4.7699,3605,126,"d"],
+        ["Belfeld",51.3125,6.1153,0,796,"t"],
+        ["Belfort",50.847,5.6599,2645,507,"d"],
+        ["Belgrade",50.4714,4.8293,0,555,"t"],
+        ["Bellaire",50.6445,5.6658,0,94,"t"],
+        ["Bellecourt",50.484,4.254,0,148,"t"],
+        ["Bellefontaine",49.6643,5.4961,0,768,"t"],
+        ["Bellegem",50.7769,3.2793,0,904,"t"],
+        ["Bellem",51.094,3.4928,0,5,"t"],
+        ["Bellevaux-Ligneuville",50.3895,6.0109,0,511,"t"],
+        ["Bellingwolde",53.1158,7.1653,2290,853,"t"],
+        ["Beloeil",50.5505,3.7348,13405,74,"t"],
+        ["Belsele",51.146,4.0886,0,715,"t"],
+        ["Beltrum",52.0667,6.5639,1285,81,"t"],
+        ["Bemmel",51.8917,5.8986,12020,482,"t"],
+        ["Ben-Ahin",50.5042,5.1868,0,389,"t"],
+        ["Beneden-Leeuwen",51.8825,5.5153,0,848,"t"],
+        ["Bennebroek",52.3208,4.5986,5140,103,"t"],
+        ["Bennekom",51.9983,5.6764,14810,221,"t"],
+        ["Benthuizen",52.0775,4.5444,18959,17,"t"],
+        ["Bentveld",52.365,4.5722,0,880,"t"],
+        ["Berbroek",50.9503,5.209,0,350,"t"],
+        ["Berchem",51.1902,4.4326,0,552,"t"],
+        ["Berchem",50.7902,3.5132,0,418,"t"],
+        ["Berg",50.8617,5.7833,3200,788,"t"],
+        ["Berg",51.0042,5.7708,1985,743,"t"],
+        ["Berg",50.9306,4.5434,0,407,"t"],
+        ["Berg en Bos",52.2201,5.9334,1995,36,"d"],
+        ["Berg en Dal",51.8217,5.9167,1949,75,"t"],
+        ["Bergeijk",51.3192,5.3583,18181,76,"t"],
+        ["Bergen",51.5448,6.1044,3725,77,"m"],
+        ["Bergen",52.6692,4.7042,0,78,"t"],
+        ["Bergen op Zoom",51.495,4.2917,66256,79,"t"],
+        ["Bergharen",51.8508,5.6694,1370,862,"t"],
+        ["Berghem",51.7699,5.5683,6500,606,"t"],
+        ["Bergschenhoek",51.99,4.4986,16579,447,"t"],
+        ["Bergstoep",51.9225,4.7847,1205,431,"t"],
+        ["Beringe",51.3367,5.9486,1925,625,"t"],
+        ["Beringen",51.0495,5.2261,40930,80,"t"],
+        ["Berkel en Rodenrijs",51.9931,4.4787,20189,447,"t"],
+        ["Berkelland",52.1076,6.58,41821,81,"m"],
+        ["Berkenwoude",51.945,4.7069,1390,431,"t"],
+        ["Berkhout",52.6408,5.0014,1905,422,"t"],
+        ["Berkum",52.5239,6.1365,3720,906,"d"],
+        ["Berlaar",51.1176,4.6584,10370,82,"t"],
+        ["Berlare",51.0333,4,13853,83,"t"],
+        ["Berlicum",51.6775,5.4,4250,714,"t"],
+        ["Berloz",50.6983,5.2124,2770,84,"t"],
+        ["Berltsum",53.2437,5.651,2530,823,"t"],
+        ["Bernheze",51.6986,5.5206,29810,85,"m"],
+        ["Bernissart",50.4746,3.6496,11588,86,"t"],
+        ["Bertem",50.864,4.6292,9215,87,"t"],
+        ["Bertogne",50.0836,5.6669,2852,62,"t"],
+        ["Bertrix",49.856,5.2554,8063,88,"t"],
+        ["Beselare",50.8481,3.0245,0,893,"t"],
+        ["Besoijen",51.6833,5.05,3770,825,"d"],
+        ["Best",51.5075,5.3903,29074,89,"t"],
+        ["Besterd",51.5638,5.0866,3395,766,"d"],
+        ["Betekom",50.9868,4.7819,0,72,"t"],
+        ["Beuningen",51.8608,5.7667,25557,90,"t"],
+        ["Beusichem",51.95,5.2917,2750,141,"t"],
+        ["Beuzet",50.5336,4.7452,0,279,"t"],
+        ["Bevel",51.1378,4.6803,0,569,"t"],
+        ["Bever",50.9167,4.3167,1932,91,"t",["Biévène"]],
+        ["Bever",50.7163,3.9412,0,621,"t"],
+        ["Bévercé",50.441,6.0354,0,511,"t"],
+        ["Bevere",50.8496,3.5873,0,611,"t"],
+        ["Beveren",51.2119,4.2563,45179,92,"t"],
+        ["Beveren",50.9726,3.1439,0,671,"t"],
+        ["Beveren-Kruibeke-Zwijndrecht",51.2059,4.2837,78243,92,"m"],
+        ["Beveren-Leie",50.8754,3.3403,0,181,"t"],
+        ["Beverlo",51.0865,5.2185,0,463,"t"],
+        ["Beverst",50.8909,5.4755,0,97,"t"],
+        ["Beverwijk",52.4833,4.6569,37585,93,"t"],
+        ["Beyne-Heusay",50.6225,5.6651,11608,94,"t"],
+        ["Biddinghuizen",52.455,5.6931,5010,213,"t"],
+        ["Bierbeek",50.8288,4.7595,8994,95,"t"],
+        ["Biercée",50.3242,4.2594,0,761,"t"],
+        ["Bierges",50.7114,4.5866,0,840,"t"],
+        ["Bierghes",50.6958,4.1192,0,652,"t"],
+        ["Bierset",50.655,5.451,0,52,"t"],
+        ["Biesdonk",51.6061,4.7851,4970,126,"d"],
+        ["Biesland",50.8411,5.6757,1505,507,"d"],
+        ["Biesme",50.3402,4.6105,0,532,"t"],
+        ["Bièvre",49.9408,5.0159,3207,96,"t"],
+        ["Biez",50.7237,4.7136,0,300,"t"],
+        ["Bihain",50.2395,5.8085,0,801,"t"],
+        ["Bijvanck",52.2859,5.2653,4560,101,"t"],
+        ["Bilgaard",53.2155,5.7957,6105,454,"d"],
+        ["Bilstain",50.6221,5.9209,0,480,"t"],
+        ["Bilthoven",52.13,5.2014,0,174,"t"],
+        ["Bilzen",50.8732,5.5184,29622,97,"t"],
+        ["Bilzen-Hoeselt",50.867,5.5111,38887,97,"m"],
+        ["Binche",50.4115,4.1647,32030,98,"t"],
+        ["Binkom",50.8716,4.8841,0,498,"t"],
+        ["Binnenhof",52.1642,4.5364,1400,457,"d"],
+        ["Binnenstad",52.213,5.9596,4900,36,"d"],
+        ["Bioul",50.3315,4.7962,0,876,"t"],
+        ["Bissegem",50.8238,3.2284,0,428,"t"],
+        ["Bitswijk",51.6687,5.6092,4030,504,"t"],
+        ["Blaarthem",51.425,5.4578,2465,229,"d"],
+        ["Blaasveld",51.0558,4.3767,0,866,"t"],
+        ["Bladel",51.3683,5.2208,9785,99,"t"],
+        ["Blanden",50.8262,4.7102,0,608,"t"],
+        ["Blankenberge",51.3131,3.1323,18230,100,"t"],
+        ["Blaricum",52.2725,5.2417,5060,101,"t"],
+        ["Blaton",50.5004,3.6601,0,86,"t"],
+        ["Blaugies",50.3722,3.8058,0,209,"t"],
+        ["Blauwput",50.8859,4.7241,0,468,"t"],
+        ["Blegny",50.6726,5.7251,12745,102,"t",["Blégny"]],
+        ["Bléharies",50.5126,3.4125,0,33,"t"],
+        ["Bleijerheide",50.8554,6.0679,4285,416,"d"],
+        ["Bleiswijk",52.0108,4.5319,10549,447,"t"],
+        ["Blerick",51.3717,6.1486,0,796,"t"],
+        ["Bleskensgraaf",51.8725,4.7833,2800,541,"t"],
+        ["Blijham",53.1092,7.0764,2060,853,"t"],
+        ["Blitterswijck",51.5308,6.1083,1105,797,"t"],
+        ["Bloemendaal",52.0288,4.6944,9900,297,"d"],
+        ["Bloemendaal",52.4025,4.6222,3905,103,"t"],
+        ["Bloemhof",51.8972,4.4994,13715,676,"d"],
+        ["Blokzijl",52.7267,5.9611,1110,742,"t"],
+        ["Bocholt",51.1734,5.5799,12346,104,"t"],
+        ["Bocholtz",50.8183,6.0056,4340,703,"t"],
+        ["Bodegraven",52.0825,4.75,19395,105,"t"],
+        ["Bodegraven-Reeuwijk",52.0675,4.7478,36397,105,"m"],
+        ["Boechout",51.1596,4.492,12145,106,"t"],
+        ["Boekel",51.6033,5.675,5480,107,"t"],
+        ["Boekhoute",51.2586,3.7178,0,44,"t"],
+        ["Boezinge",50.8967,2.8542,0,446,"t"],
+        ["Bois-d'Haine",50.5018,4.2156,0,512,"t"],
+        ["Bois-de-Lessines",50.6966,3.8961,0,465,"t"],
+        ["Bois-de-Villers",50.3903,4.8241,0,639,"t"],
+        ["Bolnes",51.895,4.5792,7650,662,"t"],
+        ["Bolsward",53.0656,5.5318,9160,747,"t"],
+        ["Bomal",50.3763,5.5238,0,217,"t"],
+        ["Bon-Secours",50.498,3.6082,0,631,"t"],
+        ["Boncelles",50.5711,5.5362,0,701,"t"],
+        ["Bonheiden",51.0226,4.5471,14260,108,"t"],
+        ["Bonlez",50.7021,4.6886,0,153,"t"],
+        ["Bonnert",49.7113,5.8186,0,39,"t"],
+        ["Bonneville",50.4728,5.0387,0,27,"t"],
+        ["Booischot",51.0522,4.7751,0,387,"t"],
+        ["Boom",51.0924,4.3717,15810,109,"t"],
+        ["Boornbergum",53.0828,6.0458,1660,723,"t"],
+        ["Boorsem",50.9421,5.719,0,505,"t"],
+        ["Boortmeerbeek",50.9793,4.5744,11570,110,"t"],
+        ["Borchtlombeek",50.8479,4.1388,0,751,"t"],
+        ["Borculo",52.1158,6.5222,10373,81,"t"],
+        ["Borgele",52.2763,6.1493,3580,192,"d"],
+        ["Borger",52.9233,6.7931,4570,111,"t"],
+        ["Borger-Odoorn",52.9093,6.8942,19480,111,"m"],
+        ["Borgerhout",51.2096,4.4354,0,34,"t"],
+        ["Borgharen",50.8775,5.6875,1735,507,"t"],
+        ["Borgloon",50.8051,5.3437,9955,769,"t",["Looz"]],
+        ["Born",51.0317,5.8097,2430,719,"t"],
+        ["Borne",52.3014,6.7482,20550,112,"t"],
+        ["Bornem",51.0972,4.2436,19997,113,"t"],
+        ["Borsbeek",51.1966,4.4854,10334,34,"t"],
+        ["Borsbeke",50.9063,3.89,0,356,"t"],
+        ["Borsele",51.4233,3.7347,22285,114,"m"],
+        ["Borssele",51.4233,3.7347,22285,114,"t"],
+        ["Bosch en Duin",52.1167,5.2417,1675,884,"t"],
+        ["Boskamp",52.3308,6.1278,1150,590,"t"],
+        ["Boskoop",52.075,4.6556,15222,17,"t"],
+        ["Bosschenhoofd",51.5608,4.5403,1925,311,"t"],
+        ["Bossière",50.5185,4.696,0,279,"t"],
+        ["Bossut-Gottechain",50.7582,4.6951,0,300,"t"],
+        ["Bost",50.7888,4.9408,0,765,"t"],
+        ["Bottelare",50.9641,3.7549,0,596,"t"],
+        ["Bouffioulx",50.3912,4.5155,0,151,"t"],
+        ["Bouge",50.4719,4.8922,0,555,"t"],
+        ["Bouillon",49.7932,5.067,5347,115,"t"],
+        ["Boussoit",50.4595,4.0824,0,450,"t"],
+        ["Boussu",50.4342,3.7944,20058,116,"t"],
+        ["Bousval",50.6166,4.508,0,281,"t"],
+        ["Boutersem",50.8411,4.8337,7702,117,"t"],
+        ["Bouwel",51.1729,4.7418,0,302,"t"],
+        ["Bovekerke",51.0543,2.9632,0,420,"t"],
+        ["Boven-Hardinxveld",51.8233,4.8819,4500,322,"t"],
+        ["Boven-Leeuwen",51.885,5.5528,0,848,"t"],
+        ["Bovigny",50.2242,5.9169,0,298,"t"],
+        ["Boxmeer",51.6467,5.9472,12407,442,"t"],
+        ["Boxtel",51.5908,5.3292,29511,118,"t"],
+        ["Brabander",51.5358,5.9681,1680,797,"t"],
+        ["Brachterbeek",51.1469,5.9045,1220,503,"t"],
+        ["Bracquegnies",50.4709,4.1197,0,450,"t"],
+        ["Braine-l'Alleud",50.6836,4.3678,37512,119,"t",["Eigenbrakel"]],
+        ["Braine-le-Château",50.6799,4.2739,9627,120,"t",["Kasteelbrakel"]],
+        ["Braine-le-Comte",50.6098,4.1466,20133,121,"t",["'s-Gravenbrakel"]],
+        ["Braives",50.6285,5.148,5672,122,"t"],
+        ["Brakel",51.8175,5.0903,2555,878,"t"],
+        ["Brakel",50.801,3.7626,0,123,"t"],
+        ["Brakkenstein",51.8132,5.8654,3755,570,"d"],
+        ["Brand",51.4584,5.6243,1270,278,"t"],
+        ["Bras",49.9709,5.3948,0,471,"t"],
+        ["Brasschaat",51.2912,4.4918,37040,124,"t"],
+        ["Bray",50.4324,4.1059,0,246,"t"],
+        ["Brecht",51.3502,4.6383,25908,125,"t"],
+        ["Breda",51.5866,4.776,167673,126,"t"],
+        ["Bredene",51.2349,2.9756,14862,127,"t"],
+        ["Bredevoort",51.9417,6.6208,1405,4,"t"],
+        ["Bredeweg",51.7602,5.9419,2500,75,"t"],
+        ["Bree",51.1415,5.5969,14363,128,"t"],
+        ["Breendonk",51.043,4.3236,0,866,"t"],
+        ["Breezand",52.89,4.8042,3370,369,"t"],
+        ["Breskens",51.3958,3.5556,4335,722,"t"],
+        ["Bressoux",50.6399,5.6063,0,474,"t"],
+        ["Breugel",51.5175,5.5111,1055,729,"t"],
+        ["Breukelen",52.1742,5.0014,14498,745,"t"],
+        ["Brielle",51.9017,4.1625,2765,815,"t"],
+        ["Brinkhorst",52.213,5.9517,3070,36,"d"],
+        ["Broechem",51.1813,4.6018,0,650,"t"],
+        ["Broek in Waterland",52.4342,4.9958,2655,837,"t"],
+        ["Broek op Langedijk",52.6742,4.8056,5695,196,"t"],
+        ["Broekhem",50.8712,5.8207,1960,788,"t"],
+        ["Broekhoven",51.548,5.0918,7420,766,"d"],
+        ["Broeksittard",51.0029,5.8951,1550,719,"t"],
+        ["Broeksterwâld",53.2747,5.9965,1115,172,"t"],
+        ["Bronckhorst",52.0491,6.3041,19180,129,"m"],
+        ["Brouwershaven",51.7267,3.9125,1275,699,"t"],
+        ["Bruchem",51.7867,5.2361,1370,878,"t"],
+        ["Brugelette",50.5958,3.8536,3358,130,"t"],
+        ["Brugge",51.2089,3.2242,116709,131,"t",["Bruges"]],
+        ["Bruinisse",51.6617,4.0944,3100,699,"t"],
+        ["Brukske",51.521,5.9927,4955,797,"d"],
+        ["Brummelhof",52.205,5.9679,3455,36,"d"],
+        ["Brummen",52.09,6.1556,21344,132,"t"],
+        ["Brunehault",50.5052,4.4321,7592,133,"t"],
+        ["Brunnepe",52.5618,5.9034,3780,406,"d"],
+        ["Brunssum",50.9467,5.9708,29254,134,"t"],
+        ["Brussegem",50.9256,4.2668,0,845,"t"],
+        ["Brussel",50.8505,4.3488,1019022,135,"t",["Brussels","Bruxelles","Brüssel"]],
+        ["Brustem",50.8049,5.2226,0,718,"t"],
+        ["Buchten",51.0433,5.8097,2015,719,"t"],
+        ["Budel",51.2717,5.575,7895,166,"t"],
+        ["Budel-Dorplein",51.2367,5.5875,1540,166,"t"],
+        ["Budel-Schoot",51.2475,5.5653,1860,166,"t"],
+        ["Budingen",50.8651,5.0985,0,277,"t"],
+        ["Budschop",51.2851,5.759,1550,560,"t"],
+        ["Buggenhout",51.0159,4.2017,13510,136,"t"],
+        ["Buissonville",50.2167,5.2,0,668,"t"],
+        ["Buitenpost",53.2517,6.1448,5120,8,"t"],
+        ["Buizingen",50.7423,4.2528,0,313,"t"],
+        ["Büllingen",50.4073,6.2575,5340,137,"t",["Bullange"]],
+        ["Bunde",50.8967,5.7319,5500,520,"t"],
+        ["Bunnik",52.0667,5.1986,6315,138,"t"],
+        ["Bunsbeek",50.8417,4.9452,0,291,"t"],
+        ["Bunschoten",52.243,5.3788,3015,139,"t"],
+        ["Burcht",51.2039,4.3429,0,92,"t"],
+        ["Burdaard",53.2942,5.879,1166,574,"t"],
+        ["Burdinne",50.5845,5.0766,2799,140,"t"],
+        ["Buren",51.9117,5.3319,0,141,"t"],
+        ["Burg-Reuland",50.2073,6.1048,0,142,"m"],
+        ["Burgemeesterswijk",51.9894,5.896,2850,40,"d"],
+        ["Burgum",53.1924,5.9901,9720,780,"t"],
+        ["Burgwallen-Nieuwe Zijde",52.3752,4.8907,0,26,"t"],
+        ["Burgwallen-Oost",52.3729,4.8985,0,26,"t"],
+        ["Burgwallen-Oude Zijde",52.3727,4.8969,0,26,"t"],
+        ["Burst",50.915,3.9164,0,356,"t"],
+        ["Bussum",52.2733,5.1611,31334,295,"t"],
+        ["Bütgenbach",50.4269,6.205,5516,143,"t",["Butgenbach"]],
+        ["Butterhuizen",52.65,4.8167,0,196,"t"],
+        ["Buvrinnes",50.3887,4.2054,0,98,"t"],
+        ["Buzet",50.5404,4.37,0,637,"t"],
+        ["Callantsoog",52.84,4.6958,2420,691,"t"],
+        ["Cambron-Saint-Vincent",50.5849,3.9219,0,462,"t"],
+        ["Camminghaburen",53.2097,5.8432,11500,454,"d"],
+        ["Capelle aan den IJssel",51.9292,4.5778,65255,144,"t"],
+        ["Capelle-West",51.9167,4.5667,2400,144,"d"],
+        ["Carnières",50.4443,4.2551,0,551,"t"],
+        ["Carnisse",51.8893,4.4776,11225,59,"t"],
+        ["Casteau",50.5123,4.0112,0,450,"t"],
+        ["Castricum",52.5483,4.6694,35256,145,"t"],
+        ["Celles",50.7123,3.4573,5471,146,"t"],
+        ["Celles",50.6544,5.2467,0,253,"t"],
+        ["Cerexhe-Heuseux",50.6541,5.726,0,102,"t"],
+        ["Cerfontaine",50.1705,4.4103,4500,147,"t"],
+        ["Céroux-Mousty",50.6609,4.5207,0,607,"t"],
+        ["Chaam",51.5058,4.8611,2805,18,"t"],
+        ["Chaineux",50.6318,5.8348,0,202,"t"],
+        ["Champion",50.4953,4.9039,0,555,"t"],
+        ["Champlon",50.1082,5.5019,0,750,"t"],
+        ["Chapelle-lez-Herlaimont",50.4713,4.2823,14353,148,"t"],
+        ["Charleroi",50.4114,4.4445,200132,149,"t"],
+        ["Charneux",50.6694,5.8049,0,355,"t"],
+        ["Chasse Royale",50.4284,3.95,0,543,"t"],
+        ["Chastre",50.6086,4.642,6243,150,"m"],
+        ["Chastre-Villeroux-Blanmont",50.6086,4.642,6243,150,"t"],
+        ["Châtelet",50.4034,4.5283,35238,151,"t"],
+        ["Châtelineau",50.415,4.5202,0,151,"t"],
+        ["Chaudfontaine",50.5828,5.6341,20960,152,"t"],
+        ["Chaumont-Gistoux",50.6775,4.7212,10943,153,"t"],
+        ["Chênée",50.612,5.6141,0,152,"t"],
+        ["Cheratte",50.6824,5.6696,0,618,"t"],
+        ["Chevremont",50.8755,6.0598,3160,416,"t"],
+        ["Chièvres",50.5879,3.8071,6045,154,"t"],
+        ["Chimay",50.0486,4.3171,9720,155,"t"],
+        ["Chiny",49.7383,5.341,4897,156,"t"],
+        ["Ciney",50.2945,5.1002,14830,157,"t"],
+        ["Ciplet",50.6176,5.0903,0,140,"t"],
+        ["Clabecq",50.6925,4.2215,0,776,"t"],
+        ["Clavier",50.4007,5.3515,4092,158,"t"],
+        ["Clermont",50.6593,5.8845,0,759,"t"],
+        ["Clermont-sous-Huy",50.5696,5.3923,0,235,"t"],
+        ["Coendersborg",53.1941,6.5894,3075,303,"d"],
+        ["Coevering",51.4174,5.5746,5290,278,"d"],
+        ["Coevorden",52.661,6.7405,14600,159,"t"],
+        ["Colfontaine",50.4141,3.8557,19964,160,"t"],
+        ["Colijnsplaat",51.5992,3.8486,1485,575,"t"],
+        ["Comblain-au-Pont",50.4749,5.5771,5308,161,"t"],
+        ["Comblain-Fairon",50.4462,5.5449,0,316,"t"],
+        ["Comines",50.7754,3.0012,0,162,"t"],
+        ["Comines-Warneton",50.7572,2.9436,0,162,"m",["Komen-Waasten"]],
+        ["Commandeurs",52.509,4.6584,2595,330,"t"],
+        ["Componistenkwartier",52.1898,5.9661,3615,36,"d"],
+        ["Corbais",50.6461,4.6559,0,545,"t"],
+        ["Corlaer",52.2164,5.4653,2700,568,"d"],
+        ["Corroy-le-Château",50.539,4.6628,0,279,"t"],
+        ["Corroy-le-Grand",50.6631,4.674,0,153,"t"],
+        ["Corswarem",50.711,5.2137,0,84,"t"],
+        ["Cortil-Noirmont",50.5811,4.6434,0,150,"t"],
+        ["Cothen",51.9967,5.3083,2765,864,"t"],
+        ["Couillet",50.3914,4.4591,0,149,"t"],
+        ["Courcelles",50.4638,4.3747,29473,163,"t"],
+        ["Courrière",50.3802,4.9861,0,45,"t"],
+        ["Court-Saint-Étienne",50.6338,4.5685,9353,164,"t"],
+        ["Couthuin",50.5316,5.1232,0,351,"t"],
+        ["Couture-Saint-Germain",50.6748,4.4726,0,449,"t"],
+        ["Couvin",50.0528,4.495,13518,165,"t"],
+        ["Cranendonck",51.3042,5.5889,19966,166,"t"],
+        ["Creil",52.7642,5.6597,0,577,"t"],
+        ["Crisnée",50.717,5.398,2587,167,"t"],
+        ["Crombach",50.26,6.0675,0,689,"t"],
+        ["Cuesmes",50.4362,3.9232,0,543,"t"],
+        ["Cuijk",51.7308,5.8792,3610,442,"t"],
+        ["Cul-des-Sarts",49.9625,4.4543,0,165,"t"],
+        ["Culemborg",51.955,5.2278,26826,168,"t"],
+        ["Dadizele",50.8514,3.0947,0,453,"t"],
+        ["Dalen",52.6992,6.7556,3295,159,"t"],
+        ["Dalfsen",52.5117,6.2569,26575,169,"t"],
+        ["Dalhem",50.7131,5.7277,6391,170,"t"],
+        ["Damme",51.2515,3.2814,10924,171,"t"],
+        ["Dampremy",50.4171,4.4309,0,149,"t"],
+        ["Damwâld",53.2905,5.9978,5560,172,"t"],
+        ["Dantumadiel",53.2658,6.0084,15145,172,"m"],
+        ["Dapperbuurt",52.3622,4.928,0,26,"t"],
+        ["Dauwendaele",51.493,3.6262,6220,533,"d"],
+        ["Dave",50.4147,4.8879,0,639,"t"],
+        ["Daverdisse",50.0216,5.1181,1299,173,"t"],
+        ["De Bilt",52.11,5.1806,8945,174,"t"],
+        ["De Blaak",51.5463,5.0446,6005,766,"d"],
+        ["De Bouwhof",52.1855,5.947,2380,36,"d"],
+        ["De Domp",53.0311,5.6772,1925,747,"d"],
+        ["De Doornakkers",51.4384,5.5089,6345,229,"d"],
+        ["De Drait",53.0974,6.0679,6310,723,"d"],
+        ["De Fryske Marren",52.912,5.7347,38112,175,"m"],
+        ["De Glip",52.3308,4.6111,1355,331,"t"],
+        ["De Goorn",52.6258,4.9472,3510,422,"t"],
+        ["De Greiden",52.9496,5.9137,7470,333,"d"],
+        ["De Haan",51.2726,3.0345,11766,176,"t",["Le Coq"]],
+        ["De Hagen",51.9938,5.1026,2435,802,"d"],
+        ["De Haven",52.2105,5.9741,1565,36,"d"],
+        ["De Heeg",50.8245,5.7231,6255,507,"d"],
+        ["De Heeze",52.2006,5.9536,2510,36,"d"],
+        ["De Hoven",52.249,6.1437,2365,192,"d"],
+        ["De Kieviet",52.1233,4.3584,1300,836,"t"],
+        ["De Klinge",51.2563,4.0904,0,707,"t"],
+        ["De Knipe",52.9683,5.9712,1480,333,"t"],
+        ["De Koog",53.0975,4.7611,1025,756,"t"],
+        ["De Kruiskamp",51.6998,5.2603,8025,0,"d"],
+        ["De Kwakel",52.2392,4.7931,4435,782,"t"],
+        ["De Lier",51.975,4.2486,11823,854,"t"],
+        ["De Loo",52.6717,6.7397,1275,159,"d"],
+        ["De Maer",52.519,4.6817,1140,330,"d"],
+        ["De Meern",52.0817,5.0361,0,785,"t"],
+        ["De Mheen",52.2195,5.9914,3190,36,"d"],
+        ["De Noord",52.7075,4.8514,1335,196,"t"],
+        ["De Panne",51.0979,2.5937,9799,177,"t",["La Panne"]],
+        ["De Peulen",51.8236,4.8216,2700,322,"d"],
+        ["De Pinte",50.9934,3.6475,10020,178,"t"],
+        ["De Reit",51.5604,5.0493,6105,766,"d"],
+        ["De Rijp",52.5567,4.8458,3980,14,"t"],
+        ["De Rompert",51.7167,5.3167,2440,0,"d"],
+        ["De Ronde Venen",52.2213,4.902,31215,179,"m"],
+        ["De Uithof",52.0853,5.1746,2790,785,"d"],
+        ["De Westereen",53.2573,6.0363,5030,172,"t"],
+        ["De Wijert",53.1945,6.5712,4765,303,"d"],
+        ["De Wijk",52.6733,6.2903,2495,180,"t"],
+        ["De Wolden",52.7177,6.3009,8675,180,"m"],
+        ["Dedemsvaart",52.6,6.4583,0,320,"t"],
+        ["Deerlijk",50.8534,3.3542,11292,181,"t"],
+        ["Deest",51.89,5.6667,1655,214,"t"],
+        ["Deftinge",50.7866,3.8398,0,285,"t"],
+        ["Deil",51.8842,5.2431,1880,847,"t"],
+        ["Deinze",50.9817,3.531,29815,182,"t"],
+        ["Delden",52.26,6.7111,6920,368,"t"],
+        ["Delfshaven",51.9049,4.4531,6835,676,"d"],
+        ["Delft",52.0067,4.3556,95060,183,"t"],
+        ["Delfzijl",53.33,6.9181,28649,225,"t"],
+        ["Den Burg",53.0542,4.7972,6485,756,"t"],
+        ["Den Dolder",52.1392,5.2389,0,884,"t"],
+        ["Den Dungen",51.665,5.3722,3450,714,"t"],
+        ["Den Haag",52.0767,4.2986,474292,184,"t",["The Hague","'s-Gravenhage"]],
+        ["Den Ham",52.4658,6.4958,1830,778,"t"],
+        ["Den Helder",52.9599,4.7593,59569,185,"t"],
+        ["Den Oever",52.9335,5.0308,2145,369,"t"],
+        ["Den Texbuurt",52.3597,4.891,0,26,"t"],
+        ["Denderbelle",51.0014,4.0907,0,451,"t"],
+        ["Denderhoutem",50.8723,4.0182,0,307,"t"],
+        ["Denderleeuw",50.8851,4.076,16969,186,"t"],
+        ["Dendermonde",51.0287,4.1011,43055,187,"t",["Termonde"]],
+        ["Denderwindeke",50.7973,4.0251,0,571,"t"],
+        ["Denekamp",52.3775,7.0069,0,201,"t"],
+        ["Dentergem",50.9643,3.4162,8038,188,"t"],
+        ["Dergneau",50.714,3.58,0,269,"t"],
+        ["Dessel",51.2385,5.1145,8707,189,"t"],
+        ["Desselgem",50.8861,3.3596,0,860,"t"],
+        ["Destelbergen",51.0595,3.799,16853,190,"t"],
+        ["Desteldonk",51.1219,3.787,0,490,"t"],
+        ["Deurle",51.0041,3.6147,0,558,"t"],
+        ["Deurne",51.2213,4.466,78747,34,"t"],
+        ["Deurne",51.4208,5.8189,6610,191,"m"],
+        ["Deurne",51.0391,5.0965,0,195,"t"],
+        ["Deuteren",51.6867,5.2667,1540,0,"d"],
+        ["Deux-Acren",50.7303,3.8531,0,465,"t"],
+        ["Deventer",52.255,6.1639,97331,192,"t"],
+        ["Dhuy",50.5594,4.8592,0,227,"t"],
+        ["Didam",51.9408,6.1319,0,546,"t"],
+        ["Diegem",50.8973,4.4335,5001,508,"t"],
+        ["Diemen",52.3396,4.9626,24361,193,"t"],
+        ["Diepenbeek",50.9077,5.4188,17699,194,"t"],
+        ["Diepenheim",52.2,6.5556,1900,368,"t"],
+        ["Dieren",52.0512,6.103,14842,660,"t"],
+        ["Diessen",51.4758,5.175,2815,363,"t"],
+        ["Diest",50.9892,5.0506,22516,195,"t"],
+        ["Diever",52.8542,6.3181,2175,851,"t"],
+        ["Dijk en Waard",52.6765,4.8323,75660,196,"m"],
+        ["Dikkebus",50.8213,2.8287,0,361,"t"],
+        ["Dikkelvenne",50.9193,3.6951,0,272,"t"],
+        ["Diksmuide",51.0325,2.8638,15515,197,"t",["Dixmude"]],
+        ["Dilbeek",50.848,4.2597,39482,198,"t"],
+        ["Dilsen",51.0372,5.721,0,199,"t"],
+        ["Dilsen-Stokkem",51.0447,5.7231,0,199,"m"],
+        ["Dinant",50.2581,4.9117,12875,200,"t"],
+        ["Dinkelland",52.3951,6.9063,5805,201,"m"],
+        ["Dinteloord",51.635,4.3694,5105,740,"t"],
+        ["Dinxperlo",51.8642,6.4875,0,4,"t"],
+        ["Dion-le-Mont",50.6965,4.6666,0,153,"t"],
+        ["Dirkshorn",52.75,4.775,1480,691,"t"],
+        ["Dirksland",51.7492,4.1,4500,292,"t"],
+        ["Dison",50.61,5.8534,13642,202,"t"],
+        ["Dodewaard",51.9125,5.6556,0,559,"t"],
+        ["Doenrade",50.9675,5.9069,1140,67,"t"],
+        ["Doesburg",52.0125,6.1389,11480,203,"t"],
+        ["Doesburg",52.0667,5.6167,1050,221,"t"],
+        ["Doetinchem",51.965,6.2889,49906,204,"t"],
+        ["Doische",50.1336,4.7355,2739,205,"t"],
+        ["Dokkum",53.3222,5.997,13145,574,"t"],
+        ["Dolembreux",50.5376,5.6256,0,733,"t"],
+        ["Domburg",51.5633,3.4958,1435,793,"t"],
+        ["Dommelen",51.3462,5.4339,1220,789,"t"],
+        ["Donceel",50.6483,5.32,2712,206,"t"],
+        ["Dongen",51.6267,4.9389,25464,207,"t"],
+        ["Donk",51.5384,5.6291,3580,439,"t"],
+        ["Donk",50.9388,5.1372,0,350,"t"],
+        ["Donkerbroek",53.0173,6.2393,1140,599,"t"],
+        ["Doonheide",51.5667,5.6944,1030,280,"t"],
+        ["Doorn",52.0334,5.3457,10330,786,"t"],
+        ["Doornenburg",51.89,6,2075,482,"t"],
+        ["Doornspijk",52.4183,5.8181,1555,230,"t"],
+        ["Doornsteeg",52.23,5.4542,5400,568,"t"],
+        ["Doorwerth",51.9792,5.7972,4370,656,"t"],
+        ["Dordrecht",51.81,4.6736,119260,208,"t"],
+        ["Dorst",51.59,4.8569,1965,595,"t"],
+        ["Dottignies",50.7333,3.3,0,245,"t"],
+        ["Dour",50.3958,3.7779,16861,209,"t"],
+        ["Drachten",53.1125,6.0989,44537,723,"t"],
+        ["Drachtstercompagnie",53.1346,6.1415,1500,723,"t"],
+        ["Drechterland",52.6647,5.1442,4925,210,"m"],
+        ["Dreumel",51.8492,5.4333,0,848,"t"],
+        ["Driebergen-Rijsenburg",52.0533,5.2806,18553,786,"t"],
+        ["Driebruggen",52.0442,4.8,1485,105,"t"],
+        ["Driehoekbuurt",52.3812,4.8838,0,26,"t"],
+        ["Driehuis",52.4467,4.6375,0,795,"t"],
+        ["Driehuizen",52.2088,5.9444,4610,36,"d"],
+        ["Driel",51.9592,5.8139,2940,619,"t"],
+        ["Driemanspolder",52.0518,4.485,6250,890,"d"],
+        ["Driemond",52.3058,5.0167,1500,26,"t"],
+        ["Drieslinter",50.8457,5.0504,0,485,"t"],
+        ["Drimmelen",51.6668,4.775,20875,211,"m"],
+        ["Drogeham",53.2021,6.1118,1530,8,"t"],
+        ["Drogenbos",50.7873,4.3147,4843,212,"t"],
+        ["Drongen",51.0507,3.6565,0,284,"t"],
+        ["Dronryp",53.2,5.65,3486,823,"t"],
+        ["Dronten",52.525,5.7181,28073,213,"t"],
+        ["Drumpt",51.897,5.4104,2130,762,"d"],
+        ["Drunen",51.6858,5.1333,0,359,"t"],
+        ["Druten",51.8883,5.6056,6270,214,"t"],
+        ["Dudzele",51.2737,3.2253,0,171,"t"],
+        ["Duffel",51.0955,4.509,16011,215,"t"],
+        ["Duindorp",52.0908,4.2604,5935,184,"d"],
+        ["Duinzigt",52.1048,4.3249,2510,184,"d"],
+        ["Duisburg",50.8158,4.5553,0,754,"t"],
+        ["Duiven",51.9467,6.0139,25469,216,"t"],
+        ["Duivendrecht",52.3294,4.9396,4720,613,"t"],
+        ["Duizel",51.3683,5.2972,1460,226,"t"],
+        ["Durbuy",50.3529,5.4563,10251,217,"t"],
+        ["Durnal",50.3365,4.9862,0,45,"t"],
+        ["Dussen",51.7308,4.9625,0,19,"t"],
+        ["Dwingeloo",52.8342,6.3694,2430,851,"t"],
+        ["Dworp",50.7298,4.3011,0,70,"t"],
+        ["Eastermar",53.1747,6.06,1310,780,"t"],
+        ["Eben-Emael",50.794,5.6669,0,61,"t"],
+        ["Écaussinnes",50.5682,4.1658,9802,218,"m"],
+        ["Écaussinnes-d'Enghien",50.5682,4.1658,9802,218,"t"],
+        ["Écaussinnes-Lalaing",50.5686,4.184,0,218,"t"],
+        ["Echt",51.1058,5.8736,0,219,"t"],
+        ["Echt-Susteren",51.0877,5.8927,9910,219,"m"],
+        ["Echtenerbrug",52.8714,5.8215,1200,175,"t"],
+        ["Eckart",51.4732,5.4945,4300,229,"d"],
+        ["Edam",52.5121,5.048,7380,220,"t"],
+        ["Edam-Volendam",52.5023,5.0623,30640,220,"m"],
+        ["Ede",52.0333,5.6583,67670,221,"t"],
+        ["Edegem",51.1566,4.445,21839,222,"t"],
+        ["Ederveen",52.0633,5.5778,3100,221,"t"],
+        ["Eefde",52.1667,6.225,3285,489,"t"],
+        ["Eeklo",51.187,3.5565,19116,223,"t"],
+        ["Eelde",53.1358,6.5625,6450,779,"t"],
+        ["Eemnes",52.2542,5.2569,9500,224,"t"],
+        ["Eemsdelta",53.3267,6.8839,53588,225,"m"],
+        ["Eenrum",53.3625,6.4583,1365,357,"t"],
+        ["Eerbeek",52.105,6.0583,10103,132,"t"],
+        ["Eerde",51.6042,5.4986,1065,521,"t"],
+        ["Eernegem",51.1326,3.0256,0,390,"t"],
+        ["Eerschot",51.5683,5.4736,2210,521,"t"],
+        ["Eersel",51.3575,5.3181,18185,226,"t"],
+        ["Eext",53.0175,6.7347,1225,1,"t"],
+        ["Eexta",53.1639,6.9834,1605,585,"d"],
+        ["Egchel",51.3142,5.9722,1115,625,"t"],
+        ["Egem",51.0153,3.2585,0,635,"t"],
+        ["Éghezée",50.5908,4.9117,14352,227,"t"],
+        ["Egmond aan den Hoef",52.6233,4.6528,0,78,"t"],
+        ["Egmond aan Zee",52.6204,4.627,2505,78,"t"],
+        ["Egmond-Binnen",52.5958,4.6556,2575,78,"t"],
+        ["Eibergen",52.1,6.6486,16493,81,"t"],
+        ["Eigenbilzen",50.8749,5.5758,0,97,"t"],
+        ["Eijsden",50.78,5.7177,11795,228,"t"],
+        ["Eijsden-Margraten",50.7918,5.7428,18500,228,"m"],
+        ["Eindhout",51.1039,4.9999,0,438,"t"],
+        ["Eindhoven",51.4408,5.4778,209620,229,"t"],
+        ["Eine",50.8673,3.6181,0,611,"t"],
+        ["Einighausen",51.0017,5.8278,1340,719,"t"],
+        ["Eisden",50.9846,5.7143,0,505,"t"],
+        ["Eke",50.9593,3.6396,0,558,"t"],
+        ["Ekenrooi",51.3966,5.4862,3970,824,"t"],
+        ["Ekeren",51.2809,4.4181,0,410,"t"],
+        ["Eksaarde",51.1488,3.9681,0,491,"t"],
+        ["Eksel",51.1518,5.3906,0,329,"t"],
+        ["Elandsgrachtbuurt",52.3708,4.8798,0,26,"t"],
+        ["Elburg",52.4475,5.8431,21844,230,"t"],
+        ["Elden",51.9583,5.8819,2300,40,"t"],
+        ["Elen",51.0664,5.7513,0,199,"t"],
+        ["Elene",50.89,3.81,0,894,"t"],
+        ["Elewijt",50.9604,4.4968,0,887,"t"],
+        ["Ellecom",52.0325,6.0875,1015,660,"t"],
+        ["Ellezelles",50.7351,3.6799,5566,231,"t",["Elzele"]],
+        ["Ellignies-Sainte-Anne",50.5618,3.6727,0,74,"t"],
+        ["Ellikom",51.1277,5.5239,0,626,"t"],
+        ["Élouges",50.4025,3.7517,0,209,"t"],
+        ["Elsegem",50.8236,3.536,0,873,"t"],
+        ["Elsenborn",50.458,6.2192,0,143,"t"],
+        ["Elsene",50.8333,4.3667,0,232,"t",["Ixelles"]],
+        ["Elshout",51.7008,5.1417,1655,359,"t"],
+        ["Elsloo",50.9492,5.7708,7220,743,"t"],
+        ["Elspeet",52.2917,5.7889,2810,580,"t"],
+        ["Elst",51.9192,5.8417,20488,619,"t"],
+        ["Elst",50.8302,3.7392,0,123,"t"],
+        ["Elverdinge",50.8848,2.8171,0,391,"t"],
+        ["Elversele",51.1181,4.149,0,315,"t"],
+        ["Emblem",51.1624,4.6048,0,650,"t"],
+        ["Embourg",50.5904,5.6068,0,152,"t"],
+        ["Émines",50.513,4.8441,0,555,"t"],
+        ["Emmeloord",52.7108,5.7486,46409,577,"t"],
+        ["Emmen",52.7792,6.9069,57010,233,"t"],
+        ["Emmer-Compascuum",52.8117,7.0472,8130,233,"t"],
+        ["Emmer-Erfscheidenveen",52.8067,6.9889,1875,233,"t"],
+        ["Emmerhout",52.7876,6.9388,7375,233,"d"],
+        ["Emmermeer",52.8007,6.8932,5995,233,"d"],
+        ["Emmerschans",52.8008,6.9389,1005,233,"t"],
+        ["Emst",52.3158,5.9736,1310,238,"t"],
+        ["Enghien",50.6938,4.0379,11367,234,"t",["Edingen"]],
+        ["Engis",50.5816,5.3992,5737,235,"t"],
+        ["Enkhuizen",52.7033,5.2917,17365,236,"t"],
+        ["Ens",52.6367,5.8278,3174,577,"t"],
+        ["Enschede",52.2183,6.8958,153655,237,"t"],
+        ["Enschot",51.5785,5.1388,3865,766,"t"],
+        ["Ensival",50.5805,5.8493,0,799,"t"],
+        ["Enter",52.2942,6.5778,0,861,"t"],
+        ["Epe",52.3475,5.9833,33385,238,"t"],
+        ["Épinois",50.406,4.2067,0,98,"t"],
+        ["Eppegem",50.9624,4.4551,0,887,"t"],
+        ["Epse",52.225,6.2,1470,489,"t"],
+        ["Erbisoeul",50.5152,3.8957,0,403,"t"],
+        ["Erembodegem",50.919,4.0504,0,3,"t"],
+        ["Érezée",50.2929,5.5582,2930,239,"t"],
+        ["Ermelo",52.2983,5.6222,10255,240,"t"],
+        ["Ernage",50.5948,4.6759,0,279,"t"],
+        ["Erondegem",50.9412,3.9561,0,241,"t"],
+        ["Erp",51.6,5.6069,3600,521,"t"],
+        ["Erpe",50.9357,3.9722,0,241,"t"],
+        ["Erpe-Mere",50.9303,3.9574,0,241,"m"],
+        ["Erpent",50.4512,4.9056,0,555,"t"],
+        ["Erps-Kwerps",50.9012,4.5598,0,427,"t"],
+        ["Erquelinnes",50.3069,4.1113,9396,242,"t"],
+        ["Ertvelde",51.1792,3.7472,0,886,"t"],
+        ["Erwetegem",50.8555,3.8144,0,894,"t"],
+        ["Escanaffles",50.7574,3.4529,0,544,"t"],
+        ["Esch",51.6108,5.2903,1820,118,"t"],
+        ["Esen",51.0294,2.9019,0,197,"t"],
+        ["Esneux",50.536,5.5678,13497,243,"t"],
+        ["Espel",52.7242,5.6417,0,577,"t"],
+        ["Essen",51.4679,4.469,16754,244,"t"],
+        ["Essene",50.9016,4.1374,0,9,"t"],
+        ["Essesteijn",52.0853,4.3726,4900,458,"d"],
+        ["Estaimbourg",50.68,3.3079,0,624,"t"],
+        ["Estaimpuis",50.7049,3.2679,9340,245,"t",["Steenput"]],
+        ["Estinnes",50.4102,4.1048,7573,246,"m"],
+        ["Estinnes-au-Mont",50.3969,4.0965,0,246,"t"],
+        ["Estinnes-au-Val",50.4102,4.1048,7573,246,"t"],
+        ["Étalle",49.6739,5.6002,5228,247,"t"],
+        ["Éthe",49.58,5.5821,0,807,"t"],
+        ["Etikhove",50.8116,3.6249,0,500,"t"],
+        ["Ettelgem",51.1798,3.0292,0,612,"t"],
+        ["Etten",51.9167,6.3361,1470,610,"t"],
+        ["Etten-Leur",51.5706,4.6375,45000,248,"t"],
+        ["Etterbeek",50.8327,4.3883,0,249,"t"],
+        ["Eugies",50.3889,3.8851,0,268,"t"],
+        ["Eupen",50.6279,6.0365,18029,250,"t"],
+        ["Everbeek",50.7626,3.8085,0,285,"t"],
+        ["Everberg",50.8768,4.5698,0,427,"t"],
+        ["Everdingen",51.965,5.1556,0,802,"t"],
+        ["Evere",50.8744,4.399,0,251,"t"],
+        ["Evergem",51.1131,3.7098,31615,252,"t"],
+        ["Evregnies",50.7126,3.2865,0,245,"t"],
+        ["Evrehailles",50.3204,4.9126,0,876,"t"],
+        ["Exloo",52.8825,6.8639,1525,111,"t"],
+        ["Eynatten",50.6924,6.0835,0,648,"t"],
+        ["Faimes",50.6625,5.26,3349,253,"t"],
+        ["Falisolle",50.4181,4.621,0,434,"t"],
+        ["Farciennes",50.4301,4.5415,11488,254,"t"],
+        ["Farmsum",53.3217,6.9264,2185,225,"t"],
+        ["Faulx-Les Tombes",50.4271,5.0207,0,287,"t"],
+        ["Fauvillers",49.8512,5.664,1952,255,"t"],
+        ["Fayt-lez-Manage",50.487,4.2296,0,512,"t"],
+        ["Feanwâlden",53.2356,5.9883,3440,172,"t"],
+        ["Feijenoord",51.9117,4.5065,7275,676,"d"],
+        ["Felix Meritisbuurt",52.3715,4.8859,0,26,"t"],
+        ["Feluy",50.5626,4.251,0,700,"t"],
+        ["Fernelmont",50.5655,4.9915,2800,256,"m"],
+        ["Ferrières",50.4016,5.6109,4434,257,"t"],
+        ["Ferwert",53.3378,5.8253,1935,574,"t"],
+        ["Fexhe-le-Haut-Clocher",50.6654,5.3998,3082,258,"t"],
+        ["Fexhe-Slins",50.7203,5.5697,0,402,"t"],
+        ["Fijnaart",51.6375,4.4694,4855,539,"t"],
+        ["Flamierge",50.0332,5.6029,0,687,"t"],
+        ["Flawinne",50.4579,4.8105,0,555,"t"],
+        ["Flémalle",50.6028,5.4462,28739,259,"m"],
+        ["Flémalle-Grande",50.6091,5.4767,0,259,"t"],
+        ["Flémalle-Haute",50.5999,5.4447,25144,259,"t"],
+        ["Flénu",50.4367,3.8857,0,644,"t"],
+        ["Fléron",50.6152,5.6806,15994,260,"t"],
+        ["Fleurus",50.4835,4.5501,22080,261,"t"],
+        ["Flevowijk",52.5458,5.9134,3675,406,"d"],
+        ["Flobecq",50.7373,3.7388,3142,262,"t",["Vloesberg"]],
+        ["Floreffe",50.4345,4.7596,7480,263,"t"],
+        ["Florennes",50.2513,4.6064,10723,264,"t"],
+        ["Florenville",49.6998,5.3074,5464,265,"t"],
+        ["Floriffoux",50.4524,4.77,0,263,"t"],
+        ["Fontaine-l'Évêque",50.4091,4.3243,0,266,"t"],
+        ["Fontaine-Valmont",50.3199,4.2147,0,526,"t"],
+        ["Forchies-la-Marche",50.4369,4.3212,0,266,"t"],
+        ["Forêt",50.5839,5.7,0,774,"t"],
+        ["Forges",50.0257,4.3277,0,155,"t"],
+        ["Forrières",50.1313,5.2827,0,557,"t"],
+        ["Forville",50.5742,4.9986,1374,256,"t"],
+        ["Fosse",50.34,5.8408,0,773,"t"],
+        ["Fosses-la-Ville",50.3952,4.6962,9062,267,"t"],
+        ["Fraipont",50.5652,5.7222,0,774,"t"],
+        ["Fraire",50.2613,4.5076,0,830,"t"],
+        ["Frameries",50.4058,3.896,20598,268,"t"],
+        ["Francorchamps",50.4535,5.9528,0,511,"t"],
+        ["Franeker",53.1855,5.5412,12996,823,"t"],
+        ["Franière",50.4366,4.7322,0,263,"t"],
+        ["Frankhuis",52.525,6.0681,6145,906,"t"],
+        ["Frasnes",50.0802,4.5138,0,806,"t"],
+        ["Frasnes-lez-Anvaing",50.6678,3.6205,10936,269,"m"],
+        ["Frasnes-lez-Buissenal",50.6678,3.6205,10936,269,"t"],
+        ["Frasnes-lez-Gosselies",50.5384,4.4523,0,133,"t"],
+        ["Froidchapelle",50.1511,4.3274,3579,270,"t"],
+        ["Froyennes",50.6219,3.3546,0,771,"t"],
+        ["Gaanderen",51.9286,6.3463,0,204,"t"],
+        ["Gageldonk",51.6017,4.7389,4865,126,"t"],
+        ["Galmaarden",50.7539,3.9712,7939,621,"t"],
+        ["Gameren",51.8008,5.2042,2200,878,"t"],
+        ["Ganshoren",50.8706,4.3153,0,271,"t"],
+        ["Garderen",52.2308,5.7139,1320,60,"t"],
+        ["Garyp",53.1667,5.9667,1545,780,"t"],
+        ["Gasselte",52.9717,6.7944,1495,1,"t"],
+        ["Gasselternijveen",52.9883,6.8528,1780,1,"t"],
+        ["Gaurain-Ramecroix",50.5892,3.488,0,33,"t"],
+        ["Gavere",50.9292,3.6618,11888,272,"t"],
+        ["Gedinne",49.9804,4.9367,4416,273,"t"],
+        ["Geel",51.1656,4.9892,34697,274,"t"],
+        ["Geenhoven",51.3593,5.4602,3270,789,"d"],
+        ["Geer",50.6699,5.1736,2682,275,"t"],
+        ["Geertruidenberg",51.7017,4.8569,20941,276,"t"],
+        ["Geest-Gérompont-Petit-Rosière",50.6404,4.8587,0,649,"t"],
+        ["Geetbets",50.8943,5.112,5813,277,"t"],
+        ["Geffen",51.74,5.4639,3870,606,"t"],
+        ["Geitenkamp",52.0038,5.9386,4005,40,"d"],
+        ["Gelbressée",50.5061,4.9555,0,256,"t"],
+        ["Geldermalsen",51.8808,5.2889,25734,847,"t"],
+        ["Geldermalsen-West",51.8797,5.2801,2580,847,"d"],
+        ["Geldrop",51.4217,5.5597,27900,278,"t"],
+        ["Geldrop-Mierlo",51.4272,5.5757,58625,278,"m"],
+        ["Geleen",50.9742,5.8292,32790,719,"t"],
+        ["Gelinden",50.7656,5.2612,0,335,"t"],
+        ["Gellik",50.8847,5.6101,0,441,"t"],
+        ["Gelrode",50.9663,4.8041,0,6,"t"],
+        ["Geluveld",50.8351,2.9934,0,893,"t"],
+        ["Geluwe",50.8098,3.077,0,524,"t"],
+        ["Gembloux",50.5615,4.6989,21676,279,"t",["Gembloers"]],
+        ["Gemert",51.5558,5.6903,15995,280,"t"],
+        ["Gemert-Bakel",51.5453,5.7054,23875,280,"m"],
+        ["Gemmenich",50.7461,5.9951,0,636,"t"],
+        ["Gemonde",51.6183,5.3569,1490,714,"t"],
+        ["Genappe",50.6117,4.4515,14266,281,"t",["Genepiën"]],
+        ["Genderen",51.7358,5.0875,1645,19,"t"],
+        ["Gendringen",51.8733,6.3764,3880,610,"t"],
+        ["Gendt",51.8775,5.9708,5590,482,"t"],
+        ["Genemuiden",52.6233,6.0403,0,903,"t"],
+        ["Generalenbuurt",51.4623,5.4814,0,229,"t"],
+        ["Genk",50.965,5.5008,63666,282,"t"],
+        ["Genly",50.3895,3.9124,0,268,"t"],
+        ["Gennep",51.6983,5.9736,16642,283,"t"],
+        ["Genoenhuis",51.4092,5.5389,3815,278,"t"],
+        ["Gent",51.05,3.7167,231493,284,"t",["Gand","Ghent"]],
+        ["Gentbrugge",51.0369,3.7651,0,284,"t"],
+        ["Genval",50.7216,4.4938,0,435,"t"],
+        ["Geraardsbergen",50.7734,3.8822,30807,285,"t",["Grammont"]],
+        ["Gerpinnes",50.3379,4.5273,11977,286,"t"],
+        ["Gerwen",51.49,5.5625,1735,579,"t"],
+        ["Gesves",50.4015,5.0746,6150,287,"t"],
+        ["Ghlin",50.4731,3.9029,0,543,"t"],
+        ["Ghoy",50.7283,3.8098,0,465,"t"],
+        ["Gierle",51.2685,4.8673,0,479,"t"],
+        ["Giesbeek",51.9933,6.0667,2745,888,"t"],
+        ["Giessen",51.79,5.0306,1375,19,"t"],
+        ["Giessenburg",51.8508,4.8903,4800,541,"t"],
+        ["Giessendam",51.8326,4.8358,5235,322,"t"],
+        ["Gieten",53.005,6.7639,4885,1,"t"],
+        ["Giethoorn",52.74,6.0792,2130,742,"t"],
+        ["Gijzegem",50.986,4.0494,0,452,"t"],
+        ["Gilly",50.4245,4.4789,0,149,"t"],
+        ["Gilze",51.5442,4.9403,6300,288,"t"],
+        ["Gilze en Rijen",51.5778,4.9253,22530,288,"m"],
+        ["Gingelom",50.7479,5.1342,7930,289,"t"],
+        ["Ginneken",51.5659,4.7931,5370,126,"d"],
+        ["Gistel",51.1561,2.9639,11084,290,"t"],
+        ["Gits",50.9969,3.0956,0,373,"t"],
+        ["Givry",50.3783,4.0293,0,246,"t"],
+        ["Glabbeek",50.8727,4.9562,5070,291,"t"],
+        ["Glain",50.6477,5.5438,0,474,"t"],
+        ["Glanerbrug",52.2158,6.9708,0,237,"t"],
+        ["Gleixhe",50.6139,5.3901,0,682,"t"],
+        ["Glimmen",53.1392,6.6292,1065,303,"t"],
+        ["Glons",50.7531,5.5458,0,61,"t"],
+        ["Godarville",50.495,4.287,0,148,"t"],
+        ["Godinne",50.3481,4.8736,0,876,"t"],
+        ["Godveerdegem",50.8593,3.8209,0,894,"t"],
+        ["Goedereede",51.8175,3.9806,11597,292,"t"],
+        ["Goeferdinge",50.766,3.8398,0,285,"t"],
+        ["Goeree-Overflakkee",51.7822,4.0692,39581,292,"m"],
+        ["Goes",51.5042,3.8889,36931,293,"t"],
+        ["Goetsenhoven",50.7688,4.9516,0,765,"t"],
+        ["Goirle",51.5208,5.0667,22646,294,"t"],
+        ["Gooik",50.7944,4.1138,8957,621,"t"],
+        ["Gooise Meren",52.2879,5.1502,56277,295,"m"],
+        ["Goor",52.2333,6.5861,11460,368,"t"],
+        ["Gorinchem",51.8365,4.9724,34736,296,"t"],
+        ["Gorredijk",53.0066,6.064,7040,602,"t"],
+        ["Gorssel",52.2017,6.2014,3530,489,"t"],
+        ["Gosselies",50.4694,4.4332,0,133,"t"],
+        ["Gottignies",50.4953,4.06,0,450,"t"],
+        ["Gouda",52.0167,4.7083,71952,297,"t"],
+        ["Gouderak",51.9842,4.6778,2635,431,"t"],
+        ["Goudswaard",51.7942,4.2764,1530,367,"t"],
+        ["Gougnies",50.3554,4.5762,0,286,"t"],
+        ["Goutroux",50.4133,4.3623,0,266,"t"],
+        ["Goutum",53.1773,5.8037,2790,454,"t"],
+        ["Gouvy",50.186,5.9392,4706,298,"t"],
+        ["Gouwsluis",52.1194,4.669,1470,17,"t"],
+        ["Gouy-lez-Piéton",50.4907,4.3289,0,637,"t"],
+        ["Gozée",50.3346,4.3527,0,314,"t"],
+        ["Grâce-Berleur",50.6403,5.5033,0,299,"t"],
+        ["Grâce-Hollogne",50.6405,5.4875,0,299,"m"],
+        ["Gracht",50.8518,6.0279,2080,416,"t"],
+        ["Grachtengordel West",52.3762,4.8878,0,26,"t"],
+        ["Grafhorst",52.5825,5.9333,1015,406,"t"],
+        ["Grammene",50.9778,3.4671,0,182,"t"],
+        ["Grand-Hallet",50.6953,5.0359,0,481,"t"],
+        ["Grand-Halleux",50.3258,5.9072,0,801,"t"],
+        ["Grand-Leez",50.5839,4.7751,0,279,"t"],
+        ["Grand-Rechain",50.6076,5.8111,0,202,"t"],
+        ["Grand-Reng",50.3308,4.0755,0,242,"t"],
+        ["Grandhan",50.3294,5.41,0,217,"t"],
+        ["Grashoek",51.3608,5.9431,1355,625,"t"],
+        ["Grasrijk",51.4392,5.4154,5375,229,"d"],
+        ["Grauwaart",52.0969,5.0579,0,785,"t"],
+        ["Grave",51.759,5.7388,12999,442,"t"],
+        ["Grembergen",51.0541,4.1046,0,187,"t"],
+        ["Grevenbicht",51.0383,5.775,2355,719,"t"],
+        ["Grez-Doiceau",50.739,4.6983,12367,300,"t",["Graven"]],
+        ["Griffioen",51.5055,3.596,3005,533,"d"],
+        ["Grijpskerk",53.2625,6.3083,2520,849,"t"],
+        ["Grijpskerke",51.5342,3.5611,1040,793,"t"],
+        ["Grimbergen",50.9341,4.3721,33561,301,"t"],
+        ["Grivegnée",50.6215,5.611,0,474,"t"],
+        ["Grobbendonk",51.1904,4.7356,10724,302,"t"],
+        ["Groenekan",52.1233,5.1528,1565,174,"t"],
+        ["Groenewoud",51.5386,5.0903,7710,766,"d"],
+        ["Groenlo",52.0417,6.6111,0,593,"t"],
+        ["Groenswaard",52.0515,4.6454,5160,827,"d"],
+        ["Groesbeek",51.7767,5.9361,18741,75,"t"],
+        ["Groessen",51.9317,6.0264,1955,216,"t"],
+        ["Groet",52.7225,4.6681,0,78,"t"],
+        ["Groningen",53.2192,6.5667,181194,303,"t"],
+        ["Gronsveld",50.8108,5.7306,2380,228,"t"],
+        ["Groot IJsselmonde",51.8826,4.5494,28120,676,"d"],
+        ["Groot-Ammers",51.9233,4.8236,3305,541,"t"],
+        ["Groot-Bijgaarden",50.8717,4.2497,0,198,"t"],
+        ["Grootegast",53.2125,6.2736,3350,849,"t"],
+        ["Grote-Brogel",51.1528,5.5059,0,626,"t"],
+        ["Grote-Spouwen",50.8328,5.5543,0,663,"t"],
+        ["Grotenberge",50.8733,3.8228,0,894,"t"],
+        ["Grou",53.0946,5.8374,5535,454,"t"],
+        ["Grubbenvorst",51.42,6.1458,0,377,"t"],
+        ["Gruitrode",51.0894,5.5882,0,616,"t"],
+        ["Guigoven",50.8392,5.4004,0,325,"t"],
+        ["Gulden Bodem",51.9943,5.8908,1210,40,"d"],
+        ["Gullegem",50.843,3.2047,0,428,"t"],
+        ["Gulpen",50.8158,5.8889,3560,304,"t"],
+        ["Gulpen-Wittem",50.8168,5.8983,6895,304,"m"],
+        ["Guttecoven",51.015,5.8181,1260,719,"t"],
+        ["Gytsjerk",53.2429,5.895,2175,780,"t"],
+        ["Haacht",50.9774,4.6378,13541,305,"t"],
+        ["Haaften",51.8158,5.2111,2370,847,"t"],
+        ["Haaksbergen",52.1567,6.7389,24137,306,"t"],
+        ["Haalderen",51.8875,5.9292,1850,482,"t"],
+        ["Haaltert",50.9063,4.0009,17129,307,"t"],
+        ["Haamstede",51.6968,3.743,1885,699,"t"],
+        ["Haanrade",50.8798,6.0741,2015,416,"t"],
+        ["Haaren",51.6025,5.2222,3835,584,"t"],
+        ["Haarle",52.3592,6.3806,1045,340,"t"],
+        ["Haarlem",52.3808,4.6368,147590,308,"t"],
+        ["Haarlemmerbuurt",52.3831,4.89,0,26,"t"],
+        ["Haarlemmerbuurt-Oost",52.3804,4.8916,0,26,"t"],
+        ["Haarlemmerbuurt-West",52.383,4.8861,0,26,"t"],
+        ["Haarlemmermeer",52.3035,4.6863,141794,309,"m"],
+        ["Haarsteeg",51.7117,5.1986,2100,359,"t"],
+        ["Haasdonk",51.1815,4.2414,0,92,"t"],
+        ["Haasrode",50.8317,4.7295,0,95,"t"],
+        ["Haastrecht",52.0007,4.7764,4500,431,"t"],
+        ["Habay",49.7233,5.62,7704,310,"m"],
+        ["Habay-la-Neuve",49.7282,5.6474,0,310,"t"],
+        ["Habay-la-Vieille",49.7233,5.62,7704,310,"t"],
+        ["Haccourt",50.7309,5.6696,0,808,"t"],
+        ["Haelen",51.2358,5.9569,9935,466,"t"],
+        ["Hagestein",51.9808,5.1222,0,802,"t"],
+        ["Haillot",50.4425,5.1541,0,582,"t"],
+        ["Haine-Saint-Paul",50.4554,4.1885,0,436,"t"],
+        ["Haine-Saint-Pierre",50.4575,4.2066,0,551,"t"],
+        ["Hakendover",50.7959,4.9823,0,765,"t"],
+        ["Halanzy",49.5605,5.7443,0,554,"t"],
+        ["Halderberge",51.5825,4.5156,13280,311,"m"],
+        ["Halen",50.9484,5.111,8548,312,"t"],
+        ["Halfweg",52.3825,4.7542,2350,309,"t"],
+        ["Halfweg",52.5242,4.9278,2330,640,"t"],
+        ["Hallaar",51.0842,4.7292,0,338,"t"],
+        ["Halle",50.7338,4.2345,34479,313,"t",["Hal"]],
+        ["Halle",51.2407,4.6433,0,879,"t"],
+        ["Halle-Booienhoven",50.8053,5.1117,0,313,"t"],
+        ["Hallum",53.3066,5.7838,2355,574,"t"],
+        ["Halsteren",51.5283,4.2679,9850,79,"t"],
+        ["Haltinne",50.4512,5.0773,0,582,"t"],
+        ["Ham-sur-Heure",50.323,4.3884,0,314,"t"],
+        ["Ham-sur-Heure-Nalinnes",50.3268,4.3865,0,314,"m"],
+        ["Ham-sur-Sambre",50.4437,4.6742,0,399,"t"],
+        ["Hamipré",49.8373,5.4569,0,561,"t"],
+        ["Hamme",51.0982,4.1371,22891,315,"t"],
+        ["Hamme-Mille",50.7802,4.7173,0,65,"t"],
+        ["Hamoir",50.4267,5.533,3500,316,"t"],
+        ["Hamois",50.3402,5.1562,6662,317,"t"],
+        ["Hamont",51.2533,5.5473,0,318,"t"],
+        ["Hamont-Achel",51.2533,5.5473,0,318,"m"],
+        ["Han-sur-Lesse",50.1267,5.1862,0,668,"t"],
+        ["Handel",51.58,5.7097,1310,280,"t"],
+        ["Handzame",51.0254,3.0032,0,425,"t"],
+        ["Haneffe",50.6384,5.3201,0,206,"t"],
+        ["Hank",51.735,4.8972,0,19,"t"],
+        ["Hannut",50.6714,5.079,14129,319,"t",["Hannuit"]],
+        ["Hanret",50.5816,4.9484,0,227,"t"],
+        ["Hansbeke",51.0744,3.5357,0,182,"t"],
+        ["Hanzinelle",50.2961,4.5563,0,264,"t"],
+        ["Hapert",51.3683,5.2569,4955,99,"t"],
+        ["Haps",51.6892,5.8611,2165,442,"t"],
+        ["Harchies",50.4796,3.6935,0,86,"t"],
+        ["Hardenberg",52.5758,6.6194,57909,320,"t"],
+        ["Harderwijk",52.3417,5.6208,40516,321,"t"],
+        ["Hardinxveld-Giessendam",51.8277,4.8511,17770,322,"m"],
+        ["Harelbeke",50.8534,3.3093,25978,323,"t"],
+        ["Haren",53.1721,6.6093,9375,303,"t"],
+        ["Harenkarspel",52.7342,4.7768,15941,691,"t"],
+        ["Harkema",53.1833,6.1333,4005,8,"t"],
+        ["Harkstede",53.2133,6.6986,2490,537,"t"],
+        ["Harlingen",53.1748,5.4224,16119,324,"t"],
+        ["Harmelen",52.09,4.9611,0,870,"t"],
+        ["Harskamp",52.13,5.7528,3450,221,"t"],
+        ["Harzé",50.4413,5.6671,0,53,"t"],
+        ["Hasselt",50.9311,5.3378,69222,325,"t"],
+        ["Hasselt",52.5927,6.0953,6959,903,"t"],
+        ["Hastière",50.2185,4.8245,5147,326,"m"],
+        ["Hastière-Lavaux",50.2185,4.8245,5147,326,"t"],
+        ["Hatert",51.8064,5.8306,10210,570,"d"],
+        ["Hattem",52.475,6.0639,11876,327,"t"],
+        ["Hattemerbroek",52.4742,6.0222,1025,586,"t"],
+        ["Haulchin",50.3841,4.083,0,246,"t"],
+        ["Haulerwijk",53.0647,6.3345,2935,599,"t"],
+        ["Hauset",50.7107,6.0697,0,415,"t"],
+        ["Hautrage",50.4819,3.7652,0,683,"t"],
+        ["Havelange",50.3893,5.2382,4790,328,"t"],
+        ["Havelte",52.7694,6.2401,3060,851,"t"],
+        ["Havinnes",50.6166,3.4634,0,771,"t"],
+        ["Havré",50.464,4.0468,0,450,"t"],
+        ["Hechtel",51.1252,5.3677,0,329,"t"],
+        ["Hechtel-Eksel",51.1385,5.3791,0,329,"m"],
+        ["Hedel",51.748,5.2613,4350,501,"t"],
+        ["Heechterp",53.2096,5.8225,1805,454,"d"],
+        ["Heeg",52.9686,5.6108,1995,747,"t"],
+        ["Heel",51.1792,5.8944,3980,503,"t"],
+        ["Heelsum",51.9842,5.7583,3175,656,"t"],
+        ["Heemskerk",52.5111,4.6716,36170,330,"t"],
+        ["Heemstede",52.3499,4.623,25562,331,"t"],
+        ["Heer",50.8384,5.7299,7615,507,"d"],
+        ["Heerde",52.3872,6.0402,8850,332,"t"],
+        ["Heerenveen",52.9593,5.9185,43094,333,"t"],
+        ["Heerewaarden",51.8177,5.393,1005,501,"t"],
+        ["Heerhugowaard",52.6714,4.8486,47580,196,"t"],
+        ["Heerjansdam",51.8358,4.5639,3770,905,"t"],
+        ["Heerle",51.5192,4.3597,1320,674,"t"],
+        ["Heerlen",50.8837,5.9815,93084,334,"t"],
+        ["Heers",50.7538,5.3021,6689,335,"t"],
+        ["Hees",51.8414,5.8285,2875,570,"d"],
+        ["Heesch",51.7336,5.5267,12810,85,"t"],
+        ["Heesterakker",51.4861,5.4968,2765,229,"d"],
+        ["Heestert",50.782,3.4122,0,51,"t"],
+        ["Heeswijk-Dinther",51.6508,5.475,7985,85,"t"],
+        ["Heeze",51.3828,5.5714,9110,336,"t"],
+        ["Heeze-Leende",51.3739,5.5667,12600,336,"m"],
+        ["Heffen",51.0472,4.416,0,681,"t"],
+        ["Hegelsom",51.4392,6.0389,1185,377,"t"],
+        ["Heide",51.0683,5.8722,1040,219,"t"],
+        ["Heijen",51.675,5.9806,1610,283,"t"],
+        ["Heijplaat",51.8933,4.4208,1365,676,"t"],
+        ["Heiligerlee",53.1567,7.0097,1365,585,"t"],
+        ["Heiloo",52.6025,4.6882,20510,337,"t"],
+        ["Heino",52.4366,6.2328,6459,647,"t"],
+        ["Heinsch",49.6999,5.7467,0,39,"t"],
+        ["Heist",51.3387,3.2388,0,419,"t"],
+        ["Heist-op-den-Berg",51.0754,4.7283,37873,338,"t"],
+        ["Hekelgem",50.9057,4.1077,0,9,"t"],
+        ["Heksenberg",50.9207,5.9737,2395,334,"t"],
+        ["Helchteren",51.0559,5.3824,30050,381,"t"],
+        ["Helden",51.3192,6,5530,625,"t"],
+        ["Heldergem",50.878,3.9579,0,307,"t"],
+        ["Hélécine",50.7584,4.9883,0,339,"m",["Heylissem"]],
+        ["Hellebecq",50.6643,3.8884,0,702,"t"],
+        ["Hellendoorn",52.3592,6.3806,1045,340,"m"],
+        ["Hellevoetsluis",51.8333,4.1333,21927,815,"t"],
+        ["Helmond",51.4817,5.6611,74740,341,"t"],
+        ["Helpman",53.1979,6.5798,6050,303,"d"],
+        ["Helvoirt",51.6317,5.2306,3625,822,"t"],
+        ["Hem",52.6608,5.1833,1035,210,"t"],
+        ["Hemiksem",51.1448,4.3387,9504,342,"t"],
+        ["Hendrik-Ido-Ambacht",51.8442,4.6389,21027,343,"t"],
+        ["Hengelo",52.2658,6.7931,80809,344,"t"],
+        ["Hengelo",52.0508,6.3097,4510,129,"t"],
+        ["Hengevelde",52.1992,6.6361,1510,368,"t"],
+        ["Hengstdal",51.8333,5.8833,7010,570,"d"],
+        ["Hennuyères",50.6386,4.1693,0,121,"t"],
+        ["Henri-Chapelle",50.6769,5.9301,0,842,"t"],
+        ["Hensbroek",52.6583,4.8847,1345,422,"t"],
+        ["Hensies",50.4326,3.6841,6390,345,"t"],
+        ["Heppen",51.1093,5.229,0,463,"t"],
+        ["Heppenbach",50.3626,6.2183,0,22,"t"],
+        ["Heppignies",50.4846,4.4953,0,464,"t"],
+        ["Herbeumont",49.7809,5.2358,1612,346,"t"],
+        ["Herchies",50.5279,3.8569,0,403,"t"],
+        ["Herderen",50.8073,5.5735,0,663,"t"],
+        ["Herdersem",50.9719,4.0667,0,3,"t"],
+        ["Herent",50.9086,4.6706,19218,347,"t"],
+        ["Herentals",51.1765,4.8325,25912,348,"t"],
+        ["Herenthout",51.1401,4.7557,8378,349,"t"],
+        ["Herfelingen",50.7482,4.0975,0,629,"t"],
+        ["Hergenrath",50.7091,6.0309,0,415,"t"],
+        ["Hérinnes",50.7006,3.3632,0,624,"t"],
+        ["Herk-de-Stad",50.9401,5.1664,11566,350,"t"],
+        ["Herkenbosch",51.1533,6.0639,3935,669,"t"],
+        ["Hermalle-sous-Argenteau",50.7123,5.6775,0,618,"t"],
+        ["Hermalle-sous-Huy",50.5592,5.3639,0,235,"t"],
+        ["Hermée",50.7088,5.6183,0,618,"t"],
+        ["Herne",50.7242,4.0348,6459,621,"t"],
+        ["Héron",50.5473,5.0977,4305,351,"t"],
+        ["Herpen",51.7717,5.6417,2360,606,"t"],
+        ["Herseaux",50.7167,3.2167,0,553,"t"],
+        ["Herselt",51.0516,4.8823,13493,352,"t"],
+        ["Herstal",50.6641,5.6235,36503,353,"t"],
+        ["Herstappe",50.7267,5.4267,90,354,"t"],
+        ["Herten",51.1808,5.9625,3305,670,"t"],
+        ["Hertsberge",51.1073,3.2694,0,867,"t"],
+        ["Herve",50.6408,5.7935,16544,355,"t"],
+        ["Herwijnen",51.8267,5.1292,2305,847,"t"],
+        ["Herzele",50.8868,3.8901,16523,356,"t"],
+        ["Het Hogeland",53.3579,6.5649,29025,357,"m"],
+        ["Het Loo",52.2339,5.9527,1330,36,"d"],
+        ["Het Oostrik",52.25,6.2167,2380,192,"t"],
+        ["Heteren",51.9567,5.7556,4805,619,"t"],
+        ["Heugem",50.8279,5.7077,4620,507,"d"],
+        ["Heule",50.8375,3.2382,0,428,"t"],
+        ["Heumen",51.765,5.8444,1010,358,"t"],
+        ["Heure-le-Romain",50.7316,5.6329,0,618,"t"],
+        ["Heusden",51.0366,5.2801,31017,360,"t"],
+        ["Heusden",51.3842,5.7639,1415,46,"t"],
+        ["Heusden",51.7342,5.1389,1300,359,"t"],
+        ["Heusden",51.0281,3.8043,0,528,"t"],
+        ["Heusden-Zolder",51.0366,5.2801,31017,360,"m"],
+        ["Heusdenhout",51.5881,4.8193,5160,126,"d"],
+        ["Heusy",50.5746,5.8662,0,799,"t"],
+        ["Heuvelland",50.7872,2.8077,0,361,"m"],
+        ["Hever",50.9954,4.5513,0,110,"t"],
+        ["Heverlee",50.8643,4.696,0,468,"t"],
+        ["Hévillers",50.6233,4.6174,0,545,"t"],
+        ["Heythuysen",51.25,5.8986,6420,466,"t"],
+        ["Hierden",52.3583,5.6778,0,321,"t"],
+        ["Hillegem",50.8957,3.8531,0,356,"t"],
+        ["Hillegom",52.2908,4.5833,18419,362,"t"],
+        ["Hilvarenbeek",51.4858,5.1375,7855,363,"t"],
+        ["Hilversum",52.2233,5.1764,83640,364,"t"],
+        ["Hilversumse Meent",52.2711,5.1373,4065,364,"d"],
+        ["Hingene",51.1035,4.269,0,113,"t"],
+        ["Hippolytushoef",52.9075,4.9625,4800,369,"t"],
+        ["Hoboken",51.1761,4.3484,34443,34,"t"],
+        ["Hodeige",50.6964,5.3416,0,654,"t"],
+        ["Hoegaarden",50.7756,4.8895,6110,365,"t"],
+        ["Hoeilaart",50.7673,4.4684,10272,366,"t"],
+        ["Hoek",53.2045,5.8019,1100,454,"d"],
+        ["Hoek van Holland",51.9775,4.1333,9400,676,"t"],
+        ["Hoeksche Waard",51.7901,4.4323,54495,367,"m"],
+        ["Hoeleden",50.8666,4.9854,0,291,"t"],
+        ["Hoensbroek",50.9239,5.9253,25000,334,"t"],
+        ["Hoepertingen",50.8122,5.2844,0,769,"t"],
+        ["Hoeselt",50.8471,5.4877,9265,97,"t"],
+        ["Hoevelaken",52.175,5.4583,0,568,"t"],
+        ["Hoeven",51.5792,4.5833,4895,311,"t"],
+        ["Hoeven",51.6721,5.6344,1960,504,"t"],
+        ["Hoevenen",51.306,4.402,0,410,"t"],
+        ["Hof van Twente",52.2363,6.6077,25575,368,"m"],
+        ["Hofgeest",52.4433,4.6583,1440,795,"d"],
+        ["Hofstade",50.9913,4.4923,0,887,"t"],
+        ["Hofstade",50.9613,4.0266,0,3,"t"],
+        ["Hoge Mors",52.1562,4.4603,5050,456,"d"],
+        ["Hoge Vucht",51.6079,4.7915,16000,126,"d"],
+        ["Hognoul",50.6818,5.4539,0,52,"t"],
+        ["Hollain",50.5416,3.4261,0,33,"t"],
+        ["Hollands Kroon",52.8416,4.9389,26095,369,"m"],
+        ["Hollandsche Rading",52.175,5.1778,1325,174,"t"],
+        ["Hollandscheveld",52.7058,6.5389,0,372,"t"],
+        ["Hollogne-aux-Pierres",50.6406,5.4718,0,299,"t"],
+        ["Hollum",53.4394,5.638,1160,23,"t"],
+        ["Holsbeek",50.921,4.7575,9094,370,"t"],
+        ["Holtum",51.0475,5.8222,1170,719,"t"],
+        ["Holwerd",53.3681,5.9007,1435,574,"t"],
+        ["Holwert",53.3681,5.9007,0,574,"t"],
+        ["Holz",50.8642,6.0742,2390,416,"d"],
+        ["Hombeek",51.0175,4.4389,0,517,"t"],
+        ["Hombourg",50.7226,5.9205,0,636,"t"],
+        ["Honnelles",50.3324,3.6955,0,371,"m"],
+        ["Honselersdijk",52.0067,4.2244,7366,854,"t"],
+        ["Hoofddorp",52.3025,4.6889,132734,309,"t"],
+        ["Hoogblokland",51.875,4.9764,1090,541,"t"],
+        ["Hooge Mierde",51.3875,5.1292,1310,659,"t"],
+        ["Hooge Zwaluwe",51.6875,4.7444,1265,211,"t"],
+        ["Hoogeloon",51.3975,5.2681,1790,99,"t"],
+        ["Hoogerheide",51.4242,4.325,5810,869,"t"],
+        ["Hoogeveen",52.7225,6.4764,38754,372,"t"],
+        ["Hoogezand",53.1617,6.7611,21480,537,"t"],
+        ["Hoogkamp",51.9963,5.8803,1870,40,"d"],
+        ["Hoogkerk",53.2108,6.5014,0,303,"t"],
+        ["Hoogland",52.1825,5.3736,10587,24,"t"],
+        ["Hooglede",50.9833,3.0833,9900,373,"t"],
+        ["Hoogmade",52.1692,4.5819,1480,404,"t"],
+        ["Hoogstraten",51.4003,4.7603,18524,374,"t"],
+        ["Hoogvliet",51.8633,4.3625,34950,676,"t"],
+        ["Hoogwoud",52.7158,4.9389,3645,601,"t"],
+        ["Hoorn",52.6425,5.0597,68852,375,"t"],
+        ["Hopel",50.8924,6.0505,2240,416,"t"],
+        ["Horebeke",50.841,3.6751,0,376,"m"],
+        ["Horion-Hozémont",50.6258,5.3882,0,682,"t"],
+        ["Hornu",50.4328,3.8274,0,683,"t"],
+        ["Horrues",50.6084,4.0428,0,725,"t"],
+        ["Horssen",51.8558,5.6097,1095,214,"t"],
+        ["Horst",51.4542,6.0514,0,377,"t"],
+        ["Horst aan de Maas",51.4466,6.0592,12385,377,"m"],
+        ["Hotton",50.2674,5.4461,4969,378,"t"],
+        ["Houdeng-Aimeries",50.4813,4.1455,0,436,"t"],
+        ["Houdeng-Goegnies",50.4903,4.1751,0,436,"t"],
+        ["Houffalize",50.1324,5.7896,4614,379,"t"],
+        ["Housse",50.6785,5.6911,0,102,"t"],
+        ["Hout-Blerick",51.3583,6.1306,0,796,"t"],
+        ["Houtain-l'Évêque",50.7167,5.0833,0,261,"t"],
+        ["Houtain-Saint-Siméon",50.7403,5.6123,0,61,"t"],
+        ["Houten",52.0283,5.1681,1335,380,"t"],
+        ["Houthalen",51.0343,5.3743,30050,381,"t"],
+        ["Houthalen-Helchteren",51.0451,5.3784,60100,381,"m"],
+        ["Houthem",50.8725,5.7931,1470,788,"t"],
+        ["Houthem",50.7869,2.9638,0,162,"t"],
+        ["Houthulst",50.9782,2.9505,8951,382,"t"],
+        ["Houtvenne",51.0418,4.8086,0,387,"t"],
+        ["Houwaart",50.9337,4.8599,0,764,"t"],
+        ["Houyet",50.1862,5.0076,4505,383,"t"],
+        ["Hove",51.1545,4.4707,7968,384,"t"],
+        ["Hoves",50.6712,4.0365,0,234,"t"],
+        ["Huijbergen",51.4325,4.3764,1655,869,"t"],
+        ["Huise",50.9006,3.591,0,432,"t"],
+        ["Huissen",51.9383,5.9333,0,482,"t"],
+        ["Huissignies",50.5658,3.7556,0,74,"t"],
+        ["Huizen",52.2992,5.2417,45292,385,"t"],
+        ["Huizingen",50.7465,4.2738,0,70,"t"],
+        ["Huizum",53.1917,5.8112,9000,454,"d"],
+        ["Huldenberg",50.7894,4.5831,9137,386,"t"],
+        ["Hulsberg",50.8892,5.8556,3215,67,"t"],
+        ["Hulshout",51.0745,4.7908,9198,387,"t"],
+        ["Hulst",51.28,4.0528,1405,388,"t"],
+        ["Hulste",50.8822,3.295,0,323,"t"],
+        ["Humbeek",50.968,4.3796,0,301,"t"],
+        ["Hummelo",52.0042,6.2333,1010,129,"t"],
+        ["Hunnerberg",51.8421,5.8788,3800,570,"t"],
+        ["Huppaye",50.6936,4.8941,0,401,"t"],
+        ["Hurdegaryp",53.2133,5.9414,4510,780,"t"],
+        ["Husken",50.8957,5.9565,1380,334,"t"],
+        ["Huy",50.5189,5.2328,19973,389,"t",["Hoei"]],
+        ["Hyon",50.438,3.9603,0,543,"t"],
+        ["Ichtegem",51.0957,3.0155,13582,390,"t"],
+        ["Iddergem",50.8763,4.0443,0,186,"t"],
+        ["Idegem",50.8018,3.9259,0,285,"t"],
+        ["Ieper",50.8511,2.8857,35089,391,"t",["Ypres"]],
+        ["IJlst",53.0101,5.6231,3180,747,"t"],
+        ["IJmuiden",52.4603,4.6105,31925,795,"t"],
+        ["IJsselmuiden",52.5649,5.929,0,406,"t"],
+        ["IJsselstein",52.02,5.0431,33886,392,"t"],
+        ["IJzendijke",51.3217,3.6167,1785,722,"t"],
+        ["Ilpendam",52.4633,4.95,1750,837,"t"],
+        ["Impe",50.9605,3.9501,0,452,"t"],
+        ["Incourt",50.6915,4.7982,4395,393,"t"],
+        ["Ingelmunster",50.9208,3.2557,10603,394,"t"],
+        ["Ingen",51.9592,5.4847,1080,141,"t"],
+        ["Ingooigem",50.8201,3.4337,0,35,"t"],
+        ["Irchonwelz",50.6207,3.7508,0,47,"t"],
+        ["Isières",50.6632,3.8193,0,47,"t"],
+        ["Itegem",51.1033,4.7286,0,338,"t"],
+        ["Itterbeek",50.838,4.2495,0,198,"t"],
+        ["Ittre",50.644,4.2648,6014,395,"t",["Itter"]],
+        ["Ivoz-Ramet",50.588,5.4657,0,259,"t"],
+        ["Izegem",50.914,3.2138,26382,396,"t"],
+        ["Izel",49.6937,5.3738,0,265,"t"],
+        ["Jabbeke",51.1818,3.0894,13488,397,"t"],
+        ["Jagershoef",51.4733,5.4672,3560,229,"d"],
+        ["Jalhay",50.5588,5.9676,7688,398,"t"],
+        ["Jambes",50.4564,4.8717,0,555,"t"],
+        ["Jamioulx",50.353,4.4128,0,314,"t"],
+        ["Jamoigne",49.6933,5.4091,0,156,"t"],
+        ["Jandrain",50.6744,4.9802,0,605,"t"],
+        ["Jandrain-Jandrenouille",50.6718,4.978,0,605,"t"],
+        ["Jauche",50.6814,4.9556,0,605,"t"],
+        ["Jehay",50.5731,5.3238,0,21,"t"],
+        ["Jemappes",50.4491,3.891,0,644,"t"],
+        ["Jemelle",50.1632,5.2671,0,668,"t"],
+        ["Jemeppe-sur-Meuse",50.617,5.4985,0,686,"t"],
+        ["Jemeppe-sur-Sambre",50.4654,4.6655,0,399,"t"],
+        ["Jette",50.8731,4.3342,0,400,"t"],
+        ["Jeuk",50.735,5.2099,0,289,"t"],
+        ["Jirnsum",53.0775,5.7925,1255,454,"t"],
+        ["Jodoigne",50.7236,4.8691,11930,401,"t",["Geldenaken"]],
+        ["Jordaan",52.3744,4.8806,0,26,"t"],
+        ["Joure",52.9657,5.803,12902,175,"t"],
+        ["Jubbega",53.004,6.1218,3295,333,"t"],
+        ["Julianadorp",52.89,4.7403,0,185,"t"],
+        ["Jumet",50.4422,4.4375,0,149,"t"],
+        ["Jupille-sur-Meuse",50.6459,5.6331,0,353,"t"],
+        ["Juprelle",50.7076,5.5313,8354,402,"t"],
+        ["Jurbise",50.531,3.9094,9483,403,"t",["Jurbeke"]],
+        ["Kaag en Braassem",52.1986,4.63,12075,404,"m"],
+        ["Kaalheide",50.865,6.0364,2840,416,"t"],
+        ["Kachtem",50.9334,3.1942,0,396,"t"],
+        ["Kadoelen",52.4175,4.9056,1915,26,"t"],
+        ["Kaggevinne",50.9804,5.0189,0,195,"t"],
+        ["Kain",50.6387,3.3969,0,771,"t"],
+        ["Kakert",50.9041,6.0046,1750,444,"d"],
+        ["Kalken",51.0384,3.9186,0,856,"t"],
+        ["Kallo",51.2525,4.2755,0,92,"t"],
+        ["Kalmthout",51.3844,4.4756,17485,405,"t"],
+        ["Kalsdonk",51.5397,4.4711,4250,674,"d"],
+        ["Kampen",52.555,5.9111,48980,406,"t"],
+        ["Kampenhout",50.9421,4.551,10784,407,"t"],
+        ["Kamperland",51.5717,3.7042,1610,575,"t"],
+        ["Kanegem",51.0129,3.4019,0,867,"t"],
+        ["Kanne",50.8133,5.6695,0,663,"t"],
+        ["Kapelle",51.4863,3.958,8670,408,"t"],
+        ["Kapelle-op-den-Bos",51.0097,4.363,8859,409,"t"],
+        ["Kapellen",51.3138,4.4354,26410,410,"t"],
+        ["Kapellen",50.8859,4.9517,0,291,"t"],
+        ["Kaprijke",51.2172,3.6152,6114,411,"t"],
+        ["Kasterlee",51.2412,4.9665,17765,412,"t"],
+        ["Katendrecht",51.9007,4.4825,4755,676,"d"],
+        ["Katwijk",52.1967,4.4149,37865,413,"m"],
+        ["Katwijk aan den Rijn",52.1942,4.4222,5940,413,"t"],
+        ["Katwijk aan Zee",52.2033,4.3986,20010,413,"t"],
+        ["Kaulille",51.1876,5.5237,0,104,"t"],
+        ["Kedichem",51.86,5.05,1045,802,"t"],
+        ["Keent",51.2422,5.7008,4465,841,"t"],
+        ["Keerbergen",51.0029,4.6343,12363,414,"t"],
+        ["Keiem",51.0814,2.8822,0,197,"t"],
+        ["Keijenborg",52.0292,6.2944,1050,129,"t"],
+        ["Kelmis",50.7181,6.0111,10232,415,"t",["La Calamine"]],
+        ["Kelpen-Oler",51.2182,5.826,1170,466,"t"],
+        ["Kemmel",50.7833,2.8271,0,361,"t"],
+        ["Kemzeke",51.2098,4.0743,0,744,"t"],
+        ["Kerckebosch",52.0784,5.2658,2555,884,"d"],
+        ["Kerensheide",50.9721,5.7767,2740,743,"d"],
+        ["Kerkdriel",51.7717,5.3347,6580,501,"t"],
+        ["Kerkehout",52.1102,4.3796,1045,836,"t"],
+        ["Kerkelanden",52.2176,5.1357,5655,364,"d"],
+        ["Kerkhove",50.7985,3.5027,0,35,"t"],
+        ["Kerkom",50.8557,4.8742,0,117,"t"],
+        ["Kerkrade",50.8658,6.0625,49777,416,"t"],
+        ["Kerksken",50.8907,3.9948,0,307,"t"],
+        ["Kermt",50.9476,5.2483,0,350,"t"],
+        ["Kersbeek-Miskom",50.8854,4.9958,0,291,"t"],
+        ["Kerschoten",52.2333,5.9667,3540,36,"d"],
+        ["Kessel",51.2917,6.0542,3020,625,"t"],
+        ["Kessel",51.1389,4.6296,0,82,"t"],
+        ["Kessel-Lo",50.8855,4.7372,0,468,"t"],
+        ["Kessenich",51.1509,5.8233,0,417,"t"],
+        ["Kester",50.764,4.1206,0,629,"t"],
+        ["Kesteren",51.935,5.5694,4455,559,"t"],
+        ["Kettenis",50.6476,6.0469,0,250,"t"],
+        ["Kieldrecht",51.2891,4.1759,0,707,"t"],
+        ["Kijkduin",52.0677,4.2219,1495,184,"d"],
+        ["Kinrooi",51.1454,5.7421,11946,417,"t"],
+        ["Klaaswaal",51.77,4.4458,3490,367,"t"],
+        ["Klarenbeek",51.5096,3.6113,3350,533,"d"],
+        ["Klazienaveen",52.7242,6.9903,11919,233,"t"],
+        ["Klein Driene",52.2694,6.8161,1470,344,"d"],
+        ["Klein-Zundert",51.4808,4.6542,1320,899,"t"],
+        ["Kleine-Brogel",51.1727,5.4506,0,626,"t"],
+        ["Kleine-Spouwen",50.8384,5.5501,0,97,"t"],
+        ["Klemskerke",51.2422,3.024,0,176,"t"],
+        ["Klerken",50.9964,2.9077,0,382,"t"],
+        ["Klimmen",50.8758,5.8806,1780,814,"t"],
+        ["Kloetinge",51.4983,3.9153,1595,293,"t"],
+        ["Kluisbergen",50.7794,3.4995,0,418,"m"],
+        ["Klundert",51.665,4.5347,5405,539,"t"],
+        ["Knegsel",51.3992,5.3458,0,226,"t"],
+        ["Knesselare",51.1393,3.4128,7889,5,"t"],
+        ["Knokke",51.3511,3.2874,0,419,"t"],
+        ["Knokke-Heist",51.35,3.2667,33781,419,"t"],
+        ["Koekange",52.6992,6.3167,1085,180,"t"],
+        ["Koekelare",51.0905,2.9783,8317,420,"t"],
+        ["Koekelberg",50.8612,4.3314,0,421,"t"],
+        ["Koersel",51.0591,5.2712,0,360,"t"],
+        ["Koewacht",51.2283,3.9736,2656,752,"t"],
+        ["Koggenland",52.6477,4.9352,16980,422,"m"],
+        ["Koksijde",51.1164,2.6377,21027,423,"t",["Coxyde"]],
+        ["Kollum",53.2769,6.1529,5230,574,"t"],
+        ["Kollumersweach",53.2622,6.0754,0,574,"t"],
+        ["Kollumerzwaag",53.2622,6.0754,2805,574,"t"],
+        ["Koningsbosch",51.0517,5.9583,1540,219,"t"],
+        ["Koningshooikt",51.0961,4.6099,0,82,"t"],
+        ["Koningslust",51.3575,5.9931,1270,625,"t"],
+        ["Koninksem",50.7653,5.4389,0,769,"t"],
+        ["Kontich",51.1321,4.4471,20290,424,"t"],
+        ["Koog aan de Zaan",52.4604,4.8046,0,877,"t"],
+        ["Koolkerke",51.2393,3.2475,0,171,"t"],
+        ["Koolskamp",51.0023,3.2104,0,37,"t"],
+        ["Kootstertille",53.2126,6.0921,2180,8,"t"],
+        ["Kootwijkerbroek",52.1508,5.6694,1690,60,"t"],
+        ["Kop van Zuid",51.9055,4.4871,2235,676,"t"],
+        ["Kop Zeedijk",52.3758,4.9002,0,26,"t"],
+        ["Korbeek-Lo",50.8603,4.7627,0,95,"t"],
+        ["Korrewegwijk",53.2323,6.568,16710,303,"d"],
+        ["Kortemark",51.0295,3.0411,11937,425,"t"],
+        ["Kortenaken",50.9086,5.0597,7374,426,"t"],
+        ["Kortenberg",50.8898,4.5435,17774,427,"t"],
+        ["Kortenhoef",52.2392,5.1069,6250,863,"t"],
+        ["Kortessem",50.8589,5.3897,8042,325,"t"],
+        ["Kortrijk",50.828,3.2649,73879,428,"t",["Courtrai"]],
+        ["Kortrijk-Dutsel",50.9268,4.808,0,370,"t"],
+        ["Korvel",51.5495,5.0708,12520,766,"d"],
+        ["Koudekerke",51.4817,3.5542,2880,793,"t"],
+        ["Koudum",52.9155,5.4483,2600,747,"t"],
+        ["Kozen",50.8752,5.2401,0,13,"t"],
+        ["Kraainem",50.8616,4.4695,12815,429,"t",["Crainhem"]],
+        ["Kraggenburg",52.6625,5.9,0,577,"t"],
+        ["Krakeel",52.7234,6.5115,5105,372,"d"],
+        ["Krimpen aan den IJssel",51.9167,4.6028,29017,430,"t"],
+        ["Krimpenerwaard",51.9589,4.7772,32512,431,"m"],
+        ["Krommenie",52.4992,4.7625,0,877,"t"],
+        ["Krooswijk",51.6467,4.592,4130,539,"t"],
+        ["Kruibeke",51.1705,4.3144,14815,92,"t"],
+        ["Kruisberg",50.9423,5.9652,1150,134,"d"],
+        ["Kruisem",50.9028,3.5826,14767,432,"m"],
+        ["Kruishoutem",50.9017,3.5259,8179,432,"t"],
+        ["Kruisland",51.5692,4.4097,1785,740,"t"],
+        ["Kudelstaart",52.2342,4.7514,9250,2,"t"],
+        ["Kumtich",50.821,4.8872,0,765,"t"],
+        ["Kunrade",50.8777,5.9311,3405,814,"t"],
+        ["Kuringen",50.9443,5.299,0,325,"t"],
+        ["Kuurne",50.8514,3.2824,12638,433,"t"],
+        ["Kwaadmechelen",51.101,5.1448,0,755,"t"],
+        ["Kwintsheul",52.0133,4.2556,3560,854,"t"],
+        ["La Bouverie",50.4052,3.8744,0,268,"t"],
+        ["La Bruyère",50.3948,4.6144,8194,434,"t"],
+        ["La Gleize",50.4107,5.847,0,746,"t"],
+        ["La Hestre",50.4756,4.2474,0,551,"t"],
+        ["La Hulpe",50.7309,4.4858,7415,435,"t",["Terhulpen"]],
+        ["La Louvière",50.4866,4.1879,76668,436,"t"],
+        ["La Reid",50.4891,5.791,0,758,"t"],
+        ["La Roche-en-Ardenne",50.1836,5.5755,4200,437,"t"],
+        ["Laakdal",51.0847,5.0025,0,438,"m"],
+        ["Laarbeek",51.5246,5.623,18550,439,"m"],
+        ["Laarne",51.0308,3.8508,11600,440,"t"],
+        ["Labuissière",50.3194,4.1809,0,526,"t"],
+        ["Lage Mierde",51.4058,5.1472,1405,659,"t"],
+        ["Lakerlopen",51.4379,5.5011,3355,229,"d"],
+        ["Lambermont",50.5904,5.8324,0,799,"t"],
+        ["Lambusart",50.4543,4.5526,0,254,"t"],
+        ["Lammerenburg",51.4667,3.5583,1200,812,"t"],
+        ["Lanaken",50.8932,5.6468,24771,441,"t"],
+        ["Land van Cuijk",51.6866,5.8518,43162,442,"m"],
+        ["Landegem",51.0552,3.5767,0,182,"t"],
+        ["Landelies",50.38,4.3508,0,548,"t"],
+        ["Landen",50.7527,5.082,14458,443,"t"],
+        ["Landenne",50.5153,5.0668,0,27,"t"],
+        ["Landgraaf",50.9117,6.0356,10885,444,"m"],
+        ["Landsmeer",52.4308,4.9153,1800,445,"t"],
+        ["Laneffe",50.2794,4.4934,0,830,"t"],
+        ["Langdorp",50.9956,4.8717,0,6,"t"],
+        ["Langeheit",52.492,4.7585,1180,877,"t"],
+        ["Langemark",50.9131,2.9196,0,446,"t"],
+        ["Langemark-Poelkapelle",50.9201,2.8957,0,446,"m"],
+        ["Langenboom",51.7042,5.7306,1400,442,"t"],
+        ["Langenoord",52.1877,5.3803,1695,24,"t"],
+        ["Langestraat en omgeving",52.3783,4.8898,0,26,"t"],
+        ["Langweer",52.9584,5.7217,1095,175,"t"],
+        ["Lanklaar",51.0194,5.7251,0,199,"t"],
+        ["Lansingerland",51.9967,4.4971,48927,447,"m"],
+        ["Laplaigne",50.5219,3.4473,0,33,"t"],
+        ["Laren",52.2567,5.2278,11508,448,"t"],
+        ["Laren",52.1942,6.3653,1730,489,"t"],
+        ["Lasne",50.695,4.4922,13861,449,"m"],
+        ["Lasne-Chapelle-Saint-Lambert",50.693,4.5011,0,449,"t"],
+        ["Lastage",52.3746,4.9023,0,26,"t"],
+        ["Latour",49.5574,5.5706,0,807,"t"],
+        ["Lauradorp",50.9123,6.0459,3170,444,"d"],
+        ["Lauw",50.7388,5.4133,0,354,"t"],
+        ["Lauwe",50.7948,3.1869,0,857,"t"],
+        ["Le Roeulx",50.5037,4.1116,0,450,"t"],
+        ["Le Rœulx",50.5037,4.1116,7968,450,"m"],
+        ["Le Roux",50.3888,4.624,0,434,"t"],
+        ["Lebbeke",51.0046,4.1346,17372,451,"t"],
+        ["Lede",50.9663,3.9859,16813,452,"t"],
+        ["Ledeberg",51.0386,3.7446,8454,284,"t"],
+        ["Ledeberg",50.8436,4.0911,1500,673,"t"],
+        ["Ledegem",50.8578,3.1241,9102,453,"t"],
+        ["Leefdaal",50.8476,4.5894,0,87,"t"],
+        ["Leek",53.1625,6.3764,19651,849,"t"],
+        ["Leende",51.3508,5.5542,3490,336,"t"],
+        ["Leens",53.36,6.3792,1675,357,"t"],
+        ["Leerbeek",50.7779,4.1194,0,621,"t"],
+        ["Leerdam",51.8933,5.0917,20758,802,"t"],
+        ["Leernes",50.3981,4.3324,0,266,"t"],
+        ["Leers-Nord",50.6875,3.2702,0,245,"t"],
+        ["Leersum",52.0117,5.4278,6385,786,"t"],
+        ["Leest",51.6098,5.5431,2840,521,"t"],
+        ["Leest",51.0332,4.4153,0,517,"t"],
+        ["Leesten",52.1279,6.2322,10000,901,"d"],
+        ["Leeuwarden",53.2027,5.8097,91424,454,"t"],
+        ["Leeuwen",51.2103,5.9986,1075,670,"t"],
+        ["Leeuwergem",50.888,3.831,0,356,"t"],
+        ["Leffinge",51.1758,2.8758,0,534,"t"],
+        ["Léglise",49.7998,5.5365,3865,455,"t"],
+        ["Leiden",52.1583,4.4931,119713,456,"t"],
+        ["Leiderdorp",52.1583,4.5292,25966,457,"t"],
+        ["Leidsche Rijn",52.095,5.0461,0,785,"t"],
+        ["Leidschendam-Voorburg",52.0754,4.3612,42900,458,"m"],
+        ["Leidsebuurt-Noordoost",52.3631,4.885,0,26,"t"],
+        ["Leignon",50.2686,5.1105,0,157,"t"],
+        ["Leimuiden",52.2242,4.6694,1035,404,"t"],
+        ["Leke",51.1002,2.891,0,420,"t"],
+        ["Leliegracht en omgeving",52.3755,4.8872,0,26,"t"],
+        ["Lelystad",52.5083,5.475,70741,459,"t"],
+        ["Lembeek",50.7157,4.2183,0,313,"t"],
+        ["Lembeke",51.1949,3.6333,0,411,"t"],
+        ["Lemberge",50.9763,3.7705,0,528,"t"],
+        ["Lemmer",52.8462,5.7091,10050,175,"t"],
+        ["Lendelede",50.8863,3.2375,5393,460,"t"],
+        ["Lennik",50.8116,4.1696,8818,461,"m"],
+        ["Lens",50.557,3.8995,3902,462,"t"],
+        ["Lens-Saint-Remy",50.6508,5.1319,0,122,"t"],
+        ["Lens-sur-Geer",50.7216,5.3509,0,604,"t"],
+        ["Lent",51.8617,5.8667,9160,570,"t"],
+        ["Leopoldsburg",51.1167,5.25,14149,463,"t",["Bourg-Léopold"]],
+        ["Lepelstraat",51.5483,4.2764,1425,79,"t"],
+        ["Les Bons Villers",50.495,4.4824,0,464,"m"],
+        ["Lessines",50.711,3.8358,17687,465,"t",["Lessen"]],
+        ["Lesve",50.377,4.7778,0,267,"t"],
+        ["Lettelingen",50.6833,4.0833,0,234,"t"],
+        ["Letterhoutem",50.9277,3.8797,0,713,"t"],
+        ["Leudal",51.2398,5.9268,17525,466,"m"],
+        ["Leuken",51.2529,5.7346,3805,841,"t"],
+        ["Leunen",51.51,5.9792,2270,797,"t"],
+        ["Leusden",52.1325,5.4319,29215,467,"t"],
+        ["Leusden-Zuid",52.1175,5.4056,0,467,"t"],
+        ["Leut",50.9911,5.7362,0,505,"t"],
+        ["Leuth",51.8392,5.9917,1595,75,"t"],
+        ["Leuven",50.8796,4.7009,92892,468,"t",["Louvain"]],
+        ["Leuze",50.6,3.6,0,469,"t"],
+        ["Leuze",50.5463,4.9063,0,227,"t"],
+        ["Leuze-en-Hainaut",50.5902,3.5741,0,469,"m"],
+        ["Leval-Trahegnies",50.4213,4.2256,0,29,"t"],
+        ["Liberchies",50.5142,4.4212,0,133,"t"],
+        ["Libin",49.9811,5.2561,4609,470,"t"],
+        ["Libramont",49.9174,5.3732,0,471,"t"],
+        ["Libramont-Chevigny",49.9261,5.3773,0,471,"m"],
+        ["Lichtaart",51.2249,4.9168,0,412,"t"],
+        ["Lichtenberg",50.9022,6.0252,1635,444,"d"],
+        ["Lichtenvoorde",51.9867,6.5667,19590,593,"t"],
+        ["Lichtervelde",51.0333,3.15,8169,472,"t"],
+        ["Liedekerke",50.8689,4.0874,11980,473,"t"],
+        ["Liège",50.6337,5.5675,182597,474,"t",["Luik","Lüttich"]],
+        ["Liempde",51.5692,5.3722,4170,118,"t"],
+        ["Lienden",51.9483,5.5181,3470,141,"t"],
+        ["Lier",51.1313,4.5704,33272,475,"t",["Lierre"]],
+        ["Lierde",50.8187,3.8444,6449,476,"m"],
+        ["Lierneux",50.2848,5.7924,3332,477,"t"],
+        ["Lierop",51.4192,5.6792,1460,727,"t"],
+        ["Liers",50.694,5.5646,0,402,"t"],
+        ["Lieshout",51.5204,5.5948,3530,439,"t"],
+        ["Liessel",51.4133,5.8208,2395,191,"t"],
+        ["Liesveld",51.9325,4.8319,9767,541,"t"],
+        ["Lievegem",51.1233,3.595,25192,478,"m"],
+        ["Lievendaal",51.4422,5.4341,3175,229,"d"],
+        ["Liezele",51.06,4.2804,0,643,"t"],
+        ["Ligny",50.5124,4.5774,0,726,"t"],
+        ["Lille",51.242,4.8231,15466,479,"t"],
+        ["Lillois-Witterzée",50.6455,4.3668,0,119,"t"],
+        ["Limal",50.6948,4.5754,0,840,"t"],
+        ["Limbourg",50.6122,5.9412,5612,480,"t",["Limburg"]],
+        ["Limbricht",51.0117,5.8375,2575,719,"t"],
+        ["Limelette",50.6843,4.5719,0,607,"t"],
+        ["Limerlé",50.158,5.9239,0,298,"t"],
+        ["Limmel",50.8672,5.7072,2370,507,"d"],
+        ["Limmen",52.5692,4.6944,7300,145,"t"],
+        ["Lincent",50.7122,5.0365,2884,481,"t",["Lijsem"]],
+        ["Linden",50.8949,4.7703,0,370,"t"],
+        ["Lindenheuvel",50.9851,5.8167,8040,719,"t"],
+        ["Lindenholt",51.8327,5.7934,16121,570,"d"],
+        ["Lingewaard",51.8902,5.9325,23810,482,"m"],
+        ["Linkebeek",50.7678,4.3369,4823,483,"t"],
+        ["Linkhout",50.9678,5.1374,0,312,"t"],
+        ["Linne",51.155,5.9389,3645,503,"t"],
+        ["Linschoten",52.0625,4.9153,3435,547,"t"],
+        ["Lint",51.1271,4.4967,7982,484,"t"],
+        ["Linter",50.8321,5.0203,0,485,"m"],
+        ["Lippelo",51.0426,4.259,0,643,"t"],
+        ["Lisse",52.26,4.5569,22321,486,"t"],
+        ["Lisserbroek",52.2567,4.5722,3360,309,"t"],
+        ["Lissewege",51.2943,3.1933,0,131,"t"],
+        ["Lith",51.8058,5.4389,2895,606,"t"],
+        ["Lixhe",50.7544,5.6803,0,808,"t"],
+        ["Lo",50.9804,2.7496,0,487,"t"],
+        ["Lo-Reninge",50.9641,2.7693,0,487,"m"],
+        ["Lobbes",50.3526,4.2672,5467,488,"t"],
+        ["Lobith",51.8625,6.1181,3045,888,"t"],
+        ["Lochem",52.1592,6.4111,12360,489,"t"],
+        ["Lochristi",51.0964,3.8319,19696,490,"t"],
+        ["Lodelinsart",50.4314,4.4489,0,149,"t"],
+        ["Loenen",52.1175,6.0194,2135,36,"t"],
+        ["Loenen aan de Vecht",52.21,5.0222,0,745,"t"],
+        ["Loenhout",51.3995,4.644,0,875,"t"],
+        ["Lokeren",51.1036,3.9934,37567,491,"t"],
+        ["Lombardijen",51.8738,4.5219,13785,676,"d"],
+        ["Lombardsijde",51.15,2.75,0,567,"t"],
+        ["Lomm",51.4483,6.1722,0,796,"t"],
+        ["Lommel",51.2307,5.3135,31993,492,"t"],
+        ["Lommersweiler",50.24,6.165,0,689,"t"],
+        ["Loncin",50.6666,5.5051,0,31,"t"],
+        ["Londerzeel",51.0047,4.303,17274,493,"t"],
+        ["Longchamps",50.0534,5.6903,0,62,"t"],
+        ["Longlier",49.8538,5.4501,0,561,"t"],
+        ["Longvilly",50.0263,5.8383,0,62,"t"],
+        ["Lonneker",52.2508,6.9111,0,237,"t"],
+        ["Lontzen",50.6813,6.0071,4862,494,"t"],
+        ["Loon op Zand",51.6275,5.075,23000,495,"t"],
+        ["Loonbeek",50.8094,4.6097,0,386,"t"],
+        ["Loosbroek",51.6783,5.5069,1295,85,"t"],
+        ["Loosdrecht",52.207,5.071,0,863,"t"],
+        ["Lopik",51.9725,4.9486,14013,496,"t"],
+        ["Loppem",51.1566,3.196,0,597,"t"],
+        ["Loppersum",53.3317,6.7472,2365,225,"t"],
+        ["Losser",52.2608,7.0042,22431,497,"t"],
+        ["Lot",50.7679,4.2771,0,70,"t"],
+        ["Lotenhulle",51.0502,3.4616,0,5,"t"],
+        ["Lottum",51.4617,6.1611,1170,377,"t"],
+        ["Loupoigne",50.5981,4.4445,0,281,"t"],
+        ["Louvain-la-Neuve",50.6683,4.6144,29521,607,"t"],
+        ["Louveigné",50.5301,5.7155,0,733,"t"],
+        ["Loven",51.5648,5.0975,3865,766,"d"],
+        ["Lovendegem",51.1017,3.613,9272,478,"t"],
+        ["Lovenjoel",50.8585,4.7809,0,95,"t"],
+        ["Loverval",50.3752,4.4733,0,149,"t"],
+        ["Loyers",50.4632,4.9514,0,555,"t"],
+        ["Lubbeek",50.8828,4.839,13574,498,"t"],
+        ["Luingne",50.7395,3.236,0,553,"t"],
+        ["Lummen",50.9877,5.1912,13689,499,"t"],
+        ["Lunetten",52.0618,5.1347,11679,785,"d"],
+        ["Lunteren",52.085,5.6222,12510,221,"t"],
+        ["Lustin",50.3788,4.8987,0,639,"t"],
+        ["Lutjebroek",52.6975,5.2042,2120,739,"t"],
+        ["Luttelgeest",52.7433,5.8528,0,577,"t"],
+        ["Luttre",50.5101,4.3971,0,637,"t"],
+        ["Luyksgestel",51.2892,5.3236,2465,76,"t"],
+        ["Maarheeze",51.3117,5.6167,4715,166,"t"],
+        ["Maarkedal",50.8034,3.632,0,500,"m"],
+        ["Maarn",52.0642,5.3708,4618,786,"t"],
+        ["Maarssen",52.1392,5.0417,39675,745,"t"],
+        ["Maartensdijk",52.155,5.175,4925,174,"t"],
+        ["Maasbommel",51.8217,5.5361,0,848,"t"],
+        ["Maasbracht",51.1393,5.8863,5680,503,"t"],
+        ["Maasbree",51.3575,6.0486,5045,625,"t"],
+        ["Maasdijk",51.9592,4.2139,5000,854,"t"],
+        ["Maasdriel",51.7681,5.2992,17165,501,"m"],
+        ["Maaseik",51.098,5.7838,23684,502,"t"],
+        ["Maasgouw",51.159,5.8956,20635,503,"m"],
+        ["Maashorst",51.6728,5.6315,64946,504,"m"],
+        ["Maaskantje",51.6583,5.3708,1610,714,"t"],
+        ["Maasland",51.9342,4.2722,4545,535,"t"],
+        ["Maasmechelen",50.9654,5.6945,36251,505,"t"],
+        ["Maaspoort",51.7261,5.3019,0,0,"t"],
+        ["Maassluis",51.9233,4.25,32780,506,"t"],
+        ["Maastricht",50.8483,5.6889,122378,507,"t"],
+        ["Machelen",50.9106,4.4417,12252,508,"t"],
+        ["Machelen-aan-de-Leie",50.9597,3.4905,0,182,"t"],
+        ["Made",51.6767,4.7931,11795,211,"t"],
+        ["Maffle",50.6179,3.8032,0,47,"t"],
+        ["Magele",52.4692,6.5208,1020,778,"t"],
+        ["Magnée",50.5998,5.6883,0,260,"t"],
+        ["Maillen",50.3778,4.971,0,45,"t"],
+        ["Mainvault",50.6491,3.7175,0,47,"t"],
+        ["Maisières",50.4882,3.9656,0,543,"t"],
+        ["Makkum",53.0546,5.4023,3285,747,"t"],
+        ["Mal",50.7687,5.5197,0,769,"t"],
+        ["Malberg",50.8624,5.6542,5345,507,"d"],
+        ["Malburgen West",51.9681,5.8974,4200,40,"d"],
+        ["Maldegem",51.2074,3.4451,22092,509,"t"],
+        ["Malderen",51.0208,4.2464,0,493,"t"],
+        ["Malle",51.3,4.7333,7034,510,"m"],
+        ["Malmedy",50.4269,6.0279,11514,511,"t",["Malmédy"]],
+        ["Malonne",50.4397,4.7956,0,263,"t"],
+        ["Malta",51.65,3.9333,1545,699,"d"],
+        ["Manage",50.5031,4.2359,22196,512,"t"],
+        ["Manderfeld",50.3312,6.3392,0,137,"t"],
+        ["Manhay",50.2922,5.6756,3128,513,"t"],
+        ["Mantgum",53.1287,5.7192,1105,454,"t"],
+        ["Marbais",50.5465,4.535,0,803,"t"],
+        ["Marche-en-Famenne",50.2268,5.3442,16856,514,"t"],
+        ["Marche-les-Dames",50.4858,4.9597,0,555,"t"],
+        ["Marche-lez-Écaussinnes",50.546,4.1818,0,218,"t"],
+        ["Marchienne-au-Pont",50.4057,4.3953,0,548,"t"],
+        ["Marchin",50.4671,5.2428,5063,515,"t"],
+        ["Marcinelle",50.3922,4.4439,0,149,"t"],
+        ["Marenne",50.2413,5.415,0,378,"t"],
+        ["Margraten",50.8208,5.8208,3320,228,"t"],
+        ["Maria Aalter",51.0945,3.3692,0,5,"t"],
+        ["Mariahout",51.5408,5.5722,1130,439,"t"],
+        ["Mariakerke",51.0748,3.6829,0,284,"t"],
+        ["Mariarade",50.9291,5.9274,3770,334,"d"],
+        ["Mariekerke",51.065,4.1925,0,643,"t"],
+        ["Mariembourg",50.0949,4.5216,0,806,"t"],
+        ["Mark",50.6914,4.0156,0,234,"t"],
+        ["Marke",50.8068,3.2334,0,428,"t"],
+        ["Markelo",52.235,6.4986,3785,368,"t"],
+        ["Marken",52.4583,5.1028,1846,837,"t"],
+        ["Marknesse",52.7083,5.8708,0,577,"t"],
+        ["Marnixbuurt-Noord",52.3816,4.8808,0,26,"t"],
+        ["Marquain",50.6068,3.3209,0,771,"t"],
+        ["Marrum",53.3228,5.802,1230,574,"t"],
+        ["Marsdijk",53.0177,6.5853,12241,43,"d"],
+        ["Marsum",53.2105,5.7264,1185,823,"t"],
+        ["Martelange",49.8319,5.7366,1440,516,"t"],
+        ["Marum",53.1442,6.2625,5170,849,"t"],
+        ["Masnuy-Saint-Jean",50.5321,3.9403,0,403,"t"],
+        ["Massemen",50.9809,3.8739,0,856,"t"],
+        ["Massenhoven",51.2002,4.6357,0,879,"t"],
+        ["Matendonk",52.1977,6.0111,5225,36,"d"],
+        ["Matendreef",52.1999,5.9859,4325,36,"d"],
+        ["Matengaarde",52.1979,5.9957,2810,36,"d"],
+        ["Matenhoeve",52.1906,6.0134,4915,36,"d"],
+        ["Matenhorst",52.2048,5.993,3055,36,"d"],
+        ["Matenveld",52.1877,5.9988,5895,36,"d"],
+        ["Mater",50.8432,3.6626,0,376,"t"],
+        ["Maubray",50.5508,3.504,0,33,"t"],
+        ["Maurage",50.4565,4.097,0,246,"t"],
+        ["Maurik",51.9608,5.4222,3270,141,"t"],
+        ["Mazenzele",50.9425,4.1722,0,603,"t"],
+        ["Mazy",50.511,4.6737,0,399,"t"],
+        ["Mechelen",51.0257,4.4776,77530,517,"t",["Malines"]],
+        ["Mechelen",50.7958,5.9264,1375,304,"t"],
+        ["Mechelen-aan-de-Maas",50.9659,5.6914,0,505,"t"],
+        ["Mechelen-Bovelingen",50.7408,5.2628,0,335,"t"],
+        ["Medemblik",52.7717,5.1056,41500,518,"t"],
+        ["Meeden",53.14,6.9264,1440,537,"t"],
+        ["Meensel-Kiezegem",50.8962,4.925,0,291,"t"],
+        ["Meer",51.4464,4.7391,0,374,"t"],
+        ["Meerbeek",50.8821,4.5897,0,427,"t"],
+        ["Meerbeke",50.8244,4.0367,0,571,"t"],
+        ["Meerdonk",51.2667,4.15,0,707,"t"],
+        ["Meerhout",51.1321,5.0784,9346,519,"t"],
+        ["Meerhoven",51.4427,5.411,7175,229,"d"],
+        ["Meerle",51.4723,4.8032,0,374,"t"],
+        ["Meerlo",51.5133,6.0847,1605,377,"t"],
+        ["Meerssen",50.8875,5.75,5650,520,"t"],
+        ["Meerveldhoven",51.4171,5.4162,2360,794,"d"],
+        ["Meeuwen",51.0991,5.5211,0,626,"t"],
+        ["Meezenbroek",50.8968,5.9905,2910,334,"d"],
+        ["Megen",51.8217,5.5625,1520,606,"t"],
+        ["Meierijstad",51.6058,5.4954,83492,521,"m"],
+        ["Meijel",51.3442,5.8847,5180,625,"t"],
+        ["Meise",50.9393,4.3266,18497,522,"t"],
+        ["Meix-devant-Virton",49.6058,5.4805,2637,523,"t"],
+        ["Mekkelholt",52.2364,6.8906,2585,237,"d"],
+        ["Melderslo",51.4617,6.0861,1175,377,"t"],
+        ["Meldert",51.0001,5.1421,0,499,"t"],
+        ["Meldert",50.9345,4.135,0,186,"t"],
+        ["Meldert",50.7881,4.8378,0,365,"t"],
+        ["Melen",50.6462,5.7359,0,102,"t"],
+        ["Melick",51.1592,6.0167,3650,669,"t"],
+        ["Mélin",50.74,4.8288,0,401,"t"],
+        ["Meliskerke",51.5142,3.5097,1225,793,"t"],
+        ["Melle",51.0023,3.8053,10687,528,"t"],
+        ["Melle",51.6624,5.6337,4225,504,"t"],
+        ["Mellet",50.5057,4.4786,0,464,"t"],
+        ["Melsbroek",50.9156,4.4798,0,741,"t"],
+        ["Melsele",51.2229,4.282,0,92,"t"],
+        ["Melsen",50.9562,3.6957,0,272,"t"],
+        ["Membach",50.6191,5.9951,0,57,"t"],
+        ["Menaam",53.218,5.6612,2682,823,"t"],
+        ["Menen",50.7972,3.1225,31916,524,"t",["Menin"]],
+        ["Meppel",52.6958,6.1944,30697,525,"t"],
+        ["Merbes-le-Château",50.3245,4.1649,3999,526,"t"],
+        ["Merchtem",50.9513,4.232,14660,527,"t"],
+        ["Mere",50.9231,3.9713,0,241,"t"],
+        ["Merelbeke",50.9945,3.7462,22047,528,"t"],
+        ["Merelbeke-Melle",50.997,3.7655,32734,528,"m"],
+        ["Merendree",51.0766,3.576,0,478,"t"],
+        ["Merenwijk",52.1765,4.5088,16500,456,"d"],
+        ["Merkelbeek",50.9539,5.9407,1720,67,"t"],
+        ["Merkem",50.9528,2.8523,0,446,"t"],
+        ["Merksem",51.2462,4.449,0,34,"t"],
+        ["Merksplas",51.3585,4.8651,7963,529,"t"],
+        ["Merselo",51.53,5.9278,1120,797,"t"],
+        ["Merum",51.1733,5.9597,2145,670,"t"],
+        ["Mesen",50.7646,2.8986,1000,530,"t",["Messines"]],
+        ["Meslin-l'Évêque",50.6486,3.8474,0,47,"t"],
+        ["Messancy",49.592,5.8188,7144,531,"t"],
+        ["Messelbroek",50.9955,4.9366,0,693,"t"],
+        ["Meteren",51.865,5.2833,3855,847,"t"],
+        ["Mettet",50.3212,4.6623,12014,532,"t"],
+        ["Meulebeke",50.9514,3.288,10948,763,"t"],
+        ["Meux",50.5522,4.801,0,279,"t"],
+        ["Meyerode",50.3282,6.1878,0,22,"t"],
+        ["Michelbeke",50.8355,3.7625,0,123,"t"],
+        ["Micheroux",50.6247,5.7185,0,730,"t"],
+        ["Middelbeers",51.4667,5.25,2715,583,"t"],
+        ["Middelburg",51.5,3.6139,46485,533,"t"],
+        ["Middelharnis",51.7575,4.1653,17554,292,"t"],
+        ["Middelkerke",51.1853,2.8208,17789,534,"t"],
+        ["Middelrode",51.6642,5.4194,1465,714,"t"],
+        ["Middelsluis",51.7425,4.4417,1060,367,"t"],
+        ["Middelstum",53.3467,6.6417,2105,225,"t"],
+        ["Midden-Delfland",51.9527,4.2907,8180,535,"m"],
+        ["Midden-Drenthe",52.859,6.5447,14100,536,"m"],
+        ["Midden-Groningen",53.1767,6.7888,44078,537,"m"],
+        ["Middenbeemster",52.5492,4.9125,4070,640,"t"],
+        ["Middenmeer",52.8067,4.9986,3155,369,"t"],
+        ["Midwolda",53.195,7.0139,1885,585,"t"],
+        ["Midwoud",52.7167,5.075,2280,518,"t"],
+        ["Mielen-boven-Aalst",50.7564,5.2142,0,289,"t"],
+        ["Mierlo",51.44,5.6194,9405,278,"t"],
+        ["Mignault",50.5302,4.1576,0,218,"t"],
+        ["Mijdrecht",52.2067,4.8625,15230,179,"t"],
+        ["Mijnsheerenland",51.7967,4.4875,1775,367,"t"],
+        ["Milheeze",51.5017,5.7792,1400,280,"t"],
+        ["Mill",51.6883,5.7792,0,442,"t"],
+        ["Millen",50.7862,5.5562,0,663,"t"],
+        ["Milmort",50.6904,5.5932,0,353,"t"],
+        ["Milsbeek",51.725,5.9486,2055,283,"t"],
+        ["Minderhout",51.4171,4.7629,0,374,"t"],
+        ["Minnertsga",53.251,5.5951,1625,823,"t"],
+        ["Modave",50.4461,5.2953,3825,538,"t"],
+        ["Moen",50.7701,3.3948,0,51,"t"],
+        ["Moerbeke",51.1741,3.93,5855,491,"t"],
+        ["Moerbeke",50.7525,3.9172,0,285,"t"],
+        ["Moerdijk",51.7017,4.6264,1030,539,"t"],
+        ["Moere",51.1226,2.9558,0,290,"t"],
+        ["Moerkerke",51.2455,3.3425,0,171,"t"],
+        ["Moerzeke",51.0691,4.1614,0,315,"t"],
+        ["Moesel",51.2383,5.7178,3675,841,"d"],
+        ["Moha",50.548,5.1864,0,832,"t"],
+        ["Moignelée",50.4458,4.5837,0,688,"t"],
+        ["Mol",51.1919,5.1166,32659,540,"t"],
+        ["Molenbeek-Wersbeek",50.9195,4.9476,0,73,"t"],
+        ["Molenbeersel",51.1704,5.7376,0,417,"t"],
+        ["Molenhoek",51.7111,5.3681,3745,0,"t"],
+        ["Molenlanden",51.8955,4.8244,38482,541,"m"],
+        ["Molenstede",51.004,5.013,0,195,"t"],
+        ["Mollem",50.9312,4.2263,0,527,"t"],
+        ["Momalle",50.6859,5.3759,0,258,"t"],
+        ["Momignies",50.0271,4.1652,5183,542,"t"],
+        ["Monceau-sur-Sambre",50.4169,4.3767,0,266,"t"],
+        ["Monnickendam",52.4583,5.0375,2015,837,"t"],
+        ["Mons",50.4541,3.9523,91277,543,"t",["Bergen"]],
+        ["Mons-lez-Liège",50.6231,5.4563,3595,259,"t"],
+        ["Monster",52.0258,4.175,11580,854,"t"],
+        ["Mont-de-l'Enclus",50.7431,3.4945,0,544,"m"],
+        ["Mont-Saint-Guibert",50.6343,4.6106,6557,545,"t"],
+        ["Mont-Sainte-Aldegonde",50.4301,4.2326,0,551,"t"],
+        ["Mont-sur-Marchienne",50.39,4.4073,0,548,"t"],
+        ["Montegnée",50.6458,5.5141,0,31,"t"],
+        ["Montenaken",50.7209,5.1294,0,289,"t"],
+        ["Montferland",51.8888,6.2478,8340,546,"m"],
+        ["Montfoort",52.0458,4.9528,5500,547,"t"],
+        ["Montfort",51.1258,5.9486,2815,669,"t"],
+        ["Montignies-sur-Sambre",50.4108,4.4911,0,151,"t"],
+        ["Montigny-le-Tilleul",50.3806,4.3758,0,548,"t"],
+        ["Montzen",50.7079,5.9622,0,636,"t"],
+        ["Mook",51.7525,5.8819,2715,549,"t"],
+        ["Mook en Middelaar",51.7525,5.8819,2715,549,"m"],
+        ["Moorsel",50.9474,4.0983,0,3,"t"],
+        ["Moorsele",50.8409,3.1597,0,453,"t"],
+        ["Moorslede",50.8919,3.0612,10720,550,"t"],
+        ["Moortsele",50.9586,3.7775,0,596,"t"],
+        ["Mopertingen",50.8612,5.5759,0,97,"t"],
+        ["Moresnet",50.7215,5.9899,0,415,"t"],
+        ["Morialmé",50.2756,4.5658,0,264,"t"],
+        ["Morkhoven",51.1189,4.8188,0,588,"t"],
+        ["Morlanwelz",50.455,4.2452,18233,551,"m"],
+        ["Morlanwelz-Mariemont",50.455,4.2452,18233,551,"t"],
+        ["Mornimont",50.459,4.7045,0,399,"t"],
+        ["Mortier",50.6843,5.7433,0,102,"t"],
+        ["Mortsel",51.167,4.4513,24525,552,"t"],
+        ["Mourcourt",50.6532,3.4447,0,771,"t"],
+        ["Mouscron",50.745,3.2064,52069,553,"t",["Moeskroen"]],
+        ["Moustier-sur-Sambre",50.4667,4.6961,0,399,"t"],
+        ["Muiden",52.33,5.0694,6223,295,"t"],
+        ["Muiderberg",52.3258,5.1208,1605,295,"t"],
+        ["Muizen",51.0111,4.5143,0,108,"t"],
+        ["Munkzwalm",50.8768,3.735,0,902,"t"],
+        ["Munsterbilzen",50.8894,5.5265,0,97,"t"],
+        ["Munstergeleen",50.975,5.8639,4580,719,"t"],
+        ["Muschberg en Geestenberg",51.4438,5.5233,3836,229,"d"],
+        ["Musselkanaal",52.9325,7.0153,0,736,"t"],
+        ["Musson",49.5583,5.7053,4225,554,"t"],
+        ["Mussy-la-Ville",49.5701,5.6619,0,554,"t"],
+        ["Naaldwijk",51.9942,4.2097,17753,854,"t"],
+        ["Naarden",52.2958,5.1625,17115,295,"t"],
+        ["Naast",50.5541,4.1008,0,725,"t"],
+        ["Naastenbest",51.5048,5.3858,3955,89,"d"],
+        ["Nagele",52.6442,5.725,0,577,"t"],
+        ["Nalinnes",50.3243,4.4457,0,314,"t"],
+        ["Namêche",50.4724,4.9976,0,27,"t"],
+        ["Namur",50.4669,4.8675,106284,555,"t",["Namen"]],
+        ["Nandrin",50.5067,5.4191,5480,556,"t"],
+        ["Naninne",50.4189,4.9263,0,639,"t"],
+        ["Nassogne",50.1285,5.3427,5081,557,"t"],
+        ["Natoye",50.3429,5.058,0,45,"t"],
+        ["Nazareth",50.9569,3.5943,10890,558,"t"],
+        ["Nazareth-Latem",50.9818,3.6131,19193,558,"m"],
+        ["Néchin",50.667,3.2665,0,245,"t"],
+        ["Neck",52.5075,4.9139,0,872,"t"],
+        ["Neder-Betuwe",51.9263,5.5936,14100,559,"m"],
+        ["Neder-Hardinxveld",51.8288,4.8549,5335,322,"d"],
+        ["Nederboelare",50.776,3.8715,0,285,"t"],
+        ["Nederhasselt",50.8465,3.975,0,571,"t"],
+        ["Nederhemert",51.7652,5.1682,1496,878,"t"],
+        ["Nederhemert-Noord",51.7632,5.173,1490,878,"d"],
+        ["Nederokkerzeel",50.9194,4.5639,0,407,"t"],
+        ["Nederweert",51.2858,5.7486,7205,560,"t"],
+        ["Nederwoud",52.1008,5.5708,1610,221,"t"],
+        ["Neede",52.1342,6.6139,7730,81,"t"],
+        ["Neerbeek",50.95,5.8153,2480,66,"t"],
+        ["Neerharen",50.9096,5.6803,0,441,"t"],
+        ["Neerheylissem",50.7584,4.9883,0,339,"t"],
+        ["Neerijse",50.8172,4.6236,0,608,"t"],
+        ["Neerkant",51.3683,5.8667,1325,191,"t"],
+        ["Neerlinter",50.8397,5.0229,0,485,"t"],
+        ["Neeroeteren",51.0916,5.6993,0,502,"t"],
+        ["Neerpelt",51.2281,5.4427,16122,628,"t"],
+        ["Neerwinden",50.7676,5.0402,0,443,"t"],
+        ["Negenmanneke",50.8046,4.2851,0,212,"t"],
+        ["Nes",53.445,5.774,1140,23,"t"],
+        ["Nes",53.0521,5.8522,1080,333,"t"],
+        ["Nethen",50.7832,4.675,0,300,"t"],
+        ["Neu-Moresnet",50.7157,6.0212,0,415,"t"],
+        ["Neufchâteau",49.8407,5.4353,6416,561,"t"],
+        ["Neufvilles",50.5711,4.0004,0,725,"t"],
+        ["Neupré",50.5432,5.4657,0,562,"m"],
+        ["Neuville",50.1733,4.516,0,633,"t"],
+        ["Neuville-en-Condroz",50.5529,5.4508,0,562,"t"],
+        ["Nevele",51.0353,3.5457,11153,182,"t"],
+        ["Niekerk",53.225,6.3528,1390,849,"t"],
+        ["Niel",51.111,4.3343,8656,563,"t"],
+        ["Niel-bij-As",51.0185,5.6053,0,41,"t"],
+        ["Nieuw- en Sint Joosland",51.4833,3.6569,1140,533,"t"],
+        ["Nieuw-Amsterdam",52.7117,6.8556,0,233,"t"],
+        ["Nieuw-Beijerland",51.8125,4.3431,3510,367,"t"],
+        ["Nieuw-Bergen",51.6033,6.0542,0,77,"t"],
+        ["Nieuw-Buinen",52.9625,6.95,4705,111,"t"],
+        ["Nieuw-Dordrecht",52.7483,6.9681,1370,233,"t"],
+        ["Nieuw-Lekkerland",51.8892,4.6865,9535,541,"t"],
+        ["Nieuw-Loosdrecht",52.1992,5.1389,5970,863,"t"],
+        ["Nieuw-Lotbroek",50.9128,5.928,4691,334,"d"],
+        ["Nieuw-Namen",51.2925,4.1611,0,388,"t"],
+        ["Nieuw-Roden",53.1317,6.3972,1300,576,"t"],
+        ["Nieuw-Vennep",52.2642,4.6306,0,309,"t"],
+        ["Nieuw-Vossemeer",51.59,4.2181,1975,740,"t"],
+        ["Nieuw-Wehl",51.9675,6.1736,0,204,"t"],
+        ["Nieuwdorp",50.9622,5.773,2445,743,"d"],
+        ["Nieuwe Pekela",53.0792,6.9653,3895,627,"t"],
+        ["Nieuwe-Niedorp",52.74,4.8986,2810,369,"t"],
+        ["Nieuwegein",52.0292,5.0806,61489,564,"t"],
+        ["Nieuwehorne",52.9511,6.0634,1450,333,"t"],
+        ["Nieuwendijk",51.775,4.9208,0,19,"t"],
+        ["Nieuwenhoorn",51.8542,4.1431,1130,815,"t"],
+        ["Nieuwenrode",50.9796,4.3528,0,409,"t"],
+        ["Nieuwerbrug aan den Rijn",52.0783,4.8139,0,105,"t"],
+        ["Nieuwerkerk",51.6508,4.0014,2275,699,"t"],
+        ["Nieuwerkerk aan den IJssel",51.9683,4.6097,0,896,"t"],
+        ["Nieuwerkerken",50.8638,5.1947,6466,565,"t"],
+        ["Nieuwerkerken",50.9239,4.0043,0,307,"t"],
+        ["Nieuwkerke",50.7471,2.8286,0,361,"t"],
+        ["Nieuwkerken-Waas",51.1936,4.1778,0,715,"t"],
+        ["Nieuwkoop",52.1508,4.7764,1410,566,"t"],
+        ["Nieuwkuijk",51.69,5.1819,2140,359,"t"],
+        ["Nieuwland",51.9017,5.0139,0,802,"t"],
+        ["Nieuwmarkt/Lastage",52.3707,4.9039,0,26,"t"],
+        ["Nieuwmarktbuurt",52.3725,4.9009,0,26,"t"],
+        ["Nieuwolda",53.2442,6.975,1110,585,"t"],
+        ["Nieuwoord",52.4667,6.55,1265,778,"t"],
+        ["Nieuwpoort",51.1301,2.7513,10845,567,"t",["Nieuport"]],
+        ["Nieuwpoort",51.9358,4.8681,1390,541,"t"],
+        ["Nieuwrode",50.95,4.8333,0,6,"t"],
+        ["Nieuwveen",52.1967,4.7569,1265,566,"t"],
+        ["Nijenheim",52.0869,5.2185,2680,884,"d"],
+        ["Nijkerk",52.22,5.4861,38335,568,"t"],
+        ["Nijkerkerveen",52.195,5.4667,2905,568,"t"],
+        ["Nijlen",51.161,4.6701,20792,569,"t"],
+        ["Nijmegen",51.8425,5.8528,158732,570,"t"],
+        ["Nijnsel",51.5508,5.4833,1405,521,"t"],
+        ["Nijrees",52.335,6.6639,2235,15,"d"],
+        ["Nijverdal",52.36,6.4681,0,340,"t"],
+        ["Nil-Saint-Vincent-Saint-Martin",50.6433,4.6817,0,831,"t"],
+        ["Nimy",50.4767,3.9552,0,543,"t"],
+        ["Ninove",50.8278,4.0266,34795,571,"t"],
+        ["Nismes",50.0752,4.5477,0,806,"t"],
+        ["Nispen",51.4833,4.4613,1245,674,"t"],
+        ["Nissewaard",51.845,4.3292,74988,572,"m"],
+        ["Nistelrode",51.7042,5.5625,6090,85,"t"],
+        ["Nivelles",50.5983,4.3285,24149,573,"t",["Nijvel"]],
+        ["Noardburgum",53.2214,6.0052,2385,780,"t"],
+        ["Noardeast-Fryslân",53.3121,5.9855,30466,574,"m"],
+        ["Nobressart",49.739,5.7201,0,48,"t"],
+        ["Noduwez",50.7286,4.9678,0,605,"t"],
+        ["Noiseux",50.2998,5.3751,0,728,"t"],
+        ["Noord",52.3908,4.9099,0,26,"t"],
+        ["Noord-Beveland",51.5849,3.7669,4135,575,"m"],
+        ["Noord-Hofland",52.1406,4.4586,5445,816,"d"],
+        ["Noord-Scharwoude",52.6983,4.8111,5665,196,"t"],
+        ["Noordbarge",52.7724,6.8871,1075,233,"d"],
+        ["Noordbroek",53.195,6.8736,1665,537,"t"],
+        ["Noordeinde",52.0167,4.4833,1610,447,"t"],
+        ["Noordeloos",51.9033,4.9417,1560,541,"t"],
+        ["Noordenveld",53.1249,6.4473,15915,576,"m"],
+        ["Noorderwijk",51.1412,4.8406,0,588,"t"],
+        ["Noordgeest",51.5092,4.2792,3700,79,"t"],
+        ["Noordhoek",51.6425,4.5319,1030,539,"t"],
+        ["Noordhorn",53.2617,6.3958,1375,849,"t"],
+        ["Noordoostpolder",52.7061,5.7537,49583,577,"m"],
+        ["Noordwijk",52.2431,4.4606,36238,578,"m"],
+        ["Noordwijk-Binnen",52.234,4.4447,24363,578,"t"],
+        ["Noordwijkerhout",52.2617,4.4931,11875,578,"t"],
+        ["Noordwolde",52.8896,6.1415,3605,855,"t"],
+        ["Nootdorp",52.045,4.3958,0,634,"t"],
+        ["Norg",53.0667,6.4583,3290,576,"t"],
+        ["Nossegem",50.8818,4.5082,0,881,"t"],
+        ["Noville",50.6598,5.382,0,258,"t"],
+        ["Noville",50.0639,5.761,0,62,"t"],
+        ["Noville-les-Bois",50.557,4.9847,1426,256,"t"],
+        ["Nuenen",51.47,5.5528,23223,579,"t"],
+        ["Nuenen, Gerwen en Nederwetten",51.4714,5.5535,24958,579,"m"],
+        ["Nukerke",50.7956,3.5949,0,500,"t"],
+        ["Nuland",51.7258,5.4347,0,0,"t"],
+        ["Numansdorp",51.7317,4.4375,4280,367,"t"],
+        ["Nunspeet",52.3792,5.7861,19496,580,"t"],
+        ["Nuth",50.9175,5.8861,4585,67,"t"],
+        ["Obaix",50.53,4.3609,0,637,"t"],
+        ["Obbicht",51.0283,5.7806,1895,719,"t"],
+        ["Obdam",52.6758,4.9069,5690,422,"t"],
+        ["Obergum",53.3333,6.5167,1675,357,"t"],
+        ["Obourg",50.4738,4.0088,0,543,"t"],
+        ["Ochamps",49.9245,5.2768,0,470,"t"],
+        ["Ochten",51.91,5.5694,4185,559,"t"],
+        ["Odeur",50.7064,5.4158,0,167,"t"],
+        ["Odijk",52.0525,5.2361,5480,138,"t"],
+        ["Odiliapeel",51.6433,5.7056,1390,504,"t"],
+        ["Odoorn",52.8492,6.8514,1835,111,"t"],
+        ["Oedelem",51.1703,3.3376,0,68,"t"],
+        ["Oegstgeest",52.18,4.4694,21149,581,"t"],
+        ["Oekene",50.9179,3.1568,0,671,"t"],
+        ["Oelegem",51.2131,4.5983,0,697,"t"],
+        ["Oentsjerk",53.25,5.9,1790,780,"t"],
+        ["Oerle",51.4226,5.3716,1990,794,"t"],
+        ["Oeselgem",50.9379,3.4318,0,188,"t"],
+        ["Oetingen",50.7732,4.0635,0,621,"t"],
+        ["Oevel",51.1379,4.9047,0,588,"t"],
+        ["Offenbeek",51.2822,6.095,4660,71,"t"],
+        ["Ohain",50.6989,4.4698,0,449,"t"],
+        ["Ohey",50.4357,5.1238,4324,582,"t"],
+        ["Oirlo",51.5117,6.0375,1230,797,"t"],
+        ["Oirsbeek",50.9508,5.9083,3600,67,"t"],
+        ["Oirschot",51.505,5.3139,10393,583,"t"],
+        ["Oisquercq",50.6701,4.2198,0,776,"t"],
+        ["Oisterwijk",51.5792,5.1889,25980,584,"t"],
+        ["Okegem",50.8556,4.0552,0,186,"t"],
+        ["Oldambt",53.1558,7.0194,28161,585,"m"],
+        ["Oldeberkoop",52.9379,6.1309,1190,599,"t"],
+        ["Oldebroek",52.445,5.9014,3275,586,"t"],
+        ["Oldehove",53.3033,6.3958,1330,849,"t"],
+        ["Oldemarkt",52.8208,5.975,2435,742,"t"],
+        ["Oldenzaal",52.3133,6.9292,31410,587,"t"],
+        ["Olen",51.1439,4.8598,11070,588,"t"],
+        ["Oleye",50.714,5.2813,0,834,"t"],
+        ["Ollignies",50.6879,3.8623,0,465,"t"],
+        ["Olmen",51.1423,5.15,0,58,"t"],
+        ["Olne",50.5899,5.7466,3836,589,"t"],
+        ["Olsene",50.9342,3.4639,0,898,"t"],
+        ["Olst",52.3375,6.1097,4780,590,"t"],
+        ["Olst-Wijhe",52.3608,6.1237,11570,590,"m"],
+        ["Ommelanderwijk",53.0892,6.9056,1055,791,"t"],
+        ["Ommen",52.5208,6.4208,11820,591,"t"],
+        ["Ommoord",51.9595,4.5453,25150,676,"d"],
+        ["On",50.1718,5.2894,0,557,"t"],
+        ["Onderdijk",52.7433,5.1375,1630,518,"t"],
+        ["Onhaye",50.2415,4.8407,3014,592,"t"],
+        ["Onkerzele",50.7821,3.9114,0,285,"t"],
+        ["Onstwedde",53.035,7.0403,1935,736,"t"],
+        ["Onze-Lieve-Vrouw-Waver",51.0626,4.5794,0,710,"t"],
+        ["Oog in Al",52.0864,5.0847,4235,785,"d"],
+        ["Ooigem",50.8933,3.3363,0,860,"t"],
+        ["Ooij",51.8546,5.9391,2090,75,"t"],
+        ["Oorbeek",50.7991,4.8924,0,365,"t"],
+        ["Oordegem",50.9573,3.902,0,713,"t"],
+        ["Oosseld",51.9493,6.3124,0,204,"t"],
+        ["Oost Gelre",51.9867,6.5667,19590,593,"m"],
+        ["Oost-Vlieland",53.297,5.0743,1025,811,"t"],
+        ["Oostakker",51.1012,3.7694,0,252,"t"],
+        ["Oostburg",51.3258,3.4875,4410,722,"t"],
+        ["Oostdorp",52.1499,4.3932,1900,836,"d"],
+        ["Oostduinkerke",51.1157,2.6822,8534,423,"t"],
+        ["Oosteeklo",51.193,3.6893,0,44,"t"],
+        ["Oosteind",51.6442,4.8978,1005,595,"t"],
+        ["Oosteinde",52.2792,4.7958,7780,2,"t"],
+        ["Oostelbeers",51.4717,5.269,1115,583,"t"],
+        ["Oostende",51.2155,2.927,69011,594,"t",["Ostend","Ostende"]],
+        ["Oostendorp",52.4472,5.8544,2985,230,"t"],
+        ["Oosterbeek",51.9858,5.8458,11138,656,"t"],
+        ["Oosterblokker",52.6692,5.1181,1555,210,"t"],
+        ["Oosterhesselen",52.7542,6.7222,1690,159,"t"],
+        ["Oosterholt",52.5592,5.9556,1175,406,"t"],
+        ["Oosterhoogebrug",53.2289,6.6014,2210,303,"d"],
+        ["Oosterhout",51.645,4.8597,53107,595,"t"],
+        ["Oosterhout",51.88,5.8264,2340,619,"t"],
+        ["Oosterland",51.65,4.0361,2060,699,"t"],
+        ["Oostermeenthe",52.7932,6.1314,3075,742,"d"],
+        ["Oosterpark",53.2237,6.5853,10550,303,"d"],
+        ["Oosterwolde",52.9916,6.291,9245,599,"t"],
+        ["Oosterzele",50.9526,3.7983,13151,596,"t"],
+        ["Oosterzij",52.585,4.7056,2095,337,"t"],
+        ["Oostham",51.1037,5.1788,0,463,"t"],
+        ["Oosthuizen",52.5725,4.9958,1260,220,"t"],
+        ["Oostkamp",51.1543,3.2313,21489,597,"t"],
+        ["Oostkapelle",51.5667,3.5514,1505,793,"t"],
+        ["Oostmalle",51.3,4.7333,7034,510,"t"],
+        ["Oostnieuwkerke",50.9396,3.0574,0,671,"t"],
+        ["Oostrozebeke",50.9209,3.338,7489,598,"t"],
+        ["Oostrum",51.5292,6.0167,2375,797,"t"],
+        ["Ooststellingwerf",52.9934,6.2974,18545,599,"m"],
+        ["Oostvleteren",50.9332,2.7412,0,810,"t"],
+        ["Oostvoorne",51.9125,4.0986,4635,815,"t"],
+        ["Oostzaan",52.4392,4.8764,0,600,"t"],
+        ["Ootmarsum",52.4083,6.9014,4450,201,"t"],
+        ["Ooy",51.9192,6.0583,1070,888,"t"],
+        ["Ooyerhoek",52.1284,6.2231,2305,901,"t"],
+        ["Op Buuren",52.1277,5.0585,0,745,"t"],
+        ["Opbrakel",50.792,3.7486,0,123,"t"],
+        ["Opdorp",51.0281,4.218,0,136,"t"],
+        ["Opeinde",53.1341,6.0566,1630,723,"t"],
+        ["Opende",53.1733,6.1986,0,849,"t"],
+        ["Opglabbeek",51.0426,5.5835,9452,616,"t"],
+        ["Opgrimbie",50.9419,5.6797,0,505,"t"],
+        ["Ophain-Bois-Seigneur-Isaac",50.6665,4.3487,0,119,"t"],
+        ["Ophasselt",50.8173,3.8929,0,476,"t"],
+        ["Ophemert",51.845,5.3875,1425,847,"t"],
+        ["Opheusden",51.9317,5.6319,5460,559,"t"],
+        ["Ophoven",50.9904,5.8587,4105,719,"d"],
+        ["Ophoven",51.1257,5.8015,0,502,"t"],
+        ["Opijnen",51.8292,5.2986,1135,847,"t"],
+        ["Opitter",51.117,5.6475,0,128,"t"],
+        ["Oplinter",50.8302,4.99,0,485,"t"],
+        ["Opmeer",52.7067,4.9444,11183,601,"t"],
+        ["Opoeteren",51.0692,5.6556,0,199,"t"],
+        ["Oppenhuizen",53.0119,5.695,1060,747,"t"],
+        ["Opperdoes",52.7591,5.0753,1840,518,"t"],
+        ["Opprebais",50.68,4.7979,0,393,"t"],
+        ["Oppuurs",51.0663,4.2422,0,643,"t"],
+        ["Opsterland",53.0456,6.1088,18150,602,"m"],
+        ["Opvelp",50.8102,4.7935,0,95,"t"],
+        ["Opwijk",50.9672,4.1844,12045,603,"t"],
+        ["Oranjewijk",52.0492,4.6537,2650,827,"d"],
+        ["Oranjewoud",52.9458,5.9504,1580,333,"t"],
+        ["Orbais",50.638,4.7635,0,632,"t"],
+        ["Orcq",50.6032,3.3492,0,771,"t"],
+        ["Orden",52.2011,5.9342,6385,36,"d"],
+        ["Oreye",50.7319,5.3582,3373,604,"t",["Oerle"]],
+        ["Orgeo",49.8339,5.3065,0,88,"t"],
+        ["Ormeignies",50.595,3.7518,0,154,"t"],
+        ["Orp-Jauche",50.6919,4.9742,0,605,"m"],
+        ["Orp-le-Grand",50.7033,4.9891,0,605,"t"],
+        ["Orthen",51.7061,5.3047,1515,0,"d"],
+        ["Ospel",51.2975,5.7847,2505,560,"t"],
+        ["Oss",51.765,5.5181,76430,606,"t"],
+        ["Ossendrecht",51.3942,4.3264,3970,869,"t"],
+        ["Otegem",50.8069,3.4204,0,51,"t"],
+        ["Othée",50.7159,5.4672,0,402,"t"],
+        ["Othene",51.3308,3.8597,3325,752,"d"],
+        ["Ottenburg",50.7516,4.6164,0,386,"t"],
+        ["Otterlo",52.1,5.7722,2230,221,"t"],
+        ["Ottersum",51.7033,5.9833,1585,283,"t"],
+        ["Ottignies",50.6653,4.5668,9557,607,"t"],
+        ["Ottignies-Louvain-la-Neuve",50.6676,4.6028,39078,607,"m"],
+        ["Oud Gastel",51.5867,4.4597,5305,311,"t"],
+        ["Oud-Beijerland",51.8242,4.4125,23569,367,"t"],
+        ["Oud-Caberg",50.8654,5.6644,1890,507,"d"],
+        ["Oud-Heverlee",50.8352,4.6642,10533,608,"t"],
+        ["Oud-Loosdrecht",52.2067,5.0806,2035,863,"t"],
+        ["Oud-Turnhout",51.3198,4.9841,12354,609,"t"],
+        ["Oud-Vossemeer",51.5708,4.1986,2400,760,"t"],
+        ["Ouddorp",51.8117,3.9347,5930,292,"t"],
+        ["Oude IJsselstreek",51.9204,6.4051,39571,610,"m"],
+        ["Oude Pekela",53.1042,7.0097,7580,627,"t"],
+        ["Oude Wetering",52.2142,4.6444,3055,404,"t"],
+        ["Oudega",53.125,5.9989,1715,723,"t"],
+        ["Oudegem",51.0102,4.062,0,187,"t"],
+        ["Oudehaske",52.9571,5.8709,1980,175,"t"],
+        ["Oudemirdum",52.8502,5.5354,1335,175,"t"],
+        ["Oudenaarde",50.8517,3.6089,27935,611,"t",["Audenarde"]],
+        ["Oudenbosch",51.5883,4.5347,0,311,"t"],
+        ["Oudenburg",51.1849,3.0004,8752,612,"t"],
+        ["Ouder-Amstel",52.3078,4.9194,12675,613,"m"],
+        ["Oudergem",50.8167,4.4333,0,614,"t",["Auderghem"]],
+        ["Ouderkerk aan de Amstel",52.295,4.9075,7955,613,"t"],
+        ["Ouderkerk aan den IJssel",51.9342,4.6361,4025,431,"t"],
+        ["Oudeschild",53.0392,4.8472,1220,756,"t"],
+        ["Oudeschoot",52.9334,5.9558,1590,333,"t"],
+        ["Oudewater",52.025,4.8681,9836,615,"t"],
+        ["Oudkarspel",52.7158,4.8056,3170,196,"t"],
+        ["Oudsbergen",51.0426,5.5835,9452,616,"m"],
+        ["Ouffet",50.4387,5.4657,2477,617,"t"],
+        ["Ougrée",50.6015,5.5444,0,686,"t"],
+        ["Oupeye",50.7118,5.6468,23594,618,"t"],
+        ["Outer",50.8419,3.9987,0,571,"t"],
+        ["Outrijve",50.7577,3.4296,0,51,"t"],
+        ["Ouwegem",50.9123,3.5998,0,432,"t"],
+        ["Overasselt",51.76,5.7889,1715,358,"t"],
+        ["Overberg",52.04,5.4944,1379,786,"t"],
+        ["Overbetuwe",51.9241,5.8067,38208,619,"m"],
+        ["Overboelare",50.7638,3.8637,0,285,"t"],
+        ["Overhoven",51.0087,5.8663,3450,719,"d"],
+        ["Overijse",50.7744,4.5346,23486,620,"t"],
+        ["Overloon",51.5717,5.9472,3626,442,"t"],
+        ["Overmere",51.0469,3.9466,0,83,"t"],
+        ["Overpelt",51.2104,5.4156,13344,628,"t"],
+        ["Overschie",51.9386,4.4277,6710,676,"d"],
+        ["Overveen",52.3917,4.6139,3685,103,"t"],
+        ["Paal",51.0399,5.1723,0,80,"t"],
+        ["Pajottegem",50.7612,4.0435,23355,621,"m"],
+        ["Palenstein",52.0558,4.5087,6000,890,"d"],
+        ["Paliseul",49.904,5.1354,5037,622,"t"],
+        ["Pamel",50.8453,4.0713,0,673,"t"],
+        ["Pannerden",51.8908,6.0389,2085,888,"t"],
+        ["Panningen",51.3267,5.9792,6710,625,"t"],
+        ["Papendrecht",51.8317,4.6875,31621,623,"t"],
+        ["Papenveer",52.185,4.725,1135,566,"t"],
+        ["Papignies",50.686,3.8178,0,465,"t"],
+        ["Passart",50.9239,5.9467,2010,334,"d"],
+        ["Passendale",50.8998,3.0213,0,550,"t"],
+        ["Paterswolde",53.145,6.5653,3655,779,"t"],
+        ["Pathmos",52.214,6.8755,2065,237,"d"],
+        ["Pâturages",50.4072,3.855,0,160,"t"],
+        ["Pecq",50.6862,3.3379,5301,624,"t"],
+        ["Peel en Maas",51.3325,5.9986,36365,625,"m"],
+        ["Peelo",53.0172,6.5621,6635,43,"d"],
+        ["Peer",51.1303,5.4595,15551,626,"t"],
+        ["Peij",51.0942,5.8958,2935,219,"d"],
+        ["Peize",53.1467,6.4972,4295,576,"t"],
+        ["Pekela",53.0957,6.9946,11475,627,"m"],
+        ["Pellenberg",50.8725,4.7939,0,498,"t"],
+        ["Pelt",51.2201,5.4304,29466,628,"m"],
+        ["Pendrecht",51.8715,4.469,11885,676,"d"],
+        ["Pepingen",50.7592,4.1598,4261,629,"t"],
+        ["Pepinster",50.5657,5.8039,9530,630,"t"],
+        ["Perk",50.9357,4.4962,0,741,"t"],
+        ["Pernis",51.8883,4.3889,4785,676,"t"],
+        ["Péronnes",50.5516,3.4537,0,33,"t"],
+        ["Péronnes",50.4378,4.1491,0,98,"t"],
+        ["Perre",50.8891,3.861,3000,356,"t"],
+        ["Péruwelz",50.5082,3.5937,16647,631,"t"],
+        ["Perwez",50.6243,4.8135,7340,632,"t",["Perwijs"]],
+        ["Pesse",52.7725,6.4542,0,372,"t"],
+        ["Petegem",50.8333,3.55,0,873,"t"],
+        ["Petegem-aan-de-Leie",50.9667,3.5333,0,182,"t"],
+        ["Petegem-aan-de-Schelde",50.8334,3.5561,0,873,"t"],
+        ["Petigny",50.0574,4.5331,0,806,"t"],
+        ["Petit-Rechain",50.6149,5.8342,0,202,"t"],
+        ["Petten",52.7667,4.6611,1640,691,"t"],
+        ["Peutie",50.93,4.4519,0,805,"t"],
+        ["Philippeville",50.1961,4.5437,8051,633,"t"],
+        ["Pierik",52.5014,6.1117,2180,906,"d"],
+        ["Piershil",51.7933,4.3139,1410,367,"t"],
+        ["Piéton",50.4397,4.2975,0,148,"t"],
+        ["Piétrain",50.7253,4.9203,0,401,"t"],
+        ["Piétrebais",50.7278,4.7645,0,393,"t"],
+        ["Pijnacker",52.0195,4.4295,18695,634,"t"],
+        ["Pijnacker-Nootdorp",52.0195,4.4295,18695,634,"m"],
+        ["Pipaix",50.583,3.5796,0,469,"t"],
+        ["Pironchamps",50.4318,4.5202,0,254,"t"],
+        ["Pittem",50.9928,3.2632,6589,635,"t"],
+        ["Plainevaux",50.5456,5.5233,0,243,"t"],
+        ["Plancenoit",50.6623,4.4284,0,119,"t"],
+        ["Ploegsteert",50.7266,2.8802,0,162,"t"],
+        ["Plombières",50.7366,5.9592,9596,636,"t",["Blieberg","Bleyberg"]],
+        ["Poederlee",51.2277,4.8403,0,479,"t"],
+        ["Poeldijk",52.0242,4.2194,5800,854,"t"],
+        ["Poelkapelle",50.9179,2.9568,0,446,"t"],
+        ["Pollare",50.8171,4.006,0,571,"t"],
+        ["Polleur",50.5394,5.8808,0,758,"t"],
+        ["Pommeroeul",50.4619,3.7125,0,345,"t"],
+        ["Pondrôme",50.0992,5.0096,0,64,"t"],
+        ["Pont-à-Celles",50.5052,4.3689,15909,637,"t"],
+        ["Pont-de-Loup",50.4166,4.5459,0,254,"t"],
+        ["Poortvliet",51.5442,4.1431,1220,760,"t"],
+        ["Poperinge",50.8539,2.7266,19537,638,"t"],
+        ["Poppel",51.4457,5.0433,0,651,"t"],
+        ["Posterholt",51.1233,6.0347,3540,669,"t"],
+        ["Pottenberg",50.8513,5.6567,2415,507,"d"],
+        ["Pottes",50.7329,3.407,0,146,"t"],
+        ["Poulseur",50.5091,5.5786,0,243,"t"],
+        ["Prayon",50.578,5.6753,0,774,"t"],
+        ["Presles",50.3842,4.5784,0,10,"t"],
+        ["Princenhage",51.5763,4.7391,8535,126,"d"],
+        ["Prinsenbeek",51.5983,4.7125,10720,126,"t"],
+        ["Profondeville",50.3758,4.8651,11401,639,"t"],
+        ["Proven",50.8898,2.6572,0,810,"t"],
+        ["Puiflijk",51.8783,5.5903,1105,214,"t"],
+        ["Pulderbos",51.2171,4.6936,0,879,"t"],
+        ["Pulle",51.2032,4.7143,0,302,"t"],
+        ["Purmerend",52.505,4.9597,76745,640,"t"],
+        ["Puth",50.9542,5.8736,1990,67,"t"],
+        ["Putte",51.0534,4.6326,15276,641,"t"],
+        ["Putte",51.36,4.3958,3440,869,"t"],
+        ["Putten",52.2592,5.6069,23168,642,"t"],
+        ["Puurs",51.0741,4.2884,15944,643,"t"],
+        ["Puurs-Sint-Amands",51.0684,4.2629,23597,643,"m"],
+        ["Quaregnon",50.4407,3.8653,18491,644,"t"],
+        ["Quenast",50.6696,4.1566,0,776,"t"],
+        ["Queue-du-Bois",50.6376,5.6799,0,94,"t"],
+        ["Quevaucamps",50.5189,3.6813,0,74,"t"],
+        ["Quévy",50.3688,3.936,7689,645,"m"],
+        ["Quévy-le-Petit",50.3688,3.936,7689,645,"t"],
+        ["Quiévrain",50.4074,3.6835,6560,646,"t"],
+        ["Quirijnstok",51.5843,5.0981,3970,766,"d"],
+        ["Raalte",52.3858,6.275,20015,647,"t"],
+        ["Raam",51.6597,5.6364,2965,504,"t"],
+        ["Raamsdonk",51.6875,4.9083,1920,276,"t"],
+        ["Raamsdonksveer",51.6967,4.8736,6590,276,"t"],
+        ["Racour",50.7392,5.0281,0,481,"t"],
+        ["Raeren",50.6672,6.1154,9925,648,"t"],
+        ["Ramillies",50.6339,4.9012,5749,649,"t"],
+        ["Ramsdonk",51.015,4.3352,0,409,"t"],
+        ["Ramsel",51.0324,4.8324,0,352,"t"],
+        ["Rance",50.1425,4.2792,0,270,"t"],
+        ["Randenbroek",52.1486,5.4012,7131,24,"d"],
+        ["Ransart",50.4617,4.4762,0,464,"t"],
+        ["Ranst",51.1898,4.5653,17405,650,"t"],
+        ["Ravels",51.3727,4.9921,13560,651,"t"],
+        ["Ravenstein",51.7967,5.65,1465,606,"t"],
+        ["Rebecq",50.6515,4.1068,10049,652,"m",["Roosbeek"]],
+        ["Rebecq-Rognon",50.6515,4.1068,10049,652,"t"],
+        ["Recht",50.338,6.0488,0,689,"t"],
+        ["Recogne",49.9123,5.3537,0,471,"t"],
+        ["Reek",51.7458,5.6819,1495,504,"t"],
+        ["Reet",51.102,4.4126,0,681,"t"],
+        ["Reeuwijk",52.0467,4.725,12817,105,"t"],
+        ["Reimerswaal",51.4819,4.0526,7621,653,"m"],
+        ["Reitdiep",53.2425,6.5196,2625,303,"d"],
+        ["Rekem",50.9224,5.6938,0,441,"t"],
+        ["Rekkem",50.7837,3.1635,0,857,"t"],
+        ["Relegem",50.8991,4.2769,0,845,"t"],
+        ["Remicourt",50.6807,5.3278,5050,654,"t"],
+        ["Rendeux",50.2342,5.5041,2320,655,"t"],
+        ["Renesse",51.7325,3.775,1095,699,"t"],
+        ["Reninge",50.9478,2.7889,0,487,"t"],
+        ["Reningelst",50.8151,2.7707,0,638,"t"],
+        ["Renkum",51.9767,5.7333,9421,656,"t"],
+        ["Renswoude",52.0733,5.5403,3420,657,"t"],
+        ["Reppel",51.154,5.5624,0,104,"t"],
+        ["Ressaix",50.4228,4.1944,0,98,"t"],
+        ["Ressegem",50.8912,3.9113,0,356,"t"],
+        ["Retie",51.2665,5.0824,10069,658,"t"],
+        ["Retinne",50.6308,5.6982,0,260,"t"],
+        ["Reuland",50.1955,6.1355,0,142,"t"],
+        ["Reusel",51.3625,5.1653,7055,659,"t"],
+        ["Reusel-De Mierden",51.3721,5.1578,9770,659,"m"],
+        ["Reuver",51.2842,6.0778,6140,71,"t"],
+        ["Rèves",50.5381,4.4108,0,133,"t"],
+        ["Rheden",52.005,6.0292,7400,660,"t"],
+        ["Rhenen",51.9592,5.5681,18061,661,"t"],
+        ["Rhisnes",50.5068,4.8059,0,555,"t"],
+        ["Rhoon",51.8575,4.4222,18250,12,"t"],
+        ["Richelle",50.714,5.6956,0,170,"t"],
+        ["Ridderkerk",51.8725,4.6028,45189,662,"t"],
+        ["Riemst",50.81,5.6013,15809,663,"t"],
+        ["Riethoven",51.3542,5.3875,1420,76,"t"],
+        ["Rijen",51.5908,4.9194,16230,288,"t"],
+        ["Rijkevorsel",51.3479,4.7605,10606,664,"t"],
+        ["Rijkhoven",50.8329,5.515,0,97,"t"],
+        ["Rijmenam",51.0016,4.5841,0,108,"t"],
+        ["Rijnsaterwoude",52.1958,4.6708,1130,404,"t"],
+        ["Rijnsburg",52.19,4.4417,7990,413,"t"],
+        ["Rijpwetering",52.1925,4.5833,1605,404,"t"],
+        ["Rijsbergen",51.5175,4.6972,4140,899,"t"],
+        ["Rijsenhout",52.2583,4.7139,0,309,"t"],
+        ["Rijsoord",51.8508,4.5958,3045,662,"t"],
+        ["Rijssen",52.3067,6.5181,0,665,"t"],
+        ["Rijssen-Holten",52.3067,6.5181,0,665,"m"],
+        ["Rijswijk",52.0363,4.325,47299,666,"t"],
+        ["Rijswijk",51.7975,5.025,1640,19,"t"],
+        ["Rillaar",50.9738,4.8918,0,6,"t"],
+        ["Rivierenkwartier",52.1891,5.9767,2940,36,"d"],
+        ["Rixensart",50.7123,4.5253,21616,667,"t"],
+        ["Robertville",50.4541,6.122,0,829,"t"],
+        ["Rochefort",50.1631,5.2216,11978,668,"t"],
+        ["Rocherath",50.4371,6.3005,0,137,"t"],
+        ["Rockanje",51.8717,4.0708,1275,815,"t"],
+        ["Roclenge-sur-Geer",50.7569,5.5944,0,61,"t"],
+        ["Rocourt",50.6758,5.5462,0,31,"t"],
+        ["Roden",53.1375,6.4208,7030,576,"t"],
+        ["Roelofarendsveen",52.2033,4.6333,2710,404,"t"],
+        ["Roerdalen",51.1411,6.0232,18610,669,"m"],
+        ["Roermond",51.1942,5.9875,44975,670,"t"],
+        ["Roesbrugge-Haringe",50.9181,2.6254,0,810,"t"],
+        ["Roeselare",50.9465,3.1227,56016,671,"t",["Roulers"]],
+        ["Roeulx",50.5037,4.1116,7968,450,"t"],
+        ["Roisin",50.3324,3.6955,0,371,"t"],
+        ["Roksem",51.1688,3.0329,0,612,"t"],
+        ["Rolde",52.9842,6.6486,3740,1,"t"],
+        ["Rollegem",50.7657,3.2632,0,428,"t"],
+        ["Rollegem-Kapelle",50.8687,3.1463,0,453,"t"],
+        ["Romsée",50.6109,5.6646,0,260,"t"],
+        ["Rongy",50.5072,3.3895,0,33,"t"],
+        ["Ronquières",50.6085,4.2208,0,121,"t"],
+        ["Ronse",50.7457,3.6005,24204,672,"t",["Renaix"]],
+        ["Roosbeek",50.8361,4.8628,0,117,"t"],
+        ["Roosdaal",50.8436,4.0911,1500,673,"m"],
+        ["Roosendaal",51.5308,4.4653,77725,674,"t"],
+        ["Roosteren",51.0833,5.8181,1125,219,"t"],
+        ["Roselies",50.4303,4.572,0,254,"t"],
+        ["Rosières",50.731,4.5447,0,667,"t"],
+        ["Rossum",51.8008,5.3333,2190,501,"t"],
+        ["Rossum",52.3517,6.9222,1355,201,"t"],
+        ["Rotem",51.0529,5.741,0,199,"t"],
+        ["Rothem",50.8767,5.7389,1590,520,"t"],
+        ["Rotheux-Rimière",50.5336,5.4806,0,562,"t"],
+        ["Rotselaar",50.953,4.7166,15007,675,"t"],
+        ["Rotterdam",51.9225,4.4792,598199,676,"t"],
+        ["Rottevalle",53.1452,6.1041,1355,723,"t"],
+        ["Rouvreux",50.4898,5.6501,0,733,"t"],
+        ["Rouvroy",49.5377,5.4903,1946,677,"t"],
+        ["Roux",50.4411,4.3917,0,163,"t"],
+        ["Rozenburg",51.9042,4.2486,12420,676,"t"],
+        ["Rozendaal",52.0058,5.9625,1485,678,"t"],
+        ["Rucphen",51.5317,4.5583,3660,679,"t"],
+        ["Ruddervoorde",51.0959,3.2074,0,867,"t"],
+        ["Rugge",51.8992,4.1523,2495,815,"d"],
+        ["Ruien",50.7687,3.4858,0,418,"t"],
+        ["Ruinen",52.7625,6.3542,2610,180,"t"],
+        ["Ruinerwold",52.7233,6.2486,2485,180,"t"],
+        ["Ruisbroek",51.0883,4.3313,0,563,"t"],
+        ["Ruisbroek",50.7901,4.2977,0,212,"t"],
+        ["Ruiselede",51.0404,3.3942,5129,867,"t"],
+        ["Rulles",49.718,5.5596,0,310,"t"],
+        ["Rumbeke",50.9325,3.1672,0,671,"t"],
+        ["Rumes",50.5545,3.3053,4918,680,"t"],
+        ["Rumillies",50.621,3.4432,0,771,"t"],
+        ["Rummen",50.8891,5.1652,0,277,"t"],
+        ["Rumst",51.0815,4.4222,14521,681,"t"],
+        ["Rupelmonde",51.1293,4.2943,0,92,"t"],
+        ["Rutten",52.805,5.698,0,577,"t"],
+        ["Ruurlo",52.0883,6.45,5940,81,"t"],
+        ["s-Gravendeel",51.78,4.6167,0,367,"t"],
+        ["Saint-Amand",50.5061,4.5499,0,261,"t"],
+        ["Saint-Denis",50.5357,4.7828,0,279,"t"],
+        ["Saint-Denis",50.4905,4.0205,0,543,"t"],
+        ["Saint-Georges-sur-Meuse",50.6001,5.3574,0,682,"t"],
+        ["Saint-Gérard",50.3464,4.741,0,532,"t"],
+        ["Saint-Ghislain",50.4482,3.8189,22500,683,"t"],
+        ["Saint-Hubert",50.0267,5.374,5538,684,"t"],
+        ["Saint-Léger",49.612,5.6569,3092,685,"t"],
+        ["Saint-Marc",50.4922,4.8475,0,555,"t"],
+        ["Saint-Mard",49.554,5.5343,0,807,"t"],
+        ["Saint-Nicolas",50.6284,5.5324,22586,686,"t"],
+        ["Saint-Pierre",49.9038,5.3875,0,471,"t"],
+        ["Saint-Remy",50.6956,5.704,0,170,"t"],
+        ["Saint-Sauveur",50.706,3.5978,0,269,"t"],
+        ["Saint-Servais",50.4763,4.8366,0,555,"t"],
+        ["Saint-Symphorien",50.439,4.0073,0,543,"t"],
+        ["Saint-Vaast",50.4543,4.1604,0,436,"t"],
+        ["Saint-Yvon",50.7433,2.9099,0,162,"t"],
+        ["Sainte-Marie-sur-Semois",49.6712,5.5638,0,247,"t"],
+        ["Sainte-Ode",50.0172,5.5193,2310,687,"t"],
+        ["Saintes",50.705,4.1601,0,776,"t"],
+        ["Saive",50.6532,5.6852,0,102,"t"],
+        ["Salderes",51.5151,5.3899,3240,89,"d"],
+        ["Sambreville",50.4473,4.6144,0,688,"m"],
+        ["Sankt Vith",50.2815,6.1272,9135,689,"t",["Saint-Vith"]],
+        ["Sappemeer",53.1642,6.7903,8298,537,"t"],
+        ["Sart-Bernard",50.4021,4.9593,0,45,"t"],
+        ["Sart-Dames-Avelines",50.5686,4.4922,0,803,"t"],
+        ["Sart-Saint-Laurent",50.4024,4.7422,0,267,"t"],
+        ["Sas van Gent",51.2275,3.7986,3856,752,"t"],
+        ["Sassenheim",52.225,4.5222,15510,757,"t"],
+        ["Sauvenière",50.5816,4.7247,0,279,"t"],
+        ["Schaarbeek",50.8693,4.3774,0,690,"t",["Schaerbeek"]],
+        ["Schaffen",50.9999,5.0867,0,195,"t"],
+        ["Schagen",52.7875,4.7986,5910,691,"t"],
+        ["Schagerbrug",52.8025,4.7583,1965,691,"t"],
+        ["Schaijk",51.7458,5.6319,5970,504,"t"],
+        ["Schalkhaar",52.2683,6.1944,4610,192,"t"],
+        ["Schaltin",50.3595,5.1254,0,317,"t"],
+        ["Scharendijke",51.7358,3.8431,1105,699,"t"],
+        ["Scharn",50.85,5.7333,6540,507,"d"],
+        ["Scharnegoutum",53.0605,5.6782,1540,747,"t"],
+        ["Scheemda",53.1733,6.9722,2395,585,"t"],
+        ["Schelderode",50.9692,3.7133,0,528,"t"],
+        ["Scheldewindeke",50.9344,3.7866,0,596,"t"],
+        ["Schelle",51.1262,4.3411,7675,692,"t"],
+        ["Schellebelle",51.0114,3.9284,0,856,"t"],
+        ["Schelluinen",51.8433,4.9264,1255,541,"t"],
+        ["Schendelbeke",50.7987,3.8988,0,285,"t"],
+        ["Schepdaal",50.8384,4.1961,0,461,"t"],
+        ["Schermerhorn",52.6008,4.8917,1290,14,"t"],
+        ["Scherpenheuvel",50.9808,4.9755,0,693,"t"],
+        ["Scherpenheuvel-Zichem",51.0036,4.9658,0,693,"m",["Montaigu-Zichem"]],
+        ["Scherpenisse",51.5467,4.1056,1605,760,"t"],
+        ["Scherpenzeel",52.08,5.4889,8820,694,"t"],
+        ["Scheveningen",52.1046,4.2756,23000,184,"t"],
+        ["Schiebroek",51.9584,4.4712,16305,676,"d"],
+        ["Schiedam",51.9192,4.3889,75438,695,"t"],
+        ["Schiermonnikoog",53.4802,6.1521,835,696,"t"],
+        ["Schijndel",51.6225,5.4319,23239,521,"t"],
+        ["Schilberg",51.0992,5.8861,1960,219,"d"],
+        ["Schilde",51.2411,4.5834,20373,697,"t"],
+        ["Schildwolde",53.2333,6.8157,1485,537,"t"],
+        ["Schimmert",50.9067,5.8236,2310,67,"t"],
+        ["Schinnen",50.9433,5.8889,1550,67,"t"],
+        ["Schinveld",50.9692,5.9792,4685,67,"t"],
+        ["Schipluiden",51.9758,4.3139,3635,535,"t"],
+        ["Schoonaarde",51.0039,4.0152,0,859,"t"],
+        ["Schoondijke",51.3542,3.5556,1280,722,"t"],
+        ["Schoonebeek",52.6625,6.8847,3845,233,"t"],
+        ["Schoonhoven",51.9475,4.8486,12352,431,"t"],
+        ["Schoonoord",52.8458,6.7556,2030,159,"t"],
+        ["Schoonrewoerd",51.9208,5.1167,1595,802,"t"],
+        ["Schoorl",52.7017,4.6972,0,78,"t"],
+        ["Schorisse",50.8031,3.6763,0,500,"t"],
+        ["Schoten",51.2525,4.5027,33622,698,"t"],
+        ["Schouwen-Duiveland",51.6665,3.9358,24823,699,"m"],
+        ["Schriek",51.0284,4.6936,0,641,"t"],
+        ["Schuiferskapelle",51.0324,3.338,0,763,"t"],
+        ["Schulen",50.9597,5.1901,0,350,"t"],
+        ["Schutsboom",51.4615,5.6226,3490,278,"t"],
+        ["Sclayn",50.4898,5.0283,0,27,"t"],
+        ["Seilles",50.5007,5.0927,0,27,"t"],
+        ["Sellingen",52.9458,7.1514,1060,853,"t"],
+        ["Seloignes",50.0151,4.2552,0,155,"t"],
+        ["Selwerd",53.2352,6.5545,6525,303,"d"],
+        ["Semmerzake",50.9437,3.6632,0,272,"t"],
+        ["Seneffe",50.5314,4.263,11025,700,"t"],
+        ["Seraing",50.5836,5.5011,60737,701,"t"],
+        ["Serinchamps",50.2313,5.2302,0,668,"t"],
+        ["Serooskerke",51.5483,3.5944,1605,793,"t"],
+        ["Serskamp",50.9885,3.9266,0,856,"t"],
+        ["Sevenum",51.4125,6.0375,5035,377,"t"],
+        ["Sexbierum",53.2182,5.484,1530,823,"t"],
+        ["Sibbe",50.8442,5.8264,1015,788,"t"],
+        ["Sibret",49.9707,5.6345,0,62,"t"],
+        ["Siddeburen",53.25,6.8681,2910,537,"t"],
+        ["Sijsele",51.2085,3.3171,0,131,"t"],
+        ["Silly",50.6488,3.9236,7887,702,"t",["Opzullik"]],
+        ["Silvolde",51.9092,6.3875,4850,610,"t"],
+        ["Simpelveld",50.8342,5.9819,2405,703,"t"],
+        ["Sinaai",51.1579,4.0409,0,744,"t"],
+        ["Sint Annaparochie",53.2762,5.6573,3935,823,"t"],
+        ["Sint Anthonis",51.6267,5.8819,3340,442,"t"],
+        ["Sint Jacobiparochie",53.2729,5.6035,1380,823,"t"],
+        ["Sint Jansklooster",52.6775,6.0056,1190,742,"t"],
+        ["Sint Joost",51.1175,5.8986,1310,219,"t"],
+        ["Sint Laurens",51.5275,3.6028,1005,533,"t"],
+        ["Sint Nicolaasga",52.9229,5.7424,3285,175,"t"],
+        ["Sint Odiliënberg",51.1433,6,2810,669,"t"],
+        ["Sint Pancras",52.66,4.7833,6050,196,"t"],
+        ["Sint Philipsland",51.6167,4.1653,2095,760,"t"],
+        ["Sint Willebrord",51.5483,4.5889,8655,679,"t"],
+        ["Sint-Agatha-Berchem",50.8657,4.2956,0,704,"t",["Berchem-Sainte-Agathe"]],
+        ["Sint-Agatha-Rode",50.786,4.631,0,386,"t"],
+        ["Sint-Amands",51.0564,4.2096,7653,643,"t"],
+        ["Sint-Amandsberg",51.0595,3.7494,0,284,"t"],
+        ["Sint-Andries",51.197,3.1789,0,131,"t"],
+        ["Sint-Antonius",51.2667,4.6386,0,697,"t"],
+        ["Sint-Baafs-Vijve",50.907,3.391,0,860,"t"],
+        ["Sint-Denijs",50.752,3.3663,0,732,"t"],
+        ["Sint-Denijs-Westrem",51.0213,3.672,0,558,"t"],
+        ["Sint-Eloois-Vijve",50.9091,3.4154,0,833,"t"],
+        ["Sint-Eloois-Winkel",50.8759,3.1814,0,460,"t"],
+        ["Sint-Genesius-Rode",50.7465,4.3575,17990,705,"t",["Rhode-Saint-Genèse"]],
+        ["Sint-Gillis",50.8276,4.3439,0,706,"t",["Saint-Gilles"]],
+        ["Sint-Gillis-bij-Dendermonde",51.0191,4.1115,0,187,"t"],
+        ["Sint-Gillis-Waas",51.2191,4.1237,17658,707,"t"],
+        ["Sint-Huibrechts-Lille",51.2227,5.4944,0,628,"t"],
+        ["Sint-Jan",50.865,2.9048,0,391,"t"],
+        ["Sint-Jan-in-Eremo",51.2716,3.5806,0,712,"t"],
+        ["Sint-Jans-Molenbeek",50.8499,4.3125,0,708,"t",["Molenbeek-Saint-Jean"]],
+        ["Sint-Job-in-'t-Goor",51.2991,4.5729,0,124,"t"],
+        ["Sint-Joost-ten-Node",50.8538,4.3728,0,709,"t",["Saint-Josse-ten-Noode"]],
+        ["Sint-Joris",50.8712,5.272,2400,13,"t"],
+        ["Sint-Joris",51.1266,3.3652,0,68,"t"],
+        ["Sint-Joris-Weert",50.8023,4.6526,0,608,"t"],
+        ["Sint-Joris-Winge",50.9045,4.8749,0,764,"t"],
+        ["Sint-Katelijne-Waver",51.0669,4.5347,19487,710,"t"],
+        ["Sint-Katherina-Lombeek",50.8731,4.1536,0,751,"t"],
+        ["Sint-Kruis",51.214,3.2495,16000,131,"t"],
+        ["Sint-Kwintens-Lennik",50.8038,4.1549,0,461,"t"],
+        ["Sint-Lambrechts-Herk",50.8991,5.3079,0,13,"t"],
+        ["Sint-Lambrechts-Woluwe",50.8439,4.4291,0,711,"t",["Woluwe-Saint-Lambert"]],
+        ["Sint-Laureins",51.242,3.5244,6657,712,"t"],
+        ["Sint-Lenaarts",51.3487,4.6801,0,125,"t"],
+        ["Sint-Lievens-Esse",50.8566,3.8879,0,356,"t"],
+        ["Sint-Lievens-Houtem",50.9197,3.8622,9146,713,"t"],
+        ["Sint-Maria-Horebeke",50.8389,3.6875,0,376,"t"],
+        ["Sint-Maria-Lierde",50.8187,3.8444,6449,476,"t"],
+        ["Sint-Maria-Oudenhove",50.8336,3.7956,0,476,"t"],
+        ["Sint-Martens",50.8389,4.9244,0,765,"t"],
+        ["Sint-Martens-Bodegem",50.8618,4.2132,0,751,"t"],
+        ["Sint-Martens-Latem",51.0146,3.6378,8303,558,"t"],
+        ["Sint-Martens-Leerne",51.016,3.5813,0,182,"t"],
+        ["Sint-Martens-Lennik",50.8116,4.1696,8818,461,"t"],
+        ["Sint-Martens-Lierde",50.8037,3.8254,0,476,"t"],
+        ["Sint-Michiels",51.1881,3.2114,0,131,"t"],
+        ["Sint-Michielsgestel",51.6417,5.3528,2580,714,"t"],
+        ["Sint-Niklaas",51.1651,4.1437,69010,715,"t",["Saint-Nicolas"]],
+        ["Sint-Oedenrode",51.5675,5.4597,16931,521,"t"],
+        ["Sint-Pauwels",51.1939,4.0965,0,707,"t"],
+        ["Sint-Pieters-Kapelle",50.7076,3.99,0,621,"t"],
+        ["Sint-Pieters-Leeuw",50.7793,4.2435,30446,716,"t",["Leeuw-Saint-Pierre"]],
+        ["Sint-Pieters-Rode",50.9325,4.8224,0,764,"t"],
+        ["Sint-Pieters-Voeren",50.7386,5.8222,4235,813,"t"],
+        ["Sint-Pieters-Woluwe",50.8333,4.4333,42000,717,"t",["Woluwe-Saint-Pierre"]],
+        ["Sint-Stevens-Woluwe",50.8684,4.452,0,429,"t"],
+        ["Sint-Truiden",50.8168,5.1865,37859,718,"t",["Saint-Trond"]],
+        ["Sint-Ulriks-Kapelle",50.879,4.2188,0,42,"t"],
+        ["Sintjohannesga",52.9316,5.8559,1290,175,"t"],
+        ["Sirault",50.5055,3.7891,0,74,"t"],
+        ["Sittard",50.9983,5.8694,48400,719,"t"],
+        ["Sittard-Geleen",50.9938,5.8472,120480,719,"m"],
+        ["Sivry",50.1664,4.1842,0,720,"t"],
+        ["Sivry-Rance",50.1664,4.1842,0,720,"m"],
+        ["Sleen",52.7717,6.8028,2200,159,"t"],
+        ["Sleeuwijk",51.8158,4.9528,0,19,"t"],
+        ["Sleidinge",51.1336,3.674,0,252,"t"],
+        ["Sliedrecht",51.8208,4.7764,23854,721,"t"],
+        ["Slikkerveer",51.8853,4.6049,8750,662,"d"],
+        ["Slins",50.7279,5.5626,0,402,"t"],
+        ["Slochteren",53.2208,6.8055,2055,537,"t"],
+        ["Slootdorp",52.8425,4.9722,1350,369,"t"],
+        ["Sluis",51.3083,3.3861,1935,722,"t"],
+        ["Sluiskil",51.2783,3.8361,2411,752,"t"],
+        ["Sluisoord",52.2229,5.9814,4205,36,"d"],
+        ["Smallingerland",53.1124,6.0912,58707,723,"m"],
+        ["Smetlede",50.9662,3.928,0,452,"t"],
+        ["Snaaskerke",51.1774,2.939,0,290,"t"],
+        ["Sneek",53.033,5.6589,32811,747,"t"],
+        ["Snellegem",51.1678,3.1192,0,397,"t"],
+        ["Soerendonk",51.3008,5.575,1660,166,"t"],
+        ["Soest",52.1733,5.2917,45021,724,"t"],
+        ["Soestdijk",52.1908,5.2847,4780,724,"t"],
+        ["Soesterberg",52.1183,5.2861,0,724,"t"],
+        ["Soignies",50.579,4.0713,24869,725,"t",["Zinnik"]],
+        ["Solre-sur-Sambre",50.3081,4.1543,0,526,"t"],
+        ["Sombreffe",50.5286,4.6009,7452,726,"t"],
+        ["Someren",51.385,5.7111,10690,727,"t"],
+        ["Someren-Eind",51.3575,5.7333,2725,727,"t"],
+        ["Somme-Leuze",50.337,5.367,4532,728,"t"],
+        ["Somzée",50.2951,4.4821,0,830,"t"],
+        ["Son",51.5114,5.4928,4930,729,"t"],
+        ["Son en Breugel",51.5165,5.4961,0,729,"t"],
+        ["Sougné-Remouchamps",50.4824,5.7076,0,53,"t"],
+        ["Soumagne",50.6138,5.7468,15237,730,"t"],
+        ["Souvret",50.4486,4.3457,0,163,"t"],
+        ["Soy",50.286,5.5115,0,239,"t"],
+        ["Soye",50.4496,4.7303,0,263,"t"],
+        ["Spa",50.4838,5.8667,10756,731,"t"],
+        ["Spaarndam",52.4125,4.6833,0,309,"t"],
+        ["Spainkbos",52.2223,5.9474,1155,36,"d"],
+        ["Spakenburg",52.25,5.3667,4375,139,"d"],
+        ["Spalbeek",50.9492,5.2239,0,350,"t"],
+        ["Spangen",51.9169,4.4354,10285,676,"d"],
+        ["Spaubeek",50.94,5.8431,3360,66,"t"],
+        ["Spechtenkamp",52.1393,5.0176,1080,745,"t"],
+        ["Speelheide",51.5061,5.4052,1355,89,"d"],
+        ["Spekholzerheide",50.8556,6.0247,3175,416,"t"],
+        ["Spierdijk",52.6508,4.9431,1585,422,"t"],
+        ["Spiere",50.7189,3.3563,0,732,"t"],
+        ["Spiere-Helkijn",50.7354,3.3613,0,732,"m",["Espierres-Helchin"]],
+        ["Spijk",53.39,6.8375,1220,225,"t"],
+        ["Spijkenisse",51.845,4.3292,74988,572,"t"],
+        ["Spoorwijk",52.0535,4.3134,4255,184,"d"],
+        ["Sprengenbos",52.219,5.9416,4315,36,"d"],
+        ["Sprengenweg-Noord",52.2184,5.9507,1120,36,"d"],
+        ["Sprenkelaar",52.2251,5.9992,3775,36,"d"],
+        ["Sprimont",50.5092,5.6595,12945,733,"t"],
+        ["Sprundel",51.5375,4.5972,3625,679,"t"],
+        ["Spy",50.4814,4.7094,0,399,"t"],
+        ["Staatsliedenkwartier",52.1995,5.9769,3065,36,"d"],
+        ["Stabroek",51.3319,4.3713,17294,734,"t"],
+        ["Stadbroek",51.0019,5.8766,2525,719,"d"],
+        ["Staden",50.9746,3.0147,10786,735,"t"],
+        ["Stadsfenne",53.0399,5.6784,3060,747,"d"],
+        ["Stadskanaal",52.9895,6.9504,20000,736,"t"],
+        ["Stambruges",50.5094,3.7162,0,74,"t"],
+        ["Stampersgat",51.6133,4.4444,1155,311,"t"],
+        ["Standdaarbuiten",51.6133,4.5139,1930,539,"t"],
+        ["Staphorst",52.645,6.2111,15765,737,"t"],
+        ["Statenkwartier",52.0931,4.2758,9300,184,"d"],
+        ["Stavelot",50.395,5.9312,6646,738,"t"],
+        ["Stavenisse",51.5875,4.0125,1505,760,"t"],
+        ["Stede Broec",52.6975,5.2042,2120,739,"m"],
+        ["Steenbergen",51.5842,4.3194,23582,740,"t"],
+        ["Steenderen",52.0642,6.1875,1950,129,"t"],
+        ["Steendorp",51.1268,4.2703,0,749,"t"],
+        ["Steenhuffel",50.9954,4.2679,0,493,"t"],
+        ["Steenhuize-Wijnhuize",50.8397,3.888,0,476,"t"],
+        ["Steenokkerzeel",50.9185,4.5099,10566,741,"t"],
+        ["Steensel",51.3767,5.3528,1280,226,"t"],
+        ["Steenwijk",52.7875,6.1208,17138,742,"t"],
+        ["Steenwijkerland",52.7706,6.0764,34368,742,"m"],
+        ["Steenwijkerwold",52.8042,6.0639,1720,742,"t"],
+        ["Stegeslag",51.9415,6.0619,3145,888,"d"],
+        ["Stein",50.9692,5.7667,11290,743,"t"],
+        ["Stein",52.0033,4.7819,1095,431,"t"],
+        ["Stekene",51.2099,4.0365,16989,744,"t"],
+        ["Stembert",50.5911,5.894,0,799,"t"],
+        ["Stene",51.2044,2.9126,0,594,"t"],
+        ["Stepekolk",51.455,5.6125,1995,278,"t"],
+        ["Sterrebeek",50.8617,4.4938,0,429,"t"],
+        ["Sterrenberg",51.9935,5.8839,1035,40,"d"],
+        ["Stevoort",50.9186,5.2533,0,13,"t"],
+        ["Steyl",51.3322,6.1194,0,796,"t"],
+        ["Stichtse Vecht",52.1484,5.0306,55253,745,"m"],
+        ["Stiens",53.2623,5.7577,7300,454,"t"],
+        ["Stokkem",51.0233,5.745,0,199,"t"],
+        ["Stokrooie",50.9664,5.2814,0,325,"t"],
+        ["Stolwijk",51.9725,4.7736,3730,431,"t"],
+        ["Stompetoren",52.6133,4.8208,1920,14,"t"],
+        ["Stoumont",50.4067,5.8084,2970,746,"t"],
+        ["Stramproy",51.1942,5.7194,4510,841,"t"],
+        ["Strée",50.2808,4.2939,0,63,"t"],
+        ["Strée-lez-Huy",50.4904,5.3235,0,767,"t"],
+        ["Strépy-Bracquegnies",50.4728,4.1202,0,450,"t"],
+        ["Strijen",51.7452,4.5508,9371,367,"t"],
+        ["Strijp",52.0308,4.3014,3955,666,"t"],
+        ["Strijpen",50.868,3.788,0,894,"t"],
+        ["Strombeek-Bever",50.9104,4.3558,0,91,"t"],
+        ["Suarlée",50.4814,4.7792,0,263,"t"],
+        ["Súdwest-Fryslân",53.0302,5.6034,71936,747,"m"],
+        ["Surhuisterveen",53.1848,6.1703,5550,8,"t"],
+        ["Swifterbant",52.5683,5.6431,0,213,"t"],
+        ["t Harde",52.4158,5.8792,0,230,"t"],
+        ["t Loo",52.4442,5.9514,0,586,"t"],
+        ["t Veld",52.74,4.8569,0,369,"t"],
+        ["Taintignies",50.5528,3.3422,0,680,"t"],
+        ["Tamines",50.4338,4.6071,0,688,"t"],
+        ["Tarcienne",50.312,4.4968,0,830,"t"],
+        ["Tavier",50.4963,5.4706,0,32,"t"],
+        ["Tegelen",51.3442,6.1361,20190,796,"t"],
+        ["Tellin",50.0804,5.2164,2353,748,"t"],
+        ["Templeuve",50.6441,3.2801,0,624,"t"],
+        ["Temploux",50.4856,4.7547,0,263,"t"],
+        ["Temse",51.1279,4.2137,26054,749,"t",["Tamise"]],
+        ["Ten Boer",53.2758,6.6944,4355,303,"t"],
+        ["Tenneville",50.095,5.529,2510,750,"t"],
+        ["Ter Aar",52.1658,4.7069,0,566,"t"],
+        ["Ter Apel",52.8767,7.0597,3880,853,"t"],
+        ["Teralfene",50.892,4.099,0,9,"t"],
+        ["Terborg",51.92,6.3542,4425,610,"t"],
+        ["Terbregge",51.9533,4.5154,3525,676,"d"],
+        ["Terhagen",51.0797,4.3991,0,681,"t"],
+        ["Terheijden",51.6433,4.7542,5910,211,"t"],
+        ["Terkoest",50.8983,5.2762,2350,13,"t"],
+        ["Ternaard",53.382,5.9652,1165,574,"t"],
+        ["Ternat",50.8665,4.1668,14569,751,"t"],
+        ["Terneuzen",51.3358,3.8278,27930,752,"t"],
+        ["Terschelling",53.3591,5.2148,2525,753,"m"],
+        ["Terschuur",52.165,5.5167,1480,60,"t"],
+        ["Tertre",50.4692,3.8124,0,683,"t"],
+        ["Tervuren",50.8237,4.5142,20623,754,"t"],
+        ["Terwinselen",50.8666,6.0247,3820,416,"t"],
+        ["Terwolde",52.2833,6.1,1120,817,"t"],
+        ["Tessenderlo",51.0651,5.0886,16574,755,"t"],
+        ["Tessenderlo-Ham",51.0651,5.0886,16574,755,"m"],
+        ["Testelt",51.0108,4.9531,0,693,"t"],
+        ["Teteringen",51.6092,4.8208,7230,126,"t"],
+        ["Texel",53.0572,4.8,8730,756,"m"],
+        ["Teylingen",52.2194,4.5117,24455,757,"m"],
+        ["Theereheide",51.6384,5.3373,4045,714,"t"],
+        ["Theux",50.5332,5.8125,11587,758,"t"],
+        ["Thiaumont",49.7152,5.7306,0,48,"t"],
+        ["Thieu",50.4743,4.0926,0,450,"t"],
+        ["Thieusies",50.5153,4.0493,0,450,"t"],
+        ["Thiméon",50.4895,4.4288,0,133,"t"],
+        ["Thimister",50.6554,5.8642,0,759,"t"],
+        ["Thimister-Clermont",50.6573,5.8744,0,759,"m"],
+        ["Thisnes",50.6658,5.0438,0,319,"t"],
+        ["Tholen",51.5317,4.2208,7475,760,"t"],
+        ["Thommen",50.2192,6.0742,0,142,"t"],
+        ["Thorembais-Saint-Trond",50.6349,4.7841,0,632,"t"],
+        ["Thorn",51.1617,5.8417,2295,503,"t"],
+        ["Thuillies",50.299,4.3327,0,314,"t"],
+        ["Thuin",50.3393,4.286,14682,761,"t"],
+        ["Thulin",50.4301,3.7401,0,116,"t"],
+        ["Thy-le-Château",50.282,4.4295,0,830,"t"],
+        ["Tiegem",50.809,3.4748,0,35,"t"],
+        ["Tiel",51.8867,5.4292,40702,762,"t"],
+        ["Tielen",51.243,4.8996,0,412,"t"],
+        ["Tielrode",51.113,4.1771,0,749,"t"],
+        ["Tielt",50.9993,3.3271,19299,763,"t"],
+        ["Tielt",50.9421,4.9051,0,764,"t"],
+        ["Tielt-Winge",50.9174,4.8837,0,764,"t"],
+        ["Tienen",50.8075,4.9378,31743,765,"t",["Tirlemont"]],
+        ["Tienray",51.495,6.0931,1040,377,"t"],
+        ["Tihange",50.5297,5.2618,0,389,"t"],
+        ["Tijnje",53.0306,5.9919,1120,602,"t"],
+        ["Tilburg",51.5555,5.0913,199613,766,"t"],
+        ["Tildonk",50.9438,4.6448,0,305,"t"],
+        ["Tilff",50.5643,5.5764,0,243,"t"],
+        ["Tilleur",50.619,5.53,0,686,"t"],
+        ["Tilly",50.5608,4.5549,0,803,"t"],
+        ["Tinga",53.0206,5.6457,2190,747,"d"],
+        ["Tinlot",50.4749,5.3776,2236,767,"t"],
+        ["Tintigny",49.6833,5.5135,3538,768,"t"],
+        ["Tisselt",51.034,4.3595,0,866,"t"],
+        ["Tivoli",51.4207,5.5082,1495,229,"d"],
+        ["Toernich",49.6518,5.7774,0,39,"t"],
+        ["Tohogne",50.3801,5.479,0,217,"t"],
+        ["Tolkamer",51.855,6.1028,2430,888,"t"],
+        ["Tollebeek",52.6775,5.675,0,577,"t"],
+        ["Tollembeek",50.741,4.0067,0,621,"t"],
+        ["Tongelre",51.4489,5.5198,19680,229,"d"],
+        ["Tongeren",50.7805,5.4648,29816,769,"t",["Tongres"]],
+        ["Tongeren-Borgloon",50.7867,5.4345,39771,769,"m"],
+        ["Tongerlo",51.1276,5.6609,0,128,"t"],
+        ["Tongerlo",51.1062,4.9164,0,850,"t"],
+        ["Tongrinne",50.5156,4.6243,0,726,"t"],
+        ["Torhout",51.0656,3.1008,18933,770,"t"],
+        ["Tourinnes-la-Grosse",50.783,4.7444,0,65,"t"],
+        ["Tourinnes-Saint-Lambert",50.6402,4.7236,0,831,"t"],
+        ["Tournai",50.6071,3.3893,67721,771,"t",["Doornik"]],
+        ["Trazegnies",50.4638,4.3329,0,163,"t"],
+        ["Trembleur",50.6954,5.726,0,170,"t"],
+        ["Tremelo",50.9923,4.7081,13721,772,"t"],
+        ["Tricht",51.8908,5.2681,1850,847,"t"],
+        ["Trivières",50.4483,4.1451,0,98,"t"],
+        ["Trois-Ponts",50.3713,5.8715,2533,773,"t"],
+        ["Trooz",50.5703,5.6952,7559,774,"t"],
+        ["Tubbergen",52.4075,6.7847,20334,775,"t"],
+        ["Tubize",50.6906,4.2009,21859,776,"t",["Tubeke"]],
+        ["Tuikwerd",53.3167,6.9,3005,225,"t"],
+        ["Tuindorp",51.9303,4.3784,1040,695,"d"],
+        ["Tuitjenhorn",52.7375,4.75,0,691,"t"],
+        ["Tuk",52.7967,6.0944,1615,742,"t"],
+        ["Turnhout",51.3225,4.9447,39654,777,"t"],
+        ["Tweede Exloërmond",52.9092,6.9333,2365,111,"t"],
+        ["Twekkelerveld",52.2306,6.86,4395,237,"d"],
+        ["Twello",52.2367,6.1028,13500,817,"t"],
+        ["Twenterand",52.4389,6.5915,29375,778,"m"],
+        ["Twijzel",53.2315,6.0895,1020,8,"t"],
+        ["Twijzelerheide",53.2401,6.0459,1580,8,"t"],
+        ["Twisk",52.7408,5.0528,1115,518,"t"],
+        ["Tynaarlo",53.0775,6.6167,1530,779,"t"],
+        ["Tytsjerk",53.2134,5.9096,1400,780,"t"],
+        ["Tytsjerksteradiel",53.2062,5.9656,24835,780,"m"],
+        ["Tzum",53.159,5.5628,0,823,"t"],
+        ["Tzummarum",53.2373,5.5461,1205,823,"t"],
+        ["Ubachsberg",50.8533,5.9486,1420,814,"t"],
+        ["Uddel",52.2592,5.7806,1865,36,"t"],
+        ["Uden",51.6608,5.6194,34601,504,"t"],
+        ["Udenhout",51.6092,5.1431,7650,766,"t"],
+        ["Uffelte",52.79,6.2806,1235,851,"t"],
+        ["Ugchelen",52.1846,5.9318,3475,36,"d"],
+        ["Uikhoven",50.9239,5.7192,0,505,"t"],
+        ["Uitbergen",51.0215,3.955,0,859,"t"],
+        ["Uitgeest",52.5292,4.7097,11794,781,"t"],
+        ["Uithoorn",52.2375,4.8264,26846,782,"t"],
+        ["Uithuizen",53.4075,6.6708,4935,357,"t"],
+        ["Uithuizermeeden",53.4142,6.7236,2775,357,"t"],
+        ["Uitkerke",51.3068,3.1371,0,100,"t"],
+        ["Ukkel",50.8023,4.3394,0,783,"t",["Uccle"]],
+        ["Ulestraten",50.9058,5.7819,2595,520,"t"],
+        ["Ulft",51.89,6.3778,0,610,"t"],
+        ["Ulrum",53.3592,6.3333,1300,357,"t"],
+        ["Ulvenhout",51.5491,4.7993,4520,126,"t"],
+        ["Ureterp",53.0924,6.1672,3810,602,"t"],
+        ["Urk",52.6625,5.6014,17345,784,"t"],
+        ["Urmond",50.9908,5.7722,3560,743,"t"],
+        ["Ursel",51.129,3.4865,0,5,"t"],
+        ["Usquert",53.4025,6.6111,1275,357,"t"],
+        ["Utrecht",52.0908,5.1222,290529,785,"t"],
+        ["Utrechtse Heuvelrug",52.0383,5.3504,46350,786,"m"],
+        ["Utrechtsebuurt-Zuid",52.3615,4.8993,0,26,"t"],
+        ["Vaals",50.7708,6.0181,6970,787,"t"],
+        ["Vaartbroek",51.4795,5.4981,5200,229,"t"],
+        ["Vaassen",52.2858,5.9667,12719,238,"t"],
+        ["Val-Meer",50.7871,5.5956,0,663,"t"],
+        ["Valburg",51.9117,5.7903,1660,619,"t"],
+        ["Valendries",51.8066,5.7344,2000,862,"d"],
+        ["Valkenburg",52.18,4.4319,3925,413,"t"],
+        ["Valkenburg",50.8652,5.832,3400,788,"t"],
+        ["Valkenburg aan de Geul",50.8643,5.8102,11045,788,"m"],
+        ["Valkenswaard",51.3508,5.4597,31071,789,"t"],
+        ["Valthe",52.8458,6.8944,1095,111,"t"],
+        ["Valthermond",52.8817,6.9625,3385,111,"t"],
+        ["Vance",49.6716,5.6657,0,247,"t"],
+        ["Varsenare",51.1898,3.1392,0,397,"t"],
+        ["Varsseveld",51.9433,6.4583,5450,610,"t"],
+        ["Vaulx-lez-Tournai",50.5941,3.4295,0,771,"t"],
+        ["Vaux-et-Borset",50.6138,5.2344,0,804,"t"],
+        ["Vaux-sous-Chèvremont",50.603,5.6335,0,152,"t"],
+        ["Vaux-sur-Sûre",49.911,5.5785,4581,790,"t"],
+        ["Vedrin",50.5027,4.876,0,555,"t"],
+        ["Veen",51.7775,5.1083,2595,19,"t"],
+        ["Veendam",53.1067,6.8792,28155,791,"t"],
+        ["Veenendaal",52.0286,5.5589,61271,792,"t"],
+        ["Veenoord",52.7109,6.8487,2175,233,"t"],
+        ["Veere",51.5273,3.5201,14765,793,"m"],
+        ["Veerle",51.0699,4.9876,0,438,"t"],
+        ["Veghel",51.6167,5.5486,25352,521,"t"],
+        ["Velaine",50.4781,4.6103,0,688,"t"],
+        ["Velaines",50.668,3.4866,0,146,"t"],
+        ["Veldegem",51.1048,3.1591,0,882,"t"],
+        ["Velden",51.4117,6.1681,0,796,"t"],
+        ["Veldhoven",51.4183,5.4028,5340,794,"t"],
+        ["Veldhuizen",52.0754,5.0123,9460,785,"t"],
+        ["Veldhuizen",52.0444,5.642,0,221,"t"],
+        ["Veldwezelt",50.868,5.631,0,441,"t"],
+        ["Vellereille-les-Brayeux",50.3795,4.1511,0,98,"t"],
+        ["Velm",50.7787,5.131,0,289,"t"],
+        ["Velp",51.995,5.9736,17669,660,"t"],
+        ["Velsen",52.4599,4.6376,101123,795,"m"],
+        ["Velsen-Zuid",52.46,4.65,67758,795,"t"],
+        ["Velserbroek",52.4328,4.6616,0,795,"t"],
+        ["Veltem-Beisem",50.9081,4.6191,0,347,"t"],
+        ["Veltum",51.5195,5.9603,3765,797,"d"],
+        ["Velzeke-Ruddershove",50.8829,3.7829,0,894,"t"],
+        ["Ven",51.64,5.55,4430,521,"t"],
+        ["Venhorst",51.6083,5.7375,1050,107,"t"],
+        ["Venhuizen",52.6625,5.2028,0,210,"t"],
+        ["Venlo",51.37,6.1681,92403,796,"t"],
+        ["Venray",51.525,5.975,39047,797,"t"],
+        ["Verlaine",50.6074,5.3174,3600,798,"t"],
+        ["Verrebroek",51.2554,4.1888,0,707,"t"],
+        ["Vertrijk",50.8293,4.8345,0,117,"t"],
+        ["Verviers",50.5891,5.8624,52824,799,"t"],
+        ["Vessem",51.4208,5.2889,0,226,"t"],
+        ["Veurne",51.0732,2.668,11983,800,"t",["Furnes"]],
+        ["Vezin",50.4962,5.009,0,27,"t"],
+        ["Vezon",50.5692,3.5047,0,33,"t"],
+        ["Viane",50.7423,3.9248,0,285,"t"],
+        ["Vianen",51.9925,5.0917,19931,802,"t"],
+        ["Vichte",50.8387,3.4013,0,181,"t"],
+        ["Vielsalm",50.2841,5.915,7291,801,"t"],
+        ["Vierpolders",51.8792,4.1792,1215,815,"t"],
+        ["Viersel",51.1877,4.6492,0,879,"t"],
+        ["Vierset-Barse",50.4837,5.2982,0,538,"t"],
+        ["Viesville",50.4909,4.4085,0,133,"t"],
+        ["Vieux-Genappe",50.6085,4.441,0,281,"t"],
+        ["Vijfheerenlanden",51.9421,5.0922,45764,802,"m"],
+        ["Vijfhuizen",52.3508,4.6778,1895,309,"t"],
+        ["Vijlen",50.7883,5.9653,1290,787,"t"],
+        ["Vijzelstraatbuurt",52.3637,4.8923,0,26,"t"],
+        ["Villapark",51.4414,5.4939,2050,229,"d"],
+        ["Ville-sur-Haine",50.4766,4.0643,0,450,"t"],
+        ["Villers-l'Évêque",50.7045,5.4396,0,167,"t"],
+        ["Villers-la-Ville",50.5795,4.534,9592,803,"t"],
+        ["Villers-le-Bouillet",50.5771,5.2595,6059,804,"t"],
+        ["Villers-le-Temple",50.5086,5.3708,0,556,"t"],
+        ["Villers-Perwin",50.5278,4.4797,0,464,"t"],
+        ["Villers-Poterie",50.3538,4.5488,0,286,"t"],
+        ["Vilvoorde",50.9281,4.4294,36955,805,"t",["Vilvorde"]],
+        ["Vinalmont",50.5633,5.2316,0,804,"t"],
+        ["Vinderhoute",51.0876,3.6416,0,478,"t"],
+        ["Vinkeveen",52.2151,4.9337,2340,179,"t"],
+        ["Vinkt",51.0086,3.4788,0,182,"t"],
+        ["Virginal-Samme",50.6404,4.2058,0,395,"t"],
+        ["Viroinval",50.0769,4.529,0,806,"m"],
+        ["Virton",49.5682,5.5326,11259,807,"t"],
+        ["Visé",50.7376,5.6991,17054,808,"t",["Wezet"]],
+        ["Vissenaken",50.8385,4.9049,0,765,"t"],
+        ["Vitrival",50.3928,4.6577,0,267,"t"],
+        ["Vivegnis",50.6924,5.6476,0,618,"t"],
+        ["Vlaardingen",51.9125,4.3417,73798,809,"t"],
+        ["Vladslo",51.0464,2.916,0,197,"t"],
+        ["Vlagtwedde",53.0275,7.1083,1955,853,"t"],
+        ["Vlamertinge",50.8548,2.8202,0,391,"t"],
+        ["Vledder",52.8558,6.2083,1815,851,"t"],
+        ["Vleteren",50.9136,2.7061,0,810,"m"],
+        ["Vleuten",52.1058,5.0153,6945,785,"t"],
+        ["Vlezenbeek",50.8078,4.232,0,716,"t"],
+        ["Vliedberg",51.6896,5.1903,4445,359,"t"],
+        ["Vlieland",53.297,5.0743,1025,811,"m"],
+        ["Vlierden",51.445,5.7583,1115,191,"t"],
+        ["Vliermaal",50.8407,5.4286,0,325,"t"],
+        ["Vliermaalroot",50.8651,5.4262,0,325,"t"],
+        ["Vlierzele",50.9317,3.8959,0,713,"t"],
+        ["Vlietwijk",52.1244,4.4574,3745,816,"d"],
+        ["Vlijtingen",50.832,5.5843,0,663,"t"],
+        ["Vlimmeren",51.2952,4.7813,0,510,"t"],
+        ["Vlissegem",51.2553,3.056,0,176,"t"],
+        ["Vlissingen",51.4425,3.5736,45273,812,"t"],
+        ["Vlodrop",51.1333,6.0764,1860,669,"t"],
+        ["Vlokhoven",51.4719,5.4832,3570,229,"t"],
+        ["Voeren",50.7386,5.8222,4235,813,"m",["Fourons"]],
+        ["Voerendaal",50.8833,5.9298,3035,814,"t"],
+        ["Vogelenzang",52.3192,4.5778,1955,103,"t"],
+        ["Vogelkwartier",52.1978,5.9672,4975,36,"d"],
+        ["Vogelwijk",52.0763,4.2479,5155,184,"d"],
+        ["Voldijn",51.4005,5.472,2785,824,"t"],
+        ["Volendam",52.495,5.0708,22000,220,"t"],
+        ["Volkel",51.6425,5.6542,3560,504,"t"],
+        ["Vollenhove",52.6808,5.9542,3955,742,"t"],
+        ["Vollezele",50.7612,4.0244,0,621,"t"],
+        ["Vondelwijk",52.055,4.6531,2205,827,"d"],
+        ["Voorburg",52.0742,4.3597,38000,458,"t"],
+        ["Voorde",50.8231,3.9493,0,571,"t"],
+        ["Voorhout",52.2217,4.4847,4670,757,"t"],
+        ["Voorne aan Zee",51.8573,4.132,35442,815,"m"],
+        ["Voorschoten",52.1275,4.4486,22468,816,"t"],
+        ["Voorst",52.17,6.1417,1505,817,"t"],
+        ["Voorthuizen",52.1867,5.6056,9710,60,"t"],
+        ["Vorden",52.105,6.3097,4900,129,"t"],
+        ["Voroux-lez-Liers",50.6874,5.5544,0,402,"t"],
+        ["Vorselaar",51.2024,4.7726,7238,818,"t"],
+        ["Vorst",51.0803,5.02,0,438,"t"],
+        ["Vorst",50.8168,4.3277,0,819,"t",["Forest"]],
+        ["Vorstenbosch",51.6525,5.55,1630,85,"t"],
+        ["Vosselaar",51.3086,4.8896,10317,820,"t"],
+        ["Vosselare",51.0289,3.5566,0,182,"t"],
+        ["Vossem",50.8363,4.5604,0,754,"t"],
+        ["Vottem",50.6716,5.5769,0,353,"t"],
+        ["Vrasene",51.221,4.1909,0,92,"t"],
+        ["Vredenburg",51.9535,5.9028,4370,40,"t"],
+        ["Vreeswijk",52.0109,5.0929,3460,564,"d"],
+        ["Vreewijk",51.8843,4.5197,13745,676,"d"],
+        ["Vremde",51.1754,4.5232,0,106,"t"],
+        ["Vreren",50.7517,5.4959,0,769,"t"],
+        ["Vresse-sur-Semois",49.8713,4.9333,2800,821,"t"],
+        ["Vrieheide",50.9219,5.967,1500,334,"d"],
+        ["Vries",53.0742,6.5778,3915,779,"t"],
+        ["Vriezenveen",52.4083,6.6222,12310,778,"t"],
+        ["Vroenhoven",50.8261,5.6399,0,663,"t"],
+        ["Vroomshoop",52.4608,6.5653,8480,778,"t"],
+        ["Vucht",50.9783,5.711,0,505,"t"],
+        ["Vught",51.6533,5.2875,25043,822,"t"],
+        ["Vuren",51.825,5.0458,1880,847,"t"],
+        ["Vurste",50.9432,3.6831,0,272,"t"],
+        ["Waadhoeke",53.2165,5.5949,32554,823,"m"],
+        ["Waalre",51.3867,5.4444,6445,824,"t"],
+        ["Waalwijk",51.6825,5.0708,45610,825,"t"],
+        ["Waanrode",50.9162,5.0048,0,73,"t"],
+        ["Waardamme",51.1114,3.2229,0,597,"t"],
+        ["Waarde",51.4175,4.0681,1080,653,"t"],
+        ["Waardenburg",51.8325,5.2569,1740,847,"t"],
+        ["Waarder",52.0608,4.8208,1330,105,"t"],
+        ["Waarland",52.7267,4.8319,1970,691,"t"],
+        ["Waarloos",51.106,4.4548,0,424,"t"],
+        ["Waarschoot",51.1525,3.605,7762,478,"t"],
+        ["Waasmunster",51.1057,4.0857,10460,826,"t"],
+        ["Wachtebeke",51.1685,3.8718,6911,490,"t"],
+        ["Waddinxveen",52.045,4.6514,25338,827,"t"],
+        ["Wagenberg",51.665,4.7486,1905,211,"t"],
+        ["Wagenborgen",53.2558,6.9333,1695,225,"t"],
+        ["Wageningen",51.97,5.6667,35433,828,"t"],
+        ["Waha",50.2092,5.3417,0,514,"t"],
+        ["Waimes",50.4149,6.1121,6661,829,"t",["Weismes"]],
+        ["Wakken",50.933,3.3974,0,188,"t"],
+        ["Walcourt",50.254,4.438,17501,830,"t"],
+        ["Walem",51.0671,4.4584,0,681,"t"],
+        ["Walhain",50.6263,4.6984,5992,831,"m"],
+        ["Walhain-Saint-Paul",50.6263,4.6984,5992,831,"t"],
+        ["Walhorn",50.675,6.0461,0,494,"t"],
+        ["Walsbets",50.7376,5.0841,0,443,"t"],
+        ["Waltwilder",50.8664,5.5442,0,97,"t"],
+        ["Wambeek",50.8528,4.1617,0,751,"t"],
+        ["Wandre",50.6677,5.6596,0,353,"t"],
+        ["Wanfercée-Baulet",50.4729,4.5875,0,261,"t"],
+        ["Wangenies",50.4802,4.5202,0,261,"t"],
+        ["Wanroij",51.6575,5.8181,2340,442,"t"],
+        ["Wanssum",51.5358,6.0764,1905,797,"t"],
+        ["Wanze",50.5391,5.2085,12918,832,"t"],
+        ["Wanzele",50.9742,3.9564,0,452,"t"],
+        ["Wapenveld",52.4292,6.0736,3995,332,"t"],
+        ["Warchin",50.6093,3.424,0,771,"t"],
+        ["Warcoing",50.7045,3.3462,0,624,"t"],
+        ["Wardin",49.9921,5.7912,0,62,"t"],
+        ["Waregem",50.889,3.4276,35896,833,"t"],
+        ["Waremme",50.6976,5.2552,13737,834,"t",["Borgworm"]],
+        ["Waret-l'Évêque",50.5567,5.0675,0,351,"t"],
+        ["Waret-la-Chaussée",50.5429,4.9245,0,256,"t"],
+        ["Warffum",53.3925,6.5583,1950,357,"t"],
+        ["Warga",53.1514,5.844,1560,454,"t"],
+        ["Warmenhuizen",52.7225,4.7375,0,691,"t"],
+        ["Warmond",52.1967,4.5028,4275,757,"t"],
+        ["Warneton",50.7516,2.9463,0,162,"t"],
+        ["Warnsveld",52.1375,6.2306,9200,901,"t"],
+        ["Warsage",50.7352,5.7688,0,170,"t"],
+        ["Wasmes",50.4146,3.8471,0,160,"t"],
+        ["Wasmuel",50.4449,3.8481,0,644,"t"],
+        ["Waspik",51.6867,4.9444,5120,825,"t"],
+        ["Wasseiges",50.6219,5.0053,2471,835,"t"],
+        ["Wassenaar",52.1458,4.4028,25353,836,"t"],
+        ["Waterakkers",52.5044,4.6561,2805,330,"d"],
+        ["Waterdonken",51.6096,4.8045,1110,126,"d"],
+        ["Waterland",52.4516,5.0202,8266,837,"m"],
+        ["Waterloo",50.7147,4.3991,29778,838,"t"],
+        ["Watermaal-Bosvoorde",50.8015,4.4144,0,839,"t",["Watermael-Boitsfort"]],
+        ["Watervliet",51.2749,3.626,0,411,"t"],
+        ["Watou",50.8586,2.6207,0,638,"t"],
+        ["Waubach",50.9183,6.05,2910,444,"t"],
+        ["Waudrez",50.4135,4.1505,0,98,"t"],
+        ["Wauthier-Braine",50.6818,4.2985,0,120,"t"],
+        ["Wavre",50.7172,4.6014,32112,840,"t",["Waver"]],
+        ["Wavreille",50.1212,5.2483,0,668,"t"],
+        ["Ways",50.6111,4.4645,0,281,"t"],
+        ["Webbekom",50.9741,5.0403,0,195,"t"],
+        ["Wechelderzande",51.263,4.7865,0,479,"t"],
+        ["Weelde",51.4078,4.9925,0,651,"t"],
+        ["Weerde",50.9734,4.4749,0,887,"t"],
+        ["Weerestein",52.3038,4.5886,1105,362,"t"],
+        ["Weert",51.2517,5.7069,48662,841,"t"],
+        ["Weesp",52.3075,5.0417,17802,26,"t"],
+        ["Wegnez",50.5789,5.8171,0,630,"t"],
+        ["Wehl",51.9608,6.2111,0,204,"t"],
+        ["Weijpoort",52.0817,4.8028,1370,105,"t"],
+        ["Weiteveen",52.6725,6.9875,1510,233,"t"],
+        ["Wekerom",52.1125,5.7139,2540,221,"t"],
+        ["Welberg",51.5767,4.3306,1410,740,"t"],
+        ["Welden",50.8768,3.6545,0,432,"t"],
+        ["Welgelegen",52.214,5.9764,3790,36,"d"],
+        ["Welkenraedt",50.6605,5.9703,9006,842,"t"],
+        ["Well",51.55,6.0889,2500,77,"t"],
+        ["Welle",50.8988,4.056,0,186,"t"],
+        ["Wellen",50.841,5.3387,6804,843,"t"],
+        ["Wellerlooi",51.5342,6.1361,1225,77,"t"],
+        ["Wellin",50.0813,5.1141,2937,844,"t"],
+        ["Wemeldinge",51.5183,3.9972,2855,408,"t"],
+        ["Wemmel",50.9081,4.3061,14406,845,"t"],
+        ["Wenduine",51.2983,3.0821,4003,176,"t"],
+        ["Wépion",50.4215,4.864,0,555,"t"],
+        ["Werchter",50.9731,4.7012,0,772,"t"],
+        ["Werkendam",51.81,4.8944,26362,19,"t"],
+        ["Werkhoven",52.025,5.2444,1990,138,"t"],
+        ["Wernhout",51.455,4.6417,1030,899,"t"],
+        ["Wervik",50.7807,3.0385,17340,846,"t"],
+        ["Wespelaar",50.9608,4.6398,0,305,"t"],
+        ["Wessem",51.1595,5.8815,2050,503,"t"],
+        ["West Betuwe",51.8688,5.2613,49734,847,"m"],
+        ["West Maas en Waal",51.8522,5.5017,0,848,"m"],
+        ["West-Souburg",51.4642,3.5917,1790,812,"t"],
+        ["West-Terschelling",53.3591,5.2148,2525,753,"t"],
+        ["Westbroek",52.15,5.125,0,174,"t"],
+        ["Westdorpe",51.2325,3.8264,2113,752,"t"],
+        ["Westeinde",53.2085,5.7681,3890,454,"d"],
+        ["Westelijke Eilanden",52.3873,4.8876,0,26,"t"],
+        ["Westende",51.1596,2.7687,0,567,"t"],
+        ["Westeneng",52.1275,5.7153,1320,221,"t"],
+        ["Westenenk",52.1962,5.9566,3680,36,"d"],
+        ["Westerbork",52.85,6.6083,4605,536,"t"],
+        ["Westerdokseiland",52.3859,4.8924,0,26,"t"],
+        ["Westerhaar-Vriezenveensewijk",52.4558,6.6236,4470,778,"t"],
+        ["Westerhoven",51.3325,5.3958,1635,76,"t"],
+        ["Westerkwartier",53.1972,6.3598,43891,849,"m"],
+        ["Westerlee",53.1458,6.9875,1295,585,"t"],
+        ["Westerlo",51.0905,4.9154,22579,850,"t"],
+        ["Westerveld",52.8183,6.2846,10715,851,"m"],
+        ["Westervoort",51.9558,5.9722,5635,852,"t"],
+        ["Westerwolde",53.0007,7.1014,11245,853,"m"],
+        ["Westerzicht",51.4625,3.5869,1595,812,"d"],
+        ["Westkapelle",51.5292,3.4403,2515,793,"t"],
+        ["Westkapelle",51.3151,3.3017,0,419,"t"],
+        ["Westkerke",51.1645,3.0108,0,612,"t"],
+        ["Westland",51.9996,4.2043,82072,854,"m"],
+        ["Westlaren",53.0848,6.6647,1410,779,"t"],
+        ["Westmaas",51.7867,4.475,1760,367,"t"],
+        ["Westmalle",51.2977,4.6901,0,510,"t"],
+        ["Westmeerbeek",51.0613,4.8384,0,352,"t"],
+        ["Westouter",50.7972,2.7465,0,361,"t"],
+        ["Westrozebeke",50.9318,3.01,0,735,"t"],
+        ["Weststellingwerf",52.8786,6.0288,16335,855,"m"],
+        ["Westvleteren",50.9274,2.7169,0,810,"t"],
+        ["Westwoud",52.685,5.1347,1330,210,"t"],
+        ["Westzaan",52.4642,4.7722,0,877,"t"],
+        ["Weteringbuurt",52.3612,4.8913,0,26,"t"],
+        ["Wetteren",51.0053,3.8834,22930,856,"t"],
+        ["Wevelgem",50.8,3.1667,30954,857,"t"],
+        ["Wezemaal",50.9485,4.7554,0,675,"t"],
+        ["Wezembeek-Oppem",50.8395,4.4943,13245,858,"t"],
+        ["Wezep",52.4617,5.9986,0,586,"t"],
+        ["Wichelen",51.0053,3.9768,11014,859,"t"],
+        ["Wiekevorst",51.108,4.7924,0,387,"t"],
+        ["Wielsbeke",50.9,3.3667,8828,860,"t"],
+        ["Wierde",50.4261,4.951,0,555,"t"],
+        ["Wierden",52.3592,6.5931,23244,861,"t"],
+        ["Wieringerwaard",52.8358,4.8653,1795,369,"t"],
+        ["Wieringerwerf",52.8508,5.0264,3210,369,"t"],
+        ["Wiers",50.5086,3.5347,0,631,"t"],
+        ["Wieze",50.9769,4.0788,0,451,"t"],
+        ["Wihéries",50.3854,3.7537,0,209,"t"],
+        ["Wihogne",50.7292,5.5048,0,402,"t"],
+        ["Wijbosch",51.6167,5.4681,1365,521,"t"],
+        ["Wijchen",51.8092,5.725,32693,862,"t"],
+        ["Wijchmaal",51.1352,5.4133,0,626,"t"],
+        ["Wijdemeren",52.2207,5.1155,15365,863,"m"],
+        ["Wijdenes",52.635,5.1569,1005,210,"t"],
+        ["Wijdewormer",52.5002,4.8924,0,872,"t"],
+        ["Wijer",50.8986,5.2245,0,13,"t"],
+        ["Wijhe",52.3867,6.1347,5640,590,"t"],
+        ["Wijk aan Zee",52.4936,4.5941,2095,93,"t"],
+        ["Wijk bij Duurstede",51.9742,5.3417,17465,864,"t"],
+        ["Wijlre",50.8333,5.8958,1960,304,"t"],
+        ["Wijnandsrade",50.9058,5.8833,1365,67,"t"],
+        ["Wijnegem",51.2279,4.519,8932,865,"t"],
+        ["Wijnjewoude",53.0581,6.2047,1245,602,"t"],
+        ["Wijshagen",51.1049,5.5579,0,128,"t"],
+        ["Wijtschate",50.7863,2.8837,0,530,"t"],
+        ["Wilderen",50.8155,5.1423,0,718,"t"],
+        ["Wildervank",53.0808,6.8625,2990,791,"t"],
+        ["Wilhelminadorp",51.4974,5.3922,3645,89,"d"],
+        ["Willebroek",51.0604,4.3602,22808,866,"t"],
+        ["Willemeau",50.5744,3.3503,0,680,"t"],
+        ["Wilnis",52.1967,4.8972,5715,179,"t"],
+        ["Wilrijk",51.1673,4.3951,0,34,"t"],
+        ["Wilsele",50.8919,4.6977,0,468,"t"],
+        ["Winenne",50.0975,4.8949,0,64,"t"],
+        ["Wingene",51.0578,3.2736,12887,867,"t"],
+        ["Winkel",52.7542,4.9028,3460,369,"t"],
+        ["Winkewijert",52.1908,5.9579,1760,36,"d"],
+        ["Winksele",50.8986,4.6461,0,347,"t"],
+        ["Winschoten",53.1442,7.0347,18506,585,"t"],
+        ["Winsum",53.33,6.5208,1365,357,"t"],
+        ["Wintelre",51.4442,5.3403,0,226,"t"],
+        ["Winterswijk",51.9725,6.7194,29623,868,"t"],
+        ["Wirdum",53.1489,5.8039,1050,454,"t"],
+        ["Wisch",51.9265,6.417,19496,610,"t"],
+        ["Wisselaar",51.6129,4.7844,4200,126,"d"],
+        ["Wissenkerke",51.585,3.7472,1040,575,"t"],
+        ["Witmarsum",53.1045,5.469,1585,747,"t"],
+        ["Wodecq",50.718,3.7465,0,262,"t"],
+        ["Woensdrecht",51.429,4.3036,1340,869,"t"],
+        ["Woenselse Heide",51.4833,5.4667,5205,229,"d"],
+        ["Woerden",52.085,4.8833,48431,870,"t"],
+        ["Woesten",50.8997,2.7896,0,810,"t"],
+        ["Wolder",50.834,5.653,1425,507,"d"],
+        ["Wolfheze",52.0033,5.7903,1505,656,"t"],
+        ["Wolfsbos",52.7173,6.4988,4215,372,"d"],
+        ["Wolkrange",49.6288,5.7988,0,531,"t"],
+        ["Wolphaartsdijk",51.5317,3.8194,1595,293,"t"],
+        ["Wolvega",52.8755,5.9969,12730,855,"t"],
+        ["Wolvertem",50.9517,4.3096,0,522,"t"],
+        ["Wommelgem",51.2045,4.5225,11917,871,"t"],
+        ["Wommels",53.1088,5.5875,2065,747,"t"],
+        ["Wommersom",50.8127,5.0177,0,485,"t"],
+        ["Wonck",50.7669,5.6362,0,61,"t"],
+        ["Wondelgem",51.087,3.7091,0,252,"t"],
+        ["Woolde",52.2721,6.7589,1670,344,"t"],
+        ["Wooldrik",52.2167,6.9167,1225,237,"d"],
+        ["Workum",52.9797,5.4471,4105,747,"t"],
+        ["Wormer",52.495,4.8056,0,872,"t"],
+        ["Wormerland",52.5009,4.8706,0,872,"m"],
+        ["Wortegem",50.8536,3.51,0,873,"t"],
+        ["Wortegem-Petegem",50.836,3.538,0,873,"m"],
+        ["Wortel",51.3983,4.7946,0,374,"t"],
+        ["Woubrugge",52.17,4.6361,1060,404,"t"],
+        ["Woudenberg",52.0808,5.4167,11305,874,"t"],
+        ["Woudhuis",52.2132,6.0112,6375,36,"d"],
+        ["Woudrichem",51.815,5.0014,14208,19,"t"],
+        ["Woudsend",52.9436,5.6284,1375,747,"t"],
+        ["Woumen",51.0014,2.8697,0,197,"t"],
+        ["Wouw",51.5217,4.3903,4600,674,"t"],
+        ["Wuustwezel",51.3921,4.5955,18117,875,"t"],
+        ["Xhendelesse",50.6049,5.778,0,730,"t"],
+        ["Xhendremael",50.7045,5.4798,0,402,"t"],
+        ["Xhoris",50.4459,5.6043,0,161,"t"],
+        ["Yerseke",51.4925,4.05,6541,653,"t"],
+        ["Ypenburg",52.041,4.3698,30000,184,"t"],
+        ["Ysselsteyn",51.49,5.8972,2260,797,"t"],
+        ["Yves-Gomezée",50.2393,4.4934,0,830,"t"],
+        ["Yvoir",50.3279,4.8806,8169,876,"t"],
+        ["Zaamslag",51.3125,3.9125,2980,752,"t"],
+        ["Zaandam",52.4385,4.8264,71708,877,"t"],
+        ["Zaandijk",52.4749,4.8069,9040,877,"t"],
+        ["Zaanstad",52.4531,4.8136,140085,877,"t"],
+        ["Zaffelare",51.1339,3.8636,0,490,"t"],
+        ["Zaltbommel",51.81,5.2444,26383,878,"t"],
+        ["Zandberg",51.5733,4.7847,5300,126,"d"],
+        ["Zandbergen",50.8028,3.9664,0,571,"t"],
+        ["Zandhoven",51.2149,4.6616,12306,879,"t"],
+        ["Zandvoorde",51.1994,2.9722,0,612,"t"],
+        ["Zandvoort",52.3713,4.5331,16868,880,"t"],
+        ["Zandweg-Oostwaard",52.1364,5.052,0,745,"t"],
+        ["Zarlardinge",50.7621,3.8285,0,285,"t"],
+        ["Zarren",51.0184,2.9581,0,382,"t"],
+        ["Zaventem",50.8837,4.473,28188,881,"t"],
+        ["Zeddam",51.9033,6.2597,2305,546,"t"],
+        ["Zedelgem",51.1424,3.1368,21968,882,"t"],
+        ["Zeebrugge",51.329,3.1819,4500,131,"t"],
+        ["Zeeland",51.6975,5.6764,4750,504,"t"],
+        ["Zeelst",51.4242,5.4157,5280,794,"d"],
+        ["Zeewolde",52.33,5.5417,19022,883,"t"],
+        ["Zegge",51.5567,4.5181,1575,679,"t"],
+        ["Zegveld",52.115,4.8361,0,870,"t"],
+        ["Zeilberg",51.4547,5.8188,1775,191,"d"],
+        ["Zeist",52.09,5.2333,60949,884,"t"],
+        ["Zele",51.0657,4.0403,20236,885,"t"],
+        ["Zelem",50.9774,5.1069,0,312,"t"],
+        ["Zelhem",52.0067,6.3486,5760,129,"t"],
+        ["Zellik",50.8841,4.2732,0,845,"t"],
+        ["Zelzate",51.1896,3.8078,11901,886,"t"],
+        ["Zemst",50.9832,4.4608,21096,887,"t"],
+        ["Zepperen",50.8214,5.2477,0,718,"t"],
+        ["Zerkegem",51.1664,3.0699,0,397,"t"],
+        ["Zesgehuchten",51.4167,5.55,3460,278,"t"],
+        ["Zétrud-Lumay",50.7572,4.8871,0,401,"t"],
+        ["Zetten",51.9283,5.7139,2985,619,"t"],
+        ["Zevenaar",51.93,6.0708,26063,888,"t"],
+        ["Zevenbergschen Hoek",51.6725,4.6792,1245,539,"t"],
+        ["Zeveneken",51.1078,3.8905,0,490,"t"],
+        ["Zevenhoven",52.1817,4.7792,2200,566,"t"],
+        ["Zevenhuizen",52.2182,5.9784,2290,36,"d"],
+        ["Zevergem",50.9793,3.6932,0,178,"t"],
+        ["Zichem",51.0019,4.9832,0,693,"t"],
+        ["Zichen-Zussen-Bolder",50.7942,5.6248,0,663,"t"],
+        ["Zierikzee",51.65,3.9194,10483,699,"t"],
+        ["Zijtaart",51.5925,5.5417,1055,521,"t"],
+        ["Zillebeke",50.8346,2.9225,0,391,"t"],
+        ["Zingem",50.9041,3.653,6588,432,"t"],
+        ["Zoelen",51.9125,5.4028,1010,141,"t"],
+        ["Zoerle-Parwijs",51.0897,4.8711,0,850,"t"],
+        ["Zoersel",51.2683,4.713,20642,889,"t"],
+        ["Zoetermeer",52.0575,4.4931,115845,890,"t"],
+        ["Zoeterwoude",52.12,4.4958,4230,891,"m"],
+        ["Zoeterwoude-Dorp",52.12,4.4958,4230,891,"t"],
+        ["Zolder",51.0245,5.3098,0,360,"t"],
+        ["Zomergem",51.1199,3.565,8158,478,"t"],
+        ["Zonderwijk",51.4114,5.3936,3435,794,"d"],
+        ["Zonhoven",50.9906,5.3682,19922,892,"t"],
+        ["Zonnebeke",50.8726,2.9872,11581,893,"t"],
+        ["Zonnemaat",51.9312,6.0624,4250,888,"d"],
+        ["Zottegem",50.8695,3.8105,24434,894,"t"],
+        ["Zoutelande",51.5017,3.4847,1315,793,"t"],
+        ["Zoutkamp",53.3392,6.3042,1215,357,"t"],
+        ["Zoutleeuw",50.8332,5.1038,7897,895,"t",["Léau"]],
+        ["Zuid-Beijerland",51.7508,4.3681,2740,367,"t"],
+        ["Zuid-Berghuizen",52.3008,6.9333,3680,587,"t"],
+        ["Zuid-Scharwoude",52.6867,4.8083,6165,196,"t"],
+        ["Zuidbroek",53.1633,6.8611,2255,537,"t"],
+        ["Zuiderburen",53.1734,5.8427,5790,454,"t"],
+        ["Zuiderkerkbuurt",52.3694,4.8985,0,26,"t"],
+        ["Zuidhorn",53.2467,6.4028,7075,849,"t"],
+        ["Zuidlaren",53.0942,6.6819,3905,779,"t"],
+        ["Zuidplas",51.9683,4.6097,0,896,"m"],
+        ["Zuidwijk",51.8753,4.4851,12490,676,"d"],
+        ["Zuienkerke",51.2651,3.1551,2736,897,"t"],
+        ["Zuilichem",51.8092,5.1361,1245,878,"t"],
+        ["Zulte",50.9195,3.4486,14670,898,"t"],
+        ["Zundert",51.4717,4.6556,6835,899,"t"],
+        ["Zutendaal",50.9331,5.5753,6962,900,"t"],
+        ["Zutphen",52.1383,6.2014,36188,901,"t"],
+        ["Zuun",50.7902,4.2771,0,716,"t"],
+        ["Zwaagdijk-Oost",52.7075,5.1403,1240,518,"t"],
+        ["Zwaanshoek",52.3125,4.6167,1455,309,"t"],
+        ["Zwalm",50.8768,3.735,0,902,"m"],
+        ["Zwanenburg",52.38,4.7458,0,309,"t"],
+        ["Zwartewaterland",52.5927,6.0953,6959,903,"m"],
+        ["Zwartsluis",52.6408,6.0694,0,903,"t"],
+        ["Zwevegem",50.8127,3.3385,23358,904,"t"],
+        ["Zwevezele",51.0368,3.2119,0,472,"t"],
+        ["Zwijnaarde",51.0008,3.7075,0,528,"t"],
+        ["Zwijndrecht",51.8175,4.6333,45696,905,"t"],
+        ["Zwijndrecht",51.2198,4.3266,18249,92,"t"],
+        ["Zwolle",52.5125,6.0944,111805,906,"t"]
+    ]
+};
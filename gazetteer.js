@@ -0,0 +1,169 @@
+// Gazetteer - offline place search over the bundled Dutch and Belgian places
+// (gazetteer-data.js). Matching ignores case, accents and punctuation, tolerates
+// small typos, and ranks equally good matches by population.
+
+const Gazetteer = {
+    entries: null,
+
+    // Match quality tiers; within a tier, bigger places come first
+    scores: {
+        exact: 100,
+        prefix: 80,
+        wordPrefix: 60,
+        contains: 40,
+        fuzzy: 20
+    },
+
+    load() {
+        if (this.entries) return this.entries;
+
+        const { provinces, municipalities, places } = GAZETTEER_DATA;
+        this.entries = places.map(([name, lat, lon, population, municipalityIndex, type, aliases = []], id) => {
+            const [municipality, provinceIndex, country] = municipalities[municipalityIndex];
+            return {
+                id,
+                name,
+                lat,
+                lon,
+                population,
+                municipality,
+                province: provinces[provinceIndex] || null,
+                country,
+                type,
+                aliases,
+                keys: [name, ...aliases].map(text => this.normalize(text))
+            };
+        });
+        return this.entries;
+    },
+
+    normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '') // Strip accents: Liège -> Liege
+            .toLowerCase()
+            .replace(/^'s[\s-]+/, 's ') // 's-Hertogenbosch and 's Hertogenbosch alike
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    // Optimal string alignment distance, giving up once it exceeds `max`
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    scoreKey(key, query) {
+        if (key === query) return this.scores.exact;
+        if (key.startsWith(query)) return this.scores.prefix;
+        if (key.split(' ').some(word => word.startsWith(query))) return this.scores.wordPrefix;
+        if (key.includes(query)) return this.scores.contains;
+
+        // Typos: compare against the whole name and against its start
+        if (query.length < 3) return 0;
+        const allowed = query.length <= 5 ? 1 : 2;
+        const distance = Math.min(
+            this.editDistance(query, key, allowed),
+            this.editDistance(query, key.slice(0, query.length), allowed)
+        );
+        return distance <= allowed ? this.scores.fuzzy - distance * 5 : 0;
+    },
+
+    search(query, { limit = 8, country = null } = {}) {
+        const normalized = this.normalize(query || '');
+        if (!normalized) return [];
+
+        return this.load()
+            .filter(entry => !country || entry.country === country)
+            .map(entry => ({
+                entry,
+                // The real name beats an alias (Bergen op Zoom before Mons for "berg")
+                score: Math.max(...entry.keys.map((key, i) => this.scoreKey(key, normalized) - (i > 0 ? 1 : 0)))
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || b.entry.population - a.entry.population)
+            .slice(0, limit)
+            .map(result => this.toPlace(result.entry));
+    },
+
+    // Nearest named place to a position, with the distance in km; null when nothing
+    // lies within `maxDistanceKm` (outside the Benelux)
+    nearest(lat, lon, { maxDistanceKm = 25 } = {}) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.load().forEach(entry => {
+            // Municipality centres are not real places to be "near"
+            if (entry.type === 'm') return;
+            // Cheap bounding-box check before the great-circle distance
+            if (Math.abs(entry.lat - lat) > 0.5 || Math.abs(entry.lon - lon) > 0.8) return;
+
+            const distance = StationSelector.haversineDistance(lat, lon, entry.lat, entry.lon);
+            if (distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        });
+
+        if (!best || bestDistance > maxDistanceKm) return null;
+        return { place: this.toPlace(best), distance: bestDistance };
+    },
+
+    // Position of `query` in `text` as [start, end] in the original string, ignoring
+    // case and accents; null when the text only matched fuzzily
+    matchRange(text, query) {
+        const normalizedQuery = this.normalize(query || '');
+        if (!normalizedQuery) return null;
+
+        // Normalize character by character so indices map back to the original
+        const chars = [...String(text)];
+        const mapped = chars.map(char => this.normalize(char) || ' ');
+        const haystack = mapped.join('');
+        const index = haystack.indexOf(normalizedQuery);
+        if (index === -1) return null;
+
+        // Convert positions in the mapped string back to original character offsets
+        let position = 0;
+        let start = -1;
+        let end = chars.length;
+        for (let i = 0; i < chars.length; i++) {
+            if (start === -1 && position + mapped[i].length > index) start = i;
+            position += mapped[i].length;
+            if (position >= index + normalizedQuery.length) {
+                end = i + 1;
+                break;
+            }
+        }
+        const prefix = chars.slice(0, start).join('').length;
+        return [prefix, prefix + chars.slice(start, end).join('').length];
+    },
+
+    toPlace(entry) {
+        const { keys, ...place } = entry;
+        return { ...place, label: this.formatLabel(entry) };
+    },
+
+    // "Zuidwijk, Rotterdam (NL)" for districts and villages, "Leuven (BE)" for towns
+    formatLabel(place) {
+        const showMunicipality = place.municipality && this.normalize(place.municipality) !== this.normalize(place.name);
+        return `${place.name}${showMunicipality ? `, ${place.municipality}` : ''} (${place.country})`;
+    }
+};
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/*
+ * Generate the offline gazetteer (gazetteer-data.js) for WeerApp
+ *
+ * Municipalities come from the official lists in gazetteer-sources/:
+ *   cbs-gemeenten-2025.csv     CBS, Gemeentelijke indeling op 1 januari 2025 (342)
+ *   statbel-refnis-2025.csv    Statbel, REFNIS-codes op 1 januari 2025 (565), with
+ *                              the Dutch, French and German names. A municipality
+ *                              merged in 2025 lists the NIS codes of 2024 it was
+ *                              formed from ("71022+73040"), as GeoNames still uses them
+ * Replace them with the new edition when municipalities merge.
+ *
+ * Places (towns, villages, districts) with positions and population come from
+ * GeoNames (CC BY 4.0), as packaged on npm by `cities.json` (places with
+ * municipality codes) and `all-the-cities` (population, feature codes and Belgian
+ * NIS codes), pinned to exact versions in package.json so the output can be
+ * reproduced:
+ *
+ *     npm install
+ *     npm run gazetteer
+ */
+const fs = require('fs');
+const path = require('path');
+
+const cities = require('cities.json');
+const allTheCities = require('all-the-cities');
+
+const COUNTRIES = ['NL', 'BE'];
+const SOURCES = path.join(__dirname, 'gazetteer-sources');
+
+// GeoNames admin1 codes for Dutch provinces
+const NL_PROVINCES = {
+    '01': 'Drenthe',
+    '02': 'Friesland',
+    '03': 'Gelderland',
+    '04': 'Groningen',
+    '05': 'Limburg',
+    '06': 'Noord-Brabant',
+    '07': 'Noord-Holland',
+    '09': 'Utrecht',
+    '10': 'Zeeland',
+    '11': 'Zuid-Holland',
+    '15': 'Overijssel',
+    '16': 'Flevoland'
+};
+
+// GeoNames admin2 codes for Belgian provinces (places without a NIS code)
+const BE_PROVINCES = {
+    VAN: 'Antwerpen',
+    BRU: 'Brussel',
+    VBR: 'Vlaams-Brabant',
+    WBR: 'Waals-Brabant',
+    VWV: 'West-Vlaanderen',
+    VOV: 'Oost-Vlaanderen',
+    WHT: 'Henegouwen',
+    WLG: 'Luik',
+    VLI: 'Limburg',
+    WLX: 'Luxemburg',
+    WNA: 'Namen'
+};
+
+// Walloon municipalities are shown under their French name, the others under their
+// Dutch one (German where Statbel has a German name)
+const WALLOON_PROVINCES = ['Waals-Brabant', 'Henegouwen', 'Luik', 'Luxemburg', 'Namen'];
+
+// Names people search for besides the official ones: exonyms, and the old names of
+// towns that are no longer a municipality of their own
+const ALIASES = {
+    "NL:'s-Gravenhage": ['Den Haag', 'The Hague'],
+    "NL:'s-Hertogenbosch": ['Den Bosch'],
+    'BE:Brussel': ['Brussels', 'Brüssel'],
+    'BE:Antwerpen': ['Antwerp'],
+    'BE:Gent': ['Ghent'],
+    'BE:Oostende': ['Ostend'],
+    'BE:Liège': ['Lüttich'],
+    'BE:Waimes': ['Weismes'],
+    'BE:Plombières': ['Bleyberg'],
+    'BE:Arlon': ['Arel'],
+    'BE:Tongeren': ['Tongres'],
+    'BE:Borgloon': ['Looz'],
+    'BE:Bastogne': ['Bastenaken']
+};
+
+// Name shown instead of the official one
+const DISPLAY_NAMES = {
+    "NL:'s-Gravenhage": 'Den Haag'
+};
+
+// A village of each municipality that is named after no place and that GeoNames
+// files no place under; the villages around it follow as the nearest place
+const SEATS = {
+    'BE:Laakdal': 'Vorst',
+    'BE:Affligem': 'Hekelgem',
+    'BE:Linter': 'Neerlinter',
+    'BE:Scherpenheuvel-Zichem': 'Scherpenheuvel',
+    'BE:Hélécine': 'Neerheylissem',
+    'BE:Orp-Jauche': 'Orp-le-Grand',
+    'BE:Lo-Reninge': 'Lo',
+    'BE:Heuvelland': 'Kemmel',
+    'BE:Langemark-Poelkapelle': 'Langemark',
+    'BE:Vleteren': 'Westvleteren',
+    'BE:Spiere-Helkijn': 'Spiere',
+    'BE:Erpe-Mere': 'Erpe',
+    'BE:Kluisbergen': 'Berchem',
+    'BE:Wortegem-Petegem': 'Wortegem',
+    'BE:Horebeke': 'Sint-Maria-Horebeke',
+    'BE:Maarkedal': 'Etikhove',
+    'BE:Zwalm': 'Munkzwalm',
+    'BE:Les Bons Villers': 'Mellet',
+    'BE:Honnelles': 'Roisin',
+    'BE:Ham-sur-Heure-Nalinnes': 'Ham-sur-Heure',
+    'BE:Sivry-Rance': 'Sivry',
+    'BE:Leuze-en-Hainaut': 'Leuze',
+    "BE:Mont-de-l'Enclus": 'Amougies',
+    'BE:Grâce-Hollogne': 'Hollogne-aux-Pierres',
+    'BE:Neupré': 'Neuville-en-Condroz',
+    'BE:Burg-Reuland': 'Reuland',
+    'BE:Thimister-Clermont': 'Thimister',
+    'BE:Hamont-Achel': 'Hamont',
+    'BE:Hechtel-Eksel': 'Hechtel',
+    'BE:Dilsen-Stokkem': 'Dilsen',
+    'BE:Libramont-Chevigny': 'Libramont',
+    'BE:Sambreville': 'Auvelais',
+    'BE:Viroinval': 'Nismes'
+};
+
+// Municipal centres GeoNames has no place for at all: [lat, lon, population]
+const MISSING_PLACES = {
+    'NL:Eemnes': [52.2542, 5.2569, 9500],
+    'NL:Etten-Leur': [51.5706, 4.6375, 45000],
+    'BE:Sint-Pieters-Woluwe': [50.8333, 4.4333, 42000],
+    'BE:Mesen': [50.7646, 2.8986, 1000],
+    'BE:Herstappe': [50.7267, 5.4267, 90],
+    'BE:Vresse-sur-Semois': [49.8713, 4.9333, 2800]
+};
+
+const round = (value, digits = 4) => Number(Number(value).toFixed(digits));
+
+const distanceSq = (a, b) => (a.lat - b.lat) ** 2 + ((a.lon - b.lon) * Math.cos(a.lat * Math.PI / 180)) ** 2;
+
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function readList(file) {
+    const [, ...lines] = fs.readFileSync(path.join(SOURCES, file), 'utf8').trim().split(/\r?\n/);
+    return lines.map(line => line.split(';').map(field => field.trim()));
+}
+
+// 1. Official municipalities. `codes` are the codes GeoNames places carry
+const municipalities = [];
+
+readList('cbs-gemeenten-2025.csv').forEach(([code, officialName, province]) => {
+    // "Bergen (NH.)": the province suffix only tells the two Bergens apart
+    const name = officialName.replace(/\s+\([A-Z.]+\)$/, '');
+    municipalities.push({ country: 'NL', codes: [code.replace(/^GM/, '')], name, names: [name], province });
+});
+
+readList('statbel-refnis-2025.csv').forEach(([codes, nl, fr, de, province]) => {
+    const names = [...new Set([nl, fr, de].filter(Boolean))];
+    const name = de || (WALLOON_PROVINCES.includes(province) ? fr || nl : nl);
+    municipalities.push({ country: 'BE', codes: codes.split('+'), name, names, province });
+});
+
+municipalities.forEach(municipality => {
+    const key = `${municipality.country}:${municipality.name}`;
+    municipality.key = `${municipality.country}:${municipality.codes[0]}`;
+    municipality.aliases = [...municipality.names, ...(ALIASES[key] || [])];
+    municipality.name = DISPLAY_NAMES[key] || municipality.name;
+    municipality.aliases = [...new Set(municipality.aliases)].filter(alias => alias !== municipality.name);
+    municipality.places = [];
+});
+
+const municipalityByCode = new Map();
+municipalities.forEach(municipality => {
+    municipality.codes.forEach(code => municipalityByCode.set(`${municipality.country}:${code}`, municipality));
+});
+
+// 2. Places from cities.json, enriched with population/feature code from all-the-cities
+const enriched = allTheCities
+    .filter(city => COUNTRIES.includes(city.country))
+    .map(city => ({
+        name: city.name,
+        country: city.country,
+        lat: city.loc.coordinates[1],
+        lon: city.loc.coordinates[0],
+        population: city.population || 0,
+        featureCode: city.featureCode,
+        nis: city.country === 'BE' ? city.muniSub : null,
+        used: false
+    }));
+
+const places = cities
+    .filter(city => COUNTRIES.includes(city.country))
+    .map(city => {
+        const place = {
+            name: city.name,
+            country: city.country,
+            lat: parseFloat(city.lat),
+            lon: parseFloat(city.lng),
+            population: 0,
+            featureCode: 'PPL',
+            code: city.country === 'NL' ? city.admin2 : null,
+            province: city.country === 'NL' ? NL_PROVINCES[city.admin1] : BE_PROVINCES[city.admin2]
+        };
+
+        const match = enriched.find(candidate =>
+            !candidate.used &&
+            candidate.name === place.name &&
+            candidate.country === place.country &&
+            distanceSq(candidate, place) < 0.0005
+        );
+        if (match) {
+            match.used = true;
+            place.population = match.population;
+            place.featureCode = match.featureCode;
+            if (place.country === 'BE') place.code = match.nis;
+        }
+        return place;
+    });
+
+// Places only all-the-cities knows about
+enriched.filter(city => !city.used).forEach(city => {
+    places.push({
+        name: city.name,
+        country: city.country,
+        lat: city.lat,
+        lon: city.lon,
+        population: city.population,
+        featureCode: city.featureCode,
+        code: city.nis,
+        province: null
+    });
+});
+
+Object.entries(MISSING_PLACES).forEach(([key, [lat, lon, population]]) => {
+    const [country, name] = key.split(':');
+    places.push({ name, country, lat, lon, population, featureCode: 'PPL', code: null, province: null });
+});
+
+places.forEach(place => {
+    place.municipality = municipalityByCode.get(`${place.country}:${place.code}`) || null;
+    // A code that is not in the official list (GeoNames is out of date) says nothing
+    if (place.municipality) place.province = place.municipality.province;
+});
+
+// 3. Seats: the place a municipality is named after (in any of its languages) belongs
+// to it: Ixelles is Elsene, not a district of Brussel
+function isSeatCandidate(place, municipality) {
+    if (place.municipality === municipality) return true;
+    if (place.province && place.province !== municipality.province) return false;
+    if (!place.municipality) return true;
+    // Dutch municipality codes in GeoNames are reliable; Belgian NIS codes are
+    // sometimes off (Brunehault under Pont-à-Celles), unless the place is named
+    // after the municipality of its code
+    const names = place.municipality.names.map(normalize);
+    return place.country === 'BE' && !names.includes(normalize(place.name));
+}
+
+municipalities.forEach(municipality => {
+    const seatName = SEATS[`${municipality.country}:${municipality.name}`];
+    const names = (seatName ? [seatName] : [...municipality.names, ...municipality.aliases]).map(normalize);
+    const candidates = places.filter(place =>
+        !place.seatOf &&
+        place.country === municipality.country &&
+        names.includes(normalize(place.name)) &&
+        isSeatCandidate(place, municipality)
+    );
+    // A place GeoNames already files under this municipality first, then the biggest
+    const seat = candidates.sort((a, b) =>
+        (b.municipality === municipality) - (a.municipality === municipality) || b.population - a.population
+    )[0];
+    if (!seat) return;
+
+    seat.municipality = municipality;
+    seat.province = municipality.province;
+    seat.seatOf = municipality;
+    if (!seatName) {
+        // Shown under the municipality's name, found under all of them
+        seat.aliases = [seat.name, ...municipality.aliases].filter(alias => alias !== municipality.name);
+        seat.name = municipality.name;
+    }
+});
+
+// 4. Places without a (known) code: a municipality whose name starts theirs
+// (Flémalle-Grande is in Flémalle), else the nearest place with one in the same province
+const withMunicipality = places.filter(place => place.municipality);
+places.filter(place => !place.municipality).forEach(place => {
+    const name = normalize(place.name);
+    const prefixes = (municipality) => municipality.names
+        .map(normalize)
+        .filter(candidate => name.startsWith(`${candidate} `));
+    const prefixed = municipalities
+        .filter(municipality =>
+            municipality.country === place.country &&
+            (!place.province || place.province === municipality.province) &&
+            prefixes(municipality).length > 0
+        )
+        // The longest name wins: Ham-sur-Heure-Nalinnes before a plain Ham
+        .sort((a, b) => Math.max(...prefixes(b).map(p => p.length)) - Math.max(...prefixes(a).map(p => p.length)))[0];
+    if (prefixed) {
+        place.municipality = prefixed;
+        return;
+    }
+
+    let nearest = null;
+    withMunicipality.forEach(other => {
+        if (other.country !== place.country) return;
+        if (place.province && other.province !== place.province) return;
+        if (!nearest || distanceSq(place, other) < distanceSq(place, nearest)) nearest = other;
+    });
+    if (nearest) place.municipality = nearest.municipality;
+});
+
+// A place under another name of a bigger place in its municipality is that place
+// (GeoNames lists Antwerpen a second time as Antwerp)
+places.forEach(place => {
+    if (!place.municipality) return;
+    const duplicate = places.some(other =>
+        other !== place &&
+        other.municipality === place.municipality &&
+        other.population > place.population &&
+        (other.aliases || []).some(alias => normalize(alias) === normalize(place.name))
+    );
+    if (duplicate) place.municipality = null;
+});
+
+places.forEach(place => {
+    if (place.municipality) place.municipality.places.push(place);
+});
+
+const empty = municipalities.filter(municipality => municipality.places.length === 0);
+if (empty.length > 0) {
+    console.warn(`No places for ${empty.length} municipalities: ${empty.map(m => m.key + ' ' + m.name).join(', ')}`);
+}
+
+// 5. Compact output tables
+const provinceNames = [...new Set(municipalities.map(m => m.province))].sort();
+const municipalityList = municipalities
+    .filter(municipality => municipality.places.length > 0)
+    .sort((a, b) => a.name.localeCompare(b.name, 'nl') || a.country.localeCompare(b.country));
+const municipalityIndex = new Map(municipalityList.map((m, i) => [m, i]));
+
+const rows = [];
+places.filter(place => place.municipality).forEach(place => {
+    const type = place.featureCode === 'PPLX' && !place.seatOf ? 'd' : 't';
+    const aliases = [...new Set([...(place.aliases || []), ...(ALIASES[`${place.country}:${place.name}`] || [])])]
+        .filter(alias => alias !== place.name);
+    const row = [
+        place.name,
+        round(place.lat),
+        round(place.lon),
+        place.population,
+        municipalityIndex.get(place.municipality),
+        type
+    ];
+    if (aliases.length > 0) row.push(aliases);
+    rows.push(row);
+});
+
+// Municipalities without a seat get their own entry at the weighted centre
+municipalityList.forEach((municipality, index) => {
+    if (municipality.places.some(place => place.seatOf === municipality && normalize(place.name) === normalize(municipality.name))) return;
+
+    const total = municipality.places.reduce((sum, place) => sum + place.population, 0);
+    const weight = (place) => total > 0 ? place.population / total : 1 / municipality.places.length;
+    const lat = municipality.places.reduce((sum, place) => sum + place.lat * weight(place), 0);
+    const lon = municipality.places.reduce((sum, place) => sum + place.lon * weight(place), 0);
+    const row = [municipality.name, round(lat), round(lon), total, index, 'm'];
+    if (municipality.aliases.length > 0) row.push(municipality.aliases);
+    rows.push(row);
+});
+
+rows.sort((a, b) => a[0].localeCompare(b[0], 'nl') || b[3] - a[3]);
+
+const output = `// Offline gazetteer for WeerApp - generated by generate_gazetteer.js, do not edit by hand
+// Data: municipalities from CBS and Statbel (2025), places from GeoNames
+// (https://www.geonames.org), licensed under CC BY 4.0
+//
+// provinces:      province names
+// municipalities: [name, provinceIndex, country]
+// places:         [name, lat, lon, population, municipalityIndex, type, aliases?]
+//                 type: 't' town/village, 'd' district, 'm' municipality without a namesake town
+const GAZETTEER_DATA = {
+    provinces: ${JSON.stringify(provinceNames)},
+    municipalities: [
+${municipalityList.map(m => `        ${JSON.stringify([m.name, provinceNames.indexOf(m.province), m.country])}`).join(',\n')}
+    ],
+    places: [
+${rows.map(row => `        ${JSON.stringify(row)}`).join(',\n')}
+    ]
+};
+`;
+
+fs.writeFileSync(path.join(__dirname, 'gazetteer-data.js'), output);
+console.log(`Wrote ${rows.length} places in ${municipalityList.length} municipalities`);
@@ -0,0 +1,107 @@
+// Observation History - turns the stored observations (WeatherStore) into chart
+// series and a pressure tendency. No DOM access.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const ObservationHistory = {
+    // Chart ranges: how far back, and how wide each averaged point is
+    ranges: {
+        '24h': { span: 24 * HOUR_MS, bucket: HOUR_MS },
+        '7d': { span: 7 * 24 * HOUR_MS, bucket: 3 * HOUR_MS }
+    },
+
+    // Charted fields; rain is summed per bucket, everything else averaged
+    metrics: ['temp', 'pressure', 'humidity', 'windSpeed', 'rain'],
+
+    // Pressure tendency over the standard three hours (hPa); KNMI/WMO style bands
+    tendencyHours: 3,
+    tendencyTolerance: 45 * 60 * 1000, // Accept a reference reading this far from -3 h
+    steadyLimit: 1,
+    rapidLimit: 6,
+
+    // One point per bucket from `now - span` to `now`; value is null where nothing was measured
+    series(observations, metric, rangeId, now = Date.now()) {
+        const range = this.ranges[rangeId];
+        if (!range) return [];
+
+        const end = Math.ceil(now / range.bucket) * range.bucket;
+        const start = end - range.span;
+        const count = Math.round(range.span / range.bucket);
+        const buckets = Array.from({ length: count }, (_, i) => ({
+            time: start + i * range.bucket,
+            values: []
+        }));
+
+        // rainFallLastHour is a rolling total: per clock hour keep the highest
+        // reading, so ten readings of the same shower are not counted ten times
+        const readings = metric === 'rain' ? this.hourlyMaxima(observations) : observations
+            .filter(observation => observation[metric] !== null && observation[metric] !== undefined)
+            .map(observation => ({ time: observation.time, value: observation[metric] }));
+
+        readings.forEach(({ time, value }) => {
+            const index = Math.floor((time - start) / range.bucket);
+            if (index >= 0 && index < count) {
+                buckets[index].values.push(value);
+            }
+        });
+
+        return buckets.map(({ time, values }) => {
+            if (values.length === 0) return { time, value: null };
+            const sum = values.reduce((total, value) => total + value, 0);
+            return { time, value: metric === 'rain' ? sum : sum / values.length };
+        });
+    },
+
+    hourlyMaxima(observations) {
+        const byHour = new Map();
+        observations.forEach(observation => {
+            if (observation.rain === null || observation.rain === undefined) return;
+            // Rain of the past hour belongs to the hour before the reading
+            const hour = Math.floor((observation.time - 1) / HOUR_MS) * HOUR_MS;
+            byHour.set(hour, Math.max(byHour.get(hour) ?? 0, observation.rain));
+        });
+        return [...byHour.entries()].map(([time, value]) => ({ time, value }));
+    },
+
+    // Change in pressure over the last three hours:
+    // { change, direction: 'rising'|'falling'|'steady', rapid, latest }, or null
+    // when the history does not reach back far enough
+    pressureTendency(observations, now = Date.now()) {
+        const readings = observations
+            .filter(observation => typeof observation.pressure === 'number')
+            .sort((a, b) => a.time - b.time);
+        if (readings.length < 2) return null;
+
+        const latest = readings[readings.length - 1];
+        // A tendency from readings older than the last hour says nothing about now
+        if (now - latest.time > HOUR_MS) return null;
+
+        const target = latest.time - this.tendencyHours * HOUR_MS;
+        const reference = readings.reduce((best, reading) => {
+            return Math.abs(reading.time - target) < Math.abs(best.time - target) ? reading : best;
+        });
+        if (Math.abs(reference.time - target) > this.tendencyTolerance) return null;
+
+        // Scale to exactly three hours when the reference is a little off
+        const hours = (latest.time - reference.time) / HOUR_MS;
+        const change = (latest.pressure - reference.pressure) * this.tendencyHours / hours;
+
+        let direction = 'steady';
+        if (change >= this.steadyLimit) direction = 'rising';
+        if (change <= -this.steadyLimit) direction = 'falling';
+
+        return {
+            change,
+            direction,
+            rapid: Math.abs(change) >= this.rapidLimit,
+            latest: latest.pressure
+        };
+    },
+
+    // Lowest and highest measured value of a series, or null when it is empty
+    extent(points) {
+        const values = points.map(point => point.value).filter(value => value !== null);
+        if (values.length === 0) return null;
+        return { min: Math.min(...values), max: Math.max(...values) };
+    }
+};
@@ -0,0 +1,1013 @@
+// I18n - message catalog, locale switching and locale-aware formatting
+// Messages are plain strings with {placeholders}, or plural forms keyed by
+// Intl.PluralRules category ({ one, other }) selected with the `count` param.
+
+const I18n = {
+    storageKey: 'weatherLocale',
+    defaultLocale: 'nl',
+    locale: 'nl',
+
+    locales: {
+        nl: { name: 'Nederlands', intl: 'nl-NL' },
+        en: { name: 'English', intl: 'en-GB' },
+        fr: { name: 'Français', intl: 'fr-BE' },
+        de: { name: 'Deutsch', intl: 'de-DE' }
+    },
+
+    messages: {
+        nl: {
+            'app.loading': 'Laden...',
+            'app.now': 'Nu',
+
+            'header.searchPlaceholder': 'Zoek locatie...',
+            'header.search': 'Zoek locatie',
+            'header.savedLocations': 'Opgeslagen locaties',
+            'header.saveCurrent': 'Huidige locatie opslaan',
+            'header.settings': 'Instellingen',
+            'header.refresh': 'Vernieuwen',
+
+            'settings.language': 'Taal',
+            'settings.units': 'Eenheden',
+            'settings.temperature': 'Temperatuur',
+            'settings.wind': 'Wind',
+            'settings.pressure': 'Luchtdruk',
+            'settings.precipitation': 'Neerslag',
+            'settings.data': 'Gegevens',
+            'settings.dataSource': 'Bron',
+            'settings.dataLive': 'Live',
+            'settings.dataDemo': 'Demo',
+            'settings.dataFixture': 'Opname: {scenario}',
+            'fixture.rain': 'Regen',
+            'fixture.storm': 'Storm',
+            'fixture.snow': 'Sneeuw',
+
+            'stats.feelsLike': 'Gevoelstemperatuur',
+            'stats.humidity': 'Luchtvochtigheid',
+            'stats.windSpeed': 'Windsnelheid',
+            'stats.pressure': 'Luchtdruk',
+            'stats.visibility': 'Zichtbaarheid',
+            'stats.uvIndex': 'UV-index',
+            'stats.precipitation': 'Neerslagkans',
+            'stats.sunrise': 'Zonsopgang',
+            'stats.sunset': 'Zonsondergang',
+            'stats.solarNoon': 'Zonnemiddag',
+            'stats.dayLength': 'Daglengte',
+            'stats.civilTwilight': 'Burgerlijke schemering',
+            'stats.nauticalTwilight': 'Nautische schemering',
+
+            'wind.title': 'Wind',
+            'wind.gusts': 'Windstoten',
+            'wind.force': 'Windkracht',
+            'wind.from': 'Uit {direction} ({degrees}°)',
+            'wind.beaufort': '{force} Bft, {name}',
+            'compass.N': 'N',
+            'compass.E': 'O',
+            'compass.S': 'Z',
+            'compass.W': 'W',
+            'beaufort.0': 'windstil',
+            'beaufort.1': 'zwak',
+            'beaufort.2': 'zwak',
+            'beaufort.3': 'matig',
+            'beaufort.4': 'matig',
+            'beaufort.5': 'vrij krachtig',
+            'beaufort.6': 'krachtig',
+            'beaufort.7': 'hard',
+            'beaufort.8': 'stormachtig',
+            'beaufort.9': 'storm',
+            'beaufort.10': 'zware storm',
+            'beaufort.11': 'zeer zware storm',
+            'beaufort.12': 'orkaan',
+
+            'source.provider': 'Bron: {provider}',
+            'source.providerStations': 'Bron: {provider} · {stations}',
+
+            'freshness.justNow': 'zojuist bijgewerkt',
+            'freshness.minutes': 'bijgewerkt {count} min geleden',
+            'freshness.hours': 'bijgewerkt {count} uur geleden',
+            'freshness.days': 'bijgewerkt {count} dagen geleden',
+            'freshness.unknown': 'bijwerktijd onbekend',
+            'freshness.stale': 'verouderd',
+            'freshness.demo': 'Demodata, geen echte metingen',
+            'freshness.fixture': 'Opname, geen actuele metingen',
+            'freshness.fallback': 'Weerbronnen niet bereikbaar, demodata',
+            'freshness.measured': 'gemeten {time}',
+            'freshness.fetched': 'opgehaald {time}',
+
+            'nowcast.title': 'Neerslag komende 2 uur',
+            'nowcast.noData': 'Geen neerslagdata beschikbaar',
+            'nowcast.dry': { one: 'Droog het komende uur', other: 'Droog de komende {count} uur' },
+            'nowcast.dryUntil': 'Droog tot {time}, daarna {category} ({rate})',
+            'nowcast.rainUntil': '{category} ({rate}) tot {time}, daarna droog',
+            'nowcast.rainContinues': '{category} houdt aan, tot {rate}',
+            'rain.light': 'lichte regen',
+            'rain.moderate': 'matige regen',
+            'rain.heavy': 'zware regen',
+
+            'forecast.hourlyTitle': '24-uurs voorspelling',
+            'forecast.dailyTitle': '7-daagse voorspelling',
+            'forecast.today': 'Vandaag',
+            'forecast.tomorrow': 'Morgen',
+            'forecast.noData': 'Geen data',
+
+            'day.title': 'Dagdetails',
+            'day.previous': 'Vorige dag',
+            'day.next': 'Volgende dag',
+            'day.close': 'Sluiten',
+            'day.temperature': 'Temperatuur',
+            'day.rainAmount': 'Neerslag',
+            'day.sunHours': 'Zonuren',
+            'day.sunHoursValue': '{hours} uur',
+            'day.hourlyTitle': 'Per uur',
+            'day.noHourly': 'Geen uurverwachting voor deze dag',
+            'day.summaryTemps': 'Tussen {min} en {max}',
+            'day.summaryDry': 'Grotendeels droog',
+            'day.summaryShowers': 'Kans op een bui',
+            'day.summaryRain': 'Regen waarschijnlijk',
+            'day.summarySunny': 'Veel zon',
+            'day.summaryWindy': 'Krachtige wind',
+
+            'trends.title': 'Trends',
+            'trends.range24h': '24 uur',
+            'trends.range7d': '7 dagen',
+            'trends.temperature': 'Temperatuur',
+            'trends.pressure': 'Luchtdruk',
+            'trends.humidity': 'Luchtvochtigheid',
+            'trends.wind': 'Wind',
+            'trends.rain': 'Neerslag',
+            'trends.empty': 'Nog geen metingen voor deze locatie. De geschiedenis groeit met elke update.',
+            'trends.noData': 'Geen metingen in deze periode',
+            'trends.tendencyUnknown': 'Luchtdruktendens: nog te weinig metingen',
+            'trends.rising': 'Luchtdruk stijgt ({change} in 3 uur)',
+            'trends.risingRapid': 'Luchtdruk stijgt snel ({change} in 3 uur)',
+            'trends.falling': 'Luchtdruk daalt ({change} in 3 uur)',
+            'trends.fallingRapid': 'Luchtdruk daalt snel ({change} in 3 uur)',
+            'trends.steady': 'Luchtdruk stabiel ({change} in 3 uur)',
+
+            'warnings.level.yellow': 'Code geel',
+            'warnings.level.orange': 'Code oranje',
+            'warnings.level.red': 'Code rood',
+            'warnings.type.wind': 'wind',
+            'warnings.type.snowIce': 'sneeuw en gladheid',
+            'warnings.type.thunderstorm': 'onweer',
+            'warnings.type.fog': 'mist',
+            'warnings.type.highTemperature': 'hitte',
+            'warnings.type.lowTemperature': 'kou',
+            'warnings.type.coastal': 'hoogwater',
+            'warnings.type.forestFire': 'natuurbrand',
+            'warnings.type.avalanche': 'lawines',
+            'warnings.type.rain': 'regen',
+            'warnings.type.flooding': 'overstromingen',
+            'warnings.type.rainFlood': 'regen en overstromingen',
+            'warnings.validUntil': 'Geldig tot {until}',
+            'warnings.validFromUntil': 'Geldig van {from} tot {until}',
+            'warnings.more': { one: '+{count} andere', other: '+{count} andere' },
+            'warnings.source': 'Officiële waarschuwingen van het {source} voor {province}',
+
+            'radar.loading': 'Radar wordt geladen...',
+            'radar.fullscreen': 'Volledig scherm',
+            'radar.open': 'Open Buienradar',
+            'radar.dataFrom': 'Data van',
+            'radar.play': 'Afspelen',
+            'radar.pause': 'Pauzeren',
+            'radar.speed': 'Afspeelsnelheid',
+            'radar.timeline': 'Tijdlijn',
+            'radar.forecastTime': '{time} (verwachting)',
+            'radar.error': 'Radarbeelden konden niet worden geladen',
+            'radar.focus': 'Inzoomen op locatie',
+
+            'loading.weather': 'Weerdata laden...',
+            'error.title': 'Oeps! Er ging iets mis',
+            'error.text': 'We kunnen de weerdata niet laden. Controleer je internetverbinding en probeer opnieuw.',
+            'error.retry': 'Opnieuw proberen',
+            'error.offline': 'Geen internetverbinding. Controleer je verbinding en probeer het opnieuw.',
+            'error.timeout': 'De weerbronnen reageren niet op tijd. Probeer het zo opnieuw.',
+            'error.http': 'De weerbronnen gaven een foutmelding ({status}). Probeer het later opnieuw.',
+            'error.parse': 'De weerdata kon niet worden gelezen. Probeer het later opnieuw.',
+
+            'search.notFound': 'Locatie niet gevonden. Probeer een andere naam.',
+            'search.error': 'Er is een fout opgetreden bij het zoeken naar de locatie.',
+            'search.noResults': 'Geen plaatsen gevonden',
+            'suggestions.saved': 'Opgeslagen',
+            'suggestions.recent': 'Recent gezocht',
+            'suggestions.places': 'Plaatsen',
+            'suggestions.popular': 'Populaire locaties',
+
+            'saved.namePrompt': 'Naam voor deze locatie:',
+            'saved.renamePrompt': 'Nieuwe naam:',
+            'saved.deleteConfirm': '{name} verwijderen?',
+            'saved.saved': '{name} opgeslagen',
+            'saved.empty': 'Nog geen opgeslagen locaties',
+            'saved.setHome': 'Als thuis instellen',
+            'saved.moveUp': 'Omhoog',
+            'saved.moveDown': 'Omlaag',
+            'saved.rename': 'Hernoemen',
+            'saved.delete': 'Verwijderen',
+
+            'location.distance': '{distance} km van {name}',
+            'location.coordinates': 'Locatie: {lat}, {lon}',
+            'location.detecting': 'Locatie detecteren...',
+
+            'duration.hoursMinutes': '{hours}u {minutes}m',
+            'units.rainRate': '{value} {unit}/u',
+
+            'status.online': 'Verbinding hersteld!',
+            'status.offline': 'Geen internetverbinding - Offline modus actief',
+            'update.available': 'Nieuwe versie beschikbaar!',
+            'update.reload': 'Bijwerken',
+            'install.button': 'Installeer App',
+            'install.banner': 'Installeer WeerApp voor snellere toegang',
+            'install.short': 'Installeer',
+
+            'condition.dryAfterRain': 'Droog na regen',
+            'condition.thunderstorm': 'Onweer',
+            'condition.hail': 'Hagel',
+            'condition.sleet': 'Natte sneeuw',
+            'condition.snowShowers': 'Sneeuwbuien',
+            'condition.snow': 'Sneeuw',
+            'condition.heavyRain': 'Zware regen',
+            'condition.drizzle': 'Motregen',
+            'condition.showers': 'Regenbuien',
+            'condition.lightRain': 'Lichte regen',
+            'condition.rain': 'Regen',
+            'condition.fog': 'Mist',
+            'condition.clearNight': 'Heldere nacht',
+            'condition.mostlyClear': 'Overwegend helder',
+            'condition.partlyCloudy': 'Half bewolkt',
+            'condition.sunny': 'Zonnig',
+            'condition.clear': 'Helder',
+            'condition.overcast': 'Zwaar bewolkt',
+            'condition.cloudy': 'Bewolkt',
+            'condition.unknown': 'Onbekend'
+        },
+
+        en: {
+            'app.loading': 'Loading...',
+            'app.now': 'Now',
+
+            'header.searchPlaceholder': 'Search location...',
+            'header.search': 'Search location',
+            'header.savedLocations': 'Saved locations',
+            'header.saveCurrent': 'Save current location',
+            'header.settings': 'Settings',
+            'header.refresh': 'Refresh',
+
+            'settings.language': 'Language',
+            'settings.units': 'Units',
+            'settings.temperature': 'Temperature',
+            'settings.wind': 'Wind',
+            'settings.pressure': 'Pressure',
+            'settings.precipitation': 'Precipitation',
+            'settings.data': 'Data',
+            'settings.dataSource': 'Source',
+            'settings.dataLive': 'Live',
+            'settings.dataDemo': 'Demo',
+            'settings.dataFixture': 'Recording: {scenario}',
+            'fixture.rain': 'Rain',
+            'fixture.storm': 'Storm',
+            'fixture.snow': 'Snow',
+
+            'stats.feelsLike': 'Feels like',
+            'stats.humidity': 'Humidity',
+            'stats.windSpeed': 'Wind speed',
+            'stats.pressure': 'Pressure',
+            'stats.visibility': 'Visibility',
+            'stats.uvIndex': 'UV index',
+            'stats.precipitation': 'Chance of rain',
+            'stats.sunrise': 'Sunrise',
+            'stats.sunset': 'Sunset',
+            'stats.solarNoon': 'Solar noon',
+            'stats.dayLength': 'Day length',
+            'stats.civilTwilight': 'Civil twilight',
+            'stats.nauticalTwilight': 'Nautical twilight',
+
+            'wind.title': 'Wind',
+            'wind.gusts': 'Gusts',
+            'wind.force': 'Wind force',
+            'wind.from': 'From {direction} ({degrees}°)',
+            'wind.beaufort': '{force} Bft, {name}',
+            'compass.N': 'N',
+            'compass.E': 'E',
+            'compass.S': 'S',
+            'compass.W': 'W',
+            'beaufort.0': 'calm',
+            'beaufort.1': 'light air',
+            'beaufort.2': 'light breeze',
+            'beaufort.3': 'gentle breeze',
+            'beaufort.4': 'moderate breeze',
+            'beaufort.5': 'fresh breeze',
+            'beaufort.6': 'strong breeze',
+            'beaufort.7': 'near gale',
+            'beaufort.8': 'gale',
+            'beaufort.9': 'strong gale',
+            'beaufort.10': 'storm',
+            'beaufort.11': 'violent storm',
+            'beaufort.12': 'hurricane',
+
+            'source.provider': 'Source: {provider}',
+            'source.providerStations': 'Source: {provider} · {stations}',
+
+            'freshness.justNow': 'updated just now',
+            'freshness.minutes': 'updated {count} min ago',
+            'freshness.hours': { one: 'updated 1 hour ago', other: 'updated {count} hours ago' },
+            'freshness.days': { one: 'updated 1 day ago', other: 'updated {count} days ago' },
+            'freshness.unknown': 'update time unknown',
+            'freshness.stale': 'outdated',
+            'freshness.demo': 'Demo data, not real measurements',
+            'freshness.fixture': 'Recording, not current measurements',
+            'freshness.fallback': 'Weather sources unreachable, demo data',
+            'freshness.measured': 'measured {time}',
+            'freshness.fetched': 'fetched {time}',
+
+            'nowcast.title': 'Rain in the next 2 hours',
+            'nowcast.noData': 'No precipitation data available',
+            'nowcast.dry': { one: 'Dry for the next hour', other: 'Dry for the next {count} hours' },
+            'nowcast.dryUntil': 'Dry until {time}, then {category} ({rate})',
+            'nowcast.rainUntil': '{category} ({rate}) until {time}, then dry',
+            'nowcast.rainContinues': '{category} continuing, up to {rate}',
+            'rain.light': 'light rain',
+            'rain.moderate': 'moderate rain',
+            'rain.heavy': 'heavy rain',
+
+            'forecast.hourlyTitle': '24-hour forecast',
+            'forecast.dailyTitle': '7-day forecast',
+            'forecast.today': 'Today',
+            'forecast.tomorrow': 'Tomorrow',
+            'forecast.noData': 'No data',
+
+            'day.title': 'Day details',
+            'day.previous': 'Previous day',
+            'day.next': 'Next day',
+            'day.close': 'Close',
+            'day.temperature': 'Temperature',
+            'day.rainAmount': 'Precipitation',
+            'day.sunHours': 'Sunshine',
+            'day.sunHoursValue': '{hours} h',
+            'day.hourlyTitle': 'Hour by hour',
+            'day.noHourly': 'No hourly forecast for this day',
+            'day.summaryTemps': 'Between {min} and {max}',
+            'day.summaryDry': 'Mostly dry',
+            'day.summaryShowers': 'Chance of a shower',
+            'day.summaryRain': 'Rain likely',
+            'day.summarySunny': 'Plenty of sunshine',
+            'day.summaryWindy': 'Strong wind',
+
+            'trends.title': 'Trends',
+            'trends.range24h': '24 hours',
+            'trends.range7d': '7 days',
+            'trends.temperature': 'Temperature',
+            'trends.pressure': 'Pressure',
+            'trends.humidity': 'Humidity',
+            'trends.wind': 'Wind',
+            'trends.rain': 'Precipitation',
+            'trends.empty': 'No measurements for this location yet. The history grows with every update.',
+            'trends.noData': 'No measurements in this period',
+            'trends.tendencyUnknown': 'Pressure tendency: not enough measurements yet',
+            'trends.rising': 'Pressure rising ({change} in 3 hours)',
+            'trends.risingRapid': 'Pressure rising rapidly ({change} in 3 hours)',
+            'trends.falling': 'Pressure falling ({change} in 3 hours)',
+            'trends.fallingRapid': 'Pressure falling rapidly ({change} in 3 hours)',
+            'trends.steady': 'Pressure steady ({change} in 3 hours)',
+
+            'warnings.level.yellow': 'Code yellow',
+            'warnings.level.orange': 'Code orange',
+            'warnings.level.red': 'Code red',
+            'warnings.type.wind': 'wind',
+            'warnings.type.snowIce': 'snow and ice',
+            'warnings.type.thunderstorm': 'thunderstorms',
+            'warnings.type.fog': 'fog',
+            'warnings.type.highTemperature': 'heat',
+            'warnings.type.lowTemperature': 'cold',
+            'warnings.type.coastal': 'coastal flooding',
+            'warnings.type.forestFire': 'wildfire',
+            'warnings.type.avalanche': 'avalanches',
+            'warnings.type.rain': 'rain',
+            'warnings.type.flooding': 'flooding',
+            'warnings.type.rainFlood': 'rain and flooding',
+            'warnings.validUntil': 'Valid until {until}',
+            'warnings.validFromUntil': 'Valid from {from} until {until}',
+            'warnings.more': { one: '+{count} more', other: '+{count} more' },
+            'warnings.source': 'Official {source} warnings for {province}',
+
+            'radar.loading': 'Loading radar...',
+            'radar.fullscreen': 'Full screen',
+            'radar.open': 'Open Buienradar',
+            'radar.dataFrom': 'Data from',
+            'radar.play': 'Play',
+            'radar.pause': 'Pause',
+            'radar.speed': 'Playback speed',
+            'radar.timeline': 'Timeline',
+            'radar.forecastTime': '{time} (forecast)',
+            'radar.error': 'Radar images could not be loaded',
+            'radar.focus': 'Zoom to location',
+
+            'loading.weather': 'Loading weather data...',
+            'error.title': 'Oops! Something went wrong',
+            'error.text': 'We could not load the weather data. Check your internet connection and try again.',
+            'error.retry': 'Try again',
+            'error.offline': 'No internet connection. Check your connection and try again.',
+            'error.timeout': 'The weather sources are not responding in time. Try again shortly.',
+            'error.http': 'The weather sources returned an error ({status}). Try again later.',
+            'error.parse': 'The weather data could not be read. Try again later.',
+
+            'search.notFound': 'Location not found. Try a different name.',
+            'search.error': 'Something went wrong while searching for the location.',
+            'search.noResults': 'No places found',
+            'suggestions.saved': 'Saved',
+            'suggestions.recent': 'Recent searches',
+            'suggestions.places': 'Places',
+            'suggestions.popular': 'Popular locations',
+
+            'saved.namePrompt': 'Name for this location:',
+            'saved.renamePrompt': 'New name:',
+            'saved.deleteConfirm': 'Delete {name}?',
+            'saved.saved': '{name} saved',
+            'saved.empty': 'No saved locations yet',
+            'saved.setHome': 'Set as home',
+            'saved.moveUp': 'Move up',
+            'saved.moveDown': 'Move down',
+            'saved.rename': 'Rename',
+            'saved.delete': 'Delete',
+
+            'location.distance': '{distance} km from {name}',
+            'location.coordinates': 'Location: {lat}, {lon}',
+            'location.detecting': 'Detecting location...',
+
+            'duration.hoursMinutes': '{hours}h {minutes}m',
+            'units.rainRate': '{value} {unit}/h',
+
+            'status.online': 'Connection restored!',
+            'status.offline': 'No internet connection - offline mode active',
+            'update.available': 'New version available!',
+            'update.reload': 'Update',
+            'install.button': 'Install app',
+            'install.banner': 'Install WeerApp for quicker access',
+            'install.short': 'Install',
+
+            'condition.dryAfterRain': 'Dry after rain',
+            'condition.thunderstorm': 'Thunderstorm',
+            'condition.hail': 'Hail',
+            'condition.sleet': 'Sleet',
+            'condition.snowShowers': 'Snow showers',
+            'condition.snow': 'Snow',
+            'condition.heavyRain': 'Heavy rain',
+            'condition.drizzle': 'Drizzle',
+            'condition.showers': 'Showers',
+            'condition.lightRain': 'Light rain',
+            'condition.rain': 'Rain',
+            'condition.fog': 'Fog',
+            'condition.clearNight': 'Clear night',
+            'condition.mostlyClear': 'Mostly clear',
+            'condition.partlyCloudy': 'Partly cloudy',
+            'condition.sunny': 'Sunny',
+            'condition.clear': 'Clear',
+            'condition.overcast': 'Overcast',
+            'condition.cloudy': 'Cloudy',
+            'condition.unknown': 'Unknown'
+        },
+
+        fr: {
+            'app.loading': 'Chargement...',
+            'app.now': 'Maintenant',
+
+            'header.searchPlaceholder': 'Rechercher un lieu...',
+            'header.search': 'Rechercher un lieu',
+            'header.savedLocations': 'Lieux enregistrés',
+            'header.saveCurrent': 'Enregistrer le lieu actuel',
+            'header.settings': 'Paramètres',
+            'header.refresh': 'Actualiser',
+
+            'settings.language': 'Langue',
+            'settings.units': 'Unités',
+            'settings.temperature': 'Température',
+            'settings.wind': 'Vent',
+            'settings.pressure': 'Pression',
+            'settings.precipitation': 'Précipitations',
+            'settings.data': 'Données',
+            'settings.dataSource': 'Source',
+            'settings.dataLive': 'En direct',
+            'settings.dataDemo': 'Démo',
+            'settings.dataFixture': 'Enregistrement : {scenario}',
+            'fixture.rain': 'Pluie',
+            'fixture.storm': 'Tempête',
+            'fixture.snow': 'Neige',
+
+            'stats.feelsLike': 'Ressenti',
+            'stats.humidity': 'Humidité',
+            'stats.windSpeed': 'Vitesse du vent',
+            'stats.pressure': 'Pression',
+            'stats.visibility': 'Visibilité',
+            'stats.uvIndex': 'Indice UV',
+            'stats.precipitation': 'Risque de pluie',
+            'stats.sunrise': 'Lever du soleil',
+            'stats.sunset': 'Coucher du soleil',
+            'stats.solarNoon': 'Midi solaire',
+            'stats.dayLength': 'Durée du jour',
+            'stats.civilTwilight': 'Crépuscule civil',
+            'stats.nauticalTwilight': 'Crépuscule nautique',
+
+            'wind.title': 'Vent',
+            'wind.gusts': 'Rafales',
+            'wind.force': 'Force du vent',
+            'wind.from': 'Secteur {direction} ({degrees}°)',
+            'wind.beaufort': '{force} Bft, {name}',
+            'compass.N': 'N',
+            'compass.E': 'E',
+            'compass.S': 'S',
+            'compass.W': 'O',
+            'beaufort.0': 'calme',
+            'beaufort.1': 'très légère brise',
+            'beaufort.2': 'légère brise',
+            'beaufort.3': 'petite brise',
+            'beaufort.4': 'jolie brise',
+            'beaufort.5': 'bonne brise',
+            'beaufort.6': 'vent frais',
+            'beaufort.7': 'grand frais',
+            'beaufort.8': 'coup de vent',
+            'beaufort.9': 'fort coup de vent',
+            'beaufort.10': 'tempête',
+            'beaufort.11': 'violente tempête',
+            'beaufort.12': 'ouragan',
+
+            'source.provider': 'Source : {provider}',
+            'source.providerStations': 'Source : {provider} · {stations}',
+
+            'freshness.justNow': 'mis à jour à l’instant',
+            'freshness.minutes': 'mis à jour il y a {count} min',
+            'freshness.hours': 'mis à jour il y a {count} h',
+            'freshness.days': { one: 'mis à jour il y a 1 jour', other: 'mis à jour il y a {count} jours' },
+            'freshness.unknown': 'heure de mise à jour inconnue',
+            'freshness.stale': 'obsolète',
+            'freshness.demo': 'Données de démo, pas de mesures réelles',
+            'freshness.fixture': 'Enregistrement, pas de mesures actuelles',
+            'freshness.fallback': 'Sources météo injoignables, données de démo',
+            'freshness.measured': 'mesuré {time}',
+            'freshness.fetched': 'récupéré {time}',
+
+            'nowcast.title': 'Pluie dans les 2 prochaines heures',
+            'nowcast.noData': 'Aucune donnée de précipitations disponible',
+            'nowcast.dry': { one: 'Sec pendant la prochaine heure', other: 'Sec pendant les {count} prochaines heures' },
+            'nowcast.dryUntil': 'Sec jusqu’à {time}, ensuite {category} ({rate})',
+            'nowcast.rainUntil': '{category} ({rate}) jusqu’à {time}, ensuite sec',
+            'nowcast.rainContinues': '{category} persistante, jusqu’à {rate}',
+            'rain.light': 'pluie faible',
+            'rain.moderate': 'pluie modérée',
+            'rain.heavy': 'forte pluie',
+
+            'forecast.hourlyTitle': 'Prévisions sur 24 heures',
+            'forecast.dailyTitle': 'Prévisions sur 7 jours',
+            'forecast.today': 'Aujourd’hui',
+            'forecast.tomorrow': 'Demain',
+            'forecast.noData': 'Pas de données',
+
+            'day.title': 'Détails du jour',
+            'day.previous': 'Jour précédent',
+            'day.next': 'Jour suivant',
+            'day.close': 'Fermer',
+            'day.temperature': 'Température',
+            'day.rainAmount': 'Précipitations',
+            'day.sunHours': 'Ensoleillement',
+            'day.sunHoursValue': '{hours} h',
+            'day.hourlyTitle': 'Heure par heure',
+            'day.noHourly': 'Pas de prévision horaire pour ce jour',
+            'day.summaryTemps': 'Entre {min} et {max}',
+            'day.summaryDry': 'Généralement sec',
+            'day.summaryShowers': 'Risque d’averse',
+            'day.summaryRain': 'Pluie probable',
+            'day.summarySunny': 'Bien ensoleillé',
+            'day.summaryWindy': 'Vent fort',
+
+            'trends.title': 'Tendances',
+            'trends.range24h': '24 heures',
+            'trends.range7d': '7 jours',
+            'trends.temperature': 'Température',
+            'trends.pressure': 'Pression',
+            'trends.humidity': 'Humidité',
+            'trends.wind': 'Vent',
+            'trends.rain': 'Précipitations',
+            'trends.empty': 'Pas encore de mesures pour ce lieu. L’historique s’enrichit à chaque mise à jour.',
+            'trends.noData': 'Aucune mesure sur cette période',
+            'trends.tendencyUnknown': 'Tendance barométrique : pas encore assez de mesures',
+            'trends.rising': 'Pression en hausse ({change} en 3 heures)',
+            'trends.risingRapid': 'Pression en forte hausse ({change} en 3 heures)',
+            'trends.falling': 'Pression en baisse ({change} en 3 heures)',
+            'trends.fallingRapid': 'Pression en forte baisse ({change} en 3 heures)',
+            'trends.steady': 'Pression stable ({change} en 3 heures)',
+
+            'warnings.level.yellow': 'Code jaune',
+            'warnings.level.orange': 'Code orange',
+            'warnings.level.red': 'Code rouge',
+            'warnings.type.wind': 'vent',
+            'warnings.type.snowIce': 'neige et verglas',
+            'warnings.type.thunderstorm': 'orages',
+            'warnings.type.fog': 'brouillard',
+            'warnings.type.highTemperature': 'chaleur',
+            'warnings.type.lowTemperature': 'froid',
+            'warnings.type.coastal': 'submersion côtière',
+            'warnings.type.forestFire': 'feux de forêt',
+            'warnings.type.avalanche': 'avalanches',
+            'warnings.type.rain': 'pluie',
+            'warnings.type.flooding': 'inondations',
+            'warnings.type.rainFlood': 'pluie et inondations',
+            'warnings.validUntil': 'Valable jusqu’à {until}',
+            'warnings.validFromUntil': 'Valable de {from} à {until}',
+            'warnings.more': { one: '+{count} autre', other: '+{count} autres' },
+            'warnings.source': 'Avertissements officiels ({source}) pour {province}',
+
+            'radar.loading': 'Chargement du radar...',
+            'radar.fullscreen': 'Plein écran',
+            'radar.open': 'Ouvrir Buienradar',
+            'radar.dataFrom': 'Données de',
+            'radar.play': 'Lecture',
+            'radar.pause': 'Pause',
+            'radar.speed': 'Vitesse de lecture',
+            'radar.timeline': 'Chronologie',
+            'radar.forecastTime': '{time} (prévision)',
+            'radar.error': 'Impossible de charger les images radar',
+            'radar.focus': 'Zoomer sur le lieu',
+
+            'loading.weather': 'Chargement de la météo...',
+            'error.title': 'Oups ! Une erreur s’est produite',
+            'error.text': 'Impossible de charger la météo. Vérifiez votre connexion internet et réessayez.',
+            'error.retry': 'Réessayer',
+            'error.offline': 'Pas de connexion internet. Vérifiez votre connexion et réessayez.',
+            'error.timeout': 'Les sources météo ne répondent pas à temps. Réessayez dans un instant.',
+            'error.http': 'Les sources météo ont renvoyé une erreur ({status}). Réessayez plus tard.',
+            'error.parse': 'Les données météo n’ont pas pu être lues. Réessayez plus tard.',
+
+            'search.notFound': 'Lieu introuvable. Essayez un autre nom.',
+            'search.error': 'Une erreur s’est produite lors de la recherche du lieu.',
+            'search.noResults': 'Aucun lieu trouvé',
+            'suggestions.saved': 'Enregistrés',
+            'suggestions.recent': 'Recherches récentes',
+            'suggestions.places': 'Lieux',
+            'suggestions.popular': 'Lieux populaires',
+
+            'saved.namePrompt': 'Nom de ce lieu :',
+            'saved.renamePrompt': 'Nouveau nom :',
+            'saved.deleteConfirm': 'Supprimer {name} ?',
+            'saved.saved': '{name} enregistré',
+            'saved.empty': 'Aucun lieu enregistré',
+            'saved.setHome': 'Définir comme domicile',
+            'saved.moveUp': 'Monter',
+            'saved.moveDown': 'Descendre',
+            'saved.rename': 'Renommer',
+            'saved.delete': 'Supprimer',
+
+            'location.distance': 'À {distance} km de {name}',
+            'location.coordinates': 'Position : {lat}, {lon}',
+            'location.detecting': 'Détection de la position...',
+
+            'duration.hoursMinutes': '{hours} h {minutes}',
+            'units.rainRate': '{value} {unit}/h',
+
+            'status.online': 'Connexion rétablie !',
+            'status.offline': 'Pas de connexion internet - mode hors ligne actif',
+            'update.available': 'Nouvelle version disponible !',
+            'update.reload': 'Mettre à jour',
+            'install.button': 'Installer l’app',
+            'install.banner': 'Installez WeerApp pour un accès plus rapide',
+            'install.short': 'Installer',
+
+            'condition.dryAfterRain': 'Sec après la pluie',
+            'condition.thunderstorm': 'Orage',
+            'condition.hail': 'Grêle',
+            'condition.sleet': 'Neige fondue',
+            'condition.snowShowers': 'Averses de neige',
+            'condition.snow': 'Neige',
+            'condition.heavyRain': 'Forte pluie',
+            'condition.drizzle': 'Bruine',
+            'condition.showers': 'Averses',
+            'condition.lightRain': 'Pluie faible',
+            'condition.rain': 'Pluie',
+            'condition.fog': 'Brouillard',
+            'condition.clearNight': 'Nuit claire',
+            'condition.mostlyClear': 'Plutôt dégagé',
+            'condition.partlyCloudy': 'Partiellement nuageux',
+            'condition.sunny': 'Ensoleillé',
+            'condition.clear': 'Ciel dégagé',
+            'condition.overcast': 'Couvert',
+            'condition.cloudy': 'Nuageux',
+            'condition.unknown': 'Inconnu'
+        },
+
+        de: {
+            'app.loading': 'Laden...',
+            'app.now': 'Jetzt',
+
+            'header.searchPlaceholder': 'Ort suchen...',
+            'header.search': 'Ort suchen',
+            'header.savedLocations': 'Gespeicherte Orte',
+            'header.saveCurrent': 'Aktuellen Ort speichern',
+            'header.settings': 'Einstellungen',
+            'header.refresh': 'Aktualisieren',
+
+            'settings.language': 'Sprache',
+            'settings.units': 'Einheiten',
+            'settings.temperature': 'Temperatur',
+            'settings.wind': 'Wind',
+            'settings.pressure': 'Luftdruck',
+            'settings.precipitation': 'Niederschlag',
+            'settings.data': 'Daten',
+            'settings.dataSource': 'Quelle',
+            'settings.dataLive': 'Live',
+            'settings.dataDemo': 'Demo',
+            'settings.dataFixture': 'Aufzeichnung: {scenario}',
+            'fixture.rain': 'Regen',
+            'fixture.storm': 'Sturm',
+            'fixture.snow': 'Schnee',
+
+            'stats.feelsLike': 'Gefühlte Temperatur',
+            'stats.humidity': 'Luftfeuchtigkeit',
+            'stats.windSpeed': 'Windgeschwindigkeit',
+            'stats.pressure': 'Luftdruck',
+            'stats.visibility': 'Sichtweite',
+            'stats.uvIndex': 'UV-Index',
+            'stats.precipitation': 'Regenwahrscheinlichkeit',
+            'stats.sunrise': 'Sonnenaufgang',
+            'stats.sunset': 'Sonnenuntergang',
+            'stats.solarNoon': 'Sonnenhöchststand',
+            'stats.dayLength': 'Tageslänge',
+            'stats.civilTwilight': 'Bürgerliche Dämmerung',
+            'stats.nauticalTwilight': 'Nautische Dämmerung',
+
+            'wind.title': 'Wind',
+            'wind.gusts': 'Böen',
+            'wind.force': 'Windstärke',
+            'wind.from': 'Aus {direction} ({degrees}°)',
+            'wind.beaufort': '{force} Bft, {name}',
+            'compass.N': 'N',
+            'compass.E': 'O',
+            'compass.S': 'S',
+            'compass.W': 'W',
+            'beaufort.0': 'Windstille',
+            'beaufort.1': 'leiser Zug',
+            'beaufort.2': 'leichte Brise',
+            'beaufort.3': 'schwache Brise',
+            'beaufort.4': 'mäßige Brise',
+            'beaufort.5': 'frische Brise',
+            'beaufort.6': 'starker Wind',
+            'beaufort.7': 'steifer Wind',
+            'beaufort.8': 'stürmischer Wind',
+            'beaufort.9': 'Sturm',
+            'beaufort.10': 'schwerer Sturm',
+            'beaufort.11': 'orkanartiger Sturm',
+            'beaufort.12': 'Orkan',
+
+            'source.provider': 'Quelle: {provider}',
+            'source.providerStations': 'Quelle: {provider} · {stations}',
+
+            'freshness.justNow': 'gerade aktualisiert',
+            'freshness.minutes': 'vor {count} Min. aktualisiert',
+            'freshness.hours': 'vor {count} Std. aktualisiert',
+            'freshness.days': { one: 'vor 1 Tag aktualisiert', other: 'vor {count} Tagen aktualisiert' },
+            'freshness.unknown': 'Aktualisierungszeit unbekannt',
+            'freshness.stale': 'veraltet',
+            'freshness.demo': 'Demodaten, keine echten Messungen',
+            'freshness.fixture': 'Aufzeichnung, keine aktuellen Messungen',
+            'freshness.fallback': 'Wetterquellen nicht erreichbar, Demodaten',
+            'freshness.measured': 'gemessen {time}',
+            'freshness.fetched': 'abgerufen {time}',
+
+            'nowcast.title': 'Niederschlag in den nächsten 2 Stunden',
+            'nowcast.noData': 'Keine Niederschlagsdaten verfügbar',
+            'nowcast.dry': { one: 'Trocken in der nächsten Stunde', other: 'Trocken in den nächsten {count} Stunden' },
+            'nowcast.dryUntil': 'Trocken bis {time}, danach {category} ({rate})',
+            'nowcast.rainUntil': '{category} ({rate}) bis {time}, danach trocken',
+            'nowcast.rainContinues': '{category} hält an, bis zu {rate}',
+            'rain.light': 'leichter Regen',
+            'rain.moderate': 'mäßiger Regen',
+            'rain.heavy': 'starker Regen',
+
+            'forecast.hourlyTitle': '24-Stunden-Vorhersage',
+            'forecast.dailyTitle': '7-Tage-Vorhersage',
+            'forecast.today': 'Heute',
+            'forecast.tomorrow': 'Morgen',
+            'forecast.noData': 'Keine Daten',
+
+            'day.title': 'Tagesdetails',
+            'day.previous': 'Vorheriger Tag',
+            'day.next': 'Nächster Tag',
+            'day.close': 'Schließen',
+            'day.temperature': 'Temperatur',
+            'day.rainAmount': 'Niederschlag',
+            'day.sunHours': 'Sonnenstunden',
+            'day.sunHoursValue': '{hours} Std.',
+            'day.hourlyTitle': 'Stündlich',
+            'day.noHourly': 'Keine Stundenvorhersage für diesen Tag',
+            'day.summaryTemps': 'Zwischen {min} und {max}',
+            'day.summaryDry': 'Überwiegend trocken',
+            'day.summaryShowers': 'Schauer möglich',
+            'day.summaryRain': 'Regen wahrscheinlich',
+            'day.summarySunny': 'Viel Sonne',
+            'day.summaryWindy': 'Kräftiger Wind',
+
+            'trends.title': 'Verlauf',
+            'trends.range24h': '24 Stunden',
+            'trends.range7d': '7 Tage',
+            'trends.temperature': 'Temperatur',
+            'trends.pressure': 'Luftdruck',
+            'trends.humidity': 'Luftfeuchtigkeit',
+            'trends.wind': 'Wind',
+            'trends.rain': 'Niederschlag',
+            'trends.empty': 'Noch keine Messungen für diesen Ort. Der Verlauf wächst mit jeder Aktualisierung.',
+            'trends.noData': 'Keine Messungen in diesem Zeitraum',
+            'trends.tendencyUnknown': 'Drucktendenz: noch zu wenige Messungen',
+            'trends.rising': 'Luftdruck steigt ({change} in 3 Stunden)',
+            'trends.risingRapid': 'Luftdruck steigt schnell ({change} in 3 Stunden)',
+            'trends.falling': 'Luftdruck fällt ({change} in 3 Stunden)',
+            'trends.fallingRapid': 'Luftdruck fällt schnell ({change} in 3 Stunden)',
+            'trends.steady': 'Luftdruck gleichbleibend ({change} in 3 Stunden)',
+
+            'warnings.level.yellow': 'Code Gelb',
+            'warnings.level.orange': 'Code Orange',
+            'warnings.level.red': 'Code Rot',
+            'warnings.type.wind': 'Wind',
+            'warnings.type.snowIce': 'Schnee und Glätte',
+            'warnings.type.thunderstorm': 'Gewitter',
+            'warnings.type.fog': 'Nebel',
+            'warnings.type.highTemperature': 'Hitze',
+            'warnings.type.lowTemperature': 'Kälte',
+            'warnings.type.coastal': 'Sturmflut',
+            'warnings.type.forestFire': 'Waldbrand',
+            'warnings.type.avalanche': 'Lawinen',
+            'warnings.type.rain': 'Regen',
+            'warnings.type.flooding': 'Hochwasser',
+            'warnings.type.rainFlood': 'Regen und Hochwasser',
+            'warnings.validUntil': 'Gültig bis {until}',
+            'warnings.validFromUntil': 'Gültig von {from} bis {until}',
+            'warnings.more': { one: '+{count} weitere', other: '+{count} weitere' },
+            'warnings.source': 'Amtliche Warnungen des {source} für {province}',
+
+            'radar.loading': 'Radar wird geladen...',
+            'radar.fullscreen': 'Vollbild',
+            'radar.open': 'Buienradar öffnen',
+            'radar.dataFrom': 'Daten von',
+            'radar.play': 'Abspielen',
+            'radar.pause': 'Pausieren',
+            'radar.speed': 'Wiedergabegeschwindigkeit',
+            'radar.timeline': 'Zeitleiste',
+            'radar.forecastTime': '{time} (Vorhersage)',
+            'radar.error': 'Radarbilder konnten nicht geladen werden',
+            'radar.focus': 'Auf Standort zoomen',
+
+            'loading.weather': 'Wetterdaten werden geladen...',
+            'error.title': 'Hoppla! Etwas ist schiefgelaufen',
+            'error.text': 'Die Wetterdaten konnten nicht geladen werden. Prüfe deine Internetverbindung und versuche es erneut.',
+            'error.retry': 'Erneut versuchen',
+            'error.offline': 'Keine Internetverbindung. Prüfe deine Verbindung und versuche es erneut.',
+            'error.timeout': 'Die Wetterquellen antworten nicht rechtzeitig. Versuche es gleich noch einmal.',
+            'error.http': 'Die Wetterquellen haben einen Fehler gemeldet ({status}). Versuche es später erneut.',
+            'error.parse': 'Die Wetterdaten konnten nicht gelesen werden. Versuche es später erneut.',
+
+            'search.notFound': 'Ort nicht gefunden. Versuche einen anderen Namen.',
+            'search.error': 'Bei der Suche nach dem Ort ist ein Fehler aufgetreten.',
+            'search.noResults': 'Keine Orte gefunden',
+            'suggestions.saved': 'Gespeichert',
+            'suggestions.recent': 'Zuletzt gesucht',
+            'suggestions.places': 'Orte',
+            'suggestions.popular': 'Beliebte Orte',
+
+            'saved.namePrompt': 'Name für diesen Ort:',
+            'saved.renamePrompt': 'Neuer Name:',
+            'saved.deleteConfirm': '{name} löschen?',
+            'saved.saved': '{name} gespeichert',
+            'saved.empty': 'Noch keine gespeicherten Orte',
+            'saved.setHome': 'Als Zuhause festlegen',
+            'saved.moveUp': 'Nach oben',
+            'saved.moveDown': 'Nach unten',
+            'saved.rename': 'Umbenennen',
+            'saved.delete': 'Löschen',
+
+            'location.distance': '{distance} km von {name}',
+            'location.coordinates': 'Standort: {lat}, {lon}',
+            'location.detecting': 'Standort wird ermittelt...',
+
+            'duration.hoursMinutes': '{hours} Std. {minutes} Min.',
+            'units.rainRate': '{value} {unit}/h',
+
+            'status.online': 'Verbindung wiederhergestellt!',
+            'status.offline': 'Keine Internetverbindung - Offline-Modus aktiv',
+            'update.available': 'Neue Version verfügbar!',
+            'update.reload': 'Aktualisieren',
+            'install.button': 'App installieren',
+            'install.banner': 'Installiere WeerApp für schnelleren Zugriff',
+            'install.short': 'Installieren',
+
+            'condition.dryAfterRain': 'Trocken nach Regen',
+            'condition.thunderstorm': 'Gewitter',
+            'condition.hail': 'Hagel',
+            'condition.sleet': 'Schneeregen',
+            'condition.snowShowers': 'Schneeschauer',
+            'condition.snow': 'Schnee',
+            'condition.heavyRain': 'Starker Regen',
+            'condition.drizzle': 'Nieselregen',
+            'condition.showers': 'Regenschauer',
+            'condition.lightRain': 'Leichter Regen',
+            'condition.rain': 'Regen',
+            'condition.fog': 'Nebel',
+            'condition.clearNight': 'Klare Nacht',
+            'condition.mostlyClear': 'Überwiegend klar',
+            'condition.partlyCloudy': 'Teilweise bewölkt',
+            'condition.sunny': 'Sonnig',
+            'condition.clear': 'Klar',
+            'condition.overcast': 'Bedeckt',
+            'condition.cloudy': 'Bewölkt',
+            'condition.unknown': 'Unbekannt'
+        }
+    },
+
+    // Stored choice first, then the browser languages, then Dutch
+    init() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.error('Error loading locale:', error);
+        }
+        this.locale = this.locales[stored] ? stored : this.detectLocale();
+        this.applyDocumentLanguage();
+        return this.locale;
+    },
+
+    detectLocale() {
+        const languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+        const match = languages
+            .map(language => String(language || '').slice(0, 2).toLowerCase())
+            .find(language => this.locales[language]);
+        return match || this.defaultLocale;
+    },
+
+    setLocale(locale) {
+        if (!this.locales[locale]) return false;
+
+        this.locale = locale;
+        try {
+            localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            console.error('Error saving locale:', error);
+        }
+        this.applyDocumentLanguage();
+        return true;
+    },
+
+    applyDocumentLanguage() {
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.lang = this.locale;
+        }
+    },
+
+    // BCP 47 tag for the Intl APIs, e.g. 'nl-NL'
+    getIntlLocale() {
+        return this.locales[this.locale].intl;
+    },
+
+    t(key, params = {}) {
+        const message = this.messages[this.locale]?.[key] ?? this.messages[this.defaultLocale][key];
+        if (message === undefined) return key;
+
+        let text = message;
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.getIntlLocale()).select(params.count);
+            text = message[category] ?? message.other;
+        }
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    },
+
+    formatNumber(value, decimals = 0) {
+        return new Intl.NumberFormat(this.getIntlLocale(), {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+            useGrouping: false // 1013 hPa, not 1.013 hPa
+        }).format(value);
+    },
+
+    // Fraction 0-1 as a percentage: "65%" or "65 %" depending on the locale
+    formatPercent(fraction) {
+        return new Intl.NumberFormat(this.getIntlLocale(), { style: 'percent', maximumFractionDigits: 0 }).format(fraction);
+    },
+
+    formatTime(date, options = {}) {
+        return date.toLocaleTimeString(this.getIntlLocale(), { hour: '2-digit', minute: '2-digit', ...options });
+    },
+
+    formatDate(date, options = {}) {
+        return date.toLocaleDateString(this.getIntlLocale(), options);
+    },
+
+    // Static page text: data-i18n (text), data-i18n-placeholder, data-i18n-title
+    // and data-i18n-aria-label
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+    }
+};
@@ -0,0 +1,115 @@
+// Saved Locations - persistent list of places with a "home" default
+// Places are stored in localStorage as an ordered array:
+//   { id, name, country, lat, lon, isHome }
+
+class SavedLocations {
+    constructor(storageKey = 'weatherSavedLocations') {
+        this.storageKey = storageKey;
+        this.places = this.load();
+        this.onChange = null; // Called with the new list after every change
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            const places = stored ? JSON.parse(stored) : [];
+            return Array.isArray(places) ? places : [];
+        } catch (error) {
+            console.error('Error loading saved locations:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.places));
+        } catch (error) {
+            console.error('Error saving locations:', error);
+        }
+        if (this.onChange) {
+            this.onChange(this.list());
+        }
+    }
+
+    list() {
+        return [...this.places];
+    }
+
+    get(id) {
+        return this.places.find(place => place.id === id) || null;
+    }
+
+    getHome() {
+        return this.places.find(place => place.isHome) || null;
+    }
+
+    // Same coordinates (within ~100 m) count as the same place
+    findByCoordinates(lat, lon) {
+        return this.places.find(place =>
+            Math.abs(place.lat - lat) < 0.001 && Math.abs(place.lon - lon) < 0.001
+        ) || null;
+    }
+
+    add({ name, country = '', lat, lon }) {
+        const existing = this.findByCoordinates(lat, lon);
+        if (existing) return existing;
+
+        const place = {
+            id: `loc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: name || `${lat.toFixed(2)}, ${lon.toFixed(2)}`,
+            country,
+            lat,
+            lon,
+            // The first saved place becomes home
+            isHome: this.places.length === 0
+        };
+        this.places.push(place);
+        this.save();
+        return place;
+    }
+
+    rename(id, name) {
+        const place = this.get(id);
+        const trimmed = (name || '').trim();
+        if (!place || !trimmed) return null;
+
+        place.name = trimmed;
+        this.save();
+        return place;
+    }
+
+    // Move a place one position up (-1) or down (+1)
+    move(id, offset) {
+        const index = this.places.findIndex(place => place.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.places.length) return false;
+
+        const [place] = this.places.splice(index, 1);
+        this.places.splice(target, 0, place);
+        this.save();
+        return true;
+    }
+
+    remove(id) {
+        const index = this.places.findIndex(place => place.id === id);
+        if (index === -1) return null;
+
+        const [removed] = this.places.splice(index, 1);
+        // Keep a home as long as there are places left
+        if (removed.isHome && this.places.length > 0) {
+            this.places[0].isHome = true;
+        }
+        this.save();
+        return removed;
+    }
+
+    setHome(id) {
+        if (!this.get(id)) return false;
+
+        this.places.forEach(place => {
+            place.isHome = place.id === id;
+        });
+        this.save();
+        return true;
+    }
+}
@@ -0,0 +1,112 @@
+// Network - the one way the app and the service worker fetch data: a timeout per
+// attempt (AbortController), retries with exponential backoff and jitter for
+// failures that may pass, and cancellation through an AbortSignal. Every failure
+// is a RequestError with a kind the UI can explain:
+//   offline  no connection (or the server could not be reached)
+//   timeout  no complete answer within the timeout
+//   http     the server answered with an error status
+//   parse    the answer could not be read
+//   aborted  cancelled by the caller, e.g. because another place was chosen
+
+class RequestError extends Error {
+    constructor(kind, message, { status = null, url = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'RequestError';
+        this.kind = kind;
+        this.status = status;
+        this.url = url;
+    }
+}
+
+const Network = {
+    timeout: 8000, // ms per attempt, including reading the body
+    retries: 2, // Extra attempts after offline, timeout, 5xx and 429 failures
+    retryDelay: 500, // First wait between attempts, doubled for each next one
+    maxRetryDelay: 5000,
+
+    // { response, data } of the first attempt that succeeds; data is the body read
+    // as `parse` ('json' or 'text'). Rejects with a RequestError
+    async request(url, { fetch: fetchFn = (...args) => fetch(...args), signal = null, parse = 'json', timeout = this.timeout, retries = this.retries } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(url, { fetchFn, signal, parse, timeout });
+            } catch (error) {
+                if (attempt >= retries || !this.isRetryable(error)) throw error;
+                console.log(`Retrying ${url} after ${error.kind} error`);
+                await this.wait(this.backoff(attempt), signal);
+            }
+        }
+    },
+
+    async attempt(url, { fetchFn, signal, parse, timeout }) {
+        if (signal?.aborted) {
+            throw new RequestError('aborted', 'Request cancelled', { url });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+
+        try {
+            const response = await fetchFn(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new RequestError('http', `HTTP error! status: ${response.status}`, { status: response.status, url });
+            }
+            const data = parse === 'text' ? await response.text() : await response.json();
+            return { response, data };
+        } catch (error) {
+            if (error instanceof RequestError) throw error;
+            if (timedOut) throw new RequestError('timeout', `No response within ${timeout} ms`, { url, cause: error });
+            if (signal?.aborted) throw new RequestError('aborted', 'Request cancelled', { url, cause: error });
+            if (error instanceof SyntaxError) throw new RequestError('parse', error.message, { url, cause: error });
+            throw new RequestError('offline', error.message, { url, cause: error });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', cancel);
+        }
+    },
+
+    isRetryable(error) {
+        if (error.kind === 'http') return error.status >= 500 || error.status === 429;
+        // No use trying again while the device knows it has no connection
+        if (error.kind === 'offline') return !(typeof navigator !== 'undefined' && navigator.onLine === false);
+        return error.kind === 'timeout';
+    },
+
+    // Exponential, with jitter so many clients do not retry in step
+    backoff(attempt) {
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+        return delay / 2 + Math.random() * delay / 2;
+    },
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(new RequestError('aborted', 'Request cancelled'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', cancel);
+                resolve();
+            }, ms);
+            if (signal?.aborted) return cancel();
+            signal?.addEventListener('abort', cancel, { once: true });
+        });
+    },
+
+    // Kind of a failure. For several at once (every provider failed) the most
+    // telling one: a cancelled load is no failure, and no connection explains the rest
+    kindOf(error) {
+        if (Array.isArray(error?.errors)) {
+            const kinds = error.errors.map(item => this.kindOf(item));
+            return ['aborted', 'offline', 'timeout', 'http', 'parse'].find(kind => kinds.includes(kind)) ?? 'parse';
+        }
+        if (error instanceof RequestError) return error.kind;
+        return error?.name === 'AbortError' ? 'aborted' : 'parse';
+    }
+};
@@ -0,0 +1,146 @@
+// Weather Providers - every source maps into the same {current, hourly, daily} model
+// Each provider exposes:
+//   id / name          identification shown in the UI
+//   covers(location)   whether the source has data for {lat, lon}
+//   fetch(location, service) resolves to normalized weather data or throws
+// The service is the WeatherService: it does the network requests (fetchJson) and
+// owns the convert*Data functions.
+
+// Positions of the measuring stations in the Buienradar feed (KNMI stations,
+// including the North Sea platforms), so coverage is known before the feed is fetched
+const BUIENRADAR_STATIONS = [
+    { id: 6391, name: 'Arcen', lat: 51.50, lon: 6.20 },
+    { id: 6275, name: 'Arnhem', lat: 52.07, lon: 5.88 },
+    { id: 6249, name: 'Berkhout', lat: 52.65, lon: 4.98 },
+    { id: 6308, name: 'Cadzand', lat: 51.38, lon: 3.38 },
+    { id: 6260, name: 'De Bilt', lat: 52.10, lon: 5.18 },
+    { id: 6235, name: 'Den Helder', lat: 52.92, lon: 4.78 },
+    { id: 6370, name: 'Eindhoven', lat: 51.45, lon: 5.42 },
+    { id: 6377, name: 'Ell', lat: 51.20, lon: 5.77 },
+    { id: 6321, name: 'Euro platform', lat: 52.00, lon: 3.28 },
+    { id: 6239, name: 'F3-platform', lat: 54.85, lon: 4.70 },
+    { id: 6350, name: 'Gilze-Rijen', lat: 51.57, lon: 4.93 },
+    { id: 6323, name: 'Goes', lat: 51.53, lon: 3.90 },
+    { id: 6283, name: 'Groenlo-Hupsel', lat: 52.07, lon: 6.65 },
+    { id: 6280, name: 'Groningen', lat: 53.13, lon: 6.58 },
+    { id: 6315, name: 'Hansweert', lat: 51.45, lon: 4.00 },
+    { id: 6278, name: 'Heino', lat: 52.43, lon: 6.27 },
+    { id: 6356, name: 'Herwijnen', lat: 51.87, lon: 5.15 },
+    { id: 6330, name: 'Hoek van Holland', lat: 51.98, lon: 4.12 },
+    { id: 6279, name: 'Hoogeveen', lat: 52.73, lon: 6.52 },
+    { id: 6251, name: 'Hoorn Terschelling', lat: 53.38, lon: 5.35 },
+    { id: 6258, name: 'Houtribdijk', lat: 52.65, lon: 5.40 },
+    { id: 6285, name: 'Huibertgat', lat: 53.57, lon: 6.40 },
+    { id: 6209, name: 'IJmond', lat: 52.47, lon: 4.52 },
+    { id: 6225, name: 'IJmuiden', lat: 52.47, lon: 4.57 },
+    { id: 6252, name: 'K13-platform', lat: 53.22, lon: 3.22 },
+    { id: 6277, name: 'Lauwersoog', lat: 53.42, lon: 6.20 },
+    { id: 6270, name: 'Leeuwarden', lat: 53.22, lon: 5.75 },
+    { id: 6269, name: 'Lelystad', lat: 52.45, lon: 5.52 },
+    { id: 6320, name: 'Lichteiland Goeree', lat: 51.93, lon: 3.67 },
+    { id: 6348, name: 'Lopik-Cabauw', lat: 51.97, lon: 4.93 },
+    { id: 6380, name: 'Maastricht', lat: 50.92, lon: 5.78 },
+    { id: 6273, name: 'Marknesse', lat: 52.70, lon: 5.88 },
+    { id: 6286, name: 'Nieuw Beerta', lat: 53.20, lon: 7.15 },
+    { id: 6312, name: 'Oosterschelde', lat: 51.77, lon: 3.62 },
+    { id: 6344, name: 'Rotterdam', lat: 51.95, lon: 4.45 },
+    { id: 6343, name: 'Rotterdam Geulhaven', lat: 51.88, lon: 4.32 },
+    { id: 6316, name: 'Schaar', lat: 51.65, lon: 3.70 },
+    { id: 6240, name: 'Schiphol', lat: 52.30, lon: 4.77 },
+    { id: 6324, name: 'Stavenisse', lat: 51.60, lon: 4.00 },
+    { id: 6267, name: 'Stavoren', lat: 52.88, lon: 5.38 },
+    { id: 6229, name: 'Texelhors', lat: 53.00, lon: 4.75 },
+    { id: 6331, name: 'Tholen', lat: 51.48, lon: 4.20 },
+    { id: 6290, name: 'Twente', lat: 52.27, lon: 6.90 },
+    { id: 6313, name: 'Vlakte van de Raan', lat: 51.50, lon: 3.25 },
+    { id: 6242, name: 'Vlieland', lat: 53.25, lon: 4.92 },
+    { id: 6310, name: 'Vlissingen', lat: 51.45, lon: 3.60 },
+    { id: 6375, name: 'Volkel', lat: 51.65, lon: 5.70 },
+    { id: 6215, name: 'Voorschoten', lat: 52.13, lon: 4.43 },
+    { id: 6319, name: 'Westdorpe', lat: 51.23, lon: 3.83 },
+    { id: 6248, name: 'Wijdenes', lat: 52.63, lon: 5.17 },
+    { id: 6257, name: 'Wijk aan Zee', lat: 52.50, lon: 4.60 },
+    { id: 6340, name: 'Woensdrecht', lat: 51.45, lon: 4.33 }
+];
+
+const WeatherProviders = {
+    buienradar: {
+        id: 'buienradar',
+        name: 'Buienradar',
+        url: 'https://data.buienradar.nl/2.0/feed/json',
+
+        // Current weather is interpolated from the stations, so a place needs one close by.
+        // Further away (most of Belgium, Aachen, Lille) a model forecast says more.
+        coverageKm: 25,
+
+        // getrr.php comes from the radar composite, which reaches well past the stations:
+        // the farthest Belgian places are about 155 km from one
+        nowcastRangeKm: 160,
+
+        covers(location) {
+            return this.nearestStationKm(location) <= this.coverageKm;
+        },
+
+        coversNowcast(location) {
+            return this.nearestStationKm(location) <= this.nowcastRangeKm;
+        },
+
+        // Distance to the nearest station in km; Infinity without a location
+        nearestStationKm(location) {
+            if (!location) return Infinity;
+            const [nearest] = StationSelector.rankByDistance(BUIENRADAR_STATIONS, location.lat, location.lon);
+            return nearest ? nearest.distance : Infinity;
+        },
+
+        async fetch(location, service) {
+            const data = await service.fetchJson(this.url);
+            return service.convertBuienradarData(data, location.lat, location.lon);
+        }
+    },
+
+    openMeteo: {
+        id: 'openMeteo',
+        name: 'Open-Meteo',
+
+        covers() {
+            return true;
+        },
+
+        buildUrl({ lat, lon }) {
+            const params = new URLSearchParams({
+                latitude: lat.toFixed(4),
+                longitude: lon.toFixed(4),
+                current: 'temperature_2m,apparent_temperature,relative_humidity_2m,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m,weather_code,is_day',
+                hourly: 'temperature_2m,precipitation_probability,precipitation,weather_code,is_day,wind_speed_10m,wind_direction_10m',
+                daily: 'temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum,weather_code,sunshine_duration,wind_speed_10m_max,wind_direction_10m_dominant',
+                wind_speed_unit: 'ms',
+                timeformat: 'unixtime',
+                timezone: 'auto',
+                forecast_days: '7'
+            });
+            return `https://api.open-meteo.com/v1/forecast?${params}`;
+        },
+
+        async fetch(location, service) {
+            const data = await service.fetchJson(this.buildUrl(location));
+            return service.convertOpenMeteoData(data);
+        }
+    },
+
+    wttr: {
+        id: 'wttr',
+        name: 'wttr.in',
+
+        covers() {
+            return true;
+        },
+
+        async fetch({ lat, lon }, service) {
+            const data = await service.fetchJson(`https://wttr.in/${lat.toFixed(4)},${lon.toFixed(4)}?format=j1`);
+            return service.convertWttrData(data);
+        }
+    }
+};
+
+// Default priority: Buienradar first near its stations, global sources after that
+const DEFAULT_PROVIDER_ORDER = ['buienradar', 'openMeteo', 'wttr'];
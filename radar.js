@@ -0,0 +1,493 @@
+// Radar Player - animated Buienradar loop with play/pause, speed and a time
+// scrubber. Past and forecast frames come as one sprite image, so once it has
+// loaded every frame is in memory and playback never waits for the network.
+// RadarView draws the frames on a canvas with the user's position, distance
+// rings, zoom and panning.
+
+const RADAR_FRAME_MS = 5 * 60 * 1000; // Buienradar renders a frame every 5 minutes
+
+// Grid of the RadarMapRainNL image: the KNMI radar composite, 700 x 765 km in polar
+// stereographic projection, as documented in the "geographic" attributes of KNMI's
+// radar HDF5 products (dataset radar_reflectivity_composites, dataplatform.knmi.nl):
+//   projection  +proj=stere +lat_0=90 +lon_0=0 +lat_ts=60 +a=6378.137 +b=6356.752
+//   pixel size  1.0000035 x -1.0000048 km, row offset 3650
+//   corners     0°E 49.362°N, 0°E 55.974°N, 10.856°E 55.389°N, 9.009°E 48.895°N
+// The image is requested square and taken to be this grid stretched to fit, so
+// positions are fractions of the grid's width and height. Reference points to hold
+// against a frame (column, row on the 700 x 765 grid; x, y on a 512 px sprite):
+//   Den Helder   52.959°N 4.760°E   332, 331   242, 222
+//   De Bilt      52.101°N 5.177°E   369, 428   270, 286
+//   Westkapelle  51.529°N 3.440°E   250, 504   183, 337
+//   Maastricht   50.851°N 5.691°E   421, 569   308, 381
+//   Delfzijl     53.330°N 6.918°E   476, 274   348, 183
+// check_radar.js checks the projection against the corners above and these points;
+// the comparison with a downloaded frame has to be done by eye.
+const RadarProjection = {
+    grid: {
+        columns: 700,
+        rows: 765,
+        pixelWidth: 1.0000035,
+        pixelHeight: 1.0000048,
+        rowOffset: 3650
+    },
+    ellipsoid: { a: 6378.137, b: 6356.752 },
+    trueScaleLat: 60,
+
+    get eccentricity() {
+        const { a, b } = this.ellipsoid;
+        return Math.sqrt(1 - (b * b) / (a * a));
+    },
+
+    // Snyder's t and m for latitude `radians` on the ellipsoid
+    t(radians) {
+        const e = this.eccentricity;
+        const sin = e * Math.sin(radians);
+        return Math.tan(Math.PI / 4 - radians / 2) / Math.pow((1 - sin) / (1 + sin), e / 2);
+    },
+
+    m(radians) {
+        const e = this.eccentricity;
+        return Math.cos(radians) / Math.sqrt(1 - e * e * Math.sin(radians) ** 2);
+    },
+
+    // Distance from the pole in km
+    rho(lat) {
+        const trueScale = this.trueScaleLat * Math.PI / 180;
+        return this.ellipsoid.a * this.m(trueScale) * this.t(lat * Math.PI / 180) / this.t(trueScale);
+    },
+
+    // Position in the image as fractions (0-1 from the top left), or null outside it
+    project(lat, lon) {
+        const { columns, rows, pixelWidth, pixelHeight, rowOffset } = this.grid;
+        const rho = this.rho(lat);
+        const radians = lon * Math.PI / 180;
+        const column = rho * Math.sin(radians) / pixelWidth;
+        const row = rho * Math.cos(radians) / pixelHeight - rowOffset;
+        const x = column / columns;
+        const y = row / rows;
+        if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) return null;
+        return { x, y };
+    },
+
+    // Radius of a circle of `km` around a point, as image fractions per axis; the
+    // projection is conformal, so only its scale at that latitude matters
+    radius(lat, lon, km) {
+        const { columns, rows, pixelWidth, pixelHeight } = this.grid;
+        const scale = this.rho(lat) / (this.ellipsoid.a * this.m(lat * Math.PI / 180));
+        return {
+            x: km * scale / pixelWidth / columns,
+            y: km * scale / pixelHeight / rows
+        };
+    }
+};
+
+class RadarView {
+    constructor(canvas, { getLocation = () => null } = {}) {
+        this.canvas = canvas;
+        this.getLocation = getLocation; // Current location { lat, lon }, read on every draw
+        this.rings = [10, 25, 50]; // Distance rings around the location, km
+        this.minZoom = 1;
+        this.maxZoom = 8;
+        this.zoom = 1;
+        this.center = { x: 0.5, y: 0.5 }; // Image point in the middle of the view (fractions)
+        this.frame = null; // { image, x, y, size } source rectangle of the frame on screen
+        this.pointers = new Map(); // Active touches/mouse buttons by pointerId
+        this.pinchDistance = null;
+
+        canvas.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+        canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            canvas.addEventListener(type, (event) => this.handlePointerUp(event));
+        });
+        canvas.addEventListener('dblclick', () => this.resetView());
+        this.updateTouchAction();
+    }
+
+    setFrame(image, x, y, size) {
+        this.frame = { image, x, y, size };
+        this.draw();
+    }
+
+    // Size the canvas to its box in device pixels, then redraw
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (width > 0 && height > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.draw();
+    }
+
+    // Side of the whole image on screen at zoom 1: the square that fits the canvas
+    get baseSize() {
+        return Math.min(this.canvas.width, this.canvas.height);
+    }
+
+    // Image fractions to canvas pixels and back
+    toCanvas(point) {
+        const scale = this.baseSize * this.zoom;
+        return {
+            x: this.canvas.width / 2 + (point.x - this.center.x) * scale,
+            y: this.canvas.height / 2 + (point.y - this.center.y) * scale
+        };
+    }
+
+    toImage(point) {
+        const scale = this.baseSize * this.zoom;
+        return {
+            x: this.center.x + (point.x - this.canvas.width / 2) / scale,
+            y: this.center.y + (point.y - this.canvas.height / 2) / scale
+        };
+    }
+
+    // Event position in canvas pixels
+    eventPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    // Zoom by `factor`, keeping the image point under `anchor` (canvas pixels) in place
+    zoomAt(factor, anchor) {
+        const fixed = this.toImage(anchor);
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        const scale = this.baseSize * this.zoom;
+        this.center = {
+            x: fixed.x - (anchor.x - this.canvas.width / 2) / scale,
+            y: fixed.y - (anchor.y - this.canvas.height / 2) / scale
+        };
+        this.clampCenter();
+        this.updateTouchAction();
+        this.draw();
+    }
+
+    panBy(dx, dy) {
+        const scale = this.baseSize * this.zoom;
+        this.center = { x: this.center.x - dx / scale, y: this.center.y - dy / scale };
+        this.clampCenter();
+        this.draw();
+    }
+
+    // Never pan past the edge of the radar image
+    clampCenter() {
+        const half = 0.5 / this.zoom;
+        this.center = {
+            x: Math.max(half, Math.min(1 - half, this.center.x)),
+            y: Math.max(half, Math.min(1 - half, this.center.y))
+        };
+    }
+
+    resetView() {
+        this.zoom = 1;
+        this.center = { x: 0.5, y: 0.5 };
+        this.updateTouchAction();
+        this.draw();
+    }
+
+    // Zoom in on the location, or back out when already zoomed in
+    focusLocation(zoom = 3) {
+        const location = this.getLocation();
+        const point = location && RadarProjection.project(location.lat, location.lon);
+        if (!point || this.zoom > 1) {
+            this.resetView();
+            return;
+        }
+        this.zoom = zoom;
+        this.center = point;
+        this.clampCenter();
+        this.updateTouchAction();
+        this.draw();
+    }
+
+    // Unzoomed, a vertical swipe scrolls the page; zoomed in, it pans the radar
+    updateTouchAction() {
+        this.canvas.style.touchAction = this.zoom > 1 ? 'none' : 'pan-y';
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        const factor = Math.exp(-event.deltaY * 0.002);
+        this.zoomAt(factor, this.eventPoint(event));
+    }
+
+    handlePointerDown(event) {
+        this.pointers.set(event.pointerId, this.eventPoint(event));
+        this.canvas.setPointerCapture?.(event.pointerId);
+        this.pinchDistance = null;
+    }
+
+    handlePointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous) return;
+
+        const point = this.eventPoint(event);
+        this.pointers.set(event.pointerId, point);
+
+        if (this.pointers.size >= 2) {
+            // Pinch: zoom by the change in finger distance, around their midpoint
+            const [a, b] = [...this.pointers.values()];
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            if (this.pinchDistance) {
+                this.zoomAt(distance / this.pinchDistance, { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+            }
+            this.pinchDistance = distance;
+        } else if (this.zoom > 1) {
+            this.panBy(point.x - previous.x, point.y - previous.y);
+        }
+    }
+
+    handlePointerUp(event) {
+        this.pointers.delete(event.pointerId);
+        this.pinchDistance = null;
+    }
+
+    draw() {
+        const { canvas, frame } = this;
+        if (!frame) return;
+
+        const context = canvas.getContext('2d');
+        const side = this.baseSize * this.zoom;
+        const topLeft = this.toCanvas({ x: 0, y: 0 });
+
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(frame.image, frame.x, frame.y, frame.size, frame.size, topLeft.x, topLeft.y, side, side);
+        this.drawLocation(context);
+    }
+
+    drawLocation(context) {
+        const location = this.getLocation();
+        const point = location && RadarProjection.project(location.lat, location.lon);
+        if (!point) return;
+
+        const center = this.toCanvas(point);
+        const ratio = window.devicePixelRatio || 1;
+        const side = this.baseSize * this.zoom;
+
+        // Distance rings, labelled at the top
+        context.save();
+        context.lineWidth = 1.5 * ratio;
+        context.setLineDash([4 * ratio, 4 * ratio]);
+        context.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        context.font = `${11 * ratio}px -apple-system, BlinkMacSystemFont, sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'bottom';
+        this.rings.forEach(km => {
+            const radius = RadarProjection.radius(location.lat, location.lon, km);
+            const rx = radius.x * side;
+            const ry = radius.y * side;
+            // Rings smaller than a few pixels only clutter the marker
+            if (rx < 8 * ratio) return;
+            context.beginPath();
+            context.ellipse(center.x, center.y, rx, ry, 0, 0, Math.PI * 2);
+            context.stroke();
+            context.fillText(`${I18n.formatNumber(km)} km`, center.x, center.y - ry - 2 * ratio);
+        });
+        context.restore();
+
+        // Marker
+        context.save();
+        context.beginPath();
+        context.arc(center.x, center.y, 6 * ratio, 0, Math.PI * 2);
+        context.fillStyle = '#4facfe';
+        context.fill();
+        context.lineWidth = 2 * ratio;
+        context.strokeStyle = '#ffffff';
+        context.stroke();
+        context.restore();
+    }
+}
+
+class RadarPlayer {
+    constructor(elements, options = {}) {
+        // { canvas, loading, playButton, scrubber, time, speedButton }; options.getLocation
+        // returns the position to mark on the radar
+        this.elements = elements;
+        this.history = options.history ?? 12; // Frames before the latest radar image (1 hour)
+        this.forecast = options.forecast ?? 24; // Forecast frames after it (2 hours)
+        this.size = options.size ?? 400; // Width and height of one frame in pixels
+        this.publishDelay = options.publishDelay ?? 5 * 60 * 1000; // Age of the latest frame when published
+        this.formatTime = options.formatTime || (date => I18n.formatTime(date));
+        this.frameDuration = 500; // ms per frame at 1×
+        this.endPause = 4; // The last frame stays this many frames before looping
+        this.speeds = [0.5, 1, 2];
+        this.speed = 1;
+
+        this.sprite = null;
+        this.vertical = true; // Frames stacked top to bottom, otherwise side by side
+        this.frames = []; // { time (ms), forecast }
+        this.index = 0;
+        this.playing = false;
+        this.timer = null;
+        this.loadId = 0;
+        this.view = elements.canvas ? new RadarView(elements.canvas, { getLocation: options.getLocation }) : null;
+    }
+
+    spriteUrl(now = Date.now()) {
+        // Same URL within one frame period, so a reload inside it hits the cache
+        const period = Math.floor(now / RADAR_FRAME_MS) * RADAR_FRAME_MS;
+        const params = new URLSearchParams({
+            height: this.size,
+            width: this.size,
+            renderBackground: 'True',
+            renderBranding: 'False',
+            renderText: 'False',
+            history: this.history,
+            forecast: this.forecast,
+            skip: 0,
+            t: period
+        });
+        return `https://image.buienradar.nl/2.0/image/sprite/RadarMapRainNL?${params}`;
+    }
+
+    // Download and decode all frames; resolves false when they could not be loaded
+    async load() {
+        const loadId = ++this.loadId;
+        const wasPlaying = this.playing || this.frames.length === 0;
+        this.pause();
+        this.setStatus('radar.loading');
+
+        const now = Date.now();
+        const image = new Image();
+        image.src = this.spriteUrl(now);
+
+        try {
+            await image.decode();
+        } catch (error) {
+            console.error('Error loading radar frames:', error);
+            if (loadId === this.loadId) this.setStatus('radar.error');
+            return false;
+        }
+
+        // A newer load started while this one was downloading
+        if (loadId !== this.loadId) return false;
+
+        this.sprite = image;
+        this.vertical = image.naturalHeight >= image.naturalWidth;
+        const count = Math.max(1, Math.round(this.vertical
+            ? image.naturalHeight / this.size
+            : image.naturalWidth / this.size));
+
+        // Timestamps are counted from the latest published frame
+        const pastCount = Math.min(this.history, count - 1);
+        const latest = Math.floor((now - this.publishDelay) / RADAR_FRAME_MS) * RADAR_FRAME_MS;
+        this.frames = Array.from({ length: count }, (_, i) => ({
+            time: latest + (i - pastCount) * RADAR_FRAME_MS,
+            forecast: i > pastCount
+        }));
+
+        if (this.elements.scrubber) {
+            this.elements.scrubber.max = count - 1;
+        }
+        this.setStatus(null);
+        this.resize();
+        this.seek(pastCount);
+
+        // Start moving unless the user asked for less motion
+        const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        if (wasPlaying && !reduceMotion) {
+            this.play();
+        }
+        return true;
+    }
+
+    setStatus(key) {
+        const loading = this.elements.loading;
+        if (!loading) return;
+
+        loading.style.display = key ? 'block' : 'none';
+        if (key) {
+            const icon = key === 'radar.error' ? 'fa-exclamation-triangle' : 'fa-spinner fa-spin';
+            loading.innerHTML = `<i class="fas ${icon}"></i><p>${I18n.t(key)}</p>`;
+        }
+    }
+
+    play() {
+        if (this.frames.length < 2 || this.playing) return;
+        this.playing = true;
+        this.scheduleNext();
+        this.updateControls();
+    }
+
+    pause() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updateControls();
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    cycleSpeed() {
+        const next = (this.speeds.indexOf(this.speed) + 1) % this.speeds.length;
+        this.speed = this.speeds[next];
+        this.updateControls();
+    }
+
+    scheduleNext() {
+        clearTimeout(this.timer);
+        const isLast = this.index === this.frames.length - 1;
+        const delay = this.frameDuration / this.speed * (isLast ? this.endPause : 1);
+
+        this.timer = setTimeout(() => {
+            if (!this.playing) return;
+            // No point in animating a page nobody looks at
+            if (!document.hidden) {
+                this.seek((this.index + 1) % this.frames.length);
+            }
+            this.scheduleNext();
+        }, delay);
+    }
+
+    seek(index) {
+        if (this.frames.length === 0) return;
+        this.index = Math.max(0, Math.min(this.frames.length - 1, Number(index) || 0));
+        this.draw();
+        this.updateControls();
+    }
+
+    resize() {
+        this.view?.resize();
+    }
+
+    draw() {
+        if (!this.view || !this.sprite || this.frames.length === 0) return;
+        const x = this.vertical ? 0 : this.index * this.size;
+        const y = this.vertical ? this.index * this.size : 0;
+        this.view.setFrame(this.sprite, x, y, this.size);
+    }
+
+    updateControls() {
+        const { playButton, scrubber, time, speedButton } = this.elements;
+        const frame = this.frames[this.index];
+
+        if (playButton) {
+            playButton.innerHTML = `<i class="fas ${this.playing ? 'fa-pause' : 'fa-play'}"></i>`;
+            playButton.title = I18n.t(this.playing ? 'radar.pause' : 'radar.play');
+        }
+        if (scrubber) {
+            scrubber.value = this.index;
+            scrubber.disabled = this.frames.length < 2;
+        }
+        if (time) {
+            const label = frame ? this.formatTime(new Date(frame.time)) : '--:--';
+            time.textContent = frame?.forecast ? I18n.t('radar.forecastTime', { time: label }) : label;
+            time.classList.toggle('forecast', Boolean(frame?.forecast));
+        }
+        if (speedButton) {
+            speedButton.textContent = `${I18n.formatNumber(this.speed, this.speed < 1 ? 1 : 0)}×`;
+            speedButton.title = I18n.t('radar.speed');
+        }
+    }
+}
@@ -0,0 +1,138 @@
+// Refresh Scheduler - runs the app's periodic loads (weather feed, nowcast) each on
+// its own interval. Timers pause while the page is hidden; a task that fell due in
+// the meantime runs as soon as the page is visible again. A task never runs twice
+// at the same time, and after a failed run it waits longer each time (backoff).
+//
+// Task: { interval, run } where run() returns (a promise of) false when it failed;
+// throwing counts as a failure too.
+
+class RefreshScheduler {
+    constructor({ now = () => Date.now(), retryDelay = 60 * 1000, maxDelay = 30 * 60 * 1000 } = {}) {
+        this.now = now;
+        this.retryDelay = retryDelay; // First wait after a failure, doubled for each next one
+        this.maxDelay = maxDelay;
+        this.tasks = new Map();
+        this.started = false;
+        this.hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    }
+
+    add(name, { interval, run }) {
+        this.tasks.set(name, {
+            name,
+            interval,
+            run,
+            lastRun: null, // When the last run finished, successful or not
+            nextRun: null,
+            failures: 0,
+            running: null, // Promise of the run in progress
+            queued: null, // Promise of the run that follows it
+            timer: null
+        });
+    }
+
+    // Start the timers; tasks that ran before start (or were marked refreshed)
+    // continue from their last run
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', () => this.setHidden(document.visibilityState === 'hidden'));
+        }
+        this.tasks.forEach(task => {
+            if (!task.nextRun) task.nextRun = (task.lastRun ?? this.now()) + task.interval;
+            this.schedule(task);
+        });
+    }
+
+    setHidden(hidden) {
+        this.hidden = hidden;
+        if (hidden) {
+            // Nothing runs in the background; the browser would throttle it anyway
+            this.tasks.forEach(task => this.clearTimer(task));
+            return;
+        }
+        // Catch up: due tasks run now, the others wait for the rest of their interval
+        this.tasks.forEach(task => this.schedule(task));
+    }
+
+    // Run a task now, whatever its timer says. While it runs, another call joins that
+    // run; with `restart` (the place or data mode changed) it runs once more afterwards.
+    // Resolves false when the run failed, never rejects
+    run(name, { restart = false } = {}) {
+        const task = this.tasks.get(name);
+        if (!task) return Promise.resolve(false);
+
+        if (task.running) {
+            if (!restart) return task.running;
+            if (!task.queued) {
+                task.queued = task.running.then(() => {
+                    task.queued = null;
+                    return this.run(name);
+                });
+            }
+            return task.queued;
+        }
+
+        this.clearTimer(task);
+        task.running = this.execute(task).finally(() => {
+            task.running = null;
+            this.schedule(task);
+        });
+        return task.running;
+    }
+
+    runAll() {
+        return Promise.all([...this.tasks.keys()].map(name => this.run(name)));
+    }
+
+    // Data of a task that came from elsewhere (cache, background sync) counts as a run
+    markRefreshed(name, time = this.now()) {
+        const task = this.tasks.get(name);
+        if (!task || task.running) return;
+
+        task.lastRun = time;
+        task.failures = 0;
+        task.nextRun = time + task.interval;
+        this.schedule(task);
+    }
+
+    async execute(task) {
+        let ok;
+        try {
+            ok = (await task.run()) !== false;
+        } catch (error) {
+            console.error(`Refresh of ${task.name} failed:`, error);
+            ok = false;
+        }
+
+        task.lastRun = this.now();
+        task.failures = ok ? 0 : task.failures + 1;
+        task.nextRun = task.lastRun + this.getDelay(task);
+        return ok;
+    }
+
+    // The interval after a success; after failures 1, 2, 4... minutes, up to
+    // maxDelay (or the interval, when that is longer)
+    getDelay(task) {
+        if (task.failures === 0) return task.interval;
+        const backoff = this.retryDelay * Math.pow(2, task.failures - 1);
+        return Math.min(backoff, Math.max(this.maxDelay, task.interval));
+    }
+
+    schedule(task) {
+        this.clearTimer(task);
+        if (!this.started || this.hidden || task.running || !task.nextRun) return;
+
+        const delay = Math.max(0, task.nextRun - this.now());
+        task.timer = setTimeout(() => {
+            task.timer = null;
+            this.run(task.name);
+        }, delay);
+    }
+
+    clearTimer(task) {
+        clearTimeout(task.timer);
+        task.timer = null;
+    }
+}
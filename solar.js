@@ -0,0 +1,117 @@
+// Solar Calculator - sunrise, sunset, twilight and sun position
+// Based on the NOAA / astronomical algorithms by Jean Meeus, accurate to about a minute
+// for latitudes below the polar circles. All times are returned as Date objects (UTC
+// instants); format them in the location's time zone for display.
+
+const SolarCalculator = (() => {
+    const RAD = Math.PI / 180;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const J1970 = 2440588;
+    const J2000 = 2451545;
+    const J0 = 0.0009;
+    const OBLIQUITY = RAD * 23.4397; // Obliquity of the Earth
+
+    // Sun altitudes (degrees) that define each event
+    const EVENTS = {
+        sun: -0.833, // Upper limb on the horizon, corrected for refraction
+        civil: -6,
+        nautical: -12
+    };
+
+    const toJulian = (date) => date.valueOf() / DAY_MS - 0.5 + J1970;
+    const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * DAY_MS);
+    const toDays = (date) => toJulian(date) - J2000;
+
+    const solarMeanAnomaly = (d) => RAD * (357.5291 + 0.98560028 * d);
+
+    const eclipticLongitude = (M) => {
+        const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const perihelion = RAD * 102.9372;
+        return M + center + perihelion + Math.PI;
+    };
+
+    const declination = (L) => Math.asin(Math.sin(L) * Math.sin(OBLIQUITY));
+    const rightAscension = (L) => Math.atan2(Math.sin(L) * Math.cos(OBLIQUITY), Math.cos(L));
+    const siderealTime = (d, lw) => RAD * (280.16 + 360.9856235 * d) - lw;
+
+    const julianCycle = (d, lw) => Math.round(d - J0 - lw / (2 * Math.PI));
+    const approxTransit = (hourAngle, lw, n) => J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+    const solarTransit = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+    const hourAngle = (altitude, phi, dec) => {
+        const cosH = (Math.sin(altitude) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        // Sun never reaches this altitude today (polar day or night)
+        if (cosH < -1 || cosH > 1) return null;
+        return Math.acos(cosH);
+    };
+
+    // Reference instant for a calendar day: local solar noon, roughly
+    const getReferenceDate = (date, lon, timeZone) => {
+        const dateKey = date.toLocaleDateString('sv-SE', { timeZone });
+        const noonUtc = new Date(`${dateKey}T12:00:00Z`).getTime();
+        return new Date(noonUtc - (lon / 15) * 60 * 60 * 1000);
+    };
+
+    return {
+        // Sun times for the calendar day of `date` in `timeZone`
+        getTimes(date, lat, lon, timeZone = 'Europe/Amsterdam') {
+            const lw = RAD * -lon;
+            const phi = RAD * lat;
+            const d = toDays(getReferenceDate(date, lon, timeZone));
+
+            const n = julianCycle(d, lw);
+            const ds = approxTransit(0, lw, n);
+            const M = solarMeanAnomaly(ds);
+            const L = eclipticLongitude(M);
+            const dec = declination(L);
+            const noon = solarTransit(ds, M, L);
+
+            const times = {
+                solarNoon: fromJulian(noon)
+            };
+
+            Object.entries(EVENTS).forEach(([name, degrees]) => {
+                const w = hourAngle(degrees * RAD, phi, dec);
+                if (w === null) {
+                    times[name] = null;
+                    return;
+                }
+                const set = solarTransit(approxTransit(w, lw, n), M, L);
+                const rise = noon - (set - noon);
+                times[name] = { rise: fromJulian(rise), set: fromJulian(set) };
+            });
+
+            const altitudeAtNoon = 90 - Math.abs(lat - dec / RAD);
+            return {
+                sunrise: times.sun ? times.sun.rise : null,
+                sunset: times.sun ? times.sun.set : null,
+                civilDawn: times.civil ? times.civil.rise : null,
+                civilDusk: times.civil ? times.civil.set : null,
+                nauticalDawn: times.nautical ? times.nautical.rise : null,
+                nauticalDusk: times.nautical ? times.nautical.set : null,
+                solarNoon: times.solarNoon,
+                // Day length in milliseconds; full day or none when the sun never sets/rises
+                dayLength: times.sun
+                    ? times.sun.set - times.sun.rise
+                    : (altitudeAtNoon > 0 ? DAY_MS : 0)
+            };
+        },
+
+        // Altitude of the sun above the horizon in degrees
+        getAltitude(date, lat, lon) {
+            const lw = RAD * -lon;
+            const phi = RAD * lat;
+            const d = toDays(date);
+            const L = eclipticLongitude(solarMeanAnomaly(d));
+            const dec = declination(L);
+            const H = siderealTime(d, lw) - rightAscension(L);
+            const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+            return altitude / RAD;
+        },
+
+        // True while the sun is above the horizon
+        isDaylight(date, lat, lon) {
+            return this.getAltitude(date, lat, lon) > EVENTS.sun;
+        }
+    };
+})();
@@ -0,0 +1,140 @@
+// Station Selector - picks Buienradar stations by great-circle distance and
+// interpolates measurements from the nearest few, weighted by inverse distance
+
+const EARTH_RADIUS_KM = 6371;
+
+const StationSelector = {
+    // Number of stations that contribute to each field
+    stationCount: 3,
+
+    // Weight = 1 / distance^power
+    power: 2,
+
+    // Closer than this, a station is treated as being at the location itself
+    sameLocationKm: 0.5,
+
+    // Numeric fields from stationmeasurements, and whether they are angles
+    numericFields: {
+        temperature: {},
+        feeltemperature: {},
+        groundtemperature: {},
+        humidity: {},
+        airpressure: {},
+        windspeed: {},
+        windgusts: {},
+        windspeedBft: {},
+        winddirectiondegrees: { circular: true },
+        visibility: {},
+        precipitation: {},
+        rainFallLastHour: {},
+        rainFallLast24Hour: {},
+        sunpower: {}
+    },
+
+    // Descriptive fields are taken from the nearest station that has them
+    nearestFields: ['weatherdescription', 'iconurl', 'winddirection', 'timestamp'],
+
+    haversineDistance(lat1, lon1, lat2, lon2) {
+        const toRad = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    },
+
+    // Stations with coordinates, sorted by distance to the location (km)
+    rankByDistance(stations, lat, lon) {
+        return (stations || [])
+            .filter(station => Number.isFinite(station?.lat) && Number.isFinite(station?.lon))
+            .map(station => ({
+                station,
+                distance: this.haversineDistance(lat, lon, station.lat, station.lon)
+            }))
+            .sort((a, b) => a.distance - b.distance);
+    },
+
+    hasValue(value) {
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+    },
+
+    // Inverse-distance weighted value of one field; stations without a value are skipped
+    interpolateField(ranked, field, options = {}) {
+        const candidates = ranked
+            .filter(({ station }) => this.hasValue(station[field]))
+            .slice(0, this.stationCount);
+
+        if (candidates.length === 0) {
+            return { value: null, contributors: [] };
+        }
+
+        // A station on top of the location wins outright
+        if (candidates[0].distance < this.sameLocationKm) {
+            candidates.length = 1;
+        }
+
+        const weights = candidates.map(({ distance }) => 1 / Math.pow(Math.max(distance, this.sameLocationKm), this.power));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        let value;
+        if (options.circular) {
+            // Average angles as vectors so 350° and 10° give 0°, not 180°
+            let x = 0;
+            let y = 0;
+            candidates.forEach(({ station }, i) => {
+                const angle = Number(station[field]) * Math.PI / 180;
+                x += Math.cos(angle) * weights[i];
+                y += Math.sin(angle) * weights[i];
+            });
+            value = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+        } else {
+            value = candidates.reduce((sum, { station }, i) => sum + Number(station[field]) * weights[i], 0) / totalWeight;
+        }
+
+        return {
+            value,
+            contributors: candidates.map(({ station, distance }, i) => ({
+                id: station.stationid,
+                name: station.stationname,
+                distance,
+                weight: weights[i] / totalWeight,
+                value: Number(station[field])
+            }))
+        };
+    },
+
+    // Interpolate every known field for a location
+    interpolate(stations, lat, lon) {
+        const ranked = this.rankByDistance(stations, lat, lon);
+        const values = {};
+        const fieldSources = {};
+        const contributing = new Map();
+
+        Object.entries(this.numericFields).forEach(([field, options]) => {
+            const result = this.interpolateField(ranked, field, options);
+            values[field] = result.value;
+            fieldSources[field] = result.contributors;
+            result.contributors.forEach(contributor => {
+                const entry = contributing.get(contributor.id) || {
+                    id: contributor.id,
+                    name: contributor.name,
+                    distance: contributor.distance,
+                    fields: []
+                };
+                entry.fields.push(field);
+                contributing.set(contributor.id, entry);
+            });
+        });
+
+        this.nearestFields.forEach(field => {
+            const nearest = ranked.find(({ station }) => station[field]);
+            values[field] = nearest ? nearest.station[field] : null;
+        });
+
+        return {
+            values,
+            fieldSources,
+            stations: [...contributing.values()].sort((a, b) => a.distance - b.distance)
+        };
+    }
+};
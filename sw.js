@@ -1,37 +1,102 @@
 // Service Worker for WeerApp PWA - Enhanced Version
-const CACHE_NAME = 'weerapp-v2.0.0';
-const STATIC_CACHE = 'weerapp-static-v2.0.0';
-const DYNAMIC_CACHE = 'weerapp-dynamic-v2.0.0';
-const WEATHER_CACHE = 'weerapp-weather-v2.0.0';
-const IMAGES_CACHE = 'weerapp-images-v2.0.0';
+const CACHE_NAME = 'weerapp-v2.1.0';
+const STATIC_CACHE = 'weerapp-static-v2.1.0';
+const DYNAMIC_CACHE = 'weerapp-dynamic-v2.1.0';
+const WEATHER_CACHE = 'weerapp-weather-v2.1.0';
+const RADAR_CACHE = 'weerapp-radar-v2.1.0';
+const IMAGES_CACHE = 'weerapp-images-v2.1.0';
+const CURRENT_CACHES = [STATIC_CACHE, DYNAMIC_CACHE, WEATHER_CACHE, RADAR_CACHE, IMAGES_CACHE];
+// Feed conversion and weather storage shared with the page
+importScripts('/network.js', '/stations.js', '/providers.js', '/buienradar.js', '/weather-service.js', '/weather-store.js');
 
-// Files to cache for offline functionality
+// Files to cache for offline functionality: every file the app loads from its
+// own origin. cache.addAll fails the whole install on one missing file
 const STATIC_FILES = [
     '/',
     '/index.html',
     '/styles.css',
+    '/i18n.js',
+    '/units.js',
+    '/network.js',
+    '/solar.js',
+    '/stations.js',
+    '/locations.js',
+    '/gazetteer-data.js',
+    '/gazetteer.js',
+    '/providers.js',
+    '/buienradar.js',
+    '/demo.js',
+    '/fixtures.js',
+    '/fixtures/buienradar-rain.json',
+    '/fixtures/buienradar-storm.json',
+    '/fixtures/buienradar-snow.json',
+    '/weather-service.js',
+    '/weather-store.js',
+    '/history.js',
+    '/radar.js',
+    '/warnings.js',
+    '/scheduler.js',
     '/app.js',
     '/manifest.json',
-    '/icons/icon-72x72.png',
-    '/icons/icon-96x96.png',
-    '/icons/icon-128x128.png',
-    '/icons/icon-144x144.png',
-    '/icons/icon-152x152.png',
-    '/icons/icon-192x192.png',
-    '/icons/icon-384x384.png',
-    '/icons/icon-512x512.png'
+    '/icon-192x192.png'
 ];
 
-// API endpoints to cache
-const API_CACHE_PATTERNS = [
-    /^https:\/\/wttr\.in/,
-    /^https:\/\/api\.openweathermap\.org/,
-    /^https:\/\/api\.buienradar\.nl/
+// Endpoints the app calls, each with its own strategy:
+//   maxAge      a cached answer younger than this is served without the network
+//   maxStale    oldest cached answer still served when the network fails
+//   maxEntries  radar sprites carry their frame period in the URL, so old ones are dropped
+const API_ROUTES = [
+    {
+        // Rain for the next two hours in 5-minute steps; older than two hours it says nothing
+        name: 'nowcast',
+        pattern: /^https:\/\/gps\.buienradar\.nl\/getrr\.php/,
+        strategy: 'cached',
+        cache: WEATHER_CACHE,
+        maxAge: 5 * 60 * 1000,
+        maxStale: 2 * 60 * 60 * 1000
+    },
+    {
+        // Station measurements are 10-minute values
+        name: 'feed',
+        pattern: /^https:\/\/data\.buienradar\.nl\//,
+        strategy: 'cached',
+        cache: WEATHER_CACHE,
+        maxAge: 10 * 60 * 1000,
+        maxStale: Infinity
+    },
+    {
+        name: 'radar',
+        pattern: /^https:\/\/image\.buienradar\.nl\//,
+        strategy: 'cacheFirst',
+        cache: RADAR_CACHE,
+        maxEntries: 3
+    },
+    {
+        name: 'open-meteo',
+        pattern: /^https:\/\/api\.open-meteo\.com\//,
+        strategy: 'cached',
+        cache: WEATHER_CACHE,
+        maxAge: 15 * 60 * 1000,
+        maxStale: Infinity
+    },
+    {
+        name: 'wttr',
+        pattern: /^https:\/\/wttr\.in\//,
+        strategy: 'cached',
+        cache: WEATHER_CACHE,
+        maxAge: 30 * 60 * 1000,
+        maxStale: Infinity
+    },
+    {
+        name: 'warnings',
+        pattern: /^https:\/\/feeds\.meteoalarm\.org\//,
+        strategy: 'cached',
+        cache: WEATHER_CACHE,
+        maxAge: 15 * 60 * 1000,
+        maxStale: 24 * 60 * 60 * 1000
+    }
 ];
 
-// Weather data cache duration (30 minutes)
-const WEATHER_CACHE_DURATION = 30 * 60 * 1000;
-
 // Install event - cache static files
 self.addEventListener('install', (event) => {
     console.log('Service Worker: Installing...');
@@ -61,7 +126,7 @@ self.addEventListener('activate', (event) => {
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames.map((cacheName) => {
-                        if (cacheName !== STATIC_CACHE && cacheName !== DYNAMIC_CACHE) {
+                        if (!CURRENT_CACHES.includes(cacheName)) {
                             console.log('Service Worker: Deleting old cache', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -82,13 +147,19 @@ self.addEventListener('fetch', (event) => {
     
     // Handle different types of requests
     if (request.method === 'GET') {
+        const route = API_ROUTES.find(route => route.pattern.test(request.url));
+        
         // Static files - cache first strategy
-        if (STATIC_FILES.some(file => request.url.endsWith(file))) {
+        if (url.origin === self.location.origin && STATIC_FILES.includes(url.pathname)) {
             event.respondWith(cacheFirst(request, STATIC_CACHE));
         }
-        // Weather API requests - special handling with cache duration
-        else if (API_CACHE_PATTERNS.some(pattern => pattern.test(request.url))) {
-            event.respondWith(weatherApiStrategy(request));
+        // Weather data - served from the cache while younger than the route's maxAge
+        else if (route && route.strategy === 'cached') {
+            event.respondWith(cachedApiStrategy(request, route));
+        }
+        // Radar sprites - one URL per frame period, so a cached one never goes stale
+        else if (route && route.strategy === 'cacheFirst') {
+            event.respondWith(radarStrategy(request, route));
         }
         // Images - cache first with long duration
         else if (request.destination === 'image') {
@@ -133,80 +204,92 @@ async function cacheFirst(request, cacheName) {
     }
 }
 
-// Weather API strategy - cache with duration check
-async function weatherApiStrategy(request) {
+// Age of a cached response in ms, from the time stored next to it
+function cacheAge(response) {
+    const cachedAt = parseInt(response.headers.get('sw-cache-time'), 10);
+    return Number.isFinite(cachedAt) ? Date.now() - cachedAt : Infinity;
+}
+
+// Cached response with its age in seconds (sw-cache-age), so the page can tell
+// how old the data on screen is
+function withCacheAge(response) {
+    const headers = new Headers(response.headers);
+    headers.set('sw-cache-age', String(Math.round(cacheAge(response) / 1000)));
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Store a copy of a network response together with the time it was fetched
+async function putWithTime(cacheName, request, response) {
+    const headers = new Headers(response.headers);
+    headers.set('sw-cache-time', Date.now().toString());
+    const body = await response.blob();
+    const cache = await caches.open(cacheName);
+    await cache.put(request, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    }));
+}
+
+// Weather data strategy: fresh cache, else network, else a stale cache within maxStale
+async function cachedApiStrategy(request, route) {
+    const cache = await caches.open(route.cache);
+    const cachedResponse = await cache.match(request);
+    if (cachedResponse && cacheAge(cachedResponse) < route.maxAge) {
+        console.log(`Service Worker: Serving fresh cached ${route.name} data`);
+        return withCacheAge(cachedResponse);
+    }
+    
     try {
-        // Check if we have cached weather data that's still fresh
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            const cacheTime = cachedResponse.headers.get('sw-cache-time');
-            if (cacheTime && (Date.now() - parseInt(cacheTime)) < WEATHER_CACHE_DURATION) {
-                console.log('Service Worker: Serving fresh cached weather data');
-                return cachedResponse;
-            }
-        }
-        
-        // Try to fetch fresh data
         const networkResponse = await fetch(request);
         if (networkResponse.ok) {
-            // Clone response and add cache timestamp
-            const responseToCache = networkResponse.clone();
-            const headers = new Headers(responseToCache.headers);
-            headers.set('sw-cache-time', Date.now().toString());
-            
-            const cachedResponse = new Response(responseToCache.body, {
-                status: responseToCache.status,
-                statusText: responseToCache.statusText,
-                headers: headers
-            });
-            
-            // Cache the response
-            const cache = await caches.open(WEATHER_CACHE);
-            cache.put(request, cachedResponse);
-            
+            await putWithTime(route.cache, request, networkResponse.clone());
             return networkResponse;
         }
-        
-        // If network fails, return cached data even if stale
-        if (cachedResponse) {
-            console.log('Service Worker: Serving stale cached weather data');
-            return cachedResponse;
-        }
-        
-        throw new Error('No cached data available');
+        if (!cachedResponse) return networkResponse;
+        console.log(`Service Worker: ${route.name} answered ${networkResponse.status}, trying cache`);
     } catch (error) {
-        console.log('Weather API failed, trying cache:', error);
-        const cachedResponse = await caches.match(request);
-        if (cachedResponse) {
-            return cachedResponse;
+        console.log(`Service Worker: ${route.name} request failed, trying cache:`, error);
+    }
+    
+    if (cachedResponse && cacheAge(cachedResponse) < route.maxStale) {
+        console.log(`Service Worker: Serving stale cached ${route.name} data`);
+        return withCacheAge(cachedResponse);
+    }
+    
+    // Lets the app fail over to the next provider
+    return new Response(`No ${route.name} data available offline`, {
+        status: 503,
+        statusText: 'Service Unavailable'
+    });
+}
+
+// Radar strategy: cache first; the image is loaded without CORS, so the
+// (opaque) response is stored as it is, and only the newest maxEntries are kept
+async function radarStrategy(request, route) {
+    const cache = await caches.open(route.cache);
+    const cachedResponse = await cache.match(request);
+    if (cachedResponse) {
+        return cachedResponse;
+    }
+    
+    try {
+        const networkResponse = await fetch(request);
+        if (networkResponse.ok || networkResponse.type === 'opaque') {
+            await cache.put(request, networkResponse.clone());
+            const keys = await cache.keys();
+            await Promise.all(keys.slice(0, Math.max(0, keys.length - route.maxEntries)).map(key => cache.delete(key)));
         }
-        
-        // Return a fallback response with demo data
-        return new Response(JSON.stringify({
-            current_condition: [{
-                temp_C: "22",
-                FeelsLikeC: "24",
-                humidity: "65",
-                windspeedKmph: "12",
-                weatherCode: "113",
-                weatherDesc: [{"value": "Zonnig"}]
-            }],
-            weather: [{
-                hourly: Array.from({length: 24}, (_, i) => ({
-                    time: new Date(Date.now() + i * 60 * 60 * 1000).toISOString(),
-                    tempC: (20 + Math.sin(i * Math.PI / 12) * 5).toString(),
-                    weatherCode: i < 6 || i > 20 ? "113" : "113",
-                    weatherDesc: [{"value": i < 6 || i > 20 ? "Heldere nacht" : "Zonnig"}]
-                }))
-            }],
-            nearest_area: [{
-                timezone: [{"value": "Europe/Amsterdam"}]
-            }]
-        }), {
-            headers: {
-                'Content-Type': 'application/json',
-                'sw-cache-time': Date.now().toString()
-            }
+        return networkResponse;
+    } catch (error) {
+        console.log('Service Worker: Radar request failed:', error);
+        return new Response('Radar not available offline', {
+            status: 503,
+            statusText: 'Service Unavailable'
         });
     }
 }
@@ -259,14 +342,47 @@ self.addEventListener('sync', (event) => {
     }
 });
 
-// Sync weather data in background
+// Sync weather data in background: one Buienradar feed covers every saved
+// location, converted per location and written to the shared WeatherStore
 async function syncWeatherData() {
     try {
-        // This would typically fetch fresh weather data
-        // and update the cache
-        console.log('Syncing weather data in background');
+        const locations = (await WeatherStore.getMeta('syncLocations')) || [];
+        const covered = locations.filter(location => WeatherProviders.buienradar.covers(location));
+        if (covered.length === 0) {
+            console.log('Service Worker: No saved locations to sync');
+            return;
+        }
+        
+        console.log('Service Worker: Syncing weather data for', covered.length, 'locations');
+        const service = new WeatherService();
+        const feed = await service.fetchJson(WeatherProviders.buienradar.url);
+        const timestamp = service.now();
+        
+        const locationIds = [];
+        for (const location of covered) {
+            try {
+                const data = service.convertBuienradarData(feed, location.lat, location.lon);
+                data.provider = { id: WeatherProviders.buienradar.id, name: WeatherProviders.buienradar.name };
+                service.stamp(data, { fetchedAt: timestamp });
+                // The page may have fetched something newer in the meantime
+                const stored = await WeatherStore.put(location.id, data, { location, timestamp, onlyIfNewer: true });
+                // Station measurements extend the observation history even while no page is open
+                await WeatherStore.addObservation(location.id, data.current);
+                if (stored) {
+                    locationIds.push(location.id);
+                }
+            } catch (error) {
+                console.error('Service Worker: Could not sync', location.name, error);
+            }
+        }
+        
+        // Open pages can show the new data straight away
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach(client => client.postMessage({ type: 'WEATHER_SYNCED', timestamp, locationIds }));
     } catch (error) {
         console.error('Background sync failed:', error);
+        // Rejecting lets the browser retry the sync later
+        throw error;
     }
 }
 
@@ -276,20 +392,20 @@ self.addEventListener('push', (event) => {
         const data = event.data.json();
         const options = {
             body: data.body,
-            icon: '/icons/icon-192x192.png',
-            badge: '/icons/icon-72x72.png',
+            icon: '/icon-192x192.png',
+            badge: '/icon-192x192.png',
             vibrate: [200, 100, 200],
             data: data.data,
             actions: [
                 {
                     action: 'open',
                     title: 'Open App',
-                    icon: '/icons/icon-72x72.png'
+                    icon: '/icon-192x192.png'
                 },
                 {
                     action: 'close',
                     title: 'Sluiten',
-                    icon: '/icons/icon-72x72.png'
+                    icon: '/icon-192x192.png'
                 }
             ]
         };
@@ -316,6 +432,7 @@ self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
     }
+
 });
 
 // Periodic background sync (if supported)
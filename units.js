@@ -0,0 +1,131 @@
+// Units - every unit conversion and formatting in one place
+// Weather data is always stored in base units: °C, m/s, hPa, mm and mm/h.
+// Renderers convert at display time with the user's preferences.
+
+const Units = {
+    options: {
+        temperature: {
+            celsius: { label: '°C' },
+            fahrenheit: { label: '°F' }
+        },
+        wind: {
+            kmh: { label: 'km/h' },
+            ms: { label: 'm/s' },
+            knots: { label: 'kn' },
+            mph: { label: 'mph' },
+            beaufort: { label: 'Bft' }
+        },
+        pressure: {
+            hpa: { label: 'hPa' },
+            inhg: { label: 'inHg' },
+            mmhg: { label: 'mmHg' }
+        },
+        precipitation: {
+            mm: { label: 'mm' },
+            inch: { label: 'in' }
+        }
+    },
+
+    defaults: {
+        temperature: 'celsius',
+        wind: 'kmh',
+        pressure: 'hpa',
+        precipitation: 'mm'
+    },
+
+    // Upper bounds (m/s) of Beaufort forces 0-11; 12 is anything above
+    beaufortLimits: [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7],
+
+    // 16-point compass in English letters; each letter is translated (ZW, SO, SW...)
+    compassPoints: ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'],
+
+    label(kind, unit) {
+        return this.options[kind]?.[unit]?.label || '';
+    },
+
+    // Only known units survive; anything else falls back to the default
+    sanitize(preferences = {}) {
+        const result = {};
+        Object.keys(this.defaults).forEach(kind => {
+            const unit = preferences[kind];
+            result[kind] = this.options[kind][unit] ? unit : this.defaults[kind];
+        });
+        return result;
+    },
+
+    convertTemperature(celsius, unit) {
+        return unit === 'fahrenheit' ? celsius * 9 / 5 + 32 : celsius;
+    },
+
+    msToBeaufort(ms) {
+        const force = this.beaufortLimits.findIndex(limit => ms < limit);
+        return force === -1 ? 12 : force;
+    },
+
+    // Middle of the Beaufort band in m/s, for sources that only give a force
+    beaufortToMs(force) {
+        const bounded = Math.max(0, Math.min(12, Math.round(force)));
+        const lower = bounded === 0 ? 0 : this.beaufortLimits[bounded - 1];
+        const upper = bounded === 12 ? 36.9 : this.beaufortLimits[bounded];
+        return (lower + upper) / 2;
+    },
+
+    convertWind(ms, unit) {
+        switch (unit) {
+            case 'ms': return ms;
+            case 'knots': return ms * 1.943844;
+            case 'mph': return ms * 2.236936;
+            case 'beaufort': return this.msToBeaufort(ms);
+            default: return ms * 3.6;
+        }
+    },
+
+    convertPressure(hpa, unit) {
+        switch (unit) {
+            case 'inhg': return hpa * 0.0295300;
+            case 'mmhg': return hpa * 0.750062;
+            default: return hpa;
+        }
+    },
+
+    convertPrecipitation(mm, unit) {
+        return unit === 'inch' ? mm / 25.4 : mm;
+    },
+
+    // Numbers are formatted for the current locale (I18n): 0,8 in Dutch, 0.8 in English
+    formatTemperature(celsius, unit, { withUnit = true } = {}) {
+        const value = I18n.formatNumber(Math.round(this.convertTemperature(celsius, unit)));
+        return withUnit ? `${value}${this.label('temperature', unit)}` : `${value}°`;
+    },
+
+    formatWind(ms, unit) {
+        const value = this.convertWind(ms, unit);
+        const decimals = unit === 'ms' && value < 10 ? 1 : 0;
+        return `${I18n.formatNumber(value, decimals)} ${this.label('wind', unit)}`;
+    },
+
+    formatPressure(hpa, unit) {
+        const decimals = unit === 'inhg' ? 2 : 0;
+        return `${I18n.formatNumber(this.convertPressure(hpa, unit), decimals)} ${this.label('pressure', unit)}`;
+    },
+
+    formatPrecipitation(mm, unit) {
+        const decimals = unit === 'inch' ? 2 : 1;
+        return `${I18n.formatNumber(this.convertPrecipitation(mm, unit), decimals)} ${this.label('precipitation', unit)}`;
+    },
+
+    // Direction the wind comes from (meteorological degrees) as a compass point, e.g. "ZW"
+    formatWindDirection(degrees) {
+        const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+        return [...this.compassPoints[index]].map(letter => I18n.t(`compass.${letter}`)).join('');
+    },
+
+    // Rain intensity per hour, e.g. "0,8 mm/u"
+    formatRainRate(mmPerHour, unit) {
+        const decimals = unit === 'inch' ? 2 : 1;
+        return I18n.t('units.rainRate', {
+            value: I18n.formatNumber(this.convertPrecipitation(mmPerHour, unit), decimals),
+            unit: this.label('precipitation', unit)
+        });
+    }
+};
@@ -0,0 +1,200 @@
+// Weather Warnings - official KNMI (NL) and KMI (BE) warnings, code geel/oranje/rood,
+// from the MeteoAlarm CAP feeds. Parsing is free of DOM access; sample payloads
+// live in fixtures/.
+//
+// Parsed warning: { id, country, level, type, areas, onset, expires, texts }
+//   level   'yellow' | 'orange' | 'red'
+//   type    awareness type key ('wind', 'rain', ...), or null
+//   areas   province names as used by the gazetteer
+//   onset, expires  ms timestamps
+//   texts   { nl: { event, headline, description, instruction }, en: {...}, ... }
+
+const WeatherWarnings = {
+    feeds: {
+        NL: 'https://feeds.meteoalarm.org/api/v1/warnings/feeds-netherlands',
+        BE: 'https://feeds.meteoalarm.org/api/v1/warnings/feeds-belgium'
+    },
+
+    // Issuing institute per feed, for the attribution
+    sources: {
+        NL: 'KNMI',
+        BE: 'KMI'
+    },
+
+    levels: ['yellow', 'orange', 'red'], // Ascending severity; green means no warning
+
+    // MeteoAlarm awareness_type numbers
+    types: {
+        1: 'wind',
+        2: 'snowIce',
+        3: 'thunderstorm',
+        4: 'fog',
+        5: 'highTemperature',
+        6: 'lowTemperature',
+        7: 'coastal',
+        8: 'forestFire',
+        9: 'avalanche',
+        10: 'rain',
+        12: 'flooding',
+        13: 'rainFlood'
+    },
+
+    // Area names in the feeds that differ from the gazetteer's province names
+    areaAliases: {
+        'friesland fryslan': 'Friesland',
+        'fryslan': 'Friesland',
+        'anvers': 'Antwerpen',
+        'bruxelles': 'Brussel',
+        'brussels': 'Brussel',
+        'bruxelles capitale': 'Brussel',
+        'brussels hoofdstedelijk gewest': 'Brussel',
+        'hainaut': 'Henegouwen',
+        'limbourg': 'Limburg',
+        'liege': 'Luik',
+        'luxembourg': 'Luxemburg',
+        'namur': 'Namen',
+        'brabant wallon': 'Waals-Brabant',
+        'brabant flamand': 'Vlaams-Brabant',
+        'flandre occidentale': 'West-Vlaanderen',
+        'flandre orientale': 'Oost-Vlaanderen'
+    },
+
+    // KNMI regions that are not provinces, and the provinces they border
+    regionProvinces: {
+        'waddeneilanden': ['Friesland', 'Groningen', 'Noord-Holland'],
+        'ijsselmeergebied': ['Flevoland', 'Friesland', 'Noord-Holland']
+    },
+
+    feedUrl(country) {
+        return this.feeds[country] || null;
+    },
+
+    async fetch(country) {
+        const url = this.feedUrl(country);
+        if (!url) return [];
+
+        const { data } = await Network.request(url);
+        return this.parse(data, { country });
+    },
+
+    // MeteoAlarm feed JSON ({ warnings: [{ alert }] }) to parsed warnings, most severe first.
+    // Cancelled alerts and alerts replaced by an update are left out.
+    parse(payload, { country = null } = {}) {
+        const alerts = (payload?.warnings || [])
+            .map(warning => warning.alert)
+            .filter(alert => alert && alert.status !== 'Test' && alert.status !== 'Exercise');
+
+        // "sender,identifier,sent" triples, space separated
+        const replaced = new Set();
+        alerts.forEach(alert => {
+            String(alert.references || '').split(/\s+/).forEach(reference => {
+                const identifier = reference.split(',')[1];
+                if (identifier) replaced.add(identifier);
+            });
+        });
+
+        return alerts
+            .filter(alert => alert.msgType !== 'Cancel' && !replaced.has(alert.identifier))
+            .map(alert => this.parseAlert(alert, country))
+            .filter(Boolean)
+            .sort((a, b) => this.levels.indexOf(b.level) - this.levels.indexOf(a.level) || a.onset - b.onset);
+    },
+
+    parseAlert(alert, country) {
+        const infos = Array.isArray(alert.info) ? alert.info : [alert.info].filter(Boolean);
+        if (infos.length === 0) return null;
+
+        // Level, type, areas and times are the same in every language block
+        const info = infos[0];
+        const level = this.parseLevel(this.parameter(info, 'awareness_level'));
+        if (!level) return null;
+
+        const onset = Date.parse(info.onset || info.effective || alert.sent);
+        const expires = Date.parse(info.expires);
+        if (Number.isNaN(expires)) return null;
+
+        const texts = {};
+        infos.forEach(block => {
+            const language = String(block.language || 'nl').slice(0, 2).toLowerCase();
+            texts[language] = {
+                event: block.event || '',
+                headline: block.headline || '',
+                description: block.description || '',
+                instruction: block.instruction || ''
+            };
+        });
+
+        const areas = new Set();
+        (info.area || []).forEach(area => this.normalizeArea(area.areaDesc).forEach(name => areas.add(name)));
+
+        return {
+            id: alert.identifier,
+            country,
+            level,
+            type: this.parseType(this.parameter(info, 'awareness_type')),
+            areas: [...areas],
+            onset: Number.isNaN(onset) ? null : onset,
+            expires,
+            texts
+        };
+    },
+
+    parameter(info, name) {
+        const parameters = Array.isArray(info.parameter) ? info.parameter : [info.parameter].filter(Boolean);
+        const match = parameters.find(parameter => parameter.valueName === name);
+        return match ? String(match.value) : null;
+    },
+
+    // "2; yellow; Moderate" -> 'yellow'; green and unknown levels are not warnings
+    parseLevel(value) {
+        const color = String(value || '').split(';')[1]?.trim().toLowerCase();
+        return this.levels.includes(color) ? color : null;
+    },
+
+    // "1; Wind" -> 'wind'
+    parseType(value) {
+        const number = parseInt(String(value || ''), 10);
+        return this.types[number] || null;
+    },
+
+    // Feed area name to gazetteer province names
+    normalizeArea(areaDesc) {
+        const key = Gazetteer.normalize(areaDesc || '');
+        if (!key) return [];
+        if (this.regionProvinces[key]) return this.regionProvinces[key];
+        if (this.areaAliases[key]) return [this.areaAliases[key]];
+
+        const province = GAZETTEER_DATA.provinces.find(name => Gazetteer.normalize(name) === key);
+        return province ? [province] : [areaDesc];
+    },
+
+    isActive(warning, now = Date.now()) {
+        return warning.expires > now;
+    },
+
+    isCurrent(warning, now = Date.now()) {
+        return this.isActive(warning, now) && (warning.onset === null || warning.onset <= now);
+    },
+
+    // Active warnings for a province ({ province, country }), most severe first
+    forLocation(warnings, { province, country }, now = Date.now()) {
+        if (!province) return [];
+        return warnings.filter(warning =>
+            this.isActive(warning, now) &&
+            (!warning.country || !country || warning.country === country) &&
+            warning.areas.includes(province)
+        );
+    },
+
+    highestLevel(warnings) {
+        return warnings.reduce((highest, warning) => {
+            return this.levels.indexOf(warning.level) > this.levels.indexOf(highest) ? warning.level : highest;
+        }, null);
+    },
+
+    // Text block in the preferred language, falling back to Dutch, then any
+    text(warning, language) {
+        return warning.texts[language] || warning.texts.nl || Object.values(warning.texts)[0] ||
+            { event: '', headline: '', description: '', instruction: '' };
+    }
+};
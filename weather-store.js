@@ -0,0 +1,230 @@
+// Weather Store - cached weather per location in IndexedDB, shared by the page
+// and the service worker (importScripts). No DOM access.
+//
+// weather: { key, data, timestamp, location, size, lastAccess }
+//   key         saved location id, or rounded coordinates for unsaved places
+//   timestamp   when the data was fetched
+//   size        length of the serialized data, for the size limits
+//   lastAccess  least recently used entries are evicted first
+// meta:    { key, value } small shared state, e.g. the locations to sync
+// observations: { key, time, temp, humidity, pressure, windSpeed, windDeg, windGust, rain }
+//   one record per location and measurement time, kept for maxObservationAge
+
+const WeatherStore = {
+    dbName: 'weerapp',
+    version: 3,
+    maxEntries: 25,
+    maxBytes: 2 * 1024 * 1024, // All entries together
+    maxEntryBytes: 512 * 1024,
+    maxAge: 7 * 24 * 60 * 60 * 1000, // Older entries are evicted regardless of space
+    maxObservationAge: 8 * 24 * 60 * 60 * 1000, // A full week of trends plus a margin
+    dbPromise: null,
+
+    // migrations[n] upgrades the database from version n to n + 1
+    migrations: [
+        // 1: weather per location
+        (db) => {
+            const store = db.createObjectStore('weather', { keyPath: 'key' });
+            store.createIndex('lastAccess', 'lastAccess');
+        },
+        // 2: key-value state shared with the service worker
+        (db) => {
+            db.createObjectStore('meta', { keyPath: 'key' });
+        },
+        // 3: rolling observation history per location
+        (db) => {
+            const store = db.createObjectStore('observations', { keyPath: ['key', 'time'] });
+            store.createIndex('time', 'time');
+        }
+    ],
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion; version < this.version; version++) {
+                    this.migrations[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // A newer version was opened elsewhere (other tab, updated worker): step aside
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('WeatherStore: upgrade waiting for other connections to close');
+        });
+
+        // Allow a retry after a failed open
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    },
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Run `work(tx)` in one transaction; resolves with its result once committed
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+
+        try {
+            const result = await work(tx);
+            await done;
+            return result;
+        } catch (error) {
+            try {
+                tx.abort();
+            } catch (abortError) {
+                // Already finished
+            }
+            throw error;
+        }
+    },
+
+    keyFor(location) {
+        if (!location) return null;
+        // ~1 km precision, so small GPS jitter reuses the same entry
+        return location.id || `coord:${location.lat.toFixed(2)},${location.lon.toFixed(2)}`;
+    },
+
+    async get(key) {
+        if (!key) return null;
+
+        return this.transaction('weather', 'readwrite', async (tx) => {
+            const store = tx.objectStore('weather');
+            const entry = await this.request(store.get(key));
+            if (!entry) return null;
+
+            entry.lastAccess = Date.now();
+            store.put(entry);
+            return entry;
+        });
+    },
+
+    // Store weather for a location; with `onlyIfNewer` an entry with a later
+    // timestamp is kept and null is returned
+    async put(key, data, { location = null, timestamp = Date.now(), onlyIfNewer = false } = {}) {
+        const size = JSON.stringify(data).length;
+        if (size > this.maxEntryBytes) {
+            throw new Error(`Weather data for ${key} is too large (${size} bytes)`);
+        }
+
+        const entry = { key, data, timestamp, location, size, lastAccess: Date.now() };
+        return this.transaction('weather', 'readwrite', async (tx) => {
+            const store = tx.objectStore('weather');
+            if (onlyIfNewer) {
+                const existing = await this.request(store.get(key));
+                if (existing && existing.timestamp >= timestamp) return null;
+            }
+
+            store.put(entry);
+            await this.evict(store, key);
+            return entry;
+        });
+    },
+
+    async delete(key) {
+        if (!key) return;
+        await this.transaction(['weather', 'observations'], 'readwrite', async (tx) => {
+            tx.objectStore('weather').delete(key);
+            tx.objectStore('observations').delete(IDBKeyRange.bound([key, 0], [key, Infinity]));
+        });
+    },
+
+    // Drop expired entries, then the least recently used ones until the limits fit
+    async evict(store, keepKey = null) {
+        const entries = await this.request(store.getAll());
+        const now = Date.now();
+        let count = 0;
+        let total = 0;
+
+        entries
+            .sort((a, b) => b.lastAccess - a.lastAccess)
+            .forEach(entry => {
+                const fits = now - entry.timestamp < this.maxAge &&
+                    count < this.maxEntries &&
+                    total + entry.size <= this.maxBytes;
+                if (entry.key === keepKey || fits) {
+                    count++;
+                    total += entry.size;
+                } else {
+                    store.delete(entry.key);
+                }
+            });
+    },
+
+    // Record the measured values of `current` (normalized model). Only data with a
+    // measurement time (`current.dt`) is an observation; the same measurement
+    // fetched twice replaces itself.
+    async addObservation(key, current) {
+        if (!key || !current || !current.dt) return null;
+
+        const value = (number) => typeof number === 'number' && Number.isFinite(number) ? number : null;
+        const observation = {
+            key,
+            time: current.dt * 1000,
+            temp: value(current.temp),
+            humidity: value(current.humidity),
+            pressure: value(current.pressure),
+            windSpeed: value(current.wind_speed),
+            windDeg: value(current.wind_deg),
+            windGust: value(current.wind_gust),
+            rain: value(current.rain_1h)
+        };
+
+        return this.transaction('observations', 'readwrite', async (tx) => {
+            const store = tx.objectStore('observations');
+            store.put(observation);
+
+            // Rolling window: drop everything older than the history we keep
+            const cutoff = Date.now() - this.maxObservationAge;
+            const expired = await this.request(store.index('time').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+            expired.forEach(primaryKey => store.delete(primaryKey));
+            return observation;
+        });
+    },
+
+    // Observations for a location since `since` (ms), oldest first
+    async getObservations(key, since = 0) {
+        if (!key) return [];
+        return this.transaction('observations', 'readonly', async (tx) => {
+            return this.request(tx.objectStore('observations').getAll(IDBKeyRange.bound([key, since], [key, Infinity])));
+        });
+    },
+
+    async getMeta(key) {
+        return this.transaction('meta', 'readonly', async (tx) => {
+            const record = await this.request(tx.objectStore('meta').get(key));
+            return record ? record.value : null;
+        });
+    },
+
+    async setMeta(key, value) {
+        await this.transaction('meta', 'readwrite', async (tx) => {
+            tx.objectStore('meta').put({ key, value });
+        });
+    }
+};